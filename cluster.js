@@ -0,0 +1,305 @@
+const cluster = require('cluster');
+const crypto = require('crypto');
+const os = require('os');
+require('dotenv').config();
+
+const logger = require('./src/utils/logger');
+const metrics = require('./src/utils/metrics');
+const clusterIpc = require('./src/utils/clusterIpc');
+const AuthService = require('./src/services/authService');
+const PlaybackTokenService = require('./src/services/playbackTokenService');
+const RateLimitService = require('./src/services/rateLimitService');
+
+/**
+ * Cluster entry point (npm run cluster).
+ *
+ * The primary forks CLUSTER_WORKERS HTTP workers running server.js on the
+ * shared port, plus one transcoder worker that owns the transcoding queue:
+ * it is the only process running conversion jobs, so two workers never
+ * convert the same output. HTTP workers hand new jobs to it and mirror job
+ * state (ClusterJobQueue); the primary relays those messages.
+ *
+ * The primary also answers what concerns all workers (see utils/clusterIpc):
+ * it keeps the rate-limit buckets, and /metrics scrapes collect and add up
+ * every worker's metrics.
+ *
+ * Crashed workers are restarted (with a backoff if they keep crashing).
+ * SIGHUP restarts the HTTP workers one at a time, each replacement
+ * listening before its predecessor is drained, then drains and restarts
+ * the transcoder.
+ */
+
+// Give up on draining a worker after these many seconds and kill it
+const SHUTDOWN_TIMEOUT = (parseInt(process.env.CLUSTER_SHUTDOWN_TIMEOUT) || 30) * 1000;
+const TRANSCODER_DRAIN_TIMEOUT = (parseInt(process.env.CLUSTER_TRANSCODER_DRAIN_TIMEOUT) || 300) * 1000;
+
+// Workers that die within this long after starting are restarted with an increasing delay
+const MIN_UPTIME = 10 * 1000;
+const MAX_RESTART_DELAY = 30 * 1000;
+
+/**
+ * Primary: fork, supervise and relay messages between workers
+ */
+function runPrimary() {
+  const httpWorkers = parseInt(process.env.CLUSTER_WORKERS) ||
+    (os.availableParallelism ? os.availableParallelism() : os.cpus().length);
+
+  // Playback tokens issued by one worker must verify on the others
+  if (!process.env.PLAYBACK_TOKEN_SECRET) {
+    process.env.PLAYBACK_TOKEN_SECRET = crypto.randomBytes(32).toString('hex');
+    if (process.env.HLS_REQUIRE_TOKEN === 'true') {
+      logger.warn('PLAYBACK_TOKEN_SECRET is not set; using a random secret, issued tokens will not survive a restart');
+    }
+  }
+
+  // Refuse placeholder secrets here rather than let every worker crash on them
+  try {
+    new AuthService();
+    new PlaybackTokenService();
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+
+  const roles = new Map();
+  const startedAt = new Map();
+  const up = new Set();
+  const stopping = new Set();
+  const restartDelays = { http: 0, transcoder: 0 };
+  let transcoder = null;
+  let transcoderReady = false;
+  let pendingForTranscoder = [];
+  let restarting = false;
+  let shuttingDown = false;
+
+  const workersWithRole = role => Object.values(cluster.workers).filter(worker => roles.get(worker.id) === role);
+
+  const rateLimits = new RateLimitService();
+  clusterIpc.handle('ratelimit:take', message => rateLimits.take(message.bucketKey, message.limit, message.cost));
+  clusterIpc.handle('metrics:collect', () =>
+    metrics.collectCluster(Object.values(cluster.workers).filter(worker => worker.isConnected())));
+
+  const toTranscoder = (message) => {
+    if (transcoder && transcoderReady) {
+      transcoder.send(message);
+    } else {
+      pendingForTranscoder.push(message);
+    }
+  };
+
+  const relay = (worker, message) => {
+    if (!message || typeof message !== 'object') return;
+
+    switch (message.cmd) {
+      case 'jobs:enqueue':
+      case 'jobs:sync':
+        toTranscoder(message);
+        break;
+      case 'jobs:update':
+      case 'jobs:snapshot':
+        workersWithRole('http').forEach(httpWorker => httpWorker.isConnected() && httpWorker.send(message));
+        break;
+      case 'transcoder:ready':
+        up.add(worker.id);
+        transcoderReady = true;
+        pendingForTranscoder.forEach(pending => worker.send(pending));
+        pendingForTranscoder = [];
+        break;
+    }
+  };
+
+  const fork = (role) => {
+    const worker = cluster.fork({ CLUSTER_ROLE: role });
+    roles.set(worker.id, role);
+    startedAt.set(worker.id, Date.now());
+
+    if (role === 'transcoder') {
+      transcoder = worker;
+      transcoderReady = false;
+    }
+
+    worker.on('message', message => relay(worker, message));
+    worker.on('listening', () => up.add(worker.id));
+    // A worker exiting on its own signal closes its channel while the primary may still write to it
+    worker.on('error', error => logger.warn(`${role} worker ${worker.process.pid}: ${error.message}`));
+    return worker;
+  };
+
+  /**
+   * Wait for a worker to exit, killing it after a timeout
+   */
+  const waitForExit = (worker, timeout) => new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      logger.warn(`Worker ${worker.process.pid} did not finish within ${timeout / 1000}s, killing it`);
+      worker.process.kill('SIGKILL');
+    }, timeout);
+
+    worker.once('exit', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+
+  /**
+   * Stop a worker gracefully: HTTP workers close their server and finish
+   * open requests, the transcoder finishes its running jobs
+   */
+  const stop = (worker) => {
+    stopping.add(worker.id);
+    if (worker.isDead()) {
+      return Promise.resolve();
+    }
+
+    const exited = roles.get(worker.id) === 'transcoder'
+      ? waitForExit(worker, TRANSCODER_DRAIN_TIMEOUT)
+      : waitForExit(worker, SHUTDOWN_TIMEOUT);
+
+    if (roles.get(worker.id) === 'transcoder') {
+      worker.send({ cmd: 'transcoder:drain' });
+    } else {
+      worker.disconnect();
+    }
+    return exited;
+  };
+
+  /**
+   * Fork a worker and wait until it serves (HTTP) or has loaded the queue (transcoder)
+   */
+  const start = role => new Promise((resolve, reject) => {
+    const worker = fork(role);
+    const onExit = () => reject(new Error(`New ${role} worker ${worker.process.pid} exited before it was ready`));
+    const onReady = () => {
+      worker.off('exit', onExit);
+      resolve(worker);
+    };
+
+    worker.once('exit', onExit);
+    if (role === 'transcoder') {
+      worker.on('message', message => message && message.cmd === 'transcoder:ready' && onReady());
+    } else {
+      worker.once('listening', onReady);
+    }
+  });
+
+  const rollingRestart = async () => {
+    if (restarting || shuttingDown) return;
+    restarting = true;
+    logger.info('SIGHUP received, restarting workers one at a time');
+
+    try {
+      for (const worker of workersWithRole('http')) {
+        await start('http');
+        await stop(worker);
+      }
+
+      // The queue must have a single owner, so the transcoder is replaced after it has drained
+      if (transcoder) {
+        await stop(transcoder);
+      }
+      await start('transcoder');
+
+      logger.info('Rolling restart complete');
+    } catch (error) {
+      logger.error(`Rolling restart aborted, remaining workers keep running: ${error.message}`);
+    } finally {
+      restarting = false;
+    }
+  };
+
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info(`${signal} received, stopping workers`);
+
+    // Jobs the transcoder is running are requeued when the cluster starts again
+    if (transcoder) {
+      stopping.add(transcoder.id);
+      transcoder.process.kill('SIGTERM');
+    }
+    await Promise.all(workersWithRole('http').map(stop));
+    process.exit(0);
+  };
+
+  cluster.on('exit', (worker, code, signal) => {
+    const role = roles.get(worker.id);
+    const wasUp = up.has(worker.id);
+    const uptime = Date.now() - startedAt.get(worker.id);
+
+    roles.delete(worker.id);
+    startedAt.delete(worker.id);
+    up.delete(worker.id);
+    if (worker === transcoder) {
+      transcoder = null;
+      transcoderReady = false;
+    }
+
+    if (stopping.delete(worker.id) || shuttingDown) {
+      logger.info(`${role} worker ${worker.process.pid} stopped`);
+      return;
+    }
+
+    // A replacement that fails during a rolling restart is not retried; the restart is aborted instead
+    if (restarting && !wasUp) {
+      return;
+    }
+
+    restartDelays[role] = uptime < MIN_UPTIME
+      ? Math.min(Math.max(restartDelays[role] * 2, 1000), MAX_RESTART_DELAY)
+      : 0;
+    logger.error(`${role} worker ${worker.process.pid} died (${signal || `exit code ${code}`}), ` +
+      `restarting${restartDelays[role] ? ` in ${restartDelays[role] / 1000}s` : ''}`);
+
+    setTimeout(() => {
+      if (!shuttingDown) {
+        fork(role);
+      }
+    }, restartDelays[role]);
+  });
+
+  process.on('SIGHUP', rollingRestart);
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  // Live ingest chunks are forwarded between workers as Buffers, which JSON would inflate
+  cluster.setupPrimary({ serialization: 'advanced' });
+
+  logger.info(`Cluster primary ${process.pid} starting ${httpWorkers} HTTP workers and a transcoder`);
+  fork('transcoder');
+  for (let i = 0; i < httpWorkers; i++) {
+    fork('http');
+  }
+}
+
+/**
+ * Transcoder worker: runs the job queue and publishes its state
+ */
+function runTranscoder() {
+  const transcodeQueue = require('./src/services/transcodeQueue');
+  const ClusterJobQueue = require('./src/services/clusterJobQueue');
+
+  ClusterJobQueue.serve(transcodeQueue);
+
+  process.on('message', (message) => {
+    if (message && message.cmd === 'transcoder:drain') {
+      logger.info(`Transcoder ${process.pid} draining: finishing ${transcodeQueue.running} running jobs`);
+      transcodeQueue.drain().then(() => process.exit(0));
+    }
+  });
+
+  // Without the primary there is nobody to take jobs from
+  process.on('disconnect', () => process.exit(0));
+
+  process.send({ cmd: 'transcoder:ready' });
+  logger.info(`Transcoder worker ${process.pid} started`);
+}
+
+if (cluster.isPrimary) {
+  runPrimary();
+} else if (process.env.CLUSTER_ROLE === 'transcoder') {
+  runTranscoder();
+} else {
+  require('./server');
+
+  // Disconnected by the primary (rolling restart, shutdown) once open requests are done
+  process.on('disconnect', () => process.exit(0));
+}
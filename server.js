@@ -6,14 +6,29 @@ const path = require('path');
 require('dotenv').config();
 
 const logger = require('./src/utils/logger');
+const metrics = require('./src/utils/metrics');
+const AuthService = require('./src/services/authService');
+const RateLimitService = require('./src/services/rateLimitService');
 const videoRoutes = require('./src/routes/videoRoutes');
 const r2Routes = require('./src/routes/r2Routes');
 const uploadRoutes = require('./src/routes/uploadRoutes');
 const hlsRoutes = require('./src/routes/hlsRoutes');
+const dashRoutes = require('./src/routes/dashRoutes');
+const catalogRoutes = require('./src/routes/catalogRoutes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a proxy/CDN, take the client IP from X-Forwarded-For (used for IP-bound playback tokens)
+// TRUST_PROXY is true, a hop count, or addresses/subnets such as "loopback, 10.0.0.0/8"
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy));
+}
+
+// Request counts and latencies for /metrics
+app.use(metrics.requestMetrics());
+
 // Security middleware
 app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" },
@@ -23,9 +38,10 @@ app.use(helmet({
 // CORS configuration for video streaming
 const corsOptions = {
   origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:8080', 'http://localhost:3001', 'http://localhost:5173'],
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'HEAD'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Range', 'Accept-Ranges', 'Content-Range'],
-  exposedHeaders: ['Content-Range', 'Accept-Ranges', 'Content-Length', 'Content-Type'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Range', 'Accept-Ranges', 'Content-Range', 'Upload-Offset', 'Upload-Length', 'Upload-Metadata', 'X-API-Key'],
+  exposedHeaders: ['Content-Range', 'Accept-Ranges', 'Content-Length', 'Content-Type', 'Location', 'Upload-Offset', 'Upload-Length',
+    'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
   credentials: true
 };
 
@@ -44,11 +60,20 @@ app.use('/videos', express.static(path.join(__dirname, 'videos'), {
   }
 }));
 
+// Request rate limits per client and route group (after auth, so API keys are limited per key)
+const rateLimiter = new RateLimitService();
+
+// Identify the caller (API key, bearer JWT or anonymous); routers check roles.
+// Failed attempts are rate limited per IP before credentials are checked.
+const authService = new AuthService();
+app.use('/api', rateLimiter.authFailureMiddleware(), authService.authenticate());
+
 // Routes
-app.use('/api/video', videoRoutes);
-app.use('/api/video', r2Routes);
-app.use('/api/upload', uploadRoutes);
-app.use('/api/hls', hlsRoutes);
+app.use('/api/video', rateLimiter.middleware('stream'), videoRoutes, r2Routes);
+app.use('/api/videos', rateLimiter.middleware('stream'), catalogRoutes);
+app.use('/api/upload', rateLimiter.middleware('upload'), uploadRoutes);
+app.use('/api/hls', rateLimiter.middleware('hls'), hlsRoutes);
+app.use('/api/dash', rateLimiter.middleware('hls'), dashRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -60,6 +85,22 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus metrics; requires METRICS_ROLE (default admin), e.g. an API key sent by the scraper
+const metricsRole = process.env.METRICS_ROLE || 'admin';
+app.get('/metrics', rateLimiter.authFailureMiddleware(), authService.authenticate(), AuthService.requireRole(metricsRole), async (req, res) => {
+  try {
+    const text = await metrics.render();
+    res.set('Content-Type', metrics.contentType);
+    res.send(text);
+  } catch (error) {
+    logger.error('Error collecting metrics:', error);
+    res.status(503).json({
+      error: 'Metrics unavailable',
+      message: error.message
+    });
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   logger.error('Unhandled error:', err);
@@ -88,9 +129,14 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info(`Video streaming server running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
 });
 
+// Live ingest connections and large uploads outlast Node's default 5 minute
+// request timeout; slow clients are still cut off by headersTimeout and the
+// live ingest idle timeout
+server.requestTimeout = 0;
+
 module.exports = app;
\ No newline at end of file
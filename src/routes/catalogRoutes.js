@@ -0,0 +1,308 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const HLSService = require('../services/hlsService');
+const R2StreamService = require('../services/r2StreamService');
+const VideoStreamService = require('../services/videoStreamService');
+const AuthService = require('../services/authService');
+const transcodeQueue = require('../services/transcodeQueue');
+const videoCatalog = require('../services/videoCatalog');
+const logger = require('../utils/logger');
+const { parseListQuery, paginate } = require('../utils/listQuery');
+
+const router = express.Router();
+const hlsService = new HLSService();
+const r2Service = new R2StreamService();
+
+// Reading the catalog requires the viewer role; changing it requires uploader (and ownership, see canModify)
+router.use(AuthService.requireRole('viewer'));
+const requireUploader = AuthService.requireRole('uploader');
+
+// Directories local links point into
+const LOCAL_DIRS = {
+  videos: path.join(__dirname, '../../videos'),
+  uploads: path.join(__dirname, '../../uploads')
+};
+
+/**
+ * Absolute path of a video's local file
+ * @param {Object} local - Local link {filename, directory}
+ * @returns {string} File path
+ */
+function localFilePath(local) {
+  return path.join(LOCAL_DIRS[local.directory] || LOCAL_DIRS.videos, path.basename(local.filename));
+}
+
+/**
+ * Catalog entry with the URLs its links are served at and the state of its HLS conversion
+ * @param {Object} entry - Catalog entry
+ * @returns {Object} Response body
+ */
+function describeVideo(entry) {
+  const video = { ...entry, url: `/api/videos/${entry.id}` };
+
+  if (entry.local || entry.r2) {
+    video.streamUrl = `/api/videos/${entry.id}/stream`;
+  }
+  if (entry.local) {
+    video.local = {
+      ...entry.local,
+      streamUrl: entry.local.directory === 'videos' ? `/api/video/local/${entry.local.filename}` : null
+    };
+  }
+  if (entry.r2) {
+    video.r2 = { ...entry.r2, streamUrl: `/api/video/r2/${encodeURIComponent(entry.r2.key)}` };
+  }
+
+  if (entry.hls) {
+    const job = entry.hls.jobId ? transcodeQueue.getJob(entry.hls.jobId) : null;
+    video.hls = {
+      ...entry.hls,
+      status: job ? job.state : (entry.hls.convertedAt ? 'succeeded' : 'unknown'),
+      masterPlaylistUrl: entry.hls.storage === 'r2'
+        ? `/api/hls/r2/${encodeURIComponent(entry.hls.key)}/master.m3u8`
+        : `/api/hls/${entry.hls.stream}/master.m3u8`
+    };
+  }
+
+  return video;
+}
+
+/**
+ * Load the video named by :id, answering 404 if it is unknown
+ */
+function loadVideo(req, res, next) {
+  const entry = videoCatalog.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({
+      error: 'Video not found',
+      message: `Video '${req.params.id}' not found`
+    });
+  }
+  req.video = entry;
+  next();
+}
+
+/**
+ * Only the video's owner or an admin may change it
+ */
+function requireOwner(req, res, next) {
+  if (!videoCatalog.canModify(req.auth, req.video)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Only the owner of this video or an admin can change it'
+    });
+  }
+  next();
+}
+
+/**
+ * GET /api/videos
+ * List videos a page at a time, newest first by default: sort
+ * (date|name|size), order, limit, cursor, q (searches title, description
+ * and tags), tag, owner, type, minSize/maxSize and since/until (created)
+ */
+router.get('/', (req, res) => {
+  try {
+    const { options, error } = parseListQuery(req.query, { sorts: ['date', 'name', 'size'] });
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: error
+      });
+    }
+
+    const tag = req.query.tag !== undefined ? String(req.query.tag).trim().toLowerCase() : null;
+    const owner = req.query.owner !== undefined ? String(req.query.owner) : null;
+    const entries = videoCatalog.list().filter(entry =>
+      (tag === null || entry.tags.includes(tag)) && (owner === null || entry.owner === owner)
+    );
+
+    const page = paginate(entries, options, {
+      key: entry => entry.id,
+      name: entry => entry.title,
+      size: entry => (entry.upload ? entry.upload.size : null),
+      date: entry => entry.createdAt,
+      mimeType: entry => (entry.upload ? entry.upload.mimeType : null),
+      text: entry => [entry.title, entry.description, ...entry.tags]
+    });
+
+    res.json({
+      count: page.items.length,
+      total: page.total,
+      nextCursor: page.nextCursor,
+      videos: page.items.map(describeVideo)
+    });
+
+  } catch (error) {
+    logger.error('Error listing catalog:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to list videos'
+    });
+  }
+});
+
+/**
+ * POST /api/videos
+ * Register a video for files that are already stored. Body: title
+ * (required), description, tags, and any of localFile (a file in videos/),
+ * r2Key and hlsStream (a local HLS stream).
+ */
+router.post('/', requireUploader, async (req, res) => {
+  try {
+    const { fields, error } = videoCatalog.parseFields(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: error
+      });
+    }
+
+    const { localFile, r2Key, hlsStream } = req.body;
+    const links = {};
+
+    if (localFile !== undefined) {
+      const local = { filename: path.basename(String(localFile)), directory: 'videos' };
+      if (!VideoStreamService.isValidVideoFile(local.filename) || !fs.existsSync(localFilePath(local))) {
+        return res.status(400).json({
+          error: 'Invalid parameters',
+          message: `localFile '${local.filename}' is not a video in videos/`
+        });
+      }
+      links.local = local;
+    }
+
+    if (r2Key !== undefined) {
+      try {
+        const metadata = await r2Service.getVideoMetadata(String(r2Key));
+        links.r2 = { key: metadata.key, etag: metadata.etag || null };
+      } catch (r2Error) {
+        if (r2Error.code !== 'NOT_FOUND') throw r2Error;
+        return res.status(400).json({
+          error: 'Invalid parameters',
+          message: `r2Key '${r2Key}' does not exist`
+        });
+      }
+    }
+
+    if (hlsStream !== undefined) {
+      if (!(await hlsService.streamExists(path.basename(String(hlsStream))))) {
+        return res.status(400).json({
+          error: 'Invalid parameters',
+          message: `hlsStream '${hlsStream}' is not an HLS stream`
+        });
+      }
+      links.hls = { storage: 'local', stream: path.basename(String(hlsStream)) };
+    }
+
+    for (const [type, link] of Object.entries(links)) {
+      const owner = videoCatalog.findByLink(type, videoCatalog.linkValue({ [type]: link }, type));
+      if (owner) {
+        return res.status(409).json({
+          error: 'Already registered',
+          message: `This ${type} file already belongs to video '${owner.id}'`,
+          videoId: owner.id
+        });
+      }
+    }
+
+    const entry = videoCatalog.create({ ...fields, ...links, owner: req.auth.subject });
+    res.status(201).json(describeVideo(entry));
+
+  } catch (error) {
+    logger.error('Error registering video:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to register video'
+    });
+  }
+});
+
+/**
+ * GET /api/videos/:id
+ * Get a video's metadata and links
+ */
+router.get('/:id', loadVideo, (req, res) => {
+  res.json(describeVideo(req.video));
+});
+
+/**
+ * PATCH /api/videos/:id
+ * Update title, description and/or tags
+ */
+router.patch('/:id', requireUploader, loadVideo, requireOwner, (req, res) => {
+  try {
+    const { fields, error } = videoCatalog.parseFields(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: error
+      });
+    }
+
+    res.json(describeVideo(videoCatalog.update(req.video.id, fields)));
+
+  } catch (error) {
+    logger.error('Error updating video:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update video'
+    });
+  }
+});
+
+/**
+ * DELETE /api/videos/:id
+ * Remove a video from the catalog; its files are kept
+ */
+router.delete('/:id', requireUploader, loadVideo, requireOwner, (req, res) => {
+  try {
+    videoCatalog.remove(req.video.id);
+
+    res.json({
+      message: `Video '${req.video.id}' removed from the catalog`
+    });
+
+  } catch (error) {
+    logger.error('Error removing video:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to remove video'
+    });
+  }
+});
+
+/**
+ * GET /api/videos/:id/stream
+ * Stream the video's original file with Range Request support, from local
+ * storage if it has a local file, otherwise from R2
+ */
+router.get('/:id/stream', loadVideo, async (req, res) => {
+  try {
+    const { local, r2 } = req.video;
+
+    if (local && fs.existsSync(localFilePath(local))) {
+      return await VideoStreamService.streamVideo(localFilePath(local), req, res);
+    }
+    if (r2) {
+      return await r2Service.streamVideo(r2.key, req, res);
+    }
+
+    res.status(404).json({
+      error: 'Video file not found',
+      message: `Video '${req.video.id}' has no original file to stream`
+    });
+
+  } catch (error) {
+    logger.error('Error streaming catalog video:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to stream video'
+      });
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const fs = require('fs');
+const HLSService = require('../services/hlsService');
+const R2StreamService = require('../services/r2StreamService');
+const PlaybackTokenService = require('../services/playbackTokenService');
+const AuthService = require('../services/authService');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const router = express.Router();
+const hlsService = new HLSService();
+const r2Service = new R2StreamService();
+const playbackTokens = new PlaybackTokenService();
+
+// Manifests are played like HLS streams: viewer role, same playback tokens
+router.use(AuthService.requireRole('viewer'));
+const requireStreamToken = playbackTokens.middleware(req => req.params.stream);
+const requireR2Token = playbackTokens.middleware(req => `r2:${req.params.key}`);
+
+/**
+ * Point the manifest's segment URLs at the HLS segment routes, which serve
+ * the same fMP4 files, carrying the request's playback token along
+ * @param {Object} req - Express request object
+ * @param {string} manifest - MPD XML
+ * @param {string} baseUrl - HLS route of the stream, e.g. /api/hls/<stream>
+ * @returns {string} Rewritten manifest
+ */
+function rewriteSegmentUrls(req, manifest, baseUrl) {
+  return hlsService.dashService.rewriteManifestUrls(manifest, (uri) => {
+    const url = `${baseUrl}/${uri}`;
+    return req.query.token ? `${url}?${new URLSearchParams({ token: req.query.token })}` : url;
+  });
+}
+
+/**
+ * Send a manifest, counting it towards the HLS bytes served
+ */
+function sendManifest(res, manifest) {
+  res.set({
+    'Content-Type': 'application/dash+xml',
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    'Pragma': 'no-cache',
+    'Expires': '0',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Range'
+  });
+
+  metrics.streamBytes.inc({ source: 'hls' }, Buffer.byteLength(manifest));
+  res.send(manifest);
+}
+
+/**
+ * GET /api/dash/r2/:key/manifest.mpd
+ * Serve the DASH manifest of a CMAF stream stored in R2
+ */
+router.get('/r2/:key/manifest.mpd', requireR2Token, async (req, res) => {
+  try {
+    const { key } = req.params;
+    const manifest = await r2Service.getHLSText(key, 'manifest.mpd');
+
+    sendManifest(res, rewriteSegmentUrls(req, manifest, `/api/hls/r2/${encodeURIComponent(key)}`));
+    logger.info(`Served R2 DASH manifest for: ${key}`);
+
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({
+        error: 'Manifest not found',
+        message: 'DASH manifest not found in R2 (only CMAF conversions have one)'
+      });
+    }
+
+    logger.error('Error serving R2 DASH manifest:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to serve manifest'
+    });
+  }
+});
+
+/**
+ * GET /api/dash/:stream/manifest.mpd
+ * Serve the DASH manifest of a CMAF stream
+ */
+router.get('/:stream/manifest.mpd', requireStreamToken, async (req, res) => {
+  try {
+    const { stream } = req.params;
+
+    if (!(await hlsService.streamExists(stream))) {
+      return res.status(404).json({
+        error: 'Stream not found',
+        message: `HLS stream '${stream}' not found`
+      });
+    }
+
+    const manifestPath = hlsService.getDashManifestPath(stream);
+    if (!manifestPath) {
+      return res.status(404).json({
+        error: 'Manifest not found',
+        message: `Stream '${stream}' has no DASH manifest (only CMAF conversions have one)`
+      });
+    }
+
+    const manifest = fs.readFileSync(manifestPath, 'utf8');
+    sendManifest(res, rewriteSegmentUrls(req, manifest, `/api/hls/${stream}`));
+    logger.info(`Served DASH manifest for stream: ${stream}`);
+
+  } catch (error) {
+    logger.error('Error serving DASH manifest:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to serve manifest'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,77 +1,1076 @@
 const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime-types');
+const multer = require('multer');
 const HLSService = require('../services/hlsService');
+const R2StreamService = require('../services/r2StreamService');
+const VideoStreamService = require('../services/videoStreamService');
+const JobQueueService = require('../services/jobQueueService');
+const PlaybackTokenService = require('../services/playbackTokenService');
+const AuthService = require('../services/authService');
+const ThumbnailService = require('../services/thumbnailService');
+const LiveStreamService = require('../services/liveStreamService');
+const transcodeQueue = require('../services/transcodeQueue');
+const videoCatalog = require('../services/videoCatalog');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { parseListQuery, paginate } = require('../utils/listQuery');
+const { streamJobProgress } = require('../utils/jobProgressStream');
 
 const router = express.Router();
 const hlsService = new HLSService();
+const r2Service = new R2StreamService();
+const thumbnailService = new ThumbnailService();
+const playbackTokens = new PlaybackTokenService();
+const liveStreams = new LiveStreamService(hlsService);
+
+// Playback requires the viewer role; thumbnails, subtitles and job status uploader; convert and delete admin
+router.use(AuthService.requireRole('viewer'));
+const requireUploader = AuthService.requireRole('uploader');
+const requireAdmin = AuthService.requireRole('admin');
+
+// Playback tokens and decryption keys only go to callers with credentials, never to anonymous viewers
+const requireAuthenticated = AuthService.requireAuthenticated();
+
+// Playback token checks; R2 streams are identified as r2:<key>
+const requireStreamToken = playbackTokens.middleware(req => req.params.stream);
+const requireR2Token = playbackTokens.middleware(req => `r2:${req.params.key}`);
+
+// Decryption keys are only handed out to callers with credentials and a valid token issued to them
+const requireStreamKeyToken = playbackTokens.middleware(req => req.params.stream, { required: true });
+const requireR2KeyToken = playbackTokens.middleware(req => `r2:${req.params.key}`, { required: true });
+
+// Rendition and segment names produced by convertToHLS
+const SAFE_NAME = /^[\w-]+(\.[\w-]+)*$/;
+
+// Subtitle uploads are parsed in memory
+const uploadSubtitle = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: (parseInt(process.env.SUBTITLE_MAX_SIZE_KB) || 2048) * 1024 }
+}).single('subtitle');
+
+/**
+ * Whether R2 rendition playlists should point at presigned segment URLs.
+ * A ?presigned=true|false query parameter overrides R2_HLS_PRESIGNED_SEGMENTS.
+ */
+function usePresignedSegments(req) {
+  if (req.query.presigned !== undefined) {
+    return req.query.presigned === 'true' || req.query.presigned === '1';
+  }
+  return process.env.R2_HLS_PRESIGNED_SEGMENTS === 'true';
+}
+
+/**
+ * Send a playlist, counting it towards the HLS bytes served
+ */
+function sendPlaylist(res, playlist) {
+  metrics.streamBytes.inc({ source: 'hls' }, Buffer.byteLength(playlist));
+  res.send(playlist);
+}
+
+/**
+ * Append query parameters to a relative playlist URI. Absolute URIs
+ * (presigned R2 URLs) carry their own authorization and are left alone.
+ */
+function appendQuery(uri, params) {
+  const query = new URLSearchParams(params).toString();
+  if (!query || /^https?:\/\//.test(uri)) {
+    return uri;
+  }
+  return `${uri}${uri.includes('?') ? '&' : '?'}${query}`;
+}
+
+/**
+ * Carry the request's playback token to every URI in a playlist
+ */
+function propagateToken(req, playlist) {
+  if (!req.query.token) {
+    return playlist;
+  }
+  return hlsService.rewritePlaylistUris(playlist, uri => appendQuery(uri, { token: req.query.token }));
+}
+
+/**
+ * Carry the request's playback token to the sprite URLs of a storyboard.vtt
+ */
+function propagateStoryboardToken(req, vtt) {
+  return vtt.replace(/^(storyboard_\d{3}\.jpg)(#xywh=)/gm, (match, sprite, fragment) =>
+    `${appendQuery(sprite, { token: req.query.token })}${fragment}`);
+}
+
+/**
+ * Send a storyboard.vtt with the request's playback token on its sprite URLs
+ */
+function sendStoryboard(req, res, vtt) {
+  res.set({
+    'Content-Type': 'text/vtt; charset=utf-8',
+    'Cache-Control': 'private, max-age=3600'
+  });
+  sendPlaylist(res, propagateStoryboardToken(req, vtt));
+}
+
+/**
+ * Issue a playback token for a stream from a {expiresIn, bindIp, origin}
+ * request body. The token is bound to the caller's identity and to the
+ * given origin, or else the origin of the page asking for it.
+ */
+function issueToken(req, stream) {
+  const { expiresIn, bindIp } = req.body || {};
+
+  if (expiresIn !== undefined && !(parseInt(expiresIn) > 0)) {
+    return { error: 'expiresIn must be a positive number of seconds' };
+  }
+
+  let origin = PlaybackTokenService.requestOrigin(req);
+  if (req.body && req.body.origin !== undefined) {
+    try {
+      origin = new URL(req.body.origin).origin;
+    } catch (error) {
+      origin = 'null';
+    }
+    if (origin === 'null') {
+      return { error: 'origin must be an http(s) origin such as https://example.com' };
+    }
+  }
+
+  return playbackTokens.issue({
+    stream: stream,
+    expiresIn: expiresIn,
+    ip: bindIp === true || bindIp === 'true' ? req.ip : undefined,
+    subject: req.auth ? req.auth.subject : null,
+    origin: origin
+  });
+}
+
+/**
+ * Send an AES-128 key, or 404 if the stream has no such key
+ */
+function sendKey(res, streamId, keyId) {
+  const key = /^[0-9a-f]{16}$/.test(keyId) ? hlsService.encryptionService.getKey(streamId, keyId) : null;
+
+  if (!key) {
+    return res.status(404).json({
+      error: 'Key not found',
+      message: `Key '${keyId}' not found for stream '${streamId}'`
+    });
+  }
+
+  res.set({
+    'Content-Type': 'application/octet-stream',
+    'Content-Length': key.length,
+    'Cache-Control': 'private, no-store',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.send(key);
+}
+
+/**
+ * Handle R2 errors for HLS objects, mapping missing keys to 404
+ */
+function sendR2Error(res, error, what) {
+  if (error.code === 'NOT_FOUND') {
+    return res.status(404).json({
+      error: 'Stream not found',
+      message: `HLS ${what} not found in R2`
+    });
+  }
+
+  logger.error(`Error serving R2 HLS ${what}:`, error);
+  res.status(500).json({
+    error: 'Internal server error',
+    message: `Failed to serve ${what}`
+  });
+}
+
+/**
+ * POST /api/hls/r2/:key/token
+ * Issue a signed, expiring playback token for an HLS stream stored in R2
+ */
+router.post('/r2/:key/token', requireAuthenticated, async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    // Only issue tokens for streams that exist
+    await r2Service.getHLSText(key, 'master.m3u8');
+
+    const issued = issueToken(req, `r2:${key}`);
+    if (issued.error) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: issued.error
+      });
+    }
+
+    res.json({
+      ...issued,
+      key: key,
+      masterPlaylistUrl: `/api/hls/r2/${encodeURIComponent(key)}/master.m3u8?token=${issued.token}`
+    });
+
+  } catch (error) {
+    sendR2Error(res, error, 'master playlist');
+  }
+});
+
+/**
+ * GET /api/hls/r2/:key/master.m3u8 (also served as playlist.m3u8)
+ * Serve master playlist of an HLS stream stored in R2
+ */
+router.get(['/r2/:key/master.m3u8', '/r2/:key/playlist.m3u8'], requireR2Token, async (req, res) => {
+  try {
+    const { key } = req.params;
+    let playlist = await r2Service.getHLSText(key, 'master.m3u8');
+
+    // Carry an explicit presigned choice down to the rendition playlists
+    if (req.query.presigned !== undefined) {
+      playlist = hlsService.rewritePlaylistUris(playlist, uri => appendQuery(uri, { presigned: usePresignedSegments(req) }));
+    }
+    playlist = propagateToken(req, playlist);
+
+    res.set({
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      'Cache-Control': 'no-cache, no-store, must-revalidate',
+      'Pragma': 'no-cache',
+      'Expires': '0',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Range'
+    });
+
+    sendPlaylist(res, playlist);
+    logger.info(`Served R2 master playlist for: ${key}`);
+
+  } catch (error) {
+    sendR2Error(res, error, 'master playlist');
+  }
+});
+
+/**
+ * GET /api/hls/r2/:key/:quality/playlist.m3u8
+ * Serve quality-specific playlist of an HLS stream stored in R2,
+ * optionally with segment URIs rewritten to presigned R2 URLs
+ */
+router.get('/r2/:key/:quality/playlist.m3u8', requireR2Token, async (req, res) => {
+  try {
+    const { key, quality } = req.params;
+
+    if (!SAFE_NAME.test(quality)) {
+      return res.status(400).json({
+        error: 'Invalid quality',
+        message: 'Quality name contains invalid characters'
+      });
+    }
+
+    const qualityPrefix = `${r2Service.getHLSPrefix(key)}/${quality}`;
+    let playlist = await r2Service.getHLSText(key, `${quality}/playlist.m3u8`);
+    let presigned = usePresignedSegments(req);
+
+    if (presigned) {
+      const expiresIn = parseInt(process.env.R2_HLS_PRESIGN_EXPIRES) || 3600;
+      const segmentKeys = {};
+      hlsService.rewritePlaylistUris(playlist, (uri) => {
+        if (SAFE_NAME.test(uri)) {
+          segmentKeys[uri] = `${qualityPrefix}/${uri}`;
+        }
+        return uri;
+      });
+
+      // Backends without URLs of their own (local disk) keep serving segments through this API
+      const urls = await r2Service.getHLSPresignedUrls(Object.values(segmentKeys), expiresIn);
+      if (urls) {
+        playlist = hlsService.rewritePlaylistUris(playlist, uri => (segmentKeys[uri] ? urls[segmentKeys[uri]] : uri));
+      } else {
+        presigned = false;
+      }
+    }
+    playlist = propagateToken(req, playlist);
+
+    res.set({
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      // Presigned URLs and tokens expire, so those playlists must not be shared by caches
+      'Cache-Control': presigned || req.query.token ? 'private, max-age=10' : 'public, max-age=10',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Range'
+    });
+
+    sendPlaylist(res, playlist);
+    logger.info(`Served R2 ${quality} playlist for: ${key}${presigned ? ' (presigned segments)' : ''}`);
+
+  } catch (error) {
+    sendR2Error(res, error, 'playlist');
+  }
+});
+
+/**
+ * GET /api/hls/r2/:key/thumbnails/:file
+ * Serve the poster, storyboard sprites or storyboard.vtt of an R2 HLS stream
+ */
+router.get('/r2/:key/thumbnails/:file', requireR2Token, async (req, res) => {
+  try {
+    const { key, file } = req.params;
+
+    if (!thumbnailService.isThumbnailFile(file)) {
+      return res.status(400).json({
+        error: 'Invalid file',
+        message: 'Only .jpg and .vtt thumbnail files are allowed'
+      });
+    }
+
+    res.set('Access-Control-Allow-Origin', '*');
+    if (file.endsWith('.vtt') && req.query.token) {
+      return sendStoryboard(req, res, await r2Service.getHLSText(key, `thumbnails/${file}`));
+    }
+    await r2Service.streamHLSFile(key, `thumbnails/${file}`, req, res, {
+      source: 'hls',
+      contentType: mime.lookup(file),
+      cacheControl: 'public, max-age=3600'
+    });
+
+  } catch (error) {
+    sendR2Error(res, error, 'thumbnail');
+  }
+});
+
+/**
+ * GET /api/hls/r2/:key/subtitles/:track/playlist.m3u8
+ * Serve the segmented playlist of a subtitle track of an R2 HLS stream
+ */
+router.get('/r2/:key/subtitles/:track/playlist.m3u8', requireR2Token, async (req, res) => {
+  try {
+    const { key, track } = req.params;
+
+    if (!SAFE_NAME.test(track)) {
+      return res.status(400).json({
+        error: 'Invalid track',
+        message: 'Track name contains invalid characters'
+      });
+    }
+
+    const playlist = await r2Service.getHLSText(key, `subtitles/${track}/playlist.m3u8`);
+
+    res.set({
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      'Cache-Control': `${req.query.token ? 'private' : 'public'}, max-age=10`,
+      'Access-Control-Allow-Origin': '*'
+    });
+
+    sendPlaylist(res, propagateToken(req, playlist));
+    logger.info(`Served R2 ${track} subtitle playlist for: ${key}`);
+
+  } catch (error) {
+    sendR2Error(res, error, 'subtitle playlist');
+  }
+});
+
+/**
+ * GET /api/hls/r2/:key/subtitles/:track/:file
+ * Serve a WebVTT segment (or the whole subtitles.vtt) of an R2 HLS stream
+ */
+router.get('/r2/:key/subtitles/:track/:file', requireR2Token, async (req, res) => {
+  try {
+    const { key, track, file } = req.params;
+
+    if (!SAFE_NAME.test(track) || !hlsService.subtitleService.isTrackFile(file)) {
+      return res.status(400).json({
+        error: 'Invalid file',
+        message: 'Only WebVTT subtitle files are allowed'
+      });
+    }
+
+    res.set('Access-Control-Allow-Origin', '*');
+    await r2Service.streamHLSFile(key, `subtitles/${track}/${file}`, req, res, {
+      source: 'hls',
+      contentType: 'text/vtt; charset=utf-8',
+      cacheControl: 'public, max-age=60'
+    });
+
+  } catch (error) {
+    sendR2Error(res, error, 'subtitle file');
+  }
+});
+
+/**
+ * GET /api/hls/r2/:key/key/:keyId
+ * Deliver an AES-128 segment key of an encrypted R2 stream (credentials and token required)
+ */
+router.get('/r2/:key/key/:keyId', requireAuthenticated, requireR2KeyToken, (req, res) => {
+  try {
+    sendKey(res, `r2:${req.params.key}`, req.params.keyId);
+  } catch (error) {
+    logger.error('Error serving R2 stream key:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to serve key'
+    });
+  }
+});
+
+/**
+ * GET /api/hls/r2/:key/:quality/:segment
+ * Serve HLS segment (.ts, or .m4s and init.mp4 of CMAF streams) stored in R2
+ */
+router.get('/r2/:key/:quality/:segment', requireR2Token, async (req, res) => {
+  try {
+    const { key, quality, segment } = req.params;
+
+    const contentType = hlsService.getSegmentContentType(segment);
+    if (!contentType || !SAFE_NAME.test(segment) || !SAFE_NAME.test(quality)) {
+      return res.status(400).json({
+        error: 'Invalid segment',
+        message: 'Only .ts, .m4s and .mp4 (init) segments are allowed'
+      });
+    }
+
+    res.set('Access-Control-Allow-Origin', '*');
+    await r2Service.streamHLSFile(key, `${quality}/${segment}`, req, res, {
+      source: 'hls',
+      contentType: contentType,
+      cacheControl: 'public, max-age=31536000' // 1 year cache for segments
+    });
+
+  } catch (error) {
+    sendR2Error(res, error, 'segment');
+  }
+});
+
+/**
+ * GET /api/hls/r2/:key/progress
+ * Server-Sent Events feed of the latest HLS conversion of an R2 object
+ * (stages, per-rendition progress and the final result)
+ */
+router.get('/r2/:key/progress', requireUploader, (req, res) => {
+  const { key } = req.params;
+  const job = transcodeQueue.findLatest(candidate => candidate.type === 'r2-hls-convert' && candidate.input.key === key);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `No HLS conversion found for R2 object '${key}'`
+    });
+  }
+
+  streamJobProgress(transcodeQueue, job, res);
+});
+
+// Titles for the error codes raised by the live stream service
+const LIVE_ERROR_TITLES = {
+  INVALID_OPTIONS: 'Invalid options',
+  STREAM_EXISTS: 'Stream already exists',
+  STREAM_LIVE: 'Stream is live',
+  STREAM_NOT_LIVE: 'Stream is not live',
+  INGEST_BUSY: 'Ingest already connected'
+};
+
+/**
+ * Send the error raised by the live stream service
+ */
+function sendLiveError(res, error, fallbackMessage) {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: LIVE_ERROR_TITLES[error.code] || 'Live stream error',
+      code: error.code,
+      message: error.message
+    });
+  }
+
+  logger.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    error: 'Internal server error',
+    message: fallbackMessage
+  });
+}
+
+/**
+ * Public URLs of a live stream
+ */
+function liveStreamUrls(stream) {
+  return {
+    ingestUrl: `/api/hls/live/${stream}/ingest`,
+    stopUrl: `/api/hls/live/${stream}/stop`,
+    masterPlaylistUrl: `/api/hls/${stream}/master.m3u8`
+  };
+}
+
+/**
+ * POST /api/hls/live/:stream/start
+ * Start a live stream: { qualities, segmentDuration, playlistSize, format }.
+ * The renditions are produced once an ingest connects.
+ */
+router.post('/live/:stream/start', requireUploader, async (req, res) => {
+  try {
+    const { stream } = req.params;
+
+    if (!SAFE_NAME.test(stream)) {
+      return res.status(400).json({
+        error: 'Invalid stream name',
+        message: 'Stream name contains invalid characters'
+      });
+    }
+
+    const status = await liveStreams.start(stream, req.body || {});
+
+    res.status(201).json({
+      message: `Live stream '${stream}' started; push MPEG-TS or FLV to the ingest URL`,
+      stream: status,
+      ...liveStreamUrls(stream)
+    });
+
+  } catch (error) {
+    sendLiveError(res, error, 'Failed to start live stream');
+  }
+});
+
+/**
+ * POST|PUT /api/hls/live/:stream/ingest
+ * Ingest connection: the request body (MPEG-TS or FLV, usually chunked) is
+ * fed to the live transcoder until the publisher closes it
+ */
+async function ingestLiveStream(req, res) {
+  try {
+    const bytes = await liveStreams.ingest(req.params.stream, req);
+
+    if (!res.destroyed) {
+      res.json({
+        message: 'Ingest connection closed',
+        bytesReceived: bytes,
+        stream: liveStreams.getStatus(req.params.stream)
+      });
+    }
+
+  } catch (error) {
+    sendLiveError(res, error, 'Failed to ingest live stream');
+  }
+}
+
+router.post('/live/:stream/ingest', requireUploader, ingestLiveStream);
+router.put('/live/:stream/ingest', requireUploader, ingestLiveStream);
+
+/**
+ * POST /api/hls/live/:stream/stop
+ * Stop a live stream; its playlists are ended and keep the last window of segments
+ */
+router.post('/live/:stream/stop', requireUploader, async (req, res) => {
+  try {
+    const status = await liveStreams.stop(req.params.stream);
+
+    res.json({
+      message: `Live stream '${req.params.stream}' stopped`,
+      stream: status
+    });
+
+  } catch (error) {
+    sendLiveError(res, error, 'Failed to stop live stream');
+  }
+});
+
+/**
+ * GET /api/hls/live/:stream
+ * State of a live stream (live or ended) and its ingest connection
+ */
+router.get('/live/:stream', (req, res) => {
+  const status = liveStreams.getStatus(req.params.stream);
+
+  if (!status) {
+    return res.status(404).json({
+      error: 'Stream not found',
+      message: `Live stream '${req.params.stream}' not found`
+    });
+  }
+
+  res.json({
+    stream: status,
+    ...liveStreamUrls(req.params.stream)
+  });
+});
+
+/**
+ * POST /api/hls/:stream/token
+ * Issue a signed, expiring playback token for a stream
+ */
+router.post('/:stream/token', requireAuthenticated, async (req, res) => {
+  try {
+    const { stream } = req.params;
+
+    if (!(await hlsService.streamExists(stream))) {
+      return res.status(404).json({
+        error: 'Stream not found',
+        message: `HLS stream '${stream}' not found`
+      });
+    }
+
+    const issued = issueToken(req, stream);
+    if (issued.error) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: issued.error
+      });
+    }
+
+    res.json({
+      ...issued,
+      stream: stream,
+      masterPlaylistUrl: `/api/hls/${stream}/master.m3u8?token=${issued.token}`
+    });
+
+  } catch (error) {
+    logger.error('Error issuing playback token:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to issue playback token'
+    });
+  }
+});
+
+/**
+ * GET /api/hls/:stream/master.m3u8
+ * Serve master playlist for adaptive streaming
+ */
+router.get('/:stream/master.m3u8', requireStreamToken, async (req, res) => {
+  try {
+    const { stream } = req.params;
+    
+    if (!(await hlsService.streamExists(stream))) {
+      return res.status(404).json({
+        error: 'Stream not found',
+        message: `HLS stream '${stream}' not found`
+      });
+    }
+
+    const playlist = propagateToken(req, await hlsService.getPlaylist(`${stream}/master.m3u8`));
+    
+    res.set({
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      'Cache-Control': 'no-cache, no-store, must-revalidate',
+      'Pragma': 'no-cache',
+      'Expires': '0',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Range'
+    });
+
+    sendPlaylist(res, playlist);
+    logger.info(`Served master playlist for stream: ${stream}`);
+
+  } catch (error) {
+    logger.error('Error serving master playlist:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to serve master playlist'
+    });
+  }
+});
+
+/**
+ * GET /api/hls/:stream/:quality/playlist.m3u8
+ * Serve quality-specific playlist
+ */
+router.get('/:stream/:quality/playlist.m3u8', requireStreamToken, async (req, res) => {
+  try {
+    const { stream, quality } = req.params;
+    
+    if (!(await hlsService.streamExists(stream))) {
+      return res.status(404).json({
+        error: 'Stream not found',
+        message: `HLS stream '${stream}' not found`
+      });
+    }
+
+    // A live rendition has no playlist until its first segment is written
+    if (!SAFE_NAME.test(quality) || !(await hlsService.fileExists(`${stream}/${quality}/playlist.m3u8`))) {
+      return res.status(404).json({
+        error: 'Playlist not found',
+        message: `No '${quality}' playlist for stream '${stream}'`
+      });
+    }
+
+    const playlist = propagateToken(req, await hlsService.getPlaylist(`${stream}/${quality}/playlist.m3u8`));
+
+    // Live playlists change every segment, so caches may only hold them for half a segment
+    const live = liveStreams.getStatus(stream);
+    const maxAge = live && live.state === 'live' ? Math.max(1, Math.floor(live.segmentDuration / 2)) : 10;
+    
+    res.set({
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      'Cache-Control': `${req.query.token ? 'private' : 'public'}, max-age=${maxAge}`,
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Range'
+    });
+
+    sendPlaylist(res, playlist);
+    logger.info(`Served ${quality} playlist for stream: ${stream}`);
+
+  } catch (error) {
+    logger.error('Error serving quality playlist:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to serve playlist'
+    });
+  }
+});
+
+/**
+ * GET /api/hls/:stream/poster.jpg
+ * Serve the stream's poster, or a poster at ?time= (seconds) and/or ?width=
+ * generated on demand from the highest rendition
+ */
+router.get('/:stream/poster.jpg', requireStreamToken, async (req, res) => {
+  try {
+    const { stream } = req.params;
+
+    if (!(await hlsService.streamExists(stream))) {
+      return res.status(404).json({
+        error: 'Stream not found',
+        message: `HLS stream '${stream}' not found`
+      });
+    }
+
+    const query = thumbnailService.parsePosterQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: query.error
+      });
+    }
+
+    // Encrypted renditions cannot be decoded here, so only the poster made during conversion can be served
+    const storedPoster = path.join(hlsService.getThumbnailsDir(stream), 'poster.jpg');
+    if (hlsService.isEncrypted(stream) &&
+      (query.time !== undefined || query.width !== undefined || !fs.existsSync(storedPoster))) {
+      return res.status(409).json({
+        error: 'Stream is encrypted',
+        message: 'Thumbnails of encrypted streams can only be generated during conversion'
+      });
+    }
+
+    const source = hlsService.getThumbnailSource(stream);
+    const posterPath = await thumbnailService.getPoster(source.inputPath, hlsService.getThumbnailsDir(stream), {
+      ...query,
+      source: source
+    });
+
+    res.set('Access-Control-Allow-Origin', '*');
+    await VideoStreamService.streamVideo(posterPath, req, res, {
+      source: 'hls',
+      contentType: 'image/jpeg',
+      cacheControl: 'public, max-age=3600'
+    });
+
+  } catch (error) {
+    logger.error('Error serving poster:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to generate poster'
+    });
+  }
+});
+
+/**
+ * POST /api/hls/:stream/thumbnails
+ * Queue generation of the poster and storyboard for an existing stream
+ */
+router.post('/:stream/thumbnails', requireUploader, async (req, res) => {
+  try {
+    const { stream } = req.params;
+
+    if (!(await hlsService.streamExists(stream))) {
+      return res.status(404).json({
+        error: 'Stream not found',
+        message: `HLS stream '${stream}' not found`
+      });
+    }
+
+    if (hlsService.isEncrypted(stream)) {
+      return res.status(409).json({
+        error: 'Stream is encrypted',
+        message: 'Thumbnails of encrypted streams can only be generated during conversion'
+      });
+    }
+
+    const { options, error } = thumbnailService.parseGenerateOptions(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: error
+      });
+    }
+
+    const job = transcodeQueue.enqueue('thumbnails', { stream, options });
+
+    res.status(202).json({
+      message: 'Thumbnail generation queued',
+      jobId: job.id,
+      stream: stream,
+      status: job.state,
+      statusUrl: `/api/hls/jobs/${job.id}`
+    });
+
+  } catch (error) {
+    logger.error('Error queueing thumbnail generation:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to queue thumbnail generation'
+    });
+  }
+});
+
+/**
+ * GET /api/hls/:stream/thumbnails/:file
+ * Serve the poster, storyboard sprites or storyboard.vtt of a stream
+ */
+router.get('/:stream/thumbnails/:file', requireStreamToken, async (req, res) => {
+  try {
+    const { stream, file } = req.params;
+
+    if (!thumbnailService.isThumbnailFile(file)) {
+      return res.status(400).json({
+        error: 'Invalid file',
+        message: 'Only .jpg and .vtt thumbnail files are allowed'
+      });
+    }
+
+    const filePath = path.join(hlsService.getThumbnailsDir(stream), file);
+    if (!(await hlsService.streamExists(stream)) || !fs.existsSync(filePath)) {
+      return res.status(404).json({
+        error: 'Thumbnail not found',
+        message: `Thumbnail '${file}' not found for stream '${stream}'`
+      });
+    }
+
+    res.set('Access-Control-Allow-Origin', '*');
+    if (file.endsWith('.vtt') && req.query.token) {
+      return sendStoryboard(req, res, fs.readFileSync(filePath, 'utf8'));
+    }
+    await VideoStreamService.streamVideo(filePath, req, res, {
+      source: 'hls',
+      contentType: mime.lookup(file),
+      cacheControl: 'public, max-age=3600'
+    });
+
+  } catch (error) {
+    logger.error('Error serving thumbnail:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to serve thumbnail'
+    });
+  }
+});
+
+// Titles for the error codes raised by the subtitle service
+const SUBTITLE_ERROR_TITLES = {
+  INVALID_SUBTITLES: 'Invalid subtitles'
+};
 
 /**
- * GET /api/hls/:stream/master.m3u8
- * Serve master playlist for adaptive streaming
+ * Public URLs of a stream's subtitle track
+ */
+function subtitleTrackUrls(stream, track) {
+  return {
+    ...track,
+    playlistUrl: `/api/hls/${stream}/subtitles/${track.id}/playlist.m3u8`,
+    vttUrl: `/api/hls/${stream}/subtitles/${track.id}/subtitles.vtt`
+  };
+}
+
+/**
+ * Check a stream can take subtitle changes; sends the error response if not
+ * @returns {Promise<boolean>} True if the request may proceed
+ */
+async function checkSubtitleStream(res, stream) {
+  if (!(await hlsService.streamExists(stream))) {
+    res.status(404).json({
+      error: 'Stream not found',
+      message: `HLS stream '${stream}' not found`
+    });
+    return false;
+  }
+
+  // Live playlists slide, so there is no fixed timeline to segment against
+  if (hlsService.getLiveStatus(stream)) {
+    res.status(409).json({
+      error: 'Stream is live',
+      message: 'Subtitles can only be added to VOD streams'
+    });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Parse the multipart subtitle upload, answering upload errors with a 400
+ */
+function parseSubtitleUpload(req, res, next) {
+  uploadSubtitle(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    res.status(400).json({
+      error: error.code === 'LIMIT_FILE_SIZE' ? 'File too large' : 'Invalid upload',
+      message: error.code === 'LIMIT_FILE_SIZE'
+        ? 'Subtitle file exceeds the maximum allowed size'
+        : `Expected an SRT or WebVTT file in the 'subtitle' field (${error.message})`
+    });
+  });
+}
+
+/**
+ * GET /api/hls/:stream/subtitles
+ * List the subtitle tracks of a stream
  */
-router.get('/:stream/master.m3u8', async (req, res) => {
+router.get('/:stream/subtitles', async (req, res) => {
   try {
     const { stream } = req.params;
-    
-    if (!hlsService.streamExists(stream)) {
+
+    if (!(await hlsService.streamExists(stream))) {
       return res.status(404).json({
         error: 'Stream not found',
         message: `HLS stream '${stream}' not found`
       });
     }
 
-    const playlist = await hlsService.getPlaylist(`${stream}/master.m3u8`);
-    
-    res.set({
-      'Content-Type': 'application/vnd.apple.mpegurl',
-      'Cache-Control': 'no-cache, no-store, must-revalidate',
-      'Pragma': 'no-cache',
-      'Expires': '0',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Range'
+    const tracks = hlsService.subtitleService.listTracks(hlsService.getSubtitlesDir(stream));
+    res.json({
+      stream: stream,
+      subtitles: tracks.map(track => subtitleTrackUrls(stream, track))
     });
 
-    res.send(playlist);
-    logger.info(`Served master playlist for stream: ${stream}`);
+  } catch (error) {
+    logger.error('Error listing subtitles:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to list subtitles'
+    });
+  }
+});
+
+/**
+ * POST /api/hls/:stream/subtitles/:language
+ * Add or replace a subtitle track: multipart 'subtitle' field (SRT or
+ * WebVTT), optional name, default and forced fields. The track is
+ * segmented against the stream's renditions and added to master.m3u8.
+ */
+router.post('/:stream/subtitles/:language', requireUploader, parseSubtitleUpload, async (req, res) => {
+  try {
+    const { stream, language } = req.params;
+
+    if (!(await checkSubtitleStream(res, stream))) {
+      return;
+    }
+
+    if (!hlsService.subtitleService.isValidLanguage(language)) {
+      return res.status(400).json({
+        error: 'Invalid language',
+        message: 'Language must be a language tag such as en, pt-BR or eng'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        message: "Upload an SRT or WebVTT file in the 'subtitle' field"
+      });
+    }
+
+    const body = req.body || {};
+    const cues = hlsService.subtitleService.parse(req.file.buffer.toString('utf8'));
+    const track = hlsService.subtitleService.saveTrack(hlsService.getSubtitlesDir(stream), language, cues, {
+      language: language,
+      name: typeof body.name === 'string' ? body.name.trim().slice(0, 100) : null,
+      default: body.default === 'true',
+      forced: body.forced === 'true',
+      source: 'upload'
+    });
+    hlsService.publishSubtitles(path.join(hlsService.hlsDir, stream));
+
+    logger.info(`Added ${language} subtitles (${cues.length} cues) to stream: ${stream}`);
+    res.status(201).json({
+      message: `Subtitle track '${language}' published`,
+      track: subtitleTrackUrls(stream, track),
+      masterPlaylistUrl: `/api/hls/${stream}/master.m3u8`
+    });
 
   } catch (error) {
-    logger.error('Error serving master playlist:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        error: SUBTITLE_ERROR_TITLES[error.code] || 'Subtitle error',
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    logger.error('Error adding subtitles:', error);
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to serve master playlist'
+      message: 'Failed to add subtitles'
     });
   }
 });
 
 /**
- * GET /api/hls/:stream/:quality/playlist.m3u8
- * Serve quality-specific playlist
+ * DELETE /api/hls/:stream/subtitles/:language
+ * Remove a subtitle track and its entry in master.m3u8
  */
-router.get('/:stream/:quality/playlist.m3u8', async (req, res) => {
+router.delete('/:stream/subtitles/:language', requireUploader, async (req, res) => {
   try {
-    const { stream, quality } = req.params;
-    
-    if (!hlsService.streamExists(stream)) {
+    const { stream, language } = req.params;
+
+    if (!(await checkSubtitleStream(res, stream))) {
+      return;
+    }
+
+    if (!SAFE_NAME.test(language) ||
+      !hlsService.subtitleService.deleteTrack(hlsService.getSubtitlesDir(stream), language)) {
       return res.status(404).json({
-        error: 'Stream not found',
-        message: `HLS stream '${stream}' not found`
+        error: 'Track not found',
+        message: `Stream '${stream}' has no '${language}' subtitle track`
       });
     }
 
-    const playlist = await hlsService.getPlaylist(`${stream}/${quality}/playlist.m3u8`);
-    
+    hlsService.publishSubtitles(path.join(hlsService.hlsDir, stream));
+
+    logger.info(`Deleted ${language} subtitles of stream: ${stream}`);
+    res.json({
+      message: `Subtitle track '${language}' deleted`
+    });
+
+  } catch (error) {
+    logger.error('Error deleting subtitles:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete subtitles'
+    });
+  }
+});
+
+/**
+ * GET /api/hls/:stream/subtitles/:track/playlist.m3u8
+ * Serve the segmented playlist of a subtitle track
+ */
+router.get('/:stream/subtitles/:track/playlist.m3u8', requireStreamToken, async (req, res) => {
+  try {
+    const { stream, track } = req.params;
+    const playlistPath = `${stream}/subtitles/${track}/playlist.m3u8`;
+
+    if (!SAFE_NAME.test(track) || !(await hlsService.streamExists(stream)) || !(await hlsService.fileExists(playlistPath))) {
+      return res.status(404).json({
+        error: 'Playlist not found',
+        message: `No '${track}' subtitle track for stream '${stream}'`
+      });
+    }
+
+    const playlist = propagateToken(req, await hlsService.getPlaylist(playlistPath));
+
     res.set({
       'Content-Type': 'application/vnd.apple.mpegurl',
-      'Cache-Control': 'public, max-age=10',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Range'
+      'Cache-Control': `${req.query.token ? 'private' : 'public'}, max-age=10`,
+      'Access-Control-Allow-Origin': '*'
     });
 
-    res.send(playlist);
-    logger.info(`Served ${quality} playlist for stream: ${stream}`);
+    sendPlaylist(res, playlist);
+    logger.info(`Served ${track} subtitle playlist for stream: ${stream}`);
 
   } catch (error) {
-    logger.error('Error serving quality playlist:', error);
+    logger.error('Error serving subtitle playlist:', error);
     res.status(500).json({
       error: 'Internal server error',
       message: 'Failed to serve playlist'
@@ -79,76 +1078,161 @@ router.get('/:stream/:quality/playlist.m3u8', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/hls/:stream/subtitles/:track/:file
+ * Serve a WebVTT segment of a subtitle track, or the whole track (subtitles.vtt)
+ */
+router.get('/:stream/subtitles/:track/:file', requireStreamToken, async (req, res) => {
+  try {
+    const { stream, track, file } = req.params;
+
+    if (!SAFE_NAME.test(track) || !hlsService.subtitleService.isTrackFile(file)) {
+      return res.status(400).json({
+        error: 'Invalid file',
+        message: 'Only WebVTT subtitle files are allowed'
+      });
+    }
+
+    const key = `${stream}/subtitles/${track}/${file}`;
+    if (!(await hlsService.streamExists(stream)) || !(await hlsService.fileExists(key))) {
+      return res.status(404).json({
+        error: 'Subtitles not found',
+        message: `Subtitle file '${file}' not found for stream '${stream}'`
+      });
+    }
+
+    // Tracks can be replaced, so segments are only cached briefly
+    res.set('Access-Control-Allow-Origin', '*');
+    await VideoStreamService.streamFromStorage(hlsService.storage, key, req, res, {
+      source: 'hls',
+      contentType: 'text/vtt; charset=utf-8',
+      cacheControl: 'public, max-age=60'
+    });
+
+  } catch (error) {
+    logger.error('Error serving subtitles:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to serve subtitles'
+    });
+  }
+});
+
+/**
+ * GET /api/hls/:stream/key/:keyId
+ * Deliver an AES-128 segment key of an encrypted stream (credentials and token required)
+ */
+router.get('/:stream/key/:keyId', requireAuthenticated, requireStreamKeyToken, async (req, res) => {
+  try {
+    const { stream, keyId } = req.params;
+
+    if (!(await hlsService.streamExists(stream))) {
+      return res.status(404).json({
+        error: 'Stream not found',
+        message: `HLS stream '${stream}' not found`
+      });
+    }
+
+    sendKey(res, stream, keyId);
+    logger.debug(`Served key ${keyId} for stream: ${stream}`);
+
+  } catch (error) {
+    logger.error('Error serving stream key:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to serve key'
+    });
+  }
+});
+
 /**
  * GET /api/hls/:stream/:quality/:segment
- * Serve HLS segment (.ts file)
+ * Serve HLS segment (.ts, or .m4s and init.mp4 of CMAF streams)
  */
-router.get('/:stream/:quality/:segment', async (req, res) => {
+router.get('/:stream/:quality/:segment', requireStreamToken, async (req, res) => {
   try {
     const { stream, quality, segment } = req.params;
     
     // Validate segment file extension
-    if (!segment.endsWith('.ts')) {
+    const contentType = hlsService.getSegmentContentType(segment);
+    if (!contentType) {
       return res.status(400).json({
         error: 'Invalid segment',
-        message: 'Only .ts segments are allowed'
+        message: 'Only .ts, .m4s and .mp4 (init) segments are allowed'
       });
     }
 
-    if (!hlsService.streamExists(stream)) {
+    if (!(await hlsService.streamExists(stream))) {
       return res.status(404).json({
         error: 'Stream not found',
         message: `HLS stream '${stream}' not found`
       });
     }
 
-    const segmentData = await hlsService.getSegment(`${stream}/${quality}/${segment}`);
-    
-    res.set({
-      'Content-Type': 'video/mp2t',
-      'Cache-Control': 'public, max-age=31536000', // 1 year cache for segments
-      'Access-Control-Allow-Origin': '*',
-      'Content-Length': segmentData.length
-    });
-
-    res.send(segmentData);
-    logger.debug(`Served segment ${segment} for ${stream}/${quality}`);
+    const key = `${stream}/${quality}/${segment}`;
 
-  } catch (error) {
-    logger.error('Error serving segment:', error);
-    
-    if (error.code === 'ENOENT') {
-      res.status(404).json({
+    if (!(await hlsService.fileExists(key))) {
+      return res.status(404).json({
         error: 'Segment not found',
         message: 'The requested segment was not found'
       });
-    } else {
-      res.status(500).json({
-        error: 'Internal server error',
-        message: 'Failed to serve segment'
-      });
     }
+
+    // Streamed with ETag/Last-Modified, conditional GET and Range support
+    res.set('Access-Control-Allow-Origin', '*');
+    await VideoStreamService.streamFromStorage(hlsService.storage, key, req, res, {
+      source: 'hls',
+      contentType: contentType,
+      cacheControl: 'public, max-age=31536000' // 1 year cache for segments
+    });
+    logger.debug(`Served segment ${segment} for ${stream}/${quality}`);
+
+  } catch (error) {
+    logger.error('Error serving segment:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to serve segment'
+    });
   }
 });
 
 /**
  * GET /api/hls/streams
- * List all available HLS streams
+ * List HLS streams a page at a time: sort (name|size|date), order, limit,
+ * cursor, q (name search), minSize/maxSize and since/until
  */
 router.get('/streams', async (req, res) => {
   try {
-    const streams = await hlsService.listStreams();
+    const { options, error } = parseListQuery(req.query, { filters: ['q', 'size', 'date'] });
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: error
+      });
+    }
+
+    const page = paginate(await hlsService.listStreams(), options, {
+      key: stream => stream.name,
+      name: stream => stream.name,
+      size: stream => stream.size,
+      date: stream => stream.createdAt,
+      text: stream => [stream.name]
+    });
+
+    const streams = await Promise.all(page.items.map(async stream => ({
+      ...stream,
+      masterPlaylistUrl: `/api/hls/${stream.name}/master.m3u8`,
+      qualities: (await hlsService.getStreamQualities(stream.name)).map(quality => ({
+        ...quality,
+        playlistUrl: `/api/hls/${quality.playlist}`
+      }))
+    })));
     
     res.json({
       count: streams.length,
-      streams: streams.map(stream => ({
-        ...stream,
-        masterPlaylistUrl: `/api/hls/${stream.name}/master.m3u8`,
-        qualities: stream.qualities.map(quality => ({
-          ...quality,
-          playlistUrl: `/api/hls/${quality.playlist}`
-        }))
-      }))
+      total: page.total,
+      nextCursor: page.nextCursor,
+      streams: streams
     });
 
   } catch (error) {
@@ -168,7 +1252,7 @@ router.get('/:stream/info', async (req, res) => {
   try {
     const { stream } = req.params;
     
-    if (!hlsService.streamExists(stream)) {
+    if (!(await hlsService.streamExists(stream))) {
       return res.status(404).json({
         error: 'Stream not found',
         message: `HLS stream '${stream}' not found`
@@ -176,15 +1260,25 @@ router.get('/:stream/info', async (req, res) => {
     }
 
     const qualities = await hlsService.getStreamQualities(stream);
+    const technical = await Promise.all(qualities.map(quality => hlsService.probePlaylist(quality.playlist)));
     
     res.json({
       name: stream,
       masterPlaylistUrl: `/api/hls/${stream}/master.m3u8`,
-      qualities: qualities.map(quality => ({
+      duration: technical.find(item => item?.duration)?.duration || null,
+      live: liveStreams.getStatus(stream),
+      qualities: qualities.map((quality, index) => ({
         ...quality,
         playlistUrl: `/api/hls/${quality.playlist}`,
-        segmentsUrl: `/api/hls/${stream}/${quality.name}/`
+        segmentsUrl: `/api/hls/${stream}/${quality.name}/`,
+        technical: technical[index]
       })),
+      audio: hlsService.getAudioRenditions(stream),
+      encrypted: hlsService.isEncrypted(stream),
+      dash: hlsService.getDashManifestPath(stream) ? { manifestUrl: `/api/dash/${stream}/manifest.mpd` } : null,
+      thumbnails: thumbnailService.listThumbnails(hlsService.getThumbnailsDir(stream), `/api/hls/${stream}/thumbnails`),
+      subtitles: hlsService.subtitleService.listTracks(hlsService.getSubtitlesDir(stream))
+        .map(track => subtitleTrackUrls(stream, track)),
       streamingInfo: {
         protocol: 'HLS',
         adaptiveStreaming: true,
@@ -202,22 +1296,49 @@ router.get('/:stream/info', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/hls/:stream/progress
+ * Server-Sent Events feed of the latest conversion into a stream: per-rendition
+ * percent, timemark, fps and ETA, then a final succeeded or failed event
+ */
+router.get('/:stream/progress', requireUploader, (req, res) => {
+  const { stream } = req.params;
+  const job = transcodeQueue.findLatest(candidate => candidate.type === 'hls-convert' && candidate.input.outputName === stream);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Job not found',
+      message: `No HLS conversion found for stream '${stream}'`
+    });
+  }
+
+  streamJobProgress(transcodeQueue, job, res);
+});
+
 /**
  * DELETE /api/hls/:stream
  * Delete an HLS stream
  */
-router.delete('/:stream', async (req, res) => {
+router.delete('/:stream', requireAdmin, async (req, res) => {
   try {
     const { stream } = req.params;
     
-    if (!hlsService.streamExists(stream)) {
+    if (!(await hlsService.streamExists(stream))) {
       return res.status(404).json({
         error: 'Stream not found',
         message: `HLS stream '${stream}' not found`
       });
     }
 
+    if (liveStreams.isLive(stream)) {
+      return res.status(409).json({
+        error: 'Stream is live',
+        message: `Stop live stream '${stream}' before deleting it`
+      });
+    }
+
     await hlsService.deleteStream(stream);
+    videoCatalog.unlink('hls', stream);
     
     res.json({
       message: `Stream '${stream}' deleted successfully`
@@ -238,7 +1359,7 @@ router.delete('/:stream', async (req, res) => {
  * POST /api/hls/convert
  * Convert video to HLS format
  */
-router.post('/convert', async (req, res) => {
+router.post('/convert', requireAdmin, async (req, res) => {
   try {
     const { inputPath, outputName, options } = req.body;
     
@@ -249,23 +1370,70 @@ router.post('/convert', async (req, res) => {
       });
     }
 
-    // Start conversion (this is async and can take time)
-    res.json({
-      message: 'HLS conversion started',
+    if (options && options.format !== undefined && !HLSService.SEGMENT_FORMATS.includes(options.format)) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: `options.format must be one of: ${HLSService.SEGMENT_FORMATS.join(', ')}`
+      });
+    }
+
+    if (options && options.format === 'cmaf' && options.encryption) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'encryption is only supported for ts segments'
+      });
+    }
+
+    const audioTracksError = options && options.audioTracks !== undefined && HLSService.validateAudioTracks(options.audioTracks);
+    if (audioTracksError) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: `options.audioTracks: ${audioTracksError}`
+      });
+    }
+
+    if (liveStreams.isLive(outputName)) {
+      return res.status(409).json({
+        error: 'Stream is live',
+        message: `Live stream '${outputName}' is running under this name`
+      });
+    }
+
+    // Attach the stream to the given video, the video of the stream or its source file, or a new one
+    const entry = videoCatalog.register({
+      videoId: req.body.videoId,
+      match: { hls: outputName, local: path.basename(inputPath) },
+      type: 'hls',
+      link: { storage: 'local', stream: outputName },
+      fields: { title: outputName, owner: req.auth ? req.auth.subject : null }
+    });
+
+    const job = transcodeQueue.enqueue('hls-convert', {
+      inputPath: inputPath,
       outputName: outputName,
-      status: 'processing'
+      options: options || {},
+      videoId: entry.id
     });
+    videoCatalog.update(entry.id, { hls: { storage: 'local', stream: outputName, jobId: job.id } });
 
-    // Convert in background
-    hlsService.convertToHLS(inputPath, outputName, options)
-      .then(result => {
-        logger.info(`HLS conversion completed for ${outputName}:`, result);
-      })
-      .catch(error => {
-        logger.error(`HLS conversion failed for ${outputName}:`, error);
-      });
+    res.status(202).json({
+      message: 'HLS conversion queued',
+      jobId: job.id,
+      outputName: outputName,
+      videoId: entry.id,
+      status: job.state,
+      statusUrl: `/api/hls/jobs/${job.id}`,
+      progressUrl: `/api/hls/${outputName}/progress`
+    });
 
   } catch (error) {
+    if (error.code === 'VIDEO_NOT_FOUND') {
+      return res.status(error.status).json({
+        error: 'Video not found',
+        message: error.message
+      });
+    }
+
     logger.error('Error starting HLS conversion:', error);
     res.status(500).json({
       error: 'Internal server error',
@@ -274,4 +1442,68 @@ router.post('/convert', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/hls/jobs
+ * List transcoding jobs, newest first
+ */
+router.get('/jobs', requireUploader, (req, res) => {
+  try {
+    const { state, type } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+
+    if (state && !JobQueueService.JOB_STATES.includes(state)) {
+      return res.status(400).json({
+        error: 'Invalid state',
+        message: `state must be one of: ${JobQueueService.JOB_STATES.join(', ')}`
+      });
+    }
+
+    const jobs = transcodeQueue.listJobs({ state, type, limit });
+
+    res.json({
+      count: jobs.length,
+      jobs: jobs.map(job => ({
+        ...job,
+        statusUrl: `/api/hls/jobs/${job.id}`
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Error listing jobs:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to list jobs'
+    });
+  }
+});
+
+/**
+ * GET /api/hls/jobs/:id
+ * Get status, progress and result of a transcoding job
+ */
+router.get('/jobs/:id', requireUploader, (req, res) => {
+  try {
+    const job = transcodeQueue.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: `Job '${req.params.id}' not found`
+      });
+    }
+
+    res.json({
+      ...job,
+      statusUrl: `/api/hls/jobs/${job.id}`
+    });
+
+  } catch (error) {
+    logger.error('Error getting job:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get job'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
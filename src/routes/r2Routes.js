@@ -1,37 +1,39 @@
 const express = require('express');
 const R2StreamService = require('../services/r2StreamService');
+const AuthService = require('../services/authService');
+const FileManagementService = require('../services/fileManagementService');
 const logger = require('../utils/logger');
+const { parseListQuery, matchesFilters, encodeCursor } = require('../utils/listQuery');
 
 const router = express.Router();
 const r2Service = new R2StreamService();
+const fileManager = new FileManagementService();
+
+// All R2 read routes require the viewer role; deleting, moving and editing metadata requires uploader
+router.use(AuthService.requireRole('viewer'));
+const requireUploader = AuthService.requireRole('uploader');
 
 /**
- * GET /api/video/r2/:key
- * Stream video from R2 with Range Request support
+ * Answer with the status of a FileManagementService error, or 500
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @param {string} fallbackMessage - Message for unexpected errors
  */
-router.get('/r2/:key(*)', async (req, res) => {
-  try {
-    const key = decodeURIComponent(req.params.key);
-    
-    // Validate that it's a video file
-    if (!r2Service.isVideoFile(key)) {
-      return res.status(400).json({
-        error: 'Invalid file type',
-        message: 'Only video files are allowed'
-      });
-    }
-
-    // Stream the video from R2
-    await r2Service.streamVideo(key, req, res);
-
-  } catch (error) {
-    logger.error('Error in R2 video streaming:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: 'Failed to stream video from R2'
+function sendFileError(res, error, fallbackMessage) {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: FileManagementService.ERROR_TITLES[error.code] || 'File error',
+      code: error.code,
+      message: error.message
     });
   }
-});
+
+  logger.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    error: 'Internal server error',
+    message: fallbackMessage
+  });
+}
 
 /**
  * GET /api/video/r2/:key/metadata
@@ -41,18 +43,17 @@ router.get('/r2/:key(*)/metadata', async (req, res) => {
   try {
     const key = decodeURIComponent(req.params.key);
     
-    const metadata = await r2Service.getVideoMetadata(key);
+    const metadata = await r2Service.getVideoMetadata(key, { probe: true });
     res.json(metadata);
 
   } catch (error) {
-    logger.error('Error getting R2 video metadata:', error);
-    
-    if (error.name === 'NoSuchKey') {
+    if (error.code === 'NOT_FOUND') {
       res.status(404).json({
         error: 'Video not found',
         message: 'Video file not found in R2'
       });
     } else {
+      logger.error('Error getting R2 video metadata:', error);
       res.status(500).json({
         error: 'Internal server error',
         message: 'Failed to get video metadata'
@@ -79,7 +80,13 @@ router.get('/r2/:key(*)/presigned', async (req, res) => {
     }
 
     const presignedUrl = await r2Service.getPresignedUrl(key, expiresIn);
-    
+    if (!presignedUrl) {
+      return res.status(501).json({
+        error: 'Not supported',
+        message: 'Videos on local storage cannot be presigned; stream them from /api/video/r2/:key'
+      });
+    }
+
     res.json({
       url: presignedUrl,
       expiresIn: expiresIn,
@@ -88,39 +95,58 @@ router.get('/r2/:key(*)/presigned', async (req, res) => {
 
   } catch (error) {
     logger.error('Error generating presigned URL:', error);
-    
-    if (error.name === 'NoSuchKey') {
-      res.status(404).json({
-        error: 'Video not found',
-        message: 'Video file not found in R2'
-      });
-    } else {
-      res.status(500).json({
-        error: 'Internal server error',
-        message: 'Failed to generate presigned URL'
-      });
-    }
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to generate presigned URL'
+    });
   }
 });
 
 /**
  * GET /api/video/r2-list
- * List all videos in R2 bucket
+ * List videos in the R2 bucket a page at a time, in key order: prefix,
+ * limit, cursor, q (key search), type, minSize/maxSize and since/until
  */
 router.get('/r2-list', async (req, res) => {
   try {
     const prefix = req.query.prefix || '';
-    const maxKeys = parseInt(req.query.limit) || 100;
-    
-    const videos = await r2Service.listVideos(prefix, maxKeys);
+
+    // The bucket lists keys in order, so R2 listings can only be sorted by name ascending
+    const { options, error } = parseListQuery(req.query, { sorts: ['name'], orders: ['asc'], defaultLimit: 100 });
+    if (error || (options.cursor && options.cursor.prefix !== prefix)) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: error || 'cursor was issued for a different prefix'
+      });
+    }
+
+    const { videos, next } = await r2Service.listVideos(prefix, {
+      limit: options.limit,
+      position: options.cursor ? { token: options.cursor.token, startAfter: options.cursor.startAfter } : {},
+      filter: video => matchesFilters(video, options, {
+        size: item => item.size,
+        date: item => item.lastModified,
+        mimeType: item => item.mimeType,
+        text: item => [item.key]
+      })
+    });
     
     res.json({
       count: videos.length,
       prefix: prefix,
+      nextCursor: next ? encodeCursor({ sort: options.sort, order: options.order, prefix, ...next }) : null,
       videos: videos
     });
 
   } catch (error) {
+    // The bucket rejects continuation tokens that are expired or were not issued by it
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: error.message
+      });
+    }
+
     logger.error('Error listing R2 videos:', error);
     res.status(500).json({
       error: 'Internal server error',
@@ -160,6 +186,62 @@ router.head('/r2/:key(*)', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/video/r2/:key/move and /copy
+ * Move an object to a new key (CopyObject, then DeleteObject) or copy it:
+ * { destination: new key }
+ */
+router.post(['/r2/:key(*)/move', '/r2/:key(*)/copy'], requireUploader, async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const copy = req.path.endsWith('/copy');
+    const result = await fileManager.moveR2(key, req.body.destination, { auth: req.auth, copy });
+
+    res.status(copy ? 201 : 200).json({
+      message: `Object '${result.source}' ${copy ? 'copied' : 'moved'} to '${result.key}'`,
+      ...result,
+      streamUrl: `/api/video/r2/${encodeURIComponent(result.key)}`,
+      metadataUrl: `/api/video/r2/${encodeURIComponent(result.key)}/metadata`
+    });
+
+  } catch (error) {
+    sendFileError(res, error, 'Failed to move R2 video');
+  }
+});
+
+/**
+ * PATCH /api/video/r2/:key
+ * Update the custom metadata of an object in place: { metadata: { key: value or null } }
+ */
+router.patch('/r2/:key(*)', requireUploader, async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    res.json(await fileManager.updateR2Metadata(key, req.body.metadata, { auth: req.auth }));
+
+  } catch (error) {
+    sendFileError(res, error, 'Failed to update R2 video metadata');
+  }
+});
+
+/**
+ * DELETE /api/video/r2/:key
+ * Delete an object; ?cascade=true also deletes its HLS output and keys
+ */
+router.delete('/r2/:key(*)', requireUploader, async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    const result = await fileManager.deleteR2(key, { auth: req.auth, cascade: req.query.cascade === 'true' });
+
+    res.json({
+      message: `Object '${key}' deleted successfully`,
+      ...result
+    });
+
+  } catch (error) {
+    sendFileError(res, error, 'Failed to delete R2 video');
+  }
+});
+
 /**
  * GET /api/video/r2/:key/stream-info
  * Get streaming information and options for a video
@@ -181,21 +263,20 @@ router.get('/r2/:key(*)/stream-info', async (req, res) => {
         recommendedChunkSize: '1MB'
       },
       clientRecommendations: {
-        usePresignedForLargeFiles: metadata.size > 100 * 1024 * 1024, // > 100MB
+        usePresignedForLargeFiles: !!presignedUrl && metadata.size > 100 * 1024 * 1024, // > 100MB
         enableProgressiveDownload: true,
         bufferSize: '5MB'
       }
     });
 
   } catch (error) {
-    logger.error('Error getting R2 stream info:', error);
-    
-    if (error.name === 'NoSuchKey') {
+    if (error.code === 'NOT_FOUND') {
       res.status(404).json({
         error: 'Video not found',
         message: 'Video file not found in R2'
       });
     } else {
+      logger.error('Error getting R2 stream info:', error);
       res.status(500).json({
         error: 'Internal server error',
         message: 'Failed to get stream info'
@@ -204,4 +285,34 @@ router.get('/r2/:key(*)/stream-info', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/video/r2/:key
+ * Stream video from R2 with Range Request support
+ * Registered last: the greedy :key(*) would otherwise swallow the
+ * /metadata, /presigned and /stream-info routes above.
+ */
+router.get('/r2/:key(*)', async (req, res) => {
+  try {
+    const key = decodeURIComponent(req.params.key);
+    
+    // Validate that it's a video file
+    if (!r2Service.isVideoFile(key)) {
+      return res.status(400).json({
+        error: 'Invalid file type',
+        message: 'Only video files are allowed'
+      });
+    }
+
+    // Stream the video from R2
+    await r2Service.streamVideo(key, req, res);
+
+  } catch (error) {
+    logger.error('Error in R2 video streaming:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to stream video from R2'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -2,37 +2,88 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const HLSService = require('../services/hlsService');
 const R2StreamService = require('../services/r2StreamService');
+const ResumableUploadService = require('../services/resumableUploadService');
+const ThumbnailService = require('../services/thumbnailService');
+const HLSService = require('../services/hlsService');
+const transcodeQueue = require('../services/transcodeQueue');
+const videoCatalog = require('../services/videoCatalog');
+const AuthService = require('../services/authService');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { getMaxFileSize, isAllowedVideoFile, generateFilename } = require('../utils/uploadValidation');
 
 const router = express.Router();
-const hlsService = new HLSService();
 const r2Service = new R2StreamService();
+const thumbnailService = new ThumbnailService();
 
-// Utility function to parse file size with units (e.g., "1GB", "500MB")
-function parseFileSize(sizeStr) {
-  if (!sizeStr) return 500 * 1024 * 1024; // Default 500MB
-  
-  const units = {
-    'B': 1,
-    'KB': 1024,
-    'MB': 1024 * 1024,
-    'GB': 1024 * 1024 * 1024,
-    'TB': 1024 * 1024 * 1024 * 1024
-  };
-  
-  const match = sizeStr.toString().toUpperCase().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)?$/);
-  if (!match) {
-    // If no match, try to parse as plain number (assume bytes)
-    const num = parseInt(sizeStr);
-    return isNaN(num) ? 500 * 1024 * 1024 : num;
+// Every upload route requires the uploader role; checked before multer writes anything to disk
+router.use(AuthService.requireRole('uploader'));
+
+/**
+ * Count a failed upload by target (local, r2 or resumable) and reason
+ */
+function recordUploadFailure(target, error) {
+  let reason = error.code || 'error';
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    reason = 'too_large';
+  } else if (error.name === 'AbortError') {
+    reason = 'aborted';
+  } else if (error.message === 'Invalid file type. Only video files are allowed.') {
+    reason = 'invalid_type';
+  }
+  metrics.uploadFailures.inc({ target, reason: String(reason).toLowerCase() });
+}
+
+// Find the most recent R2 HLS conversion job for an object key
+function findR2ConversionJob(key) {
+  return transcodeQueue.findLatest(job => job.type === 'r2-hls-convert' && job.input.key === key);
+}
+
+// Queue an R2 HLS conversion, dropping options that were not provided, and record it on the catalog entry
+function enqueueR2Conversion(key, { qualities, segmentDuration, thumbnails, encryption, format, audioTracks } = {}, videoId = null) {
+  const options = {};
+  if (qualities) options.qualities = qualities;
+  if (segmentDuration) options.segmentDuration = parseInt(segmentDuration);
+  if (thumbnails) options.thumbnails = thumbnails;
+  if (encryption) options.encryption = encryption;
+  if (format) options.format = format;
+  if (audioTracks) options.audioTracks = audioTracks;
+
+  const job = transcodeQueue.enqueue('r2-hls-convert', { key, options, videoId });
+  if (videoId) {
+    videoCatalog.update(videoId, { hls: { storage: 'r2', key: key, jobId: job.id } });
   }
-  
-  const value = parseFloat(match[1]);
-  const unit = match[2] || 'B';
-  
-  return Math.floor(value * units[unit]);
+  return job;
+}
+
+/**
+ * Validate the catalog fields sent with an upload (title, description, tags)
+ * @param {Object} req - Express request object
+ * @returns {Object} {video: fields for the catalog entry} or {error}
+ */
+function parseVideoFields(req) {
+  const { fields, error } = videoCatalog.parseFields(req.body || {}, { partial: true });
+  return error ? { error } : { video: { ...fields, owner: req.auth ? req.auth.subject : null } };
+}
+
+/**
+ * Catalog fields describing an uploaded file
+ * @param {Object} file - Uploaded file (multer file shape)
+ * @param {Object} video - Fields from parseVideoFields
+ * @returns {Object} Fields for CatalogService.create
+ */
+function uploadedVideoFields(file, video = {}) {
+  return {
+    ...video,
+    title: video.title || path.parse(file.originalname).name,
+    upload: {
+      originalName: file.originalname,
+      size: file.size,
+      mimeType: file.mimetype || null,
+      uploadedAt: new Date().toISOString()
+    }
+  };
 }
 
 // Create uploads directory
@@ -53,19 +104,12 @@ const storage = multer.diskStorage({
     cb(null, uploadsDir);
   },
   filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const extension = path.extname(file.originalname);
-    cb(null, file.fieldname + '-' + uniqueSuffix + extension);
+    cb(null, generateFilename(file.fieldname, file.originalname));
   }
 });
 
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = ['video/mp4', 'video/avi', 'video/mov', 'video/mkv', 'video/webm'];
-  const allowedExtensions = ['.mp4', '.avi', '.mov', '.mkv', '.webm'];
-  
-  const extension = path.extname(file.originalname).toLowerCase();
-  
-  if (allowedTypes.includes(file.mimetype) || allowedExtensions.includes(extension)) {
+  if (isAllowedVideoFile(file.originalname, file.mimetype)) {
     cb(null, true);
   } else {
     cb(new Error('Invalid file type. Only video files are allowed.'), false);
@@ -76,10 +120,196 @@ const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: parseFileSize(process.env.MAX_FILE_SIZE) || 500 * 1024 * 1024 // 500MB default
+    fileSize: getMaxFileSize() // 500MB default
   }
 });
 
+const resumableUploads = new ResumableUploadService({
+  directory: path.join(uploadsDir, 'resumable'),
+  ttlHours: process.env.RESUMABLE_UPLOAD_TTL_HOURS
+});
+
+/**
+ * Create an AbortSignal that fires if the client goes away before the response is sent
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {AbortSignal} Abort signal
+ */
+function abortOnDisconnect(req, res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      logger.warn(`Client disconnected during ${req.method} ${req.originalUrl}, aborting R2 upload`);
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+/**
+ * Apply the local upload options to a received file
+ * @param {Object} file - Uploaded file (multer file shape)
+ * @param {Object} options - Request options
+ * @param {string} options.convertToHLS - 'true' to convert to HLS
+ * @param {string} options.waitForHLS - 'false' to respond once the conversion is queued and
+ *   follow it at hls.progressUrl, instead of when it has finished
+ * @param {string} options.moveToVideos - 'true' to move into videos/
+ * @param {Object} options.video - Catalog fields (see parseVideoFields)
+ * @returns {Object} Response body
+ */
+async function finishLocalUpload(file, { convertToHLS, waitForHLS, moveToVideos, video }) {
+  const { originalname, filename, path: filePath, size } = file;
+
+  let finalPath = filePath;
+  let hlsResult = null;
+  let hlsJob = null;
+  let outputName = null;
+
+  // Move to videos directory if requested
+  if (moveToVideos === 'true') {
+    const videoPath = path.join(videosDir, filename);
+    fs.renameSync(filePath, videoPath);
+    finalPath = videoPath;
+  }
+
+  let entry = null;
+  try {
+    entry = videoCatalog.create({
+      ...uploadedVideoFields(file, video),
+      local: { filename: filename, directory: moveToVideos === 'true' ? 'videos' : 'uploads' }
+    });
+
+    // Convert to HLS if requested
+    if (convertToHLS === 'true') {
+      outputName = path.parse(filename).name;
+      hlsJob = transcodeQueue.enqueue('hls-convert', {
+        inputPath: finalPath,
+        outputName: outputName,
+        options: {},
+        videoId: entry.id
+      });
+      videoCatalog.update(entry.id, { hls: { storage: 'local', stream: outputName, jobId: hlsJob.id } });
+    }
+  } catch (error) {
+    // Leave neither a file in videos/ nor a catalog entry that nobody was told about;
+    // the caller removes the upload itself
+    if (entry) {
+      videoCatalog.remove(entry.id);
+    }
+    if (finalPath !== filePath) {
+      fs.rmSync(finalPath, { force: true });
+    }
+    throw error;
+  }
+
+  if (hlsJob && waitForHLS !== 'false') {
+    try {
+      hlsResult = (await transcodeQueue.waitFor(hlsJob.id)).result;
+      logger.info(`HLS conversion completed for ${originalname}`);
+    } catch (error) {
+      logger.error('HLS conversion failed:', error);
+      // Continue without HLS if conversion fails
+    }
+  }
+
+  metrics.uploadSize.observe({ target: 'local' }, size);
+
+  return {
+    message: 'File uploaded successfully',
+    video: { id: entry.id, url: `/api/videos/${entry.id}` },
+    file: {
+      originalName: originalname,
+      filename: filename,
+      size: size,
+      path: finalPath,
+      streamUrl: moveToVideos === 'true' ? `/api/video/local/${filename}` : null,
+      metadataUrl: moveToVideos === 'true' ? `/api/video/local/${filename}/metadata` : null
+    },
+    hls: hlsJob ? {
+      jobId: hlsJob.id,
+      status: hlsJob.state,
+      statusUrl: `/api/hls/jobs/${hlsJob.id}`,
+      progressUrl: `/api/hls/${outputName}/progress`,
+      masterPlaylist: hlsResult ? hlsResult.masterPlaylistUrl : null,
+      qualities: hlsResult ? hlsResult.qualities : []
+    } : null
+  };
+}
+
+/**
+ * Upload a received file to R2 and apply the R2 upload options
+ * @param {Object} file - Uploaded file (multer file shape)
+ * @param {Object} options - Request options
+ * @param {string} options.key - R2 object key (generated if missing)
+ * @param {string} options.convertToHLS - 'true' to queue an HLS conversion
+ * @param {Object} options.video - Catalog fields (see parseVideoFields)
+ * @param {AbortSignal} signal - Aborts the R2 upload, e.g. when the client disconnects
+ * @returns {Object} Response body
+ */
+async function finishR2Upload(file, { key, convertToHLS, video }, signal) {
+  const { originalname, path: filePath, size, mimetype } = file;
+
+  // Use provided key or generate one
+  const r2Key = key || `videos/${Date.now()}-${originalname}`;
+
+  // Stream the file from disk to R2 (multipart for large files)
+  let lastLoggedPercent = 0;
+  const uploadResult = await r2Service.uploadVideo(r2Key, filePath, {
+    contentType: mimetype,
+    metadata: {
+      originalName: originalname,
+      uploadedAt: new Date().toISOString(),
+      size: size.toString()
+    },
+    signal: signal,
+    onProgress: (bytesUploaded, totalBytes) => {
+      const percent = Math.floor((bytesUploaded / totalBytes) * 100);
+      if (percent - lastLoggedPercent >= 10 || percent === 100) {
+        lastLoggedPercent = percent;
+        logger.info(`R2 upload of ${r2Key}: ${percent}% (${bytesUploaded}/${totalBytes} bytes)`);
+      }
+    }
+  });
+
+  // Clean up local file
+  fs.unlinkSync(filePath);
+  metrics.uploadSize.observe({ target: 'r2' }, size);
+
+  let hlsResult = null;
+
+  const entry = videoCatalog.create({
+    ...uploadedVideoFields(file, video),
+    r2: { key: r2Key, etag: uploadResult.etag || null }
+  });
+
+  // Convert to HLS if requested (runs in the background from the R2 copy)
+  if (convertToHLS === 'true') {
+    const job = enqueueR2Conversion(r2Key, {}, entry.id);
+    hlsResult = {
+      message: 'HLS conversion queued',
+      jobId: job.id,
+      status: job.state,
+      checkStatusUrl: `/api/upload/r2/${encodeURIComponent(r2Key)}/hls-status`,
+      progressUrl: `/api/hls/r2/${encodeURIComponent(r2Key)}/progress`
+    };
+  }
+
+  return {
+    message: 'File uploaded to R2 successfully',
+    video: { id: entry.id, url: `/api/videos/${entry.id}` },
+    file: {
+      originalName: originalname,
+      key: r2Key,
+      size: size,
+      etag: uploadResult.etag,
+      streamUrl: `/api/video/r2/${encodeURIComponent(r2Key)}`,
+      metadataUrl: `/api/video/r2/${encodeURIComponent(r2Key)}/metadata`,
+      presignedUrl: `/api/video/r2/${encodeURIComponent(r2Key)}/presigned`
+    },
+    hls: hlsResult
+  };
+}
+
 /**
  * POST /api/upload/local
  * Upload video file to local storage
@@ -93,49 +323,21 @@ router.post('/local', upload.single('video'), async (req, res) => {
       });
     }
 
-    const { originalname, filename, path: filePath, size } = req.file;
-    const { convertToHLS, moveToVideos } = req.body;
-
-    let finalPath = filePath;
-    let hlsResult = null;
-
-    // Move to videos directory if requested
-    if (moveToVideos === 'true') {
-      const videoPath = path.join(videosDir, filename);
-      fs.renameSync(filePath, videoPath);
-      finalPath = videoPath;
-    }
-
-    // Convert to HLS if requested
-    if (convertToHLS === 'true') {
-      const outputName = path.parse(filename).name;
-      try {
-        hlsResult = await hlsService.convertToHLS(finalPath, outputName);
-        logger.info(`HLS conversion completed for ${originalname}`);
-      } catch (error) {
-        logger.error('HLS conversion failed:', error);
-        // Continue without HLS if conversion fails
-      }
+    const { video, error } = parseVideoFields(req);
+    if (error) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: error
+      });
     }
 
-    res.json({
-      message: 'File uploaded successfully',
-      file: {
-        originalName: originalname,
-        filename: filename,
-        size: size,
-        path: finalPath,
-        streamUrl: moveToVideos === 'true' ? `/api/video/local/${filename}` : null,
-        metadataUrl: moveToVideos === 'true' ? `/api/video/local/${filename}/metadata` : null
-      },
-      hls: hlsResult ? {
-        masterPlaylist: `/api/hls/${hlsResult.masterPlaylist}`,
-        qualities: Object.keys(hlsResult.qualities)
-      } : null
-    });
+    metrics.uploadBytes.inc({ target: 'local' }, req.file.size);
+    res.json(await finishLocalUpload(req.file, { ...req.body, video }));
 
   } catch (error) {
     logger.error('Error uploading file:', error);
+    recordUploadFailure('local', error);
     
     // Clean up uploaded file on error
     if (req.file && fs.existsSync(req.file.path)) {
@@ -171,62 +373,21 @@ router.post('/r2', upload.single('video'), async (req, res) => {
       });
     }
 
-    const { originalname, filename, path: filePath, size, mimetype } = req.file;
-    const { key, convertToHLS } = req.body;
-
-    // Use provided key or generate one
-    const r2Key = key || `videos/${Date.now()}-${originalname}`;
-
-    // Read file and upload to R2
-    const fileBuffer = fs.readFileSync(filePath);
-    
-    const uploadResult = await r2Service.uploadVideo(r2Key, fileBuffer, {
-      contentType: mimetype,
-      metadata: {
-        originalName: originalname,
-        uploadedAt: new Date().toISOString(),
-        size: size.toString()
-      }
-    });
-
-    // Clean up local file
-    fs.unlinkSync(filePath);
-
-    let hlsResult = null;
-
-    // Convert to HLS if requested (using local copy temporarily)
-    if (convertToHLS === 'true') {
-      try {
-        // Download from R2, convert to HLS, then upload HLS files back to R2
-        // This is a simplified version - in production, you might want to use a separate worker
-        const outputName = path.parse(originalname).name;
-        
-        // For now, we'll just indicate that HLS conversion is available
-        hlsResult = {
-          message: 'HLS conversion can be triggered separately',
-          conversionUrl: `/api/upload/r2/${encodeURIComponent(r2Key)}/convert-hls`
-        };
-      } catch (error) {
-        logger.error('HLS conversion setup failed:', error);
-      }
+    const { video, error } = parseVideoFields(req);
+    if (error) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: error
+      });
     }
 
-    res.json({
-      message: 'File uploaded to R2 successfully',
-      file: {
-        originalName: originalname,
-        key: r2Key,
-        size: size,
-        etag: uploadResult.etag,
-        streamUrl: `/api/video/r2/${encodeURIComponent(r2Key)}`,
-        metadataUrl: `/api/video/r2/${encodeURIComponent(r2Key)}/metadata`,
-        presignedUrl: `/api/video/r2/${encodeURIComponent(r2Key)}/presigned`
-      },
-      hls: hlsResult
-    });
+    metrics.uploadBytes.inc({ target: 'r2' }, req.file.size);
+    res.json(await finishR2Upload(req.file, { ...req.body, video }, abortOnDisconnect(req, res)));
 
   } catch (error) {
     logger.error('Error uploading to R2:', error);
+    recordUploadFailure('r2', error);
     
     // Clean up local file on error
     if (req.file && fs.existsSync(req.file.path)) {
@@ -242,33 +403,127 @@ router.post('/r2', upload.single('video'), async (req, res) => {
 
 /**
  * POST /api/upload/r2/:key/convert-hls
- * Convert R2 video to HLS format
+ * Convert R2 video to HLS format and store the output back in R2
  */
 router.post('/r2/:key(*)/convert-hls', async (req, res) => {
   try {
     const key = decodeURIComponent(req.params.key);
-    const { qualities, segmentDuration } = req.body;
+    const { qualities, segmentDuration, encryption, format, audioTracks } = req.body;
+    let thumbnails = req.body.thumbnails === true || req.body.thumbnails === 'true';
 
-    // This would typically be handled by a background job
-    // For now, we'll return a processing response
-    res.json({
-      message: 'HLS conversion started for R2 video',
-      key: key,
-      status: 'processing',
-      estimatedTime: '5-15 minutes',
-      checkStatusUrl: `/api/upload/r2/${encodeURIComponent(key)}/hls-status`
+    if (qualities !== undefined && (!Array.isArray(qualities) || qualities.length === 0)) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'qualities must be a non-empty array'
+      });
+    }
+
+    if (segmentDuration !== undefined && !(parseInt(segmentDuration) > 0)) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'segmentDuration must be a positive number of seconds'
+      });
+    }
+
+    // encryption: true, or { rotateEvery: segments per key }
+    if (encryption !== undefined && encryption !== true && encryption !== false &&
+      !(encryption && typeof encryption === 'object' &&
+        (encryption.rotateEvery === undefined || parseInt(encryption.rotateEvery) >= 0))) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'encryption must be true or { rotateEvery: <segments per key> }'
+      });
+    }
+
+    // format: 'ts' segments, or 'cmaf' fMP4 segments with a DASH manifest
+    if (format !== undefined && !HLSService.SEGMENT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: `format must be one of: ${HLSService.SEGMENT_FORMATS.join(', ')}`
+      });
+    }
+
+    if (format === 'cmaf' && encryption) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'encryption is only supported for ts segments'
+      });
+    }
+
+    // audioTracks: source tracks to publish as alternate audio renditions
+    const audioTracksError = audioTracks !== undefined && HLSService.validateAudioTracks(audioTracks);
+    if (audioTracksError) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: `audioTracks: ${audioTracksError}`
+      });
+    }
+
+    // thumbnails: true for defaults, or an object of poster/storyboard options
+    if (req.body.thumbnails && typeof req.body.thumbnails === 'object') {
+      const { options, error } = thumbnailService.parseGenerateOptions(req.body.thumbnails);
+      if (error) {
+        return res.status(400).json({
+          error: 'Invalid parameters',
+          message: `thumbnails: ${error}`
+        });
+      }
+      thumbnails = options;
+    }
+
+    const activeJob = findR2ConversionJob(key);
+    if (activeJob && (activeJob.state === 'queued' || activeJob.state === 'running')) {
+      return res.status(409).json({
+        error: 'Conversion in progress',
+        message: `HLS conversion for '${key}' is already ${activeJob.state}`,
+        jobId: activeJob.id,
+        checkStatusUrl: `/api/upload/r2/${encodeURIComponent(key)}/hls-status`,
+        progressUrl: `/api/hls/r2/${encodeURIComponent(key)}/progress`
+      });
+    }
+
+    // Fail fast if the source object does not exist
+    const metadata = await r2Service.getVideoMetadata(key);
+
+    // Attach the conversion to the given video, the video this object belongs to, or a new one
+    const entry = videoCatalog.register({
+      videoId: req.body.videoId,
+      match: { r2: key },
+      type: 'r2',
+      link: { key: key, etag: metadata.etag || null },
+      fields: { title: path.parse(key).name, owner: req.auth ? req.auth.subject : null }
     });
 
-    // In a real implementation, you would:
-    // 1. Download the video from R2
-    // 2. Convert it to HLS using FFmpeg
-    // 3. Upload the HLS files back to R2
-    // 4. Update the status in a database
+    const job = enqueueR2Conversion(key, { qualities, segmentDuration, thumbnails, encryption, format, audioTracks }, entry.id);
 
-    logger.info(`HLS conversion requested for R2 key: ${key}`);
+    res.status(202).json({
+      message: 'HLS conversion queued for R2 video',
+      key: key,
+      videoId: entry.id,
+      jobId: job.id,
+      status: job.state,
+      statusUrl: `/api/hls/jobs/${job.id}`,
+      checkStatusUrl: `/api/upload/r2/${encodeURIComponent(key)}/hls-status`,
+      progressUrl: `/api/hls/r2/${encodeURIComponent(key)}/progress`
+    });
 
   } catch (error) {
+    if (error.code === 'VIDEO_NOT_FOUND') {
+      return res.status(error.status).json({
+        error: 'Video not found',
+        message: error.message
+      });
+    }
+
     logger.error('Error starting R2 HLS conversion:', error);
+
+    if (error.code === 'NOT_FOUND') {
+      return res.status(404).json({
+        error: 'Video not found',
+        message: 'Video file not found in R2'
+      });
+    }
+
     res.status(500).json({
       error: 'Conversion failed',
       message: 'Failed to start HLS conversion'
@@ -283,17 +538,29 @@ router.post('/r2/:key(*)/convert-hls', async (req, res) => {
 router.get('/r2/:key(*)/hls-status', async (req, res) => {
   try {
     const key = decodeURIComponent(req.params.key);
+    const job = findR2ConversionJob(key);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'No conversion found',
+        message: `No HLS conversion has been requested for '${key}'`
+      });
+    }
 
-    // In a real implementation, you would check the actual status from a database
     res.json({
       key: key,
-      status: 'completed', // or 'processing', 'failed'
-      progress: 100,
-      hlsFiles: {
-        masterPlaylist: `/api/hls/r2/${encodeURIComponent(key)}/master.m3u8`,
-        qualities: ['720p', '480p', '360p']
-      },
-      completedAt: new Date().toISOString()
+      jobId: job.id,
+      status: job.state,
+      progress: job.progress,
+      hlsFiles: job.state === 'succeeded' ? {
+        masterPlaylist: job.result.masterPlaylistUrl,
+        prefix: job.result.prefix,
+        qualities: job.result.qualities
+      } : null,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.finishedAt
     });
 
   } catch (error) {
@@ -305,6 +572,238 @@ router.get('/r2/:key(*)/hls-status', async (req, res) => {
   }
 });
 
+// Response titles for errors raised by the resumable upload service
+const RESUMABLE_ERROR_TITLES = {
+  INVALID_UPLOAD: 'Invalid upload',
+  INVALID_FILE_TYPE: 'Invalid file type',
+  FILE_TOO_LARGE: 'File too large',
+  CHUNK_TOO_LARGE: 'Chunk too large',
+  UPLOAD_NOT_FOUND: 'Upload not found',
+  UPLOAD_LOCKED: 'Upload locked',
+  OFFSET_MISMATCH: 'Offset mismatch',
+  UPLOAD_INCOMPLETE: 'Upload incomplete'
+};
+
+/**
+ * Send the error raised by the resumable upload service
+ */
+function sendResumableError(res, error, fallbackMessage) {
+  if (error.status) {
+    if (error.offset !== undefined) {
+      res.set('Upload-Offset', error.offset);
+    }
+    return res.status(error.status).json({
+      error: RESUMABLE_ERROR_TITLES[error.code] || 'Upload failed',
+      code: error.code,
+      message: error.message
+    });
+  }
+
+  logger.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    error: 'Upload failed',
+    message: fallbackMessage
+  });
+}
+
+/**
+ * Parse a tus-style Upload-Metadata header ("key base64value,key base64value")
+ */
+function parseUploadMetadata(header) {
+  const metadata = {};
+  if (!header) return metadata;
+
+  header.split(',').forEach((pair) => {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  });
+
+  return metadata;
+}
+
+/**
+ * Describe a resumable upload for API responses
+ */
+function formatResumableUpload(upload) {
+  return {
+    ...upload,
+    uploadUrl: `/api/upload/resumable/${upload.id}`,
+    completeUrl: `/api/upload/resumable/${upload.id}/complete`
+  };
+}
+
+/**
+ * POST /api/upload/resumable
+ * Create a resumable upload. Accepts JSON { filename, size, mimeType } or
+ * tus-style Upload-Length and Upload-Metadata (filename, filetype) headers.
+ */
+router.post('/resumable', (req, res) => {
+  try {
+    const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+    const upload = resumableUploads.create({
+      filename: req.body.filename || metadata.filename,
+      size: req.body.size || req.get('Upload-Length'),
+      mimeType: req.body.mimeType || metadata.filetype
+    });
+
+    res.status(201).set({
+      'Location': `/api/upload/resumable/${upload.id}`,
+      'Upload-Offset': upload.offset,
+      'Upload-Length': upload.size
+    }).json(formatResumableUpload(upload));
+
+  } catch (error) {
+    sendResumableError(res, error, 'Failed to create upload');
+  }
+});
+
+/**
+ * HEAD /api/upload/resumable/:id
+ * Get the current offset of a resumable upload
+ */
+router.head('/resumable/:id', (req, res) => {
+  try {
+    const upload = resumableUploads.get(req.params.id);
+
+    res.set({
+      'Upload-Offset': upload.offset,
+      'Upload-Length': upload.size,
+      'Cache-Control': 'no-store'
+    });
+    res.end();
+
+  } catch (error) {
+    res.status(error.status || 500).end();
+  }
+});
+
+/**
+ * GET /api/upload/resumable/:id
+ * Get the state of a resumable upload
+ */
+router.get('/resumable/:id', (req, res) => {
+  try {
+    const upload = resumableUploads.get(req.params.id);
+
+    res.set('Cache-Control', 'no-store');
+    res.json(formatResumableUpload(upload));
+
+  } catch (error) {
+    sendResumableError(res, error, 'Failed to get upload');
+  }
+});
+
+/**
+ * PATCH /api/upload/resumable/:id
+ * Append a chunk. Upload-Offset must equal the current offset and the body
+ * must be sent as application/offset+octet-stream.
+ */
+router.patch('/resumable/:id', async (req, res) => {
+  try {
+    if (!req.is('application/offset+octet-stream')) {
+      return res.status(415).json({
+        error: 'Unsupported media type',
+        message: 'Chunks must be sent as application/offset+octet-stream'
+      });
+    }
+
+    const offset = parseInt(req.get('Upload-Offset'), 10);
+    if (isNaN(offset) || offset < 0) {
+      return res.status(400).json({
+        error: 'Invalid offset',
+        message: 'Upload-Offset header is required'
+      });
+    }
+
+    const upload = await resumableUploads.appendChunk(req.params.id, offset, req);
+    metrics.uploadBytes.inc({ target: 'resumable' }, upload.offset - offset);
+
+    res.status(204).set({
+      'Upload-Offset': upload.offset,
+      'Upload-Length': upload.size
+    }).end();
+
+  } catch (error) {
+    recordUploadFailure('resumable', req.destroyed || res.destroyed ? { code: 'interrupted' } : error);
+    if (req.destroyed || res.destroyed) {
+      logger.warn(`Resumable upload ${req.params.id} chunk interrupted: ${error.message}`);
+      return;
+    }
+    sendResumableError(res, error, 'Failed to write chunk');
+  }
+});
+
+/**
+ * POST /api/upload/resumable/:id/complete
+ * Finalise a fully received upload. Body options match the single-request
+ * endpoints: target ('local' or 'r2'), moveToVideos, convertToHLS, key and
+ * the catalog fields title, description and tags. If a step fails (e.g. the
+ * R2 upload), the received data is kept and complete can be retried.
+ */
+router.post('/resumable/:id/complete', async (req, res) => {
+  let file = null;
+
+  try {
+    const { target = 'local', key } = req.body;
+    const convertToHLS = String(req.body.convertToHLS);
+    const waitForHLS = String(req.body.waitForHLS);
+    const moveToVideos = String(req.body.moveToVideos);
+
+    if (target !== 'local' && target !== 'r2') {
+      return res.status(400).json({
+        error: 'Invalid target',
+        message: "target must be 'local' or 'r2'"
+      });
+    }
+
+    const { video, error } = parseVideoFields(req);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: error
+      });
+    }
+
+    file = resumableUploads.complete(req.params.id, uploadsDir);
+
+    const result = target === 'r2'
+      ? await finishR2Upload(file, { key, convertToHLS, video }, abortOnDisconnect(req, res))
+      : await finishLocalUpload(file, { convertToHLS, waitForHLS, moveToVideos, video });
+
+    // Only now is the upload gone; until here a failed step can be retried with another complete
+    resumableUploads.finalize(req.params.id);
+    res.json(result);
+
+  } catch (error) {
+    recordUploadFailure('resumable', error);
+
+    // Drop the processed copy of the file; the upload keeps its data for a retry
+    if (file) {
+      resumableUploads.release(req.params.id);
+      if (fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
+    }
+    sendResumableError(res, error, 'Failed to complete upload');
+  }
+});
+
+/**
+ * DELETE /api/upload/resumable/:id
+ * Abort a resumable upload and discard the received data
+ */
+router.delete('/resumable/:id', (req, res) => {
+  try {
+    resumableUploads.remove(req.params.id);
+    res.status(204).end();
+
+  } catch (error) {
+    sendResumableError(res, error, 'Failed to remove upload');
+  }
+});
+
 /**
  * GET /api/upload/info
  * Get upload configuration and limits
@@ -317,11 +816,13 @@ router.get('/info', (req, res) => {
       localUpload: true,
       r2Upload: !!process.env.R2_BUCKET_NAME,
       hlsConversion: true,
-      multipleQualities: true
+      multipleQualities: true,
+      resumableUpload: true
     },
     endpoints: {
       local: '/api/upload/local',
       r2: '/api/upload/r2',
+      resumable: '/api/upload/resumable',
       info: '/api/upload/info'
     }
   });
@@ -331,6 +832,8 @@ router.get('/info', (req, res) => {
  * Error handling middleware for multer
  */
 router.use((error, req, res, next) => {
+  recordUploadFailure(req.path === '/r2' ? 'r2' : 'local', error);
+
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
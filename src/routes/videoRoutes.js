@@ -1,10 +1,27 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const mime = require('mime-types');
 const VideoStreamService = require('../services/videoStreamService');
+const MediaProbeService = require('../services/mediaProbeService');
+const ThumbnailService = require('../services/thumbnailService');
+const FileManagementService = require('../services/fileManagementService');
+const transcodeQueue = require('../services/transcodeQueue');
+const AuthService = require('../services/authService');
 const logger = require('../utils/logger');
+const { listFiles } = require('../utils/directoryListing');
+const { parseListQuery, paginate } = require('../utils/listQuery');
 
 const router = express.Router();
+const thumbnailService = new ThumbnailService();
+const fileManager = new FileManagementService();
+
+// Watching requires the viewer role; generating thumbnails and managing files requires uploader
+router.use(AuthService.requireRole('viewer'));
+const requireUploader = AuthService.requireRole('uploader');
+
+// Number of files probed in parallel when listing
+const PROBE_BATCH_SIZE = 4;
 
 // Create videos directory if it doesn't exist
 const videosDir = path.join(__dirname, '../../videos');
@@ -69,8 +86,17 @@ router.get('/local/:filename/metadata', async (req, res) => {
       });
     }
 
-    const metadata = await VideoStreamService.getVideoMetadata(filePath);
-    res.json(metadata);
+    const metadata = await VideoStreamService.getVideoMetadata(filePath, { probe: true });
+    const entry = fileManager.findLocalEntry(sanitizedFilename);
+    res.json({
+      ...metadata,
+      videoId: entry ? entry.id : null,
+      metadata: (entry && entry.metadata) || {},
+      thumbnails: thumbnailService.listThumbnails(
+        thumbnailService.getVideoThumbnailsDir(sanitizedFilename),
+        `/api/video/local/${sanitizedFilename}/thumbnails`
+      )
+    });
 
   } catch (error) {
     logger.error('Error getting video metadata:', error);
@@ -81,29 +107,199 @@ router.get('/local/:filename/metadata', async (req, res) => {
   }
 });
 
+/**
+ * Resolve a local video from the :filename parameter, answering 400/404 if it is unusable
+ * @returns {string|null} File path, or null if a response was sent
+ */
+function resolveLocalVideo(req, res) {
+  const sanitizedFilename = path.basename(req.params.filename);
+  const filePath = path.join(videosDir, sanitizedFilename);
+
+  if (!VideoStreamService.isValidVideoFile(filePath)) {
+    res.status(400).json({
+      error: 'Invalid file type',
+      message: 'Only video files are allowed'
+    });
+    return null;
+  }
+
+  if (!fs.existsSync(filePath)) {
+    res.status(404).json({
+      error: 'Video not found',
+      message: `Video file '${sanitizedFilename}' not found`
+    });
+    return null;
+  }
+
+  return filePath;
+}
+
+/**
+ * GET /api/video/local/:filename/poster.jpg
+ * Serve the video's poster, or a poster at ?time= (seconds) and/or ?width=
+ * generated on demand
+ */
+router.get('/local/:filename/poster.jpg', async (req, res) => {
+  try {
+    const filePath = resolveLocalVideo(req, res);
+    if (!filePath) return;
+
+    const query = thumbnailService.parsePosterQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: query.error
+      });
+    }
+
+    const posterPath = await thumbnailService.getPoster(
+      filePath,
+      thumbnailService.getVideoThumbnailsDir(filePath),
+      query
+    );
+
+    await VideoStreamService.streamVideo(posterPath, req, res, {
+      contentType: 'image/jpeg',
+      cacheControl: 'public, max-age=3600'
+    });
+
+  } catch (error) {
+    logger.error('Error serving poster:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to generate poster'
+    });
+  }
+});
+
+/**
+ * POST /api/video/local/:filename/thumbnails
+ * Queue generation of the poster and storyboard for a local video
+ */
+router.post('/local/:filename/thumbnails', requireUploader, (req, res) => {
+  try {
+    const filePath = resolveLocalVideo(req, res);
+    if (!filePath) return;
+
+    const { options, error } = thumbnailService.parseGenerateOptions(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: error
+      });
+    }
+
+    const filename = path.basename(filePath);
+    const job = transcodeQueue.enqueue('thumbnails', { filename, options });
+
+    res.status(202).json({
+      message: 'Thumbnail generation queued',
+      jobId: job.id,
+      filename: filename,
+      status: job.state,
+      statusUrl: `/api/hls/jobs/${job.id}`
+    });
+
+  } catch (error) {
+    logger.error('Error queueing thumbnail generation:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to queue thumbnail generation'
+    });
+  }
+});
+
+/**
+ * GET /api/video/local/:filename/thumbnails/:file
+ * Serve the poster, storyboard sprites or storyboard.vtt of a local video
+ */
+router.get('/local/:filename/thumbnails/:file', async (req, res) => {
+  try {
+    const { filename, file } = req.params;
+
+    if (!thumbnailService.isThumbnailFile(file)) {
+      return res.status(400).json({
+        error: 'Invalid file',
+        message: 'Only .jpg and .vtt thumbnail files are allowed'
+      });
+    }
+
+    const filePath = path.join(thumbnailService.getVideoThumbnailsDir(filename), file);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({
+        error: 'Thumbnail not found',
+        message: `Thumbnail '${file}' not found for video '${path.basename(filename)}'`
+      });
+    }
+
+    await VideoStreamService.streamVideo(filePath, req, res, {
+      contentType: mime.lookup(file),
+      cacheControl: 'public, max-age=3600'
+    });
+
+  } catch (error) {
+    logger.error('Error serving thumbnail:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to serve thumbnail'
+    });
+  }
+});
+
 /**
  * GET /api/video/list
- * List all available local videos
+ * List local videos a page at a time: sort (name|size|date), order, limit,
+ * cursor, q (name search), type, minSize/maxSize and since/until
  */
-router.get('/list', (req, res) => {
+router.get('/list', async (req, res) => {
   try {
-    const files = fs.readdirSync(videosDir)
-      .filter(file => VideoStreamService.isValidVideoFile(file))
-      .map(file => {
-        const filePath = path.join(videosDir, file);
-        const stats = fs.statSync(filePath);
-        return {
-          filename: file,
-          size: stats.size,
-          mimeType: VideoStreamService.getVideoMimeType(filePath),
-          lastModified: stats.mtime,
-          streamUrl: `/api/video/local/${file}`,
-          metadataUrl: `/api/video/local/${file}/metadata`
-        };
+    const probe = req.query.probe !== 'false';
+    const { options, error } = parseListQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: error
       });
+    }
+
+    const all = (await listFiles(videosDir))
+      .filter(file => VideoStreamService.isValidVideoFile(file.name))
+      .map(file => ({
+        filename: file.name,
+        size: file.size,
+        mimeType: VideoStreamService.getVideoMimeType(file.name),
+        lastModified: file.mtime,
+        streamUrl: `/api/video/local/${file.name}`,
+        metadataUrl: `/api/video/local/${file.name}/metadata`
+      }));
+
+    const page = paginate(all, options, {
+      key: file => file.filename,
+      name: file => file.filename,
+      size: file => file.size,
+      date: file => file.lastModified,
+      mimeType: file => file.mimeType,
+      text: file => [file.filename]
+    });
+    const files = page.items;
+
+    // Only the page is probed; technical metadata is cached per mtime, so only new or changed files are probed
+    if (probe) {
+      for (let i = 0; i < files.length; i += PROBE_BATCH_SIZE) {
+        await Promise.all(files.slice(i, i + PROBE_BATCH_SIZE).map(async (file) => {
+          const filePath = path.join(videosDir, file.filename);
+          file.technical = await MediaProbeService.tryProbe(filePath, `${filePath}|${file.lastModified.getTime()}`);
+          if (file.technical?.mimeType) {
+            file.mimeType = file.technical.mimeType;
+          }
+        }));
+      }
+    }
 
     res.json({
       count: files.length,
+      total: page.total,
+      nextCursor: page.nextCursor,
       videos: files
     });
 
@@ -152,4 +348,82 @@ router.head('/local/:filename', async (req, res) => {
   }
 });
 
+/**
+ * Answer with the status of a FileManagementService error, or 500
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+function sendFileError(res, error, fallbackMessage) {
+  if (error.status) {
+    return res.status(error.status).json({
+      error: FileManagementService.ERROR_TITLES[error.code] || 'File error',
+      code: error.code,
+      message: error.message
+    });
+  }
+
+  logger.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    error: 'Internal server error',
+    message: fallbackMessage
+  });
+}
+
+/**
+ * DELETE /api/video/local/:filename
+ * Delete a local video and its thumbnails; ?cascade=true also deletes the
+ * HLS stream converted from it
+ */
+router.delete('/local/:filename', requireUploader, async (req, res) => {
+  try {
+    const result = await fileManager.deleteLocal(req.params.filename, {
+      auth: req.auth,
+      cascade: req.query.cascade === 'true'
+    });
+
+    res.json({
+      message: `Video file '${result.filename}' deleted successfully`,
+      ...result
+    });
+
+  } catch (error) {
+    sendFileError(res, error, 'Failed to delete video');
+  }
+});
+
+/**
+ * PATCH /api/video/local/:filename
+ * Update the custom metadata of a local video: { metadata: { key: value or null } }
+ */
+router.patch('/local/:filename', requireUploader, (req, res) => {
+  try {
+    res.json(fileManager.updateLocalMetadata(req.params.filename, req.body.metadata, { auth: req.auth }));
+
+  } catch (error) {
+    sendFileError(res, error, 'Failed to update video metadata');
+  }
+});
+
+/**
+ * POST /api/video/local/:filename/move and /copy
+ * Rename a local video, or copy it: { destination: new file name }
+ */
+router.post(['/local/:filename/move', '/local/:filename/copy'], requireUploader, async (req, res) => {
+  try {
+    const copy = req.path.endsWith('/copy');
+    const result = await fileManager.moveLocal(req.params.filename, req.body.destination, { auth: req.auth, copy });
+
+    res.status(copy ? 201 : 200).json({
+      message: `Video file '${result.source}' ${copy ? 'copied' : 'moved'} to '${result.filename}'`,
+      ...result,
+      streamUrl: `/api/video/local/${result.filename}`,
+      metadataUrl: `/api/video/local/${result.filename}/metadata`
+    });
+
+  } catch (error) {
+    sendFileError(res, error, 'Failed to move video');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
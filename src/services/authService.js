@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('../utils/logger');
+
+// Roles in increasing order of privilege; each role includes the ones before it
+const ROLES = ['viewer', 'uploader', 'admin'];
+
+// Placeholder values shipped in .env.example
+const PLACEHOLDER_SECRET = /^change-me/i;
+
+// JWS algorithms and how their signatures are checked
+const HMAC_ALGORITHMS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+const KEY_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' }
+};
+
+/**
+ * Create an error for a rejected credential
+ * @param {string} message - Why the credential was rejected
+ * @returns {Error} Error flagged as an authentication failure
+ */
+function credentialError(message) {
+  const error = new Error(message);
+  error.isCredentialError = true;
+  return error;
+}
+
+/**
+ * Authentication with API keys and bearer JWTs, and role checks for routes.
+ *
+ * API keys (API_KEYS="key:role,...") are sent as `X-API-Key: <key>` or
+ * `Authorization: ApiKey <key>`. JWTs are sent as `Authorization: Bearer`
+ * and verified with JWT_SECRET (HS*) or JWT_PUBLIC_KEY / JWT_PUBLIC_KEY_FILE
+ * (RS*, PS*, ES*). Requests without credentials get AUTH_ANONYMOUS_ROLE.
+ */
+class AuthService {
+  constructor() {
+    this.enabled = process.env.AUTH_ENABLED !== 'false';
+    this.anonymousRole = ROLES.includes(process.env.AUTH_ANONYMOUS_ROLE) || process.env.AUTH_ANONYMOUS_ROLE === 'none'
+      ? process.env.AUTH_ANONYMOUS_ROLE
+      : 'viewer';
+    this.apiKeys = this.parseApiKeys(process.env.API_KEYS);
+
+    this.jwtSecret = process.env.JWT_SECRET || null;
+    if (this.jwtSecret && PLACEHOLDER_SECRET.test(this.jwtSecret)) {
+      throw new Error('JWT_SECRET is a placeholder; set it to the secret your token issuer signs with');
+    }
+    const publicKey = process.env.JWT_PUBLIC_KEY_FILE
+      ? fs.readFileSync(process.env.JWT_PUBLIC_KEY_FILE, 'utf8')
+      : (process.env.JWT_PUBLIC_KEY || '').replace(/\\n/g, '\n');
+    this.jwtPublicKey = publicKey ? crypto.createPublicKey(publicKey) : null;
+    this.jwtIssuer = process.env.JWT_ISSUER || null;
+    this.jwtAudience = process.env.JWT_AUDIENCE || null;
+    this.jwtRoleClaim = process.env.JWT_ROLE_CLAIM || 'role';
+    this.clockTolerance = parseInt(process.env.JWT_CLOCK_TOLERANCE) || 30;
+
+    if (!this.enabled) {
+      logger.warn('Authentication is disabled (AUTH_ENABLED=false); every request has the admin role');
+    } else if (this.apiKeys.size === 0 && !this.jwtSecret && !this.jwtPublicKey) {
+      logger.warn('No API_KEYS, JWT_SECRET or JWT_PUBLIC_KEY configured; only anonymous access is possible');
+    }
+  }
+
+  /**
+   * Express middleware identifying the caller. Sets req.auth to
+   * {type, subject, role}; invalid credentials are rejected with 401,
+   * missing credentials fall back to the anonymous role.
+   * @returns {Function} Middleware
+   */
+  authenticate() {
+    return (req, res, next) => {
+      if (!this.enabled) {
+        req.auth = { type: 'disabled', subject: null, role: 'admin' };
+        return next();
+      }
+
+      try {
+        req.auth = this.identify(req);
+        next();
+      } catch (error) {
+        if (!error.isCredentialError) {
+          return next(error);
+        }
+
+        logger.warn(`Authentication failed for ${req.method} ${req.originalUrl} from ${req.ip}: ${error.message}`);
+        // Counted by RateLimitService.authFailureMiddleware()
+        res.locals.authFailed = true;
+        res.status(401)
+          .set('WWW-Authenticate', 'Bearer error="invalid_token"')
+          .json({
+            error: 'Invalid credentials',
+            message: error.message
+          });
+      }
+    };
+  }
+
+  /**
+   * Work out who is calling from the request headers
+   * @param {Object} req - Express request object
+   * @returns {Object} {type, subject, role}
+   */
+  identify(req) {
+    const authorization = req.headers.authorization || '';
+    const [scheme, credential] = authorization.split(/\s+/, 2);
+    const apiKey = req.headers['x-api-key'] || (/^apikey$/i.test(scheme) ? credential : null);
+
+    if (apiKey) {
+      const hash = crypto.createHash('sha256').update(apiKey).digest('hex');
+      const entry = this.apiKeys.get(hash);
+      if (!entry) {
+        throw credentialError('Unknown API key');
+      }
+      return { type: 'api-key', subject: `key:${hash.slice(0, 8)}`, role: entry.role };
+    }
+
+    if (/^bearer$/i.test(scheme) && credential) {
+      const claims = this.verifyJwt(credential);
+      return { type: 'jwt', subject: claims.sub || null, role: this.roleFromClaims(claims) };
+    }
+
+    if (authorization) {
+      throw credentialError('Unsupported Authorization scheme');
+    }
+
+    return {
+      type: 'anonymous',
+      subject: null,
+      role: this.anonymousRole === 'none' ? null : this.anonymousRole
+    };
+  }
+
+  /**
+   * Verify a compact JWS and its registered claims
+   * @param {string} token - JWT
+   * @returns {Object} Claims
+   */
+  verifyJwt(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      throw credentialError('Malformed token');
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw credentialError('Malformed token');
+    }
+
+    const signingInput = `${encodedHeader}.${encodedPayload}`;
+    const signature = Buffer.from(encodedSignature, 'base64url');
+
+    if (HMAC_ALGORITHMS[header.alg] && this.jwtSecret) {
+      const expected = crypto.createHmac(HMAC_ALGORITHMS[header.alg], this.jwtSecret).update(signingInput).digest();
+      if (expected.length !== signature.length || !crypto.timingSafeEqual(expected, signature)) {
+        throw credentialError('Invalid token signature');
+      }
+    } else if (KEY_ALGORITHMS[header.alg] && this.jwtPublicKey) {
+      const { hash, padding, dsaEncoding } = KEY_ALGORITHMS[header.alg];
+      const key = { key: this.jwtPublicKey };
+      if (padding) {
+        key.padding = padding;
+        key.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+      }
+      if (dsaEncoding) {
+        key.dsaEncoding = dsaEncoding;
+      }
+
+      let valid = false;
+      try {
+        valid = crypto.verify(hash, Buffer.from(signingInput), key, signature);
+      } catch (error) {
+        valid = false;
+      }
+      if (!valid) {
+        throw credentialError('Invalid token signature');
+      }
+    } else {
+      // Also rejects "none" and HS*/RS* confusion when only the other kind of key is configured
+      throw credentialError(`Unsupported token algorithm '${header.alg}'`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (claims.exp !== undefined && !(now - this.clockTolerance < claims.exp)) {
+      throw credentialError('Token has expired');
+    }
+    if (claims.nbf !== undefined && !(now + this.clockTolerance >= claims.nbf)) {
+      throw credentialError('Token is not valid yet');
+    }
+    if (this.jwtIssuer && claims.iss !== this.jwtIssuer) {
+      throw credentialError('Token issuer is not accepted');
+    }
+    if (this.jwtAudience) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(this.jwtAudience)) {
+        throw credentialError('Token audience is not accepted');
+      }
+    }
+
+    return claims;
+  }
+
+  /**
+   * Highest known role in the role claim (a string or an array)
+   * @param {Object} claims - JWT claims
+   * @returns {string|null} Role
+   */
+  roleFromClaims(claims) {
+    const value = claims[this.jwtRoleClaim];
+    const roles = (Array.isArray(value) ? value : [value]).filter(role => ROLES.includes(role));
+    if (roles.length === 0) {
+      throw credentialError(`Token has no valid '${this.jwtRoleClaim}' claim`);
+    }
+
+    return roles.reduce((highest, role) => (ROLES.indexOf(role) > ROLES.indexOf(highest) ? role : highest));
+  }
+
+  /**
+   * Parse API_KEYS ("key:role,key:role") into a map of SHA-256 key hash to role
+   * @param {string} value - API_KEYS value
+   * @returns {Map} Hash => {role}
+   */
+  parseApiKeys(value) {
+    const keys = new Map();
+
+    for (const entry of (value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+      const separator = entry.lastIndexOf(':');
+      const key = separator > 0 ? entry.slice(0, separator) : entry;
+      const role = separator > 0 ? entry.slice(separator + 1) : 'viewer';
+
+      if (!ROLES.includes(role)) {
+        logger.warn(`Ignoring API key with unknown role '${role}'`);
+        continue;
+      }
+      if (PLACEHOLDER_SECRET.test(key)) {
+        throw new Error(`API_KEYS still contains the placeholder key '${key}' from .env.example; replace it with a long random key`);
+      }
+      keys.set(crypto.createHash('sha256').update(key).digest('hex'), { role });
+    }
+
+    return keys;
+  }
+
+  /**
+   * Express middleware allowing only callers with at least the given role.
+   * Answers 401 when the caller is anonymous and 403 when the caller's
+   * role is too low.
+   * @param {string} role - Minimum role (viewer, uploader or admin)
+   * @returns {Function} Middleware
+   */
+  static requireRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role '${role}'`);
+    }
+
+    return (req, res, next) => {
+      const auth = req.auth || { type: 'anonymous', role: null };
+
+      if (auth.role && ROLES.indexOf(auth.role) >= ROLES.indexOf(role)) {
+        return next();
+      }
+
+      const who = auth.subject || auth.type;
+      logger.warn(`Access denied to ${req.method} ${req.originalUrl} for ${who} (${auth.role || 'no role'}) from ${req.ip}: requires ${role}`);
+
+      if (auth.type === 'anonymous') {
+        return res.status(401)
+          .set('WWW-Authenticate', 'Bearer')
+          .json({
+            error: 'Authentication required',
+            message: `This endpoint requires the ${role} role; send an API key or bearer token`
+          });
+      }
+
+      res.status(403).json({
+        error: 'Forbidden',
+        message: `This endpoint requires the ${role} role`
+      });
+    };
+  }
+
+  /**
+   * Express middleware rejecting anonymous callers with 401, whatever
+   * AUTH_ANONYMOUS_ROLE grants them (e.g. for playback tokens and keys,
+   * which must not be handed to whoever asks)
+   * @returns {Function} Middleware
+   */
+  static requireAuthenticated() {
+    return (req, res, next) => {
+      const auth = req.auth || { type: 'anonymous' };
+
+      if (auth.type !== 'anonymous') {
+        return next();
+      }
+
+      logger.warn(`Access denied to ${req.method} ${req.originalUrl} for anonymous caller from ${req.ip}: requires credentials`);
+      res.status(401)
+        .set('WWW-Authenticate', 'Bearer')
+        .json({
+          error: 'Authentication required',
+          message: 'This endpoint requires credentials; send an API key or bearer token'
+        });
+    };
+  }
+}
+
+AuthService.ROLES = ROLES;
+
+module.exports = AuthService;
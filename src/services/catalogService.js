@@ -0,0 +1,404 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { withLockSync } = require('../utils/fileLock');
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 50;
+
+// Custom metadata follows S3's rules so it can be stored on R2 objects as is:
+// lowercase keys, US-ASCII values, at most 2KB in total
+const METADATA_KEY = /^[a-z0-9][a-z0-9-]{0,62}$/;
+const METADATA_VALUE = /^[\x20-\x7e]*$/;
+const MAX_METADATA_SIZE = 2048;
+
+/**
+ * Create an error carrying the HTTP status the routes should answer with
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable message
+ * @returns {Error} Error with status and code
+ */
+function catalogError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Video catalog: a stable ID per video, with its title, description, tags
+ * and owner, linking the files that make it up wherever they are stored.
+ *
+ * Entries are kept in memory and written to a JSON file (atomically, like
+ * the job store). Several processes may share the file (cluster mode: the
+ * transcoder records finished conversions while HTTP workers serve the
+ * API), so it is re-read whenever it changed on disk before an entry is
+ * read, and every change is made under a lock file (<store>.lock) on the
+ * entries as they are on disk, so no process overwrites another's update.
+ *
+ * Entries also carry custom metadata (string key/value pairs) for their
+ * local file; R2 objects keep theirs on the object.
+ *
+ * Entry links:
+ * - upload: {originalName, size, mimeType, uploadedAt} of the original upload
+ * - local: {filename, directory: 'videos'|'uploads'}
+ * - r2: {key, etag}
+ * - hls: {storage: 'local', stream} or {storage: 'r2', key}, with the
+ *   conversion's jobId, format and qualities
+ */
+class CatalogService {
+  /**
+   * @param {Object} options - Catalog options
+   * @param {string} options.storePath - JSON file used to persist the catalog
+   */
+  constructor(options = {}) {
+    this.storePath = options.storePath || path.join(__dirname, '../../data/catalog.json');
+    this.lockPath = `${this.storePath}.lock`;
+    this.entries = new Map();
+    this.loadedVersion = null;
+    this.lockDepth = 0;
+
+    this.refresh();
+  }
+
+  /**
+   * Register a new video
+   * @param {Object} fields - title, description, tags, owner and any of the links (see the class comment)
+   * @returns {Object} The new entry
+   */
+  create(fields = {}) {
+    return this.transaction(() => this.createEntry(fields));
+  }
+
+  /**
+   * Create an entry; callers hold the store lock
+   * @param {Object} fields - See create
+   * @returns {Object} The new entry
+   */
+  createEntry(fields) {
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      title: fields.title || 'Untitled',
+      description: fields.description || '',
+      tags: fields.tags || [],
+      owner: fields.owner || null,
+      metadata: fields.metadata || {},
+      createdAt: now,
+      updatedAt: now,
+      upload: fields.upload || null,
+      local: fields.local || null,
+      r2: fields.r2 || null,
+      hls: fields.hls || null
+    };
+
+    this.entries.set(entry.id, entry);
+    this.persist();
+    logger.info(`Registered video ${entry.id} (${entry.title})`);
+    return entry;
+  }
+
+  /**
+   * Get a video by ID
+   * @param {string} id - Video ID
+   * @returns {Object|null} Entry or null if unknown
+   */
+  get(id) {
+    this.refresh();
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * List videos, newest first
+   * @returns {Array<Object>} Entries
+   */
+  list() {
+    this.refresh();
+    return Array.from(this.entries.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Apply changes to a video
+   * @param {string} id - Video ID
+   * @param {Object} changes - Fields to overwrite (metadata and/or links)
+   * @returns {Object|null} Updated entry, or null if unknown
+   */
+  update(id, changes) {
+    return this.transaction(() => this.updateEntry(id, changes));
+  }
+
+  /**
+   * Change an entry; callers hold the store lock
+   * @param {string} id - Video ID
+   * @param {Object} changes - See update
+   * @returns {Object|null} Updated entry, or null if unknown
+   */
+  updateEntry(id, changes) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return null;
+    }
+
+    Object.assign(entry, changes, { id: entry.id, createdAt: entry.createdAt, updatedAt: new Date().toISOString() });
+    this.persist();
+    return entry;
+  }
+
+  /**
+   * Remove a video from the catalog (its files are left alone)
+   * @param {string} id - Video ID
+   * @returns {boolean} True if the video existed
+   */
+  remove(id) {
+    return this.transaction(() => {
+      if (!this.entries.delete(id)) {
+        return false;
+      }
+      this.persist();
+      logger.info(`Removed video ${id} from the catalog`);
+      return true;
+    });
+  }
+
+  /**
+   * Find the video a file belongs to
+   * @param {string} type - local, r2 or hls
+   * @param {string} value - Local filename, R2 key, or HLS stream name (local) / R2 key (R2 HLS)
+   * @returns {Object|null} Entry or null
+   */
+  findByLink(type, value) {
+    return this.list().find(entry => this.linkValue(entry, type) === value) || null;
+  }
+
+  /**
+   * Identifying value of one of an entry's links
+   * @param {Object} entry - Catalog entry
+   * @param {string} type - local, r2 or hls
+   * @returns {string|null} Filename, key or stream name
+   */
+  linkValue(entry, type) {
+    const link = entry[type];
+    if (!link) {
+      return null;
+    }
+    if (type === 'hls') {
+      return link.storage === 'r2' ? `r2:${link.key}` : link.stream;
+    }
+    return type === 'r2' ? link.key : link.filename;
+  }
+
+  /**
+   * Link a file to the video it belongs to: the given video, the video
+   * already linking a related file, or a new video
+   * @param {Object} params - Registration
+   * @param {string} params.videoId - Link to this video (must exist)
+   * @param {Object} params.match - {type: value} of related links to look for, e.g. {r2: key}
+   * @param {string} params.type - Link being set: local, r2 or hls
+   * @param {Object} params.link - Link value (see the class comment)
+   * @param {Object} params.fields - Fields of the video if it has to be created
+   * @returns {Object} The entry
+   */
+  register({ videoId, match = {}, type, link, fields = {} }) {
+    return this.transaction(() => this.registerEntry({ videoId, match, type, link, fields }));
+  }
+
+  /**
+   * Link a file; callers hold the store lock
+   * @param {Object} params - See register
+   * @returns {Object} The entry
+   */
+  registerEntry({ videoId, match, type, link, fields }) {
+    let entry = null;
+
+    if (videoId) {
+      entry = this.get(videoId);
+      if (!entry) {
+        throw catalogError(404, 'VIDEO_NOT_FOUND', `Video '${videoId}' not found`);
+      }
+    } else {
+      for (const [matchType, value] of Object.entries(match)) {
+        entry = value ? this.findByLink(matchType, value) : null;
+        if (entry) break;
+      }
+    }
+
+    if (!entry) {
+      return this.createEntry({ ...fields, [type]: link });
+    }
+    return this.updateEntry(entry.id, { [type]: link });
+  }
+
+  /**
+   * Drop a link from the videos that have it (e.g. after its files were
+   * deleted); videos left without any file are removed
+   * @param {string} type - local, r2 or hls
+   * @param {string} value - Value as for findByLink
+   * @returns {number} Number of entries changed
+   */
+  unlink(type, value) {
+    return this.transaction(() => {
+      const entries = this.list().filter(entry => this.linkValue(entry, type) === value);
+
+      for (const entry of entries) {
+        const updated = this.updateEntry(entry.id, { [type]: null });
+        if (!updated.local && !updated.r2 && !updated.hls) {
+          this.remove(entry.id);
+        }
+      }
+      return entries.length;
+    });
+  }
+
+  /**
+   * Apply changes to custom metadata: keys set to null are removed, others set
+   * @param {Object} current - Current metadata
+   * @param {Object} changes - {key: value or null}
+   * @returns {Object} {metadata} or {error}
+   */
+  mergeMetadata(current = {}, changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      return { error: 'metadata must be an object of string values (null removes a key)' };
+    }
+
+    const metadata = { ...current };
+    for (const [key, value] of Object.entries(changes)) {
+      if (!METADATA_KEY.test(key)) {
+        return { error: `metadata key '${key}' must be lowercase letters, digits and hyphens (at most 63)` };
+      }
+      if (value === null) {
+        delete metadata[key];
+      } else if (typeof value !== 'string' || !METADATA_VALUE.test(value)) {
+        return { error: `metadata value of '${key}' must be a printable ASCII string` };
+      } else {
+        metadata[key] = value;
+      }
+    }
+
+    const size = Object.entries(metadata).reduce((total, [key, value]) => total + key.length + value.length, 0);
+    if (size > MAX_METADATA_SIZE) {
+      return { error: `metadata may hold at most ${MAX_METADATA_SIZE} bytes of keys and values` };
+    }
+    return { metadata };
+  }
+
+  /**
+   * Validate the editable fields of a request body
+   * @param {Object} body - {title, description, tags}
+   * @param {Object} options - {partial: only validate the fields present}
+   * @returns {Object} {fields} with only known keys, or {error}
+   */
+  parseFields(body = {}, { partial = false } = {}) {
+    const fields = {};
+
+    if (body.title !== undefined || !partial) {
+      const title = typeof body.title === 'string' ? body.title.trim() : '';
+      if (!title || title.length > MAX_TITLE_LENGTH) {
+        return { error: `title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters` };
+      }
+      fields.title = title;
+    }
+
+    if (body.description !== undefined) {
+      if (typeof body.description !== 'string' || body.description.length > MAX_DESCRIPTION_LENGTH) {
+        return { error: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` };
+      }
+      fields.description = body.description;
+    }
+
+    if (body.tags !== undefined) {
+      // Multipart forms send tags as a comma-separated string
+      const tags = typeof body.tags === 'string' ? body.tags.split(',') : body.tags;
+      if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+        return { error: 'tags must be an array of strings (or a comma-separated string)' };
+      }
+
+      const normalized = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+      if (normalized.length > MAX_TAGS || normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+        return { error: `at most ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters each are allowed` };
+      }
+      fields.tags = normalized;
+    }
+
+    return { fields };
+  }
+
+  /**
+   * Whether a caller may change a video: admins, or the uploader who owns it.
+   * Files outside the catalog (entry null) can only be changed by admins.
+   * @param {Object} auth - req.auth
+   * @param {Object|null} entry - Catalog entry
+   * @returns {boolean} True if allowed
+   */
+  canModify(auth, entry) {
+    if (!auth) {
+      return false;
+    }
+    return auth.role === 'admin' || (!!entry && !!entry.owner && entry.owner === auth.subject);
+  }
+
+  /**
+   * Run a change under the store lock, on the entries as they are on disk.
+   * Nested calls (e.g. register creating an entry) reuse the lock.
+   * @param {Function} fn - Change to make
+   * @returns {*} Return value of fn
+   */
+  transaction(fn) {
+    if (this.lockDepth > 0) {
+      return fn();
+    }
+
+    return withLockSync(this.lockPath, () => {
+      this.lockDepth++;
+      try {
+        this.refresh(true);
+        return fn();
+      } finally {
+        this.lockDepth--;
+      }
+    });
+  }
+
+  /**
+   * Reload the store if another process (or an earlier run) wrote it
+   * @param {boolean} force - Reload even if the file looks unchanged
+   */
+  refresh(force = false) {
+    try {
+      const stats = fs.statSync(this.storePath);
+      const version = `${stats.mtimeMs}:${stats.size}`;
+      if (version === this.loadedVersion && !force) return;
+
+      const entries = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      this.entries = new Map(entries.map(entry => [entry.id, entry]));
+      this.loadedVersion = version;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Error loading video catalog:', error);
+      }
+    }
+  }
+
+  /**
+   * Write all entries to the store file atomically
+   */
+  persist() {
+    try {
+      fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+
+      const tmpPath = `${this.storePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(Array.from(this.entries.values()), null, 2));
+      fs.renameSync(tmpPath, this.storePath);
+
+      const stats = fs.statSync(this.storePath);
+      this.loadedVersion = `${stats.mtimeMs}:${stats.size}`;
+    } catch (error) {
+      logger.error('Error persisting video catalog:', error);
+    }
+  }
+}
+
+module.exports = CatalogService;
@@ -0,0 +1,128 @@
+const JobQueueService = require('./jobQueueService');
+
+// Job events forwarded from the transcoder to the HTTP workers
+const JOB_EVENTS = ['queued', 'running', 'progress', 'succeeded', 'failed'];
+
+/**
+ * Send a message to the cluster primary, unless the channel is already closed
+ * (the worker is shutting down)
+ * @param {Object} message - Message
+ */
+function send(message) {
+  if (process.connected) {
+    process.send(message);
+  }
+}
+
+/**
+ * Job queue of an HTTP worker in cluster mode (see cluster.js).
+ *
+ * Jobs are only run by the transcoder worker. This queue keeps a mirror of
+ * the transcoder's jobs, updated over IPC through the primary, so routes can
+ * list, poll and wait for jobs synchronously as with a local queue. New jobs
+ * are created here and handed to the transcoder. Nothing is persisted or
+ * executed locally.
+ */
+class ClusterJobQueue extends JobQueueService {
+  constructor(options = {}) {
+    super(options);
+
+    process.on('message', message => this.receive(message));
+    send({ cmd: 'jobs:sync' });
+  }
+
+  /**
+   * Jobs come from the transcoder's snapshot instead of the store file
+   */
+  load() {}
+
+  persist() {}
+
+  schedulePersist() {}
+
+  processNext() {}
+
+  /**
+   * Add a job to the mirror and hand it to the transcoder
+   * @param {Object} job - Queued job
+   * @returns {Object} The queued job
+   */
+  add(job) {
+    super.add(job);
+    send({ cmd: 'jobs:enqueue', job });
+    return job;
+  }
+
+  /**
+   * Handle a message relayed by the primary
+   * @param {Object} message - {cmd: 'jobs:update', job} or {cmd: 'jobs:snapshot', jobs}
+   */
+  receive(message) {
+    if (!message || typeof message !== 'object') return;
+
+    if (message.cmd === 'jobs:update') {
+      this.apply(message.job);
+    } else if (message.cmd === 'jobs:snapshot') {
+      const ids = new Set(message.jobs.map(job => job.id));
+      message.jobs.forEach(job => this.apply(job));
+
+      // Finished jobs the transcoder has pruned; queued ones may still be on their way to it
+      for (const job of this.jobs.values()) {
+        if (!ids.has(job.id) && (job.state === 'succeeded' || job.state === 'failed')) {
+          this.jobs.delete(job.id);
+        }
+      }
+    }
+  }
+
+  /**
+   * Merge a job update into the mirror and emit the event a local queue would
+   * @param {Object} update - Job as sent by the transcoder
+   */
+  apply(update) {
+    const job = this.jobs.get(update.id);
+    const previousState = job ? job.state : null;
+    const current = job ? Object.assign(job, update) : update;
+
+    if (!job) {
+      this.jobs.set(current.id, current);
+    }
+
+    if (current.state !== previousState) {
+      this.emit(current.state, current);
+    } else if (current.state === 'running') {
+      this.emit('progress', current);
+    }
+
+    if (current.state === 'succeeded' || current.state === 'failed') {
+      this.prune();
+    }
+  }
+
+  /**
+   * Publish a queue's jobs to the HTTP workers and take jobs from them; used
+   * by the transcoder worker
+   * @param {JobQueueService} queue - Queue running the jobs
+   */
+  static serve(queue) {
+    const snapshot = () => send({ cmd: 'jobs:snapshot', jobs: queue.listJobs() });
+
+    for (const event of JOB_EVENTS) {
+      queue.on(event, job => send({ cmd: 'jobs:update', job }));
+    }
+
+    process.on('message', (message) => {
+      if (!message || typeof message !== 'object') return;
+
+      if (message.cmd === 'jobs:enqueue') {
+        queue.add(message.job);
+      } else if (message.cmd === 'jobs:sync') {
+        snapshot();
+      }
+    });
+
+    snapshot();
+  }
+}
+
+module.exports = ClusterJobQueue;
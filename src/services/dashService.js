@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const { AAC_CODEC } = require('../utils/encodingLadder');
+
+/**
+ * MPEG-DASH manifests for CMAF streams.
+ *
+ * A CMAF conversion writes fMP4 init and media segments per rendition and
+ * an HLS playlist for each; the MPD describes the same segments, so one
+ * set of files serves both HLS and DASH players. Segment URLs in the MPD
+ * are relative to the manifest (`<rendition>/segment_000.m4s`).
+ */
+class DashService {
+  /**
+   * Write manifest.mpd for a converted stream
+   * @param {string} outputDir - Stream directory
+   * @param {Array<Object>} representations - See buildManifest
+   * @returns {string} Manifest path
+   */
+  writeManifest(outputDir, representations) {
+    const withCodecs = representations.map(representation => ({
+      ...representation,
+      codecs: representation.codecs || (representation.type === 'audio'
+        ? AAC_CODEC
+        : this.getVideoCodecString(path.join(outputDir, representation.initialization)))
+    }));
+
+    const manifestPath = path.join(outputDir, 'manifest.mpd');
+    fs.writeFileSync(manifestPath, this.buildManifest(withCodecs));
+    return manifestPath;
+  }
+
+  /**
+   * Build a static (VOD) MPD: one adaptation set for the video renditions,
+   * and one per audio rendition (each is a language of its own)
+   * @param {Array<Object>} representations - Renditions as {id, type ('video'|'audio'),
+   *   bandwidth, width, height, frameRate, codecs, initialization, media, startNumber, segments: [{duration}]};
+   *   audio ones may have language, label and default
+   * @returns {string} MPD XML
+   */
+  buildManifest(representations) {
+    const duration = Math.max(...representations.map(representation =>
+      representation.segments.reduce((total, segment) => total + segment.duration, 0)
+    ));
+    const maxSegmentDuration = Math.max(...representations.flatMap(representation =>
+      representation.segments.map(segment => segment.duration)
+    ));
+
+    const video = representations.filter(representation => representation.type === 'video');
+    const audio = representations.filter(representation => representation.type === 'audio');
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" profiles="urn:mpeg:dash:profile:isoff-live:2011" type="static"',
+      `     mediaPresentationDuration="${this.formatDuration(duration)}" minBufferTime="${this.formatDuration(Math.ceil(maxSegmentDuration))}">`,
+      '  <Period id="0" start="PT0S">'
+    ];
+
+    if (video.length) {
+      lines.push(`    <AdaptationSet id="0" contentType="video" mimeType="video/mp4" segmentAlignment="true" startWithSAP="1"` +
+        ` maxWidth="${Math.max(...video.map(item => item.width))}" maxHeight="${Math.max(...video.map(item => item.height))}">`);
+      for (const representation of video) {
+        lines.push(`      <Representation id="${this.escape(representation.id)}" bandwidth="${representation.bandwidth}"` +
+          ` width="${representation.width}" height="${representation.height}"` +
+          `${representation.frameRate ? ` frameRate="${this.formatFrameRate(representation.frameRate)}"` : ''}` +
+          ` sar="1:1" codecs="${representation.codecs}">`);
+        lines.push(...this.buildSegmentTemplate(representation, '        '));
+        lines.push('      </Representation>');
+      }
+      lines.push('    </AdaptationSet>');
+    }
+
+    audio.forEach((representation, index) => {
+      lines.push(`    <AdaptationSet id="${index + 1}" contentType="audio" mimeType="audio/mp4"` +
+        `${representation.language ? ` lang="${this.escape(representation.language)}"` : ''} segmentAlignment="true" startWithSAP="1">`);
+      // Label is a RepresentationBase element, so it precedes Role in the schema's sequence
+      if (representation.label) {
+        lines.push(`      <Label>${this.escape(representation.label)}</Label>`);
+      }
+      if (audio.length > 1) {
+        lines.push(`      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="${representation.default ? 'main' : 'alternate'}"/>`);
+      }
+      lines.push(`      <Representation id="${this.escape(representation.id)}" bandwidth="${representation.bandwidth}"` +
+        ` codecs="${representation.codecs}" audioSamplingRate="${representation.sampleRate || 48000}">`);
+      lines.push(`        <AudioChannelConfiguration schemeIdUri="urn:mpeg:dash:23003:3:audio_channel_configuration:2011" value="${representation.channels || 2}"/>`);
+      lines.push(...this.buildSegmentTemplate(representation, '        '));
+      lines.push('      </Representation>');
+      lines.push('    </AdaptationSet>');
+    });
+
+    lines.push('  </Period>', '</MPD>', '');
+    return lines.join('\n');
+  }
+
+  /**
+   * SegmentTemplate with a SegmentTimeline in milliseconds. Durations are
+   * taken from the cumulative timeline so rounding does not drift.
+   * @param {Object} representation - Representation (see buildManifest)
+   * @param {string} indent - Indentation of the element
+   * @returns {Array<string>} XML lines
+   */
+  buildSegmentTemplate(representation, indent) {
+    const timeline = [];
+    let elapsed = 0;
+
+    for (const segment of representation.segments) {
+      const start = Math.round(elapsed * 1000);
+      elapsed += segment.duration;
+      const duration = Math.round(elapsed * 1000) - start;
+
+      const previous = timeline[timeline.length - 1];
+      if (previous && previous.d === duration) {
+        previous.r++;
+      } else {
+        timeline.push({ t: start, d: duration, r: 0 });
+      }
+    }
+
+    return [
+      `${indent}<SegmentTemplate timescale="1000" initialization="${this.escape(representation.initialization)}"` +
+        ` media="${this.escape(representation.media)}" startNumber="${representation.startNumber}">`,
+      `${indent}  <SegmentTimeline>`,
+      ...timeline.map(entry => `${indent}    <S t="${entry.t}" d="${entry.d}"${entry.r ? ` r="${entry.r}"` : ''}/>`),
+      `${indent}  </SegmentTimeline>`,
+      `${indent}</SegmentTemplate>`
+    ];
+  }
+
+  /**
+   * RFC 6381 codec string of the H.264 track in an fMP4 init segment, read
+   * from its avcC box (profile, constraint flags and level)
+   * @param {string} initPath - Init segment path
+   * @returns {string} Codec string, e.g. avc1.64001f
+   */
+  getVideoCodecString(initPath) {
+    const data = fs.readFileSync(initPath);
+    const offset = data.indexOf('avcC');
+    if (offset === -1 || offset + 8 > data.length) {
+      throw new Error(`No avcC box found in ${initPath}`);
+    }
+
+    // avcC payload: configurationVersion, AVCProfileIndication, profile_compatibility, AVCLevelIndication
+    const hex = byte => byte.toString(16).padStart(2, '0');
+    return `avc1.${hex(data[offset + 5])}${hex(data[offset + 6])}${hex(data[offset + 7])}`;
+  }
+
+  /**
+   * Rewrite the initialization and media URLs of a manifest
+   * @param {string} manifest - MPD XML
+   * @param {Function} mapUri - (uri) => new uri (the result is XML-escaped)
+   * @returns {string} Rewritten manifest
+   */
+  rewriteManifestUrls(manifest, mapUri) {
+    return manifest.replace(/\b(initialization|media)="([^"]*)"/g, (match, attribute, uri) =>
+      `${attribute}="${this.escape(mapUri(uri.replace(/&amp;/g, '&')))}"`
+    );
+  }
+
+  /**
+   * MPD frame rate: an integer, or a fraction (30000/1001 for NTSC rates)
+   * @param {number} frameRate - Frames per second
+   * @returns {string} Frame rate
+   */
+  formatFrameRate(frameRate) {
+    if (Number.isInteger(frameRate)) {
+      return String(frameRate);
+    }
+    const ntsc = Math.round(frameRate * 1.001);
+    return Math.abs(ntsc / 1.001 - frameRate) < 0.01 ? `${ntsc * 1000}/1001` : `${Math.round(frameRate * 1000)}/1000`;
+  }
+
+  /**
+   * ISO 8601 duration, e.g. PT12.345S
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} Duration
+   */
+  formatDuration(seconds) {
+    return `PT${Math.round(seconds * 1000) / 1000}S`;
+  }
+
+  /**
+   * Escape a value for an XML attribute
+   * @param {string} value - Attribute value
+   * @returns {string} Escaped value
+   */
+  escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = DashService;
@@ -0,0 +1,405 @@
+const fs = require('fs');
+const path = require('path');
+const HLSService = require('./hlsService');
+const R2StreamService = require('./r2StreamService');
+const ThumbnailService = require('./thumbnailService');
+const VideoStreamService = require('./videoStreamService');
+const transcodeQueue = require('./transcodeQueue');
+const videoCatalog = require('./videoCatalog');
+const logger = require('../utils/logger');
+
+/**
+ * Create an error carrying the HTTP status the routes should answer with
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable message
+ * @returns {Error} Error with status and code
+ */
+function fileError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// Response titles of the error codes thrown by the service
+const ERROR_TITLES = {
+  INVALID_FILE: 'Invalid file type',
+  INVALID_KEY: 'Invalid key',
+  NOT_FOUND: 'Video not found',
+  INVALID_DESTINATION: 'Invalid destination',
+  INVALID_METADATA: 'Invalid metadata',
+  FILE_EXISTS: 'File already exists',
+  FORBIDDEN: 'Forbidden',
+  JOB_IN_PROGRESS: 'Job in progress',
+  CONVERSION_IN_PROGRESS: 'Conversion in progress',
+  STREAM_LIVE: 'Stream is live'
+};
+
+/**
+ * Whether a job has not finished yet
+ * @param {Object} job - Job
+ * @returns {boolean} True if queued or running
+ */
+function isActive(job) {
+  return job.state === 'queued' || job.state === 'running';
+}
+
+/**
+ * Delete, move, copy and update the custom metadata of stored videos: local
+ * files in videos/ and R2 objects.
+ *
+ * The catalog follows along: moved files keep their video, copies become new
+ * videos, and deleted files are unlinked (with the video once it has no file
+ * left). A delete can cascade to the HLS stream converted from the file, as
+ * recorded in the catalog; for R2 objects this is also the HLS output under
+ * the object's R2_HLS_PREFIX. Files a queued or running job reads or writes
+ * are left alone (409).
+ *
+ * Callers may change a file if they may modify the video it belongs to;
+ * files outside the catalog only by admins.
+ */
+class FileManagementService {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.videosDir - Directory of local videos
+   */
+  constructor(options = {}) {
+    this.videosDir = options.videosDir || path.join(__dirname, '../../videos');
+    this.hlsService = new HLSService();
+    this.r2Service = new R2StreamService();
+    this.thumbnailService = new ThumbnailService();
+  }
+
+  /**
+   * Delete a local video, its thumbnails and optionally its HLS stream
+   * @param {string} filename - File in videos/
+   * @param {Object} options - {auth: req.auth, cascade: also delete the derived HLS stream}
+   * @returns {Promise<Object>} {filename, videoId, hls: deleted stream or null}
+   */
+  async deleteLocal(filename, { auth, cascade = false } = {}) {
+    const filePath = this.resolveLocal(filename);
+    const entry = this.findLocalEntry(filename);
+    this.checkPermission(auth, entry);
+    this.checkLocalJobs(filename, filePath);
+
+    const hls = cascade && entry && entry.hls && entry.hls.storage === 'local' ? entry.hls : null;
+    if (hls) {
+      await this.deleteHls(hls);
+    }
+
+    fs.unlinkSync(filePath);
+    fs.rmSync(this.thumbnailService.getVideoThumbnailsDir(filename), { recursive: true, force: true });
+    videoCatalog.unlink('local', filename);
+    logger.info(`Deleted local video ${filename}${hls ? ' and its HLS stream' : ''}`);
+
+    return { filename, videoId: entry ? entry.id : null, hls: hls ? this.describeHls(hls) : null };
+  }
+
+  /**
+   * Rename a local video, or copy it to a new file
+   * @param {string} filename - File in videos/
+   * @param {string} destination - New file name in videos/
+   * @param {Object} options - {auth: req.auth, copy: keep the original}
+   * @returns {Promise<Object>} {filename, source, videoId}
+   */
+  async moveLocal(filename, destination, { auth, copy = false } = {}) {
+    const filePath = this.resolveLocal(filename);
+    const entry = this.findLocalEntry(filename);
+    if (!copy) {
+      this.checkPermission(auth, entry);
+      this.checkLocalJobs(filename, filePath);
+    }
+
+    const destName = typeof destination === 'string' ? destination.trim() : '';
+    if (!destName || path.basename(destName) !== destName || !VideoStreamService.isValidVideoFile(destName)) {
+      throw fileError(400, 'INVALID_DESTINATION', 'destination must be a video file name (no directories)');
+    }
+    const destPath = path.join(this.videosDir, destName);
+    if (fs.existsSync(destPath)) {
+      throw fileError(409, 'FILE_EXISTS', `Video file '${destName}' already exists`);
+    }
+
+    let videoId;
+    if (copy) {
+      fs.copyFileSync(filePath, destPath, fs.constants.COPYFILE_EXCL);
+      videoId = videoCatalog.create({
+        ...this.copyFields(entry, path.parse(destName).name, auth),
+        local: { filename: destName, directory: 'videos' }
+      }).id;
+    } else {
+      fs.renameSync(filePath, destPath);
+      const thumbnailsDir = this.thumbnailService.getVideoThumbnailsDir(filename);
+      if (fs.existsSync(thumbnailsDir)) {
+        fs.renameSync(thumbnailsDir, this.thumbnailService.getVideoThumbnailsDir(destName));
+      }
+      if (entry) {
+        videoCatalog.update(entry.id, { local: { ...entry.local, filename: destName } });
+      }
+      videoId = entry ? entry.id : null;
+    }
+
+    logger.info(`${copy ? 'Copied' : 'Moved'} local video ${filename} to ${destName}`);
+    return { filename: destName, source: filename, videoId };
+  }
+
+  /**
+   * Update the custom metadata of a local video, kept on its catalog entry
+   * (a file outside the catalog is registered)
+   * @param {string} filename - File in videos/
+   * @param {Object} changes - {key: value or null to remove}
+   * @param {Object} options - {auth: req.auth}
+   * @returns {Object} {filename, videoId, metadata}
+   */
+  updateLocalMetadata(filename, changes, { auth } = {}) {
+    this.resolveLocal(filename);
+    let entry = this.findLocalEntry(filename);
+    this.checkPermission(auth, entry);
+
+    const { metadata, error } = videoCatalog.mergeMetadata(entry ? entry.metadata : {}, changes);
+    if (error) {
+      throw fileError(400, 'INVALID_METADATA', error);
+    }
+
+    entry = entry
+      ? videoCatalog.update(entry.id, { metadata })
+      : videoCatalog.create({
+        title: path.parse(filename).name,
+        owner: auth ? auth.subject : null,
+        metadata,
+        local: { filename, directory: 'videos' }
+      });
+
+    return { filename, videoId: entry.id, metadata: entry.metadata };
+  }
+
+  /**
+   * Delete an R2 object and optionally its HLS output
+   * @param {string} key - Object key
+   * @param {Object} options - {auth: req.auth, cascade: also delete the derived HLS stream}
+   * @returns {Promise<Object>} {key, videoId, hls: deleted stream or null}
+   */
+  async deleteR2(key, { auth, cascade = false } = {}) {
+    await this.resolveR2(key);
+    const entry = videoCatalog.findByLink('r2', key);
+    this.checkPermission(auth, entry);
+    this.checkR2Jobs(key);
+
+    // Conversions of an R2 object are written under its HLS prefix (that of its key when it was converted)
+    const hls = cascade
+      ? (entry && entry.hls && entry.hls.storage === 'r2' ? entry.hls : { storage: 'r2', key })
+      : null;
+    if (hls) {
+      await this.deleteHls(hls);
+    }
+
+    await this.r2Service.deleteObject(key);
+    videoCatalog.unlink('r2', key);
+
+    return { key, videoId: entry ? entry.id : null, hls: hls ? this.describeHls(hls) : null };
+  }
+
+  /**
+   * Move (CopyObject then DeleteObject) or copy an R2 object to a new key.
+   * HLS output stays under the original key's prefix.
+   * @param {string} key - Object key
+   * @param {string} destination - New key
+   * @param {Object} options - {auth: req.auth, copy: keep the original}
+   * @returns {Promise<Object>} {key, source, etag, videoId}
+   */
+  async moveR2(key, destination, { auth, copy = false } = {}) {
+    await this.resolveR2(key);
+    const entry = videoCatalog.findByLink('r2', key);
+    if (!copy) {
+      this.checkPermission(auth, entry);
+      this.checkR2Jobs(key);
+    }
+
+    const destKey = typeof destination === 'string' ? destination.trim() : '';
+    if (!destKey || destKey.startsWith('/') || destKey === key || !this.r2Service.isVideoFile(destKey)) {
+      throw fileError(400, 'INVALID_DESTINATION', 'destination must be a new object key with a video extension');
+    }
+    if (await this.r2Service.objectExists(destKey)) {
+      throw fileError(409, 'FILE_EXISTS', `Object '${destKey}' already exists`);
+    }
+
+    const result = await this.r2Service.copyObject(key, destKey);
+    let videoId;
+
+    if (copy) {
+      videoId = videoCatalog.create({
+        ...this.copyFields(entry, path.parse(destKey).name, auth),
+        r2: { key: destKey, etag: result.etag || null }
+      }).id;
+    } else {
+      await this.r2Service.deleteObject(key);
+      if (entry) {
+        videoCatalog.update(entry.id, { r2: { key: destKey, etag: result.etag || null } });
+      }
+      videoId = entry ? entry.id : null;
+    }
+
+    return { key: destKey, source: key, etag: result.etag || null, videoId };
+  }
+
+  /**
+   * Update the custom metadata of an R2 object in place (CopyObject onto itself)
+   * @param {string} key - Object key
+   * @param {Object} changes - {key: value or null to remove}
+   * @param {Object} options - {auth: req.auth}
+   * @returns {Promise<Object>} {key, etag, metadata}
+   */
+  async updateR2Metadata(key, changes, { auth } = {}) {
+    const current = await this.resolveR2(key);
+    const entry = videoCatalog.findByLink('r2', key);
+    this.checkPermission(auth, entry);
+
+    const { metadata, error } = videoCatalog.mergeMetadata(current.metadata, changes);
+    if (error) {
+      throw fileError(400, 'INVALID_METADATA', error);
+    }
+
+    const result = await this.r2Service.copyObject(key, key, { metadata });
+    if (entry) {
+      videoCatalog.update(entry.id, { r2: { ...entry.r2, etag: result.etag || null } });
+    }
+
+    return { key, etag: result.etag || null, metadata: result.metadata };
+  }
+
+  /**
+   * Delete a derived HLS stream (local directory or R2 prefix) and its keys
+   * @param {Object} hls - Catalog HLS link
+   */
+  async deleteHls(hls) {
+    if (hls.storage === 'r2') {
+      if (transcodeQueue.findLatest(job => isActive(job) && job.type === 'r2-hls-convert' && job.input.key === hls.key)) {
+        throw fileError(409, 'CONVERSION_IN_PROGRESS', `An HLS conversion of '${hls.key}' is queued or running`);
+      }
+      await this.r2Service.deleteHLS(hls.key);
+      this.hlsService.encryptionService.deleteKeys(`r2:${hls.key}`);
+      videoCatalog.unlink('hls', `r2:${hls.key}`);
+      return;
+    }
+
+    const liveStatus = this.hlsService.getLiveStatus(hls.stream);
+    if (liveStatus && liveStatus.state === 'live') {
+      throw fileError(409, 'STREAM_LIVE', `Stop live stream '${hls.stream}' before deleting it`);
+    }
+    if (transcodeQueue.findLatest(job => isActive(job) && job.type === 'hls-convert' && job.input.outputName === hls.stream)) {
+      throw fileError(409, 'CONVERSION_IN_PROGRESS', `An HLS conversion to '${hls.stream}' is queued or running`);
+    }
+    await this.hlsService.deleteStream(hls.stream);
+    videoCatalog.unlink('hls', hls.stream);
+  }
+
+  /**
+   * Path of a local video, which must exist
+   * @param {string} filename - File name
+   * @returns {string} File path
+   */
+  resolveLocal(filename) {
+    if (path.basename(filename) !== filename || !VideoStreamService.isValidVideoFile(filename)) {
+      throw fileError(400, 'INVALID_FILE', 'Only video files in videos/ can be managed');
+    }
+    const filePath = path.join(this.videosDir, filename);
+    if (!fs.existsSync(filePath)) {
+      throw fileError(404, 'NOT_FOUND', `Video file '${filename}' not found`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Metadata of an R2 video, which must exist
+   * @param {string} key - Object key
+   * @returns {Promise<Object>} Metadata (see R2StreamService.getVideoMetadata)
+   */
+  async resolveR2(key) {
+    if (!this.r2Service.isVideoFile(key)) {
+      throw fileError(400, 'INVALID_FILE', 'Only video objects can be managed');
+    }
+    try {
+      return await this.r2Service.getVideoMetadata(key);
+    } catch (error) {
+      if (error.code === 'NOT_FOUND') {
+        throw fileError(404, 'NOT_FOUND', `Object '${key}' not found in R2`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Catalog entry of a file in videos/
+   * @param {string} filename - File name
+   * @returns {Object|null} Entry or null
+   */
+  findLocalEntry(filename) {
+    const entry = videoCatalog.findByLink('local', filename);
+    return entry && entry.local.directory === 'videos' ? entry : null;
+  }
+
+  /**
+   * Reject callers that may not change the file's video
+   * @param {Object} auth - req.auth
+   * @param {Object|null} entry - Catalog entry of the file
+   */
+  checkPermission(auth, entry) {
+    if (!videoCatalog.canModify(auth, entry)) {
+      throw fileError(403, 'FORBIDDEN', entry
+        ? 'Only the owner of this video or an admin can change it'
+        : 'Only admins can change files that are not in the catalog');
+    }
+  }
+
+  /**
+   * Reject changes to a local file a conversion or thumbnail job uses
+   */
+  checkLocalJobs(filename, filePath) {
+    const job = transcodeQueue.findLatest(candidate => isActive(candidate) && (
+      (candidate.type === 'hls-convert' && path.resolve(candidate.input.inputPath) === filePath) ||
+      (candidate.type === 'thumbnails' && candidate.input.filename === filename)
+    ));
+    if (job) {
+      throw fileError(409, 'JOB_IN_PROGRESS', `A ${job.type} job using '${filename}' is ${job.state}`);
+    }
+  }
+
+  /**
+   * Reject changes to an R2 object a conversion is reading
+   */
+  checkR2Jobs(key) {
+    if (transcodeQueue.findLatest(job => isActive(job) && job.type === 'r2-hls-convert' && job.input.key === key)) {
+      throw fileError(409, 'JOB_IN_PROGRESS', `An HLS conversion of '${key}' is queued or running`);
+    }
+  }
+
+  /**
+   * Fields of the video created for a copy
+   * @param {Object|null} entry - Catalog entry of the original
+   * @param {string} title - Title if the original is not catalogued
+   * @param {Object} auth - req.auth of the caller, who owns the copy
+   * @returns {Object} Fields for CatalogService.create
+   */
+  copyFields(entry, title, auth) {
+    return {
+      title: entry ? entry.title : title,
+      description: entry ? entry.description : '',
+      tags: entry ? entry.tags : [],
+      metadata: (entry && entry.metadata) || {},
+      owner: auth ? auth.subject : null
+    };
+  }
+
+  /**
+   * Identify a deleted HLS stream in responses
+   * @param {Object} hls - Catalog HLS link
+   * @returns {string} Stream name, or r2:<key>
+   */
+  describeHls(hls) {
+    return hls.storage === 'r2' ? `r2:${hls.key}` : hls.stream;
+  }
+}
+
+FileManagementService.ERROR_TITLES = ERROR_TITLES;
+
+module.exports = FileManagementService;
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const logger = require('../utils/logger');
+
+/**
+ * AES-128 encryption of HLS segments with per-stream key storage.
+ *
+ * Segments are encrypted in place after ffmpeg has written a rendition
+ * (AES-128-CBC, PKCS#7 padding, IV = media sequence number as the HLS spec
+ * defaults to), and an #EXT-X-KEY tag is inserted wherever the key changes.
+ * Keys rotate every N segments and are shared by all renditions of a
+ * stream, so key N covers the same time span in every rendition.
+ *
+ * Keys live outside the served directories in <directory>/<stream>.json and
+ * are only handed out by the key endpoint.
+ */
+class HLSEncryptionService {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.directory - Where key files are kept
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.HLS_KEY_STORE_DIR || path.join(__dirname, '../../data/hls-keys');
+    this.defaultRotateEvery = parseInt(process.env.HLS_KEY_ROTATION_SEGMENTS) || 0;
+  }
+
+  /**
+   * Encrypt every segment of a rendition and add #EXT-X-KEY tags to its playlist
+   * @param {string} streamId - Stream identifier (stream name, or r2:<key>)
+   * @param {string} renditionDir - Directory holding playlist.m3u8 and its segments
+   * @param {Object} options - Encryption options
+   * @param {number} options.rotateEvery - Segments per key; 0 uses a single key
+   * @param {string} options.keyUriPrefix - Key URI relative to the playlist (default: ../key/)
+   * @returns {Promise<Object>} {segments, keys}
+   */
+  async encryptRendition(streamId, renditionDir, options = {}) {
+    const rotateEvery = parseInt(options.rotateEvery ?? this.defaultRotateEvery) || 0;
+    const keyUriPrefix = options.keyUriPrefix || '../key/';
+    const playlistPath = path.join(renditionDir, 'playlist.m3u8');
+    const lines = fs.readFileSync(playlistPath, 'utf8').split('\n');
+
+    if (lines.some(line => line.startsWith('#EXT-X-KEY'))) {
+      throw new Error(`Rendition ${renditionDir} is already encrypted`);
+    }
+
+    const sequenceTag = lines.find(line => line.startsWith('#EXT-X-MEDIA-SEQUENCE:'));
+    const mediaSequence = sequenceTag ? parseInt(sequenceTag.split(':')[1]) || 0 : 0;
+
+    const output = [];
+    const keysUsed = new Set();
+    let segmentIndex = 0;
+    let currentKeyId = null;
+    let pendingTags = [];
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+
+      if (!trimmed || trimmed.startsWith('#')) {
+        // Hold segment tags (#EXTINF, discontinuities) until we know if a key tag must precede them
+        if (trimmed.startsWith('#EXTINF') || trimmed.startsWith('#EXT-X-DISCONTINUITY')) {
+          pendingTags.push(line);
+        } else {
+          output.push(...pendingTags, line);
+          pendingTags = [];
+        }
+        continue;
+      }
+
+      const keyIndex = rotateEvery > 0 ? Math.floor(segmentIndex / rotateEvery) : 0;
+      const { id, key } = this.getOrCreateKey(streamId, keyIndex);
+
+      if (id !== currentKeyId) {
+        output.push(`#EXT-X-KEY:METHOD=AES-128,URI="${keyUriPrefix}${id}"`);
+        currentKeyId = id;
+        keysUsed.add(id);
+      }
+
+      await this.encryptSegment(path.join(renditionDir, trimmed), key, mediaSequence + segmentIndex);
+      output.push(...pendingTags, line);
+      pendingTags = [];
+      segmentIndex++;
+    }
+    output.push(...pendingTags);
+
+    // #EXT-X-KEY with METHOD=AES-128 and no IV needs protocol version 2 or later
+    const playlist = output.join('\n').replace(/^#EXT-X-VERSION:1$/m, '#EXT-X-VERSION:3');
+    const tmpPath = `${playlistPath}.tmp`;
+    fs.writeFileSync(tmpPath, playlist);
+    fs.renameSync(tmpPath, playlistPath);
+
+    logger.info(`Encrypted ${segmentIndex} segments of ${streamId}/${path.basename(renditionDir)} with ${keysUsed.size} key(s)`);
+    return { segments: segmentIndex, keys: keysUsed.size };
+  }
+
+  /**
+   * Encrypt one segment file in place
+   * @param {string} segmentPath - Segment file
+   * @param {Buffer} key - 16-byte AES key
+   * @param {number} sequenceNumber - Media sequence number, used as the IV
+   */
+  async encryptSegment(segmentPath, key, sequenceNumber) {
+    const iv = Buffer.alloc(16);
+    iv.writeUInt32BE(sequenceNumber >>> 0, 12);
+
+    const tmpPath = `${segmentPath}.enc`;
+    try {
+      await pipeline(
+        fs.createReadStream(segmentPath),
+        crypto.createCipheriv('aes-128-cbc', key, iv),
+        fs.createWriteStream(tmpPath)
+      );
+      fs.renameSync(tmpPath, segmentPath);
+    } finally {
+      fs.rmSync(tmpPath, { force: true });
+    }
+  }
+
+  /**
+   * Get the key for a rotation index, creating it on first use
+   * @param {string} streamId - Stream identifier
+   * @param {number} index - Rotation index
+   * @returns {Object} {id, key}
+   */
+  getOrCreateKey(streamId, index) {
+    // Synchronous read-modify-write, so renditions encrypting in parallel share keys
+    const store = this.readStore(streamId) || { streamId, keys: [] };
+
+    while (store.keys.length <= index) {
+      store.keys.push({
+        id: crypto.randomBytes(8).toString('hex'),
+        key: crypto.randomBytes(16).toString('hex'),
+        createdAt: new Date().toISOString()
+      });
+    }
+    this.writeStore(streamId, store);
+
+    const entry = store.keys[index];
+    return { id: entry.id, key: Buffer.from(entry.key, 'hex') };
+  }
+
+  /**
+   * Look up a stream key by ID
+   * @param {string} streamId - Stream identifier
+   * @param {string} keyId - Key ID from the playlist
+   * @returns {Buffer|null} 16-byte key, or null if unknown
+   */
+  getKey(streamId, keyId) {
+    const store = this.readStore(streamId);
+    const entry = store && store.keys.find(item => item.id === keyId);
+    return entry ? Buffer.from(entry.key, 'hex') : null;
+  }
+
+  /**
+   * Whether a stream has encryption keys
+   * @param {string} streamId - Stream identifier
+   * @returns {boolean} True if keys are stored for the stream
+   */
+  hasKeys(streamId) {
+    return fs.existsSync(this.storePath(streamId));
+  }
+
+  /**
+   * Remove all keys of a stream
+   * @param {string} streamId - Stream identifier
+   */
+  deleteKeys(streamId) {
+    const storePath = this.storePath(streamId);
+    if (fs.existsSync(storePath)) {
+      fs.rmSync(storePath, { force: true });
+      logger.info(`Deleted encryption keys for stream: ${streamId}`);
+    }
+  }
+
+  /**
+   * Read a stream's key file
+   * @param {string} streamId - Stream identifier
+   * @returns {Object|null} Key store, or null if the stream has no keys
+   */
+  readStore(streamId) {
+    const storePath = this.storePath(streamId);
+    return fs.existsSync(storePath) ? JSON.parse(fs.readFileSync(storePath, 'utf8')) : null;
+  }
+
+  /**
+   * Write a stream's key file (owner-readable only)
+   * @param {string} streamId - Stream identifier
+   * @param {Object} store - Key store
+   */
+  writeStore(streamId, store) {
+    fs.mkdirSync(this.directory, { recursive: true, mode: 0o700 });
+
+    const storePath = this.storePath(streamId);
+    const tmpPath = `${storePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(store, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, storePath);
+  }
+
+  /**
+   * Path of a stream's key file
+   * @param {string} streamId - Stream identifier
+   * @returns {string} File path
+   */
+  storePath(streamId) {
+    return path.join(this.directory, `${encodeURIComponent(streamId)}.json`);
+  }
+}
+
+module.exports = HLSEncryptionService;
@@ -3,14 +3,44 @@ const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const MediaProbeService = require('./mediaProbeService');
+const ThumbnailService = require('./thumbnailService');
+const HLSEncryptionService = require('./hlsEncryptionService');
+const DashService = require('./dashService');
+const SubtitleService = require('./subtitleService');
+const encodingLadder = require('../utils/encodingLadder');
+const { getArtefactStorage } = require('./storage');
 
 const mkdir = promisify(fs.mkdir);
 const readdir = promisify(fs.readdir);
 const stat = promisify(fs.stat);
 
+// Ladder for live streams and for sources that cannot be probed; probed VOD
+// sources get the full ladder (up to 2160p) fitted to their resolution
+const DEFAULT_QUALITIES = encodingLadder.LADDER.filter(quality => quality.height <= 720);
+
+// Segment formats: MPEG-TS, or fMP4 (CMAF) shared by HLS and DASH
+const SEGMENT_FORMATS = ['ts', 'cmaf'];
+
+// The shared audio rendition of CMAF streams
+const CMAF_AUDIO = { name: 'audio', audioBitrate: '128k' };
+
+// Audio-only renditions: CMAF_AUDIO, or audio_<language> for each track of a multi-track source
+const AUDIO_RENDITION = /^audio(_[\w-]+)?$/;
+
 class HLSService {
   constructor() {
-    this.hlsDir = path.join(__dirname, '../../hls');
+    // ffmpeg and live ingest write into hlsDir; reading, listing and deleting
+    // streams goes through its storage backend
+    this.storage = getArtefactStorage('local-hls');
+    this.hlsDir = this.storage.root;
+    this.thumbnailService = new ThumbnailService();
+    this.encryptionService = new HLSEncryptionService();
+    this.dashService = new DashService();
+    this.subtitleService = new SubtitleService();
+    // Stream sizes by name, with the directory version they were measured at
+    this.streamSizes = new Map();
     this.ensureHLSDirectory();
     
     // Set FFmpeg paths if specified in environment
@@ -38,115 +68,575 @@ class HLSService {
    * @param {string} inputPath - Path to input video file
    * @param {string} outputName - Output name (without extension)
    * @param {Object} options - Conversion options
+   * @param {string} options.outputDir - Write output here instead of hls/<outputName>
+   * @param {Function} options.onProgress - Called with (qualityName, progress) for each ffmpeg progress event
+   * @param {boolean|Object} options.thumbnails - Also generate a poster and storyboard into <output>/thumbnails
+   *   (true, or ThumbnailService.generate options)
+   * @param {boolean|Object} options.encryption - Encrypt segments with AES-128 (true, or {rotateEvery: segments per key})
+   * @param {string} options.streamId - Identifier the encryption keys are stored under (default: outputName)
+   * @param {string} options.format - 'ts' (default) or 'cmaf': fMP4 segments with video-only renditions,
+   *   a shared audio rendition and a DASH manifest.mpd next to the HLS playlists
+   * @param {Array<Object>} options.qualities - Rungs to encode instead of the default ladder; like the
+   *   default ladder they are fitted to the source (never upscaled, source aspect ratio)
+   * @param {boolean} options.subtitles - Set to false to skip extracting the source's text subtitle tracks
+   * @param {Array<Object>} options.audioTracks - Source audio tracks to publish as alternate audio renditions,
+   *   as {index (ffprobe stream index), language, name, default}; default: every track of a source with several
    * @returns {Promise<Object>} Conversion result
    */
   async convertToHLS(inputPath, outputName, options = {}) {
+    const cmaf = options.format === 'cmaf';
+    if (cmaf && options.encryption) {
+      throw new Error('AES-128 encryption is only supported for MPEG-TS segments');
+    }
+
+    // The ladder follows the source's resolution, aspect ratio and frame rate
+    const technical = await MediaProbeService.tryProbe(inputPath);
+    const hasAudio = !technical || !!technical.audio;
+    const qualities = encodingLadder.selectLadder(
+      technical,
+      options.qualities || (technical ? encodingLadder.LADDER : DEFAULT_QUALITIES)
+    );
+
+    // Audio encoded once per track and shared by the video renditions, or muxed into each of them
+    const audioRenditions = this.selectAudioRenditions(technical, { audioTracks: options.audioTracks, cmaf });
+
     return new Promise((resolve, reject) => {
-      const outputDir = path.join(this.hlsDir, outputName);
+      const outputDir = options.outputDir || path.join(this.hlsDir, outputName);
       const playlistPath = path.join(outputDir, 'playlist.m3u8');
       
       // Create output directory
       fs.mkdirSync(outputDir, { recursive: true });
 
       const segmentDuration = options.segmentDuration || process.env.HLS_SEGMENT_DURATION || 10;
-      const playlistSize = options.playlistSize || process.env.HLS_PLAYLIST_SIZE || 5;
-
-      // Define quality levels for adaptive streaming
-      const qualities = options.qualities || [
-        { name: '720p', width: 1280, height: 720, bitrate: '2500k', audioBitrate: '128k' },
-        { name: '480p', width: 854, height: 480, bitrate: '1000k', audioBitrate: '96k' },
-        { name: '360p', width: 640, height: 360, bitrate: '600k', audioBitrate: '64k' }
-      ];
 
+      const renditions = [...qualities, ...audioRenditions];
       let completedQualities = 0;
-      const totalQualities = qualities.length;
+      const totalQualities = renditions.length;
       const results = {};
 
-      // Create master playlist
-      const masterPlaylist = this.createMasterPlaylist(qualities, outputName);
-      fs.writeFileSync(path.join(outputDir, 'master.m3u8'), masterPlaylist);
+      const streamId = options.streamId || outputName;
+      const encryption = options.encryption === true ? {} : options.encryption;
+      // A re-conversion must not reuse keys that may already have been handed out, and
+      // one without encryption must not leave the stream marked as encrypted
+      this.encryptionService.deleteKeys(streamId);
+
+      // Encrypted renditions are segmented outside the served tree and only moved into
+      // place once encrypted, so plaintext segments are never reachable
+      const stagingDir = path.join(outputDir, '.encrypting');
+      if (encryption) {
+        fs.rmSync(stagingDir, { recursive: true, force: true });
+      }
+
+      // Renditions still encoding or post-processing, by name
+      const active = new Map();
+      let failure = null;
+
+      // One failed rendition fails the conversion: stop the others and only
+      // settle once they are gone, so the job does not outlive its ffmpeg processes
+      const fail = (name, error) => {
+        active.delete(name);
+        if (!failure) {
+          failure = error;
+          for (const [otherName, command] of active) {
+            logger.warn(`Stopping ${otherName} rendition of ${outputName} after ${name} failed`);
+            command.kill('SIGKILL');
+          }
+        }
+        if (active.size === 0) {
+          fs.rmSync(stagingDir, { recursive: true, force: true });
+          reject(failure);
+        }
+      };
 
       // Convert each quality level
-      qualities.forEach((quality) => {
+      renditions.forEach((quality) => {
         const qualityDir = path.join(outputDir, quality.name);
-        fs.mkdirSync(qualityDir, { recursive: true });
-
-        const qualityPlaylist = path.join(qualityDir, 'playlist.m3u8');
-        const segmentPattern = path.join(qualityDir, 'segment_%03d.ts');
-
-        ffmpeg(inputPath)
-          .outputOptions([
-            '-c:v libx264',
-            '-c:a aac',
-            `-b:v ${quality.bitrate}`,
-            `-b:a ${quality.audioBitrate}`,
-            `-s ${quality.width}x${quality.height}`,
-            '-preset fast',
-            '-g 48',
-            '-sc_threshold 0',
-            '-f hls',
-            `-hls_time ${segmentDuration}`,
-            `-hls_list_size 0`,
-            '-hls_flags delete_segments+append_list',
-            `-hls_segment_filename ${segmentPattern}`
-          ])
+        const renditionDir = encryption ? path.join(stagingDir, quality.name) : qualityDir;
+        fs.mkdirSync(renditionDir, { recursive: true });
+
+        const qualityPlaylist = path.join(renditionDir, 'playlist.m3u8');
+        let stopTimer = null;
+
+        const command = ffmpeg(inputPath)
+          .outputOptions(this.getRenditionOptions(quality, renditionDir, {
+            segmentDuration,
+            cmaf,
+            separateAudio: audioRenditions.length > 0
+          }))
           .output(qualityPlaylist)
           .on('start', (commandLine) => {
             logger.info(`Starting HLS conversion for ${quality.name}: ${commandLine}`);
+            stopTimer = metrics.renditionDuration.startTimer({ rendition: quality.name });
+            if (options.onProgress) {
+              options.onProgress(quality.name, { percent: 0 });
+            }
           })
           .on('progress', (progress) => {
             logger.debug(`${quality.name} progress: ${progress.percent}%`);
+            if (options.onProgress) {
+              options.onProgress(quality.name, progress);
+            }
           })
-          .on('end', () => {
+          .on('end', async () => {
             logger.info(`HLS conversion completed for ${quality.name}`);
-            
-            // Add EXT-X-ENDLIST to the playlist for VOD content
-            const playlistContent = fs.readFileSync(qualityPlaylist, 'utf8');
-            if (!playlistContent.includes('#EXT-X-ENDLIST')) {
-              fs.appendFileSync(qualityPlaylist, '#EXT-X-ENDLIST\n');
+            stopTimer({ status: 'succeeded' });
+
+            if (failure) {
+              return fail(quality.name, failure);
+            }
+
+            try {
+              // Add EXT-X-ENDLIST to the playlist for VOD content
+              const playlistContent = fs.readFileSync(qualityPlaylist, 'utf8');
+              if (!playlistContent.includes('#EXT-X-ENDLIST')) {
+                fs.appendFileSync(qualityPlaylist, '#EXT-X-ENDLIST\n');
+              }
+
+              if (encryption) {
+                await this.encryptionService.encryptRendition(streamId, renditionDir, encryption);
+                fs.rmSync(qualityDir, { recursive: true, force: true });
+                fs.renameSync(renditionDir, qualityDir);
+              }
+            } catch (error) {
+              logger.error(`HLS post-processing error for ${quality.name}:`, error);
+              return fail(quality.name, error);
+            }
+
+            if (failure) {
+              return fail(quality.name, failure);
+            }
+            active.delete(quality.name);
+
+            if (quality.type !== 'audio') {
+              results[quality.name] = {
+                playlist: `${outputName}/${quality.name}/playlist.m3u8`,
+                directory: qualityDir
+              };
             }
-            
-            results[quality.name] = {
-              playlist: `${outputName}/${quality.name}/playlist.m3u8`,
-              directory: qualityDir
-            };
             
             completedQualities++;
             if (completedQualities === totalQualities) {
-              resolve({
+              // Published last, once every rendition is complete (and encrypted)
+              try {
+                fs.rmSync(stagingDir, { recursive: true, force: true });
+                const masterPlaylist = this.createMasterPlaylist(qualities, outputName, { audio: audioRenditions, cmaf, hasAudio });
+                fs.writeFileSync(path.join(outputDir, 'master.m3u8'), masterPlaylist);
+              } catch (error) {
+                logger.error(`Writing the master playlist failed for ${outputName}:`, error);
+                return reject(error);
+              }
+
+              const result = {
                 masterPlaylist: `${outputName}/master.m3u8`,
                 qualities: results,
-                outputDir: outputDir
-              });
+                audio: audioRenditions.map(rendition => rendition.name),
+                outputDir: outputDir,
+                encrypted: !!encryption,
+                format: cmaf ? 'cmaf' : 'ts',
+                dashManifest: null
+              };
+
+              if (cmaf) {
+                try {
+                  this.writeDashManifest(outputDir, qualities, audioRenditions);
+                  result.dashManifest = `${outputName}/manifest.mpd`;
+                } catch (error) {
+                  logger.error(`DASH manifest generation failed for ${outputName}:`, error);
+                  return reject(error);
+                }
+              }
+
+              // Subtitles are a bonus like thumbnails: a failure here must not fail the conversion.
+              // Tracks uploaded before a re-conversion are re-segmented for the new renditions.
+              try {
+                if (options.subtitles !== false && technical) {
+                  await this.subtitleService.extractEmbedded(inputPath, path.join(outputDir, 'subtitles'), technical.subtitleTracks);
+                }
+                result.subtitles = this.publishSubtitles(outputDir);
+              } catch (error) {
+                logger.error(`Subtitle extraction failed for ${outputName}:`, error);
+                result.subtitles = [];
+              }
+
+              if (!options.thumbnails) {
+                return resolve(result);
+              }
+
+              // Thumbnails are a bonus: a failure here must not fail the conversion
+              const thumbnailOptions = options.thumbnails === true ? {} : options.thumbnails;
+              this.thumbnailService.generate(inputPath, path.join(outputDir, 'thumbnails'), {
+                ...thumbnailOptions,
+                onProgress: options.onProgress
+              })
+                .then(thumbnails => resolve({ ...result, thumbnails }))
+                .catch((error) => {
+                  logger.error(`Thumbnail generation failed for ${outputName}:`, error);
+                  resolve(result);
+                });
             }
           })
           .on('error', (error) => {
-            logger.error(`HLS conversion error for ${quality.name}:`, error);
-            reject(error);
-          })
-          .run();
+            if (!failure) {
+              logger.error(`HLS conversion error for ${quality.name}:`, error);
+            }
+            if (stopTimer) {
+              stopTimer({ status: 'failed' });
+            }
+            fail(quality.name, error);
+          });
+
+        active.set(quality.name, command);
+        command.run();
+      });
+    });
+  }
+
+  /**
+   * Audio-only renditions to encode: the requested source tracks, or every
+   * audio track of a source that has several (dubbed content). A single
+   * track stays muxed into TS renditions; CMAF always gets CMAF_AUDIO.
+   * @param {Object|null} technical - MediaProbeService metadata of the source
+   * @param {Object} options - {audioTracks (see convertToHLS), cmaf}
+   * @returns {Array<Object>} Renditions {name, type: 'audio', map, audioBitrate, language, label, default}
+   */
+  selectAudioRenditions(technical, { audioTracks, cmaf }) {
+    const sourceTracks = technical ? technical.audioTracks : [];
+    let tracks = sourceTracks;
+
+    if (audioTracks && audioTracks.length) {
+      // An explicitly requested default wins over the source's default disposition
+      const explicitDefault = audioTracks.some(track => track.default);
+      tracks = audioTracks.map((requested) => {
+        const source = sourceTracks.find(track => track.index === requested.index);
+        if (technical && !source) {
+          throw new Error(`The source has no audio track with stream index ${requested.index}`);
+        }
+        return {
+          index: requested.index,
+          language: requested.language || (source && source.language) || null,
+          title: requested.name || (source && source.title) || null,
+          default: explicitDefault ? !!requested.default : !!(source && source.default)
+        };
       });
+    } else if (sourceTracks.length <= 1) {
+      if (!cmaf || (technical && !technical.audio)) {
+        return [];
+      }
+
+      const track = sourceTracks[0] || {};
+      return [{
+        ...CMAF_AUDIO,
+        type: 'audio',
+        map: '0:a:0',
+        language: track.language || null,
+        label: track.title || 'Default',
+        default: true
+      }];
+    }
+
+    // The first track flagged as default, or the first track
+    const defaultIndex = Math.max(tracks.findIndex(track => track.default), 0);
+    const names = new Set();
+
+    return tracks.map((track, position) => {
+      const base = `audio_${(track.language || String(position + 1)).replace(/[^\w-]/g, '')}`;
+      let name = base;
+      for (let n = 2; names.has(name); n++) {
+        name = `${base}_${n}`;
+      }
+      names.add(name);
+
+      return {
+        name: name,
+        type: 'audio',
+        map: `0:${track.index}`,
+        audioBitrate: CMAF_AUDIO.audioBitrate,
+        language: track.language,
+        label: track.title || (track.language ? this.subtitleService.getLanguageName(track.language) : `Audio ${position + 1}`),
+        default: position === defaultIndex
+      };
     });
   }
 
+  /**
+   * ffmpeg output options for one rendition
+   * @param {Object} quality - Rendition (a quality level, or an audio rendition)
+   * @param {string} qualityDir - Directory of the rendition
+   * @param {Object} settings - {segmentDuration, cmaf, separateAudio: audio has renditions of its own}
+   * @returns {Array<string>} Output options
+   */
+  getRenditionOptions(quality, qualityDir, { segmentDuration, cmaf, separateAudio }) {
+    const segmentOptions = [
+      '-f hls',
+      `-hls_time ${segmentDuration}`,
+      `-hls_list_size 0`,
+      '-hls_flags delete_segments+append_list'
+    ];
+
+    let trackOptions;
+    if (quality.type === 'audio') {
+      trackOptions = [`-map ${quality.map}`, '-vn', '-c:a aac', `-b:a ${quality.audioBitrate}`, '-ac 2', '-ar 48000'];
+    } else if (cmaf || separateAudio) {
+      trackOptions = [
+        '-map 0:v:0',
+        '-an',
+        ...encodingLadder.getVideoOptions(quality),
+        '-preset fast',
+        '-g 48',
+        '-sc_threshold 0'
+      ];
+    } else {
+      trackOptions = [
+        ...encodingLadder.getVideoOptions(quality),
+        '-c:a aac',
+        `-b:a ${quality.audioBitrate}`,
+        '-preset fast',
+        '-g 48',
+        '-sc_threshold 0'
+      ];
+    }
+
+    if (!cmaf) {
+      return [
+        ...trackOptions,
+        ...segmentOptions,
+        `-hls_segment_filename ${path.join(qualityDir, 'segment_%03d.ts')}`
+      ];
+    }
+
+    // CMAF: one track per rendition, fMP4 init segment referenced by #EXT-X-MAP
+    return [
+      ...trackOptions,
+      ...segmentOptions,
+      '-hls_segment_type fmp4',
+      '-hls_fmp4_init_filename init.mp4',
+      `-hls_segment_filename ${path.join(qualityDir, 'segment_%03d.m4s')}`
+    ];
+  }
+
   /**
    * Create master playlist for adaptive streaming
    * @param {Array} qualities - Quality levels
    * @param {string} outputName - Output name
+   * @param {Object} options - Playlist options
+   * @param {Array<Object>} options.audio - Audio renditions referenced through an EXT-X-MEDIA group
+   *   (see selectAudioRenditions); empty when audio is muxed into the variants
+   * @param {boolean} options.cmaf - Renditions use fMP4 segments
+   * @param {boolean} options.hasAudio - Whether the source has audio (default true)
    * @returns {string} Master playlist content
    */
-  createMasterPlaylist(qualities, outputName) {
-    let playlist = '#EXTM3U\n#EXT-X-VERSION:3\n\n';
+  createMasterPlaylist(qualities, outputName, options = {}) {
+    // fMP4 segments (#EXT-X-MAP) need protocol version 7
+    let playlist = `#EXTM3U\n#EXT-X-VERSION:${options.cmaf ? 7 : 3}\n\n`;
+    const audio = options.audio || [];
+    const audioGroup = audio.length ? ',AUDIO="audio"' : '';
+
+    if (audio.length) {
+      audio.forEach((rendition) => {
+        const attributes = ['TYPE=AUDIO', 'GROUP-ID="audio"', `NAME="${rendition.label.replace(/"/g, "'")}"`];
+        if (rendition.language) {
+          attributes.push(`LANGUAGE="${rendition.language}"`);
+        }
+        attributes.push(`DEFAULT=${rendition.default ? 'YES' : 'NO'}`, 'AUTOSELECT=YES', 'CHANNELS="2"',
+          `URI="${rendition.name}/playlist.m3u8"`);
+        playlist += `#EXT-X-MEDIA:${attributes.join(',')}\n`;
+      });
+      playlist += '\n';
+    }
     
     qualities.forEach((quality) => {
-      const bandwidth = parseInt(quality.bitrate.replace('k', '')) * 1000;
-      playlist += `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${quality.width}x${quality.height}\n`;
+      // Audio is muxed into the variants, or played from the audio group alongside them;
+      // BANDWIDTH must cover the largest rendition of the group
+      let audioBitrate = options.hasAudio === false ? 0 : quality.audioBitrate;
+      if (audio.length) {
+        audioBitrate = Math.max(...audio.map(rendition => encodingLadder.parseBitrate(rendition.audioBitrate)));
+      }
+
+      const bandwidth = encodingLadder.getBandwidth(quality, { audioBitrate, format: options.cmaf ? 'cmaf' : 'ts' });
+      const codecs = [encodingLadder.getVideoCodec(quality)];
+      if (audioBitrate) {
+        codecs.push(encodingLadder.AAC_CODEC);
+      }
+
+      const attributes = [
+        `BANDWIDTH=${bandwidth.peak}`,
+        `AVERAGE-BANDWIDTH=${bandwidth.average}`,
+        `CODECS="${codecs.join(',')}"`,
+        `RESOLUTION=${quality.width}x${quality.height}`
+      ];
+      if (quality.frameRate) {
+        attributes.push(`FRAME-RATE=${quality.frameRate.toFixed(3)}`);
+      }
+
+      playlist += `#EXT-X-STREAM-INF:${attributes.join(',')}${audioGroup}\n`;
       playlist += `${quality.name}/playlist.m3u8\n\n`;
     });
 
     return playlist;
   }
 
+  /**
+   * Write the DASH manifest of a CMAF stream from its rendition playlists
+   * @param {string} outputDir - Stream directory
+   * @param {Array} qualities - Video quality levels
+   * @param {Array<Object>} audio - Audio renditions
+   */
+  writeDashManifest(outputDir, qualities, audio) {
+    const describe = (rendition, fields) => {
+      const playlist = fs.readFileSync(path.join(outputDir, rendition.name, 'playlist.m3u8'), 'utf8');
+      const init = playlist.match(/#EXT-X-MAP:URI="([^"]+)"/);
+      const segments = this.getPlaylistSegments(playlist);
+      const firstNumber = segments.length ? segments[0].uri.match(/_(\d+)\.m4s$/) : null;
+
+      if (!init || !firstNumber) {
+        throw new Error(`Rendition ${rendition.name} is not a CMAF rendition`);
+      }
+
+      return {
+        id: rendition.name,
+        initialization: `${rendition.name}/${init[1]}`,
+        media: `${rendition.name}/segment_$Number%03d$.m4s`,
+        startNumber: parseInt(firstNumber[1]),
+        segments: segments,
+        ...fields
+      };
+    };
+
+    const representations = qualities.map(quality => describe(quality, {
+      type: 'video',
+      bandwidth: encodingLadder.getBandwidth(quality, { audioBitrate: 0, format: 'cmaf' }).peak,
+      width: quality.width,
+      height: quality.height,
+      frameRate: quality.frameRate
+    }));
+    for (const rendition of audio) {
+      representations.push(describe(rendition, {
+        type: 'audio',
+        bandwidth: encodingLadder.parseBitrate(rendition.audioBitrate),
+        language: rendition.language,
+        label: rendition.label,
+        default: rendition.default
+      }));
+    }
+
+    this.dashService.writeManifest(outputDir, representations);
+  }
+
+  /**
+   * Segment the subtitle tracks of a stream against its video renditions and
+   * reference them from the master playlist (or remove the group when no
+   * tracks are left)
+   * @param {string} outputDir - Stream directory
+   * @returns {Array<Object>} Published tracks
+   */
+  publishSubtitles(outputDir) {
+    const subtitlesDir = path.join(outputDir, 'subtitles');
+    const tracks = this.subtitleService.listTracks(subtitlesDir);
+
+    if (tracks.length) {
+      const timeline = this.getSubtitleTimeline(outputDir);
+      tracks.forEach(track => this.subtitleService.segmentTrack(path.join(subtitlesDir, track.id), timeline));
+    }
+
+    this.writeSubtitleGroup(outputDir, tracks);
+    return tracks;
+  }
+
+  /**
+   * Segment boundaries subtitle segments must follow: those of the first
+   * video rendition in the master playlist (all renditions share them)
+   * @param {string} outputDir - Stream directory
+   * @returns {Object} {segments, targetDuration, format}
+   */
+  getSubtitleTimeline(outputDir) {
+    const master = fs.readFileSync(path.join(outputDir, 'master.m3u8'), 'utf8').split('\n').map(line => line.trim());
+    const variant = master.findIndex(line => line.startsWith('#EXT-X-STREAM-INF:'));
+    const uri = variant === -1 ? null : master[variant + 1];
+    if (!uri) {
+      throw new Error(`No video rendition found in ${outputDir}`);
+    }
+
+    const playlist = fs.readFileSync(path.join(outputDir, uri), 'utf8');
+    const targetDuration = playlist.match(/#EXT-X-TARGETDURATION:(\d+)/);
+    const segments = this.getPlaylistSegments(playlist);
+
+    return {
+      segments: segments,
+      targetDuration: targetDuration ? parseInt(targetDuration[1]) : Math.ceil(Math.max(...segments.map(segment => segment.duration))),
+      format: playlist.includes('#EXT-X-MAP') ? 'cmaf' : 'ts'
+    };
+  }
+
+  /**
+   * Rewrite the SUBTITLES group of a master playlist
+   * @param {string} outputDir - Stream directory
+   * @param {Array<Object>} tracks - Tracks from SubtitleService.listTracks
+   */
+  writeSubtitleGroup(outputDir, tracks) {
+    const masterPath = path.join(outputDir, 'master.m3u8');
+    const lines = fs.readFileSync(masterPath, 'utf8').split('\n')
+      .filter(line => !line.startsWith('#EXT-X-MEDIA:TYPE=SUBTITLES'))
+      .map(line => (line.startsWith('#EXT-X-STREAM-INF:') ? line.replace(/,SUBTITLES="[^"]*"/, '') : line));
+
+    if (tracks.length) {
+      const quote = value => String(value).replace(/"/g, "'");
+      const media = tracks.map(track => '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs"' +
+        `,NAME="${quote(track.name)}",LANGUAGE="${quote(track.language)}"` +
+        `,DEFAULT=${track.default ? 'YES' : 'NO'},AUTOSELECT=YES,FORCED=${track.forced ? 'YES' : 'NO'}` +
+        `,URI="subtitles/${track.id}/playlist.m3u8"`);
+
+      // Media groups go before the first variant that references them
+      const firstVariant = lines.findIndex(line => line.startsWith('#EXT-X-STREAM-INF:'));
+      lines.splice(firstVariant, 0, ...media, '');
+      for (let i = 0; i < lines.length; i++) {
+        if (lines[i].startsWith('#EXT-X-STREAM-INF:')) {
+          lines[i] += ',SUBTITLES="subs"';
+        }
+      }
+    }
+
+    fs.writeFileSync(masterPath, lines.join('\n').replace(/\n{3,}/g, '\n\n'));
+  }
+
+  /**
+   * Content-Type of a segment or init file, or null if it is not one
+   * @param {string} filename - Segment file name
+   * @returns {string|null} Content-Type
+   */
+  getSegmentContentType(filename) {
+    const types = { '.ts': 'video/mp2t', '.m4s': 'video/iso.segment', '.mp4': 'video/mp4' };
+    return types[path.extname(filename)] || null;
+  }
+
+  /**
+   * Path of a stream's DASH manifest, if it was converted as CMAF
+   * @param {string} streamName - Stream name
+   * @returns {string|null} Manifest path
+   */
+  getDashManifestPath(streamName) {
+    const manifestPath = path.join(this.hlsDir, streamName, 'manifest.mpd');
+    return fs.existsSync(manifestPath) ? manifestPath : null;
+  }
+
+  /**
+   * Rewrite every URI in a playlist: media lines and URI="..." tag attributes
+   * @param {string} playlist - Playlist content
+   * @param {Function} mapUri - (uri) => new uri
+   * @returns {string} Rewritten playlist
+   */
+  rewritePlaylistUris(playlist, mapUri) {
+    return playlist.split('\n').map((line) => {
+      const trimmed = line.trim();
+      if (!trimmed) {
+        return line;
+      }
+      if (trimmed.startsWith('#')) {
+        return line.replace(/URI="([^"]+)"/g, (match, uri) => `URI="${mapUri(uri)}"`);
+      }
+      return mapUri(trimmed);
+    }).join('\n');
+  }
+
   /**
    * Get HLS playlist content
    * @param {string} playlistPath - Path to playlist file
@@ -154,9 +644,7 @@ class HLSService {
    */
   async getPlaylist(playlistPath) {
     try {
-      const fullPath = path.join(this.hlsDir, playlistPath);
-      const content = fs.readFileSync(fullPath, 'utf8');
-      return content;
+      return await this.storage.readText(playlistPath);
     } catch (error) {
       logger.error('Error reading playlist:', error);
       throw error;
@@ -164,48 +652,50 @@ class HLSService {
   }
 
   /**
-   * Get HLS segment
-   * @param {string} segmentPath - Path to segment file
-   * @returns {Buffer} Segment data
+   * Check if a file of a stream (playlist, segment, subtitle cue file) exists
+   * @param {string} filePath - Path relative to the HLS directory, i.e. its storage key
+   * @returns {Promise<boolean>} False for missing files and keys outside the HLS directory
    */
-  async getSegment(segmentPath) {
+  async fileExists(filePath) {
     try {
-      const fullPath = path.join(this.hlsDir, segmentPath);
-      return fs.readFileSync(fullPath);
+      return await this.storage.exists(filePath);
     } catch (error) {
-      logger.error('Error reading segment:', error);
+      if (error.code === 'INVALID_KEY') {
+        return false;
+      }
       throw error;
     }
   }
 
   /**
-   * List available HLS streams
-   * @returns {Array} List of available streams
+   * List available HLS streams (qualities are left to getStreamQualities, so
+   * listings can read them for one page only)
+   * @returns {Array} Streams as {name, masterPlaylist, live, createdAt, size}
    */
   async listStreams() {
     try {
-      const items = await readdir(this.hlsDir);
+      const { prefixes } = await this.storage.list('', { delimiter: '/' });
       const streams = [];
 
-      for (const item of items) {
-        const itemPath = path.join(this.hlsDir, item);
-        const stats = await stat(itemPath);
-        
-        if (stats.isDirectory()) {
-          const masterPlaylist = path.join(itemPath, 'master.m3u8');
-          const playlistExists = fs.existsSync(masterPlaylist);
-          
-          if (playlistExists) {
-            const qualities = await this.getStreamQualities(item);
-            streams.push({
-              name: item,
-              masterPlaylist: `${item}/master.m3u8`,
-              qualities: qualities,
-              createdAt: stats.birthtime,
-              size: await this.getStreamSize(itemPath)
-            });
-          }
+      for (const prefix of prefixes) {
+        const item = prefix.slice(0, -1);
+        let master;
+        try {
+          master = await this.storage.head(`${item}/master.m3u8`);
+        } catch (error) {
+          // Not a stream (yet), or removed while listing
+          if (error.code === 'NOT_FOUND') continue;
+          throw error;
         }
+
+        const liveStatus = this.getLiveStatus(item);
+        streams.push({
+          name: item,
+          masterPlaylist: `${item}/master.m3u8`,
+          live: liveStatus ? liveStatus.state : null,
+          createdAt: master.lastModified,
+          size: await this.getCachedStreamSize(item, !!liveStatus && liveStatus.state === 'live')
+        });
       }
 
       return streams;
@@ -230,7 +720,8 @@ class HLSService {
         const itemPath = path.join(streamDir, item);
         const stats = await stat(itemPath);
         
-        if (stats.isDirectory() && item !== 'master.m3u8') {
+        // Audio renditions are referenced from the master playlist, not qualities of their own
+        if (stats.isDirectory() && item !== 'master.m3u8' && !AUDIO_RENDITION.test(item)) {
           const playlistPath = path.join(itemPath, 'playlist.m3u8');
           if (fs.existsSync(playlistPath)) {
             qualities.push({
@@ -249,6 +740,230 @@ class HLSService {
     }
   }
 
+  /**
+   * Alternate audio renditions of a stream, from the master playlist's AUDIO group
+   * @param {string} streamName - Stream name
+   * @returns {Array<Object>} Renditions as {name, label, language, default, playlist, url}
+   */
+  getAudioRenditions(streamName) {
+    try {
+      const master = fs.readFileSync(path.join(this.hlsDir, streamName, 'master.m3u8'), 'utf8');
+      const renditions = [];
+
+      for (const line of master.split('\n')) {
+        if (!line.startsWith('#EXT-X-MEDIA:TYPE=AUDIO')) continue;
+
+        const attributes = {};
+        for (const match of line.matchAll(/([A-Z-]+)=("[^"]*"|[^,]*)/g)) {
+          attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+        }
+        if (!attributes.URI) continue;
+
+        const name = path.dirname(attributes.URI);
+        renditions.push({
+          name: name,
+          label: attributes.NAME || null,
+          language: attributes.LANGUAGE || null,
+          default: attributes.DEFAULT === 'YES',
+          playlist: `${streamName}/${attributes.URI}`,
+          url: `/api/hls/${streamName}/${attributes.URI}`
+        });
+      }
+
+      return renditions;
+    } catch (error) {
+      logger.error('Error reading audio renditions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get ffprobe technical metadata for a rendition. The first segment (or
+   * the fMP4 init segment) is probed, cached per mtime, and the duration is
+   * summed from the playlist.
+   * @param {string} playlistPath - Playlist path relative to the HLS directory
+   * @returns {Object|null} Technical metadata, or null if probing failed
+   */
+  async probePlaylist(playlistPath) {
+    try {
+      const fullPath = path.join(this.hlsDir, playlistPath);
+      const playlist = fs.readFileSync(fullPath, 'utf8');
+      const segments = this.getPlaylistSegments(playlist);
+      if (segments.length === 0) {
+        return null;
+      }
+
+      // fMP4 media segments can't be probed on their own; their init segment describes the tracks
+      const init = playlist.match(/#EXT-X-MAP:URI="([^"]+)"/);
+      const segmentPath = path.join(path.dirname(fullPath), init ? init[1] : segments[0].uri);
+      const stats = await stat(segmentPath);
+      const technical = await MediaProbeService.tryProbe(segmentPath, `${segmentPath}|${stats.mtime.getTime()}`);
+      if (!technical) {
+        return null;
+      }
+
+      return {
+        ...technical,
+        duration: this.getSegmentsDuration(segments),
+        segmentCount: segments.length
+      };
+    } catch (error) {
+      logger.error('Error probing playlist:', error);
+      return null;
+    }
+  }
+
+  /**
+   * List the media segments of a rendition playlist with their durations
+   * @param {string} playlist - Playlist content
+   * @returns {Array<Object>} Segments as {uri, duration}
+   */
+  getPlaylistSegments(playlist) {
+    const segments = [];
+    let duration = 0;
+
+    for (const line of playlist.split('\n').map(item => item.trim())) {
+      if (line.startsWith('#EXTINF:')) {
+        duration = parseFloat(line.slice(8)) || 0;
+      } else if (line && !line.startsWith('#')) {
+        segments.push({ uri: line, duration });
+        duration = 0;
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * Total duration of a list of segments
+   * @param {Array<Object>} segments - Segments from getPlaylistSegments
+   * @returns {number} Duration in seconds, rounded to milliseconds
+   */
+  getSegmentsDuration(segments) {
+    return Math.round(segments.reduce((total, segment) => total + segment.duration, 0) * 1000) / 1000;
+  }
+
+  /**
+   * Pick the highest resolution rendition of a stream as a thumbnail source.
+   * Dimensions come from the master playlist and the duration from the
+   * rendition playlist, so nothing needs to be probed.
+   * @param {string} streamName - Stream name
+   * @returns {Object} {inputPath, duration, width, height}
+   */
+  getThumbnailSource(streamName) {
+    const streamDir = path.join(this.hlsDir, streamName);
+    const master = fs.readFileSync(path.join(streamDir, 'master.m3u8'), 'utf8').split('\n').map(line => line.trim());
+
+    let best = null;
+    master.forEach((line, index) => {
+      const resolution = line.startsWith('#EXT-X-STREAM-INF:') && line.match(/RESOLUTION=(\d+)x(\d+)/);
+      const uri = master[index + 1];
+      if (resolution && uri && !uri.startsWith('#') && fs.existsSync(path.join(streamDir, uri))) {
+        const width = parseInt(resolution[1]);
+        const height = parseInt(resolution[2]);
+        if (!best || width * height > best.width * best.height) {
+          best = { uri, width, height };
+        }
+      }
+    });
+
+    if (!best) {
+      throw new Error(`No rendition with a known resolution found for stream ${streamName}`);
+    }
+
+    const inputPath = path.join(streamDir, best.uri);
+    return {
+      inputPath: inputPath,
+      duration: this.getSegmentsDuration(this.getPlaylistSegments(fs.readFileSync(inputPath, 'utf8'))),
+      width: best.width,
+      height: best.height
+    };
+  }
+
+  /**
+   * Whether a stream's segments are AES-128 encrypted
+   * @param {string} streamName - Stream name
+   * @returns {boolean} True if the stream has encryption keys
+   */
+  isEncrypted(streamName) {
+    return this.encryptionService.hasKeys(streamName);
+  }
+
+  /**
+   * Live state of a stream, written by LiveStreamService to <stream>/live.json
+   * @param {string} streamName - Stream name
+   * @returns {Object|null} {state: 'live'|'ended', startedAt, endedAt, ...}, or null for VOD streams
+   */
+  getLiveStatus(streamName) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.hlsDir, streamName, 'live.json'), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Directory holding a stream's poster and storyboard
+   * @param {string} streamName - Stream name
+   * @returns {string} Directory path
+   */
+  getThumbnailsDir(streamName) {
+    return path.join(this.hlsDir, streamName, 'thumbnails');
+  }
+
+  /**
+   * Directory holding a stream's subtitle tracks
+   * @param {string} streamName - Stream name
+   * @returns {string} Directory path
+   */
+  getSubtitlesDir(streamName) {
+    return path.join(this.hlsDir, streamName, 'subtitles');
+  }
+
+  /**
+   * Total size of a stream, reused until one of its directories changes:
+   * segments and other files are added, removed or renamed into place, which
+   * updates their directory's mtime. Running live streams are measured on
+   * every call.
+   * @param {string} streamName - Stream name
+   * @param {boolean} live - Whether the stream is being written to
+   * @returns {Promise<number>} Total size in bytes
+   */
+  async getCachedStreamSize(streamName, live) {
+    const streamPath = path.join(this.hlsDir, streamName);
+    if (live) {
+      return this.getStreamSize(streamPath);
+    }
+
+    const version = await this.getDirectoryVersion(streamPath);
+    const cached = this.streamSizes.get(streamName);
+    if (cached && cached.version === version) {
+      return cached.size;
+    }
+
+    const size = await this.getStreamSize(streamPath);
+    this.streamSizes.set(streamName, { version, size });
+    return size;
+  }
+
+  /**
+   * Modification times of a directory and all its subdirectories, which
+   * change whenever a file is added, removed or renamed anywhere below it
+   * @param {string} dirPath - Directory path
+   * @returns {Promise<string>} Version string
+   */
+  async getDirectoryVersion(dirPath) {
+    const { mtimeMs } = await stat(dirPath);
+    const versions = [mtimeMs];
+
+    for (const item of await readdir(dirPath, { withFileTypes: true })) {
+      if (item.isDirectory()) {
+        versions.push(await this.getDirectoryVersion(path.join(dirPath, item.name)));
+      }
+    }
+    return versions.join(',');
+  }
+
   /**
    * Get total size of a stream directory
    * @param {string} streamPath - Path to stream directory
@@ -282,27 +997,56 @@ class HLSService {
    */
   async deleteStream(streamName) {
     try {
-      const streamPath = path.join(this.hlsDir, streamName);
-      if (fs.existsSync(streamPath)) {
-        fs.rmSync(streamPath, { recursive: true, force: true });
+      if (await this.storage.deletePrefix(`${streamName}/`)) {
         logger.info(`Deleted HLS stream: ${streamName}`);
       }
+      this.encryptionService.deleteKeys(streamName);
+      this.streamSizes.delete(streamName);
     } catch (error) {
       logger.error('Error deleting stream:', error);
       throw error;
     }
   }
 
+  /**
+   * Validate the audioTracks conversion option
+   * @param {*} audioTracks - Option value
+   * @returns {string|null} Error message, or null if valid
+   */
+  static validateAudioTracks(audioTracks) {
+    if (!Array.isArray(audioTracks) || audioTracks.length === 0) {
+      return 'expected a non-empty array of { index, language, name, default }';
+    }
+
+    for (const track of audioTracks) {
+      if (!track || typeof track !== 'object' || !Number.isInteger(track.index) || track.index < 0) {
+        return 'each audio track needs the ffprobe stream index of a source audio track as index';
+      }
+      if (track.language !== undefined && !SubtitleService.LANGUAGE_TAG.test(track.language)) {
+        return `invalid language '${track.language}' for audio track ${track.index}`;
+      }
+      if (track.name !== undefined && (typeof track.name !== 'string' || track.name.length > 100)) {
+        return `name of audio track ${track.index} must be a string of at most 100 characters`;
+      }
+    }
+
+    if (audioTracks.filter(track => track.default).length > 1) {
+      return 'at most one audio track can be the default';
+    }
+    return null;
+  }
+
   /**
    * Check if stream exists
    * @param {string} streamName - Stream name
-   * @returns {boolean} True if stream exists
+   * @returns {Promise<boolean>} True if stream exists
    */
-  streamExists(streamName) {
-    const streamPath = path.join(this.hlsDir, streamName);
-    const masterPlaylist = path.join(streamPath, 'master.m3u8');
-    return fs.existsSync(masterPlaylist);
+  async streamExists(streamName) {
+    return this.fileExists(`${streamName}/master.m3u8`);
   }
 }
 
+HLSService.DEFAULT_QUALITIES = DEFAULT_QUALITIES;
+HLSService.SEGMENT_FORMATS = SEGMENT_FORMATS;
+
 module.exports = HLSService;
\ No newline at end of file
@@ -0,0 +1,416 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const JOB_STATES = ['queued', 'running', 'succeeded', 'failed'];
+
+/**
+ * Estimate the seconds left from the time spent so far, assuming a steady rate
+ * @param {string} startedAt - ISO time of the first progress report
+ * @param {Date} now - Time of the current report
+ * @param {number} percent - Percent done
+ * @returns {number|null} Seconds remaining, or null before any progress
+ */
+function estimateRemaining(startedAt, now, percent) {
+  if (percent <= 0) return null;
+  const elapsed = (now - new Date(startedAt)) / 1000;
+  return Math.round(elapsed * (100 - percent) / percent);
+}
+
+class JobQueueService extends EventEmitter {
+  /**
+   * @param {Object} options - Queue options
+   * @param {string} options.storePath - JSON file used to persist jobs
+   * @param {number} options.concurrency - Maximum number of jobs running at once
+   * @param {number} options.historyLimit - Finished jobs kept before the oldest are pruned
+   */
+  constructor(options = {}) {
+    super();
+    this.storePath = options.storePath || path.join(__dirname, '../../data/jobs.json');
+    this.concurrency = Math.max(1, parseInt(options.concurrency) || 1);
+    this.historyLimit = parseInt(options.historyLimit) || 500;
+    this.handlers = {};
+    this.lockKeys = {};
+    this.jobs = new Map();
+    this.running = 0;
+    this.runningLocks = new Set();
+    this.draining = null;
+    this.persistTimer = null;
+
+    this.load();
+  }
+
+  /**
+   * Register the function that executes jobs of a given type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (job, reportProgress) => result
+   * @param {Object} options - Handler options
+   * @param {Function} options.lockKey - (input) => key; jobs with the same key (of any type)
+   *   never run at the same time, e.g. two conversions writing the same output
+   */
+  registerHandler(type, handler, options = {}) {
+    this.handlers[type] = handler;
+    if (options.lockKey) {
+      this.lockKeys[type] = options.lockKey;
+    }
+    setImmediate(() => this.processNext());
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type (must have a registered handler)
+   * @param {Object} input - Job input, persisted with the job
+   * @returns {Object} The queued job
+   */
+  enqueue(type, input = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type: type,
+      state: 'queued',
+      input: input,
+      progress: {
+        percent: 0,
+        renditions: {}
+      },
+      result: null,
+      error: null,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+
+    return this.add(job);
+  }
+
+  /**
+   * Add a job created elsewhere (e.g. by an HTTP worker in cluster mode)
+   * @param {Object} job - Queued job, as built by enqueue
+   * @returns {Object} The queued job
+   */
+  add(job) {
+    this.jobs.set(job.id, job);
+    this.persist();
+    this.emit('queued', job);
+    logger.info(`Queued ${job.type} job ${job.id}`);
+
+    setImmediate(() => this.processNext());
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job or null if unknown
+   */
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filter - Optional filters
+   * @param {string} filter.state - Only return jobs in this state
+   * @param {string} filter.type - Only return jobs of this type
+   * @param {number} filter.limit - Maximum number of jobs to return
+   * @returns {Array} Jobs
+   */
+  listJobs(filter = {}) {
+    let jobs = Array.from(this.jobs.values());
+
+    if (filter.state) {
+      jobs = jobs.filter(job => job.state === filter.state);
+    }
+    if (filter.type) {
+      jobs = jobs.filter(job => job.type === filter.type);
+    }
+
+    jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return filter.limit ? jobs.slice(0, filter.limit) : jobs;
+  }
+
+  /**
+   * Find the most recent job matching a predicate
+   * @param {Function} predicate - (job) => boolean
+   * @returns {Object|null} Matching job or null
+   */
+  findLatest(predicate) {
+    return this.listJobs().find(predicate) || null;
+  }
+
+  /**
+   * Wait until a job has finished
+   * @param {string} id - Job ID
+   * @returns {Promise<Object>} Resolves with the succeeded job, rejects with its error
+   */
+  waitFor(id) {
+    return new Promise((resolve, reject) => {
+      const settle = (job) => {
+        if (job.state === 'succeeded') {
+          resolve(job);
+        } else {
+          const error = new Error(job.error?.message || 'Job failed');
+          error.job = job;
+          reject(error);
+        }
+      };
+
+      const job = this.getJob(id);
+      if (!job) {
+        return reject(new Error(`Unknown job ${id}`));
+      }
+      if (job.state === 'succeeded' || job.state === 'failed') {
+        return settle(job);
+      }
+
+      const onFinished = (finished) => {
+        if (finished.id !== id) return;
+        this.off('succeeded', onFinished);
+        this.off('failed', onFinished);
+        settle(finished);
+      };
+
+      this.on('succeeded', onFinished);
+      this.on('failed', onFinished);
+    });
+  }
+
+  /**
+   * Stop starting jobs and wait for the running ones to finish
+   * @returns {Promise<void>} Resolves when no job is running
+   */
+  drain() {
+    if (!this.draining) {
+      this.draining = this.running === 0 ? Promise.resolve() : new Promise(resolve => this.once('idle', resolve));
+    }
+    return this.draining;
+  }
+
+  /**
+   * Lock key of a job, or null if jobs of its type are not locked
+   * @param {Object} job - Job
+   * @returns {string|null} Lock key
+   */
+  getLockKey(job) {
+    const lockKey = this.lockKeys[job.type];
+    return lockKey ? lockKey(job.input) : null;
+  }
+
+  /**
+   * Start queued jobs while there is free capacity, skipping jobs whose
+   * lock is held by a running job
+   */
+  processNext() {
+    while (this.running < this.concurrency && !this.draining) {
+      const job = Array.from(this.jobs.values())
+        .filter(candidate => candidate.state === 'queued' && this.handlers[candidate.type])
+        .filter(candidate => !this.runningLocks.has(this.getLockKey(candidate)))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+
+      if (!job) return;
+      this.run(job);
+    }
+  }
+
+  /**
+   * Execute a single job with its registered handler
+   * @param {Object} job - Job to run
+   */
+  async run(job) {
+    const lock = this.getLockKey(job);
+    this.running++;
+    if (lock) {
+      this.runningLocks.add(lock);
+    }
+    this.updateJob(job, {
+      state: 'running',
+      attempts: job.attempts + 1,
+      startedAt: new Date().toISOString(),
+      error: null
+    });
+    this.emit('running', job);
+    logger.info(`Started ${job.type} job ${job.id}`);
+
+    try {
+      const result = await this.handlers[job.type](job, (rendition, progress) => {
+        this.reportProgress(job, rendition, progress);
+      });
+
+      this.updateJob(job, {
+        state: 'succeeded',
+        result: result || null,
+        finishedAt: new Date().toISOString(),
+        progress: { ...job.progress, percent: 100 }
+      });
+      this.emit('succeeded', job);
+      logger.info(`${job.type} job ${job.id} succeeded`);
+    } catch (error) {
+      this.updateJob(job, {
+        state: 'failed',
+        error: {
+          message: error.message,
+          code: error.code || null,
+          stderr: error.stderr ? error.stderr.split('\n').slice(-20).join('\n') : undefined
+        },
+        finishedAt: new Date().toISOString()
+      });
+      this.emit('failed', job);
+      logger.error(`${job.type} job ${job.id} failed:`, error);
+    } finally {
+      this.running--;
+      this.runningLocks.delete(lock);
+      this.prune();
+      if (this.running === 0) {
+        this.emit('idle');
+      }
+      setImmediate(() => this.processNext());
+    }
+  }
+
+  /**
+   * Record progress for one rendition of a running job
+   * @param {Object} job - Running job
+   * @param {string} rendition - Rendition name (e.g. "720p")
+   * @param {Object} progress - fluent-ffmpeg progress event
+   */
+  reportProgress(job, rendition, progress) {
+    const percent = Math.min(100, Math.max(0, Math.round((progress.percent || 0) * 10) / 10));
+    const now = new Date();
+    const previous = job.progress.renditions[rendition];
+    const startedAt = previous && previous.startedAt ? previous.startedAt : now.toISOString();
+
+    job.progress.renditions[rendition] = {
+      percent: percent,
+      timemark: progress.timemark || null,
+      fps: progress.currentFps || null,
+      eta: estimateRemaining(startedAt, now, percent),
+      startedAt: startedAt,
+      updatedAt: now.toISOString()
+    };
+
+    // Renditions are encoded side by side, so the job finishes with its slowest one
+    const renditions = Object.values(job.progress.renditions);
+    const total = renditions.reduce((sum, item) => sum + item.percent, 0);
+    const etas = renditions.map(item => item.eta);
+    job.progress.percent = Math.round((total / renditions.length) * 10) / 10;
+    job.progress.eta = etas.includes(null) ? null : Math.max(...etas);
+    job.updatedAt = now.toISOString();
+
+    this.emit('progress', job, rendition);
+    this.schedulePersist();
+  }
+
+  /**
+   * Record which stage a multi-step job is in (e.g. downloading, transcoding, uploading)
+   * @param {Object} job - Running job
+   * @param {string} stage - Stage name
+   * @param {Object} transfer - Optional byte counts for download/upload stages
+   */
+  reportStage(job, stage, transfer) {
+    const stageChanged = job.progress.stage !== stage;
+
+    job.progress.stage = stage;
+    if (transfer) {
+      job.progress.transfer = {
+        bytes: transfer.bytes,
+        totalBytes: transfer.totalBytes,
+        percent: transfer.totalBytes ? Math.round((transfer.bytes / transfer.totalBytes) * 1000) / 10 : null
+      };
+    } else {
+      delete job.progress.transfer;
+    }
+    job.updatedAt = new Date().toISOString();
+
+    this.emit('progress', job, stage);
+    if (stageChanged) {
+      this.persist();
+    } else {
+      this.schedulePersist();
+    }
+  }
+
+  /**
+   * Apply changes to a job and persist them immediately
+   * @param {Object} job - Job to update
+   * @param {Object} changes - Fields to overwrite
+   */
+  updateJob(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.persist();
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond the history limit
+   */
+  prune() {
+    const finished = this.listJobs()
+      .filter(job => job.state === 'succeeded' || job.state === 'failed');
+
+    finished.slice(this.historyLimit).forEach(job => this.jobs.delete(job.id));
+  }
+
+  /**
+   * Load persisted jobs. Jobs that were running when the process stopped
+   * are queued again so they restart from scratch.
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.storePath)) return;
+
+      const jobs = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      let requeued = 0;
+
+      for (const job of jobs) {
+        if (!JOB_STATES.includes(job.state)) continue;
+
+        if (job.state === 'running') {
+          job.state = 'queued';
+          job.progress = { percent: 0, renditions: {} };
+          requeued++;
+        }
+        this.jobs.set(job.id, job);
+      }
+
+      logger.info(`Loaded ${this.jobs.size} jobs from ${this.storePath} (${requeued} interrupted jobs requeued)`);
+    } catch (error) {
+      logger.error('Error loading job store:', error);
+    }
+  }
+
+  /**
+   * Persist progress updates at most once per second
+   */
+  schedulePersist() {
+    if (this.persistTimer) return;
+
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.persist();
+    }, 1000);
+    this.persistTimer.unref();
+  }
+
+  /**
+   * Write all jobs to the store file atomically
+   */
+  persist() {
+    try {
+      fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+
+      const tmpPath = `${this.storePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(Array.from(this.jobs.values()), null, 2));
+      fs.renameSync(tmpPath, this.storePath);
+    } catch (error) {
+      logger.error('Error persisting job store:', error);
+    }
+  }
+}
+
+JobQueueService.JOB_STATES = JOB_STATES;
+
+module.exports = JobQueueService;
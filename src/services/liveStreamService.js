@@ -0,0 +1,532 @@
+const crypto = require('crypto');
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const clusterIpc = require('../utils/clusterIpc');
+const encodingLadder = require('../utils/encodingLadder');
+const HLSService = require('./hlsService');
+
+// Container formats accepted on the ingest endpoint (auto-detected if not given)
+const INGEST_FORMATS = ['mpegts', 'flv'];
+
+/**
+ * Create an error carrying the HTTP status the routes should answer with
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable message
+ * @returns {Error} Error with status and code
+ */
+function liveError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Whether a process is still running
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if it runs
+ */
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Live HLS streams fed by an ingest connection.
+ *
+ * Starting a stream spawns one ffmpeg process that reads from stdin and
+ * writes every rendition of the ladder as a sliding-window playlist of
+ * HLS_PLAYLIST_SIZE segments, deleting segments that fall out of the
+ * window. An ingest (MPEG-TS or FLV pushed over HTTP, e.g. by
+ * `ffmpeg -re -i input -c copy -f mpegts <ingestUrl>`) is piped into stdin;
+ * a publisher that drops may reconnect until the stream is stopped or has
+ * been idle for LIVE_INGEST_IDLE_TIMEOUT seconds. Stopping closes stdin so
+ * ffmpeg finishes the playlists with #EXT-X-ENDLIST.
+ *
+ * The live state is kept in hls/<stream>/live.json so it survives restarts
+ * and shows up in HLSService.listStreams.
+ *
+ * In cluster mode a stream's ffmpeg runs in the HTTP worker that started
+ * it, recorded as `pid` in live.json. Ingest connections and stop requests
+ * that land on another worker are forwarded to it over IPC (see
+ * utils/clusterIpc): the ingest body is sent chunk by chunk and fed to
+ * ffmpeg like a local connection.
+ */
+class LiveStreamService {
+  /**
+   * @param {HLSService} hlsService - Service owning the HLS directory
+   */
+  constructor(hlsService = new HLSService()) {
+    this.hlsService = hlsService;
+    this.sessions = new Map();
+    this.idleTimeout = (parseInt(process.env.LIVE_INGEST_IDLE_TIMEOUT) || 60) * 1000;
+
+    // Forwarded ingest connections: inputs fed by other workers, and requests this worker forwards
+    this.remoteInputs = new Map();
+    this.forwardedIngests = new Map();
+
+    metrics.liveStreams.setCollector(metric => metric.set({}, this.sessions.size));
+    this.recoverInterrupted();
+
+    if (clusterIpc.enabled) {
+      this.serveForwardedRequests();
+    }
+  }
+
+  /**
+   * Start a live stream and wait for its ingest
+   * @param {string} name - Stream name
+   * @param {Object} options - Stream options
+   * @param {Array<string>} options.qualities - Rendition names from the default ladder (default: all)
+   * @param {number} options.segmentDuration - Target segment duration in seconds (default: HLS_SEGMENT_DURATION)
+   * @param {number} options.playlistSize - Segments kept in each playlist (default: HLS_PLAYLIST_SIZE)
+   * @param {string} options.format - Ingest container, mpegts or flv (default: auto-detect)
+   * @returns {Promise<Object>} Live status
+   */
+  async start(name, options = {}) {
+    // Checked first: the rest runs without yielding, so two starts cannot both pass the checks below
+    const exists = await this.hlsService.streamExists(name);
+
+    if (this.sessions.has(name) || this.getOwner(name)) {
+      throw liveError(409, 'STREAM_LIVE', `Live stream '${name}' is already running`);
+    }
+
+    const previous = this.hlsService.getLiveStatus(name);
+    if (exists && !previous) {
+      throw liveError(409, 'STREAM_EXISTS', `A VOD stream named '${name}' already exists`);
+    }
+
+    const qualities = this.resolveQualities(options.qualities);
+    const segmentDuration = parseInt(options.segmentDuration) || parseInt(process.env.HLS_SEGMENT_DURATION) || 10;
+    const playlistSize = parseInt(options.playlistSize) || parseInt(process.env.HLS_PLAYLIST_SIZE) || 5;
+    const format = options.format || null;
+
+    if (format && !INGEST_FORMATS.includes(format)) {
+      throw liveError(400, 'INVALID_OPTIONS', `format must be one of: ${INGEST_FORMATS.join(', ')}`);
+    }
+
+    // A restarted live stream replaces what is left of the previous broadcast
+    const outputDir = path.join(this.hlsService.hlsDir, name);
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(path.join(outputDir, 'master.m3u8'), this.hlsService.createMasterPlaylist(qualities, name));
+
+    const session = {
+      name: name,
+      input: new PassThrough(),
+      command: null,
+      ingest: null,
+      bytesReceived: 0,
+      idleTimer: null,
+      stopping: false,
+      done: null,
+      status: {
+        state: 'live',
+        pid: process.pid,
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        segmentDuration: segmentDuration,
+        playlistSize: playlistSize,
+        qualities: qualities.map(quality => quality.name),
+        format: format,
+        error: null
+      }
+    };
+
+    this.saveStatus(name, session.status);
+    session.command = this.createCommand(session, qualities, outputDir);
+    session.done = new Promise((resolve) => {
+      session.command
+        .on('start', (commandLine) => {
+          logger.info(`Started live stream ${name}: ${commandLine}`);
+        })
+        .on('end', () => resolve(this.finish(session, null)))
+        .on('error', (error) => {
+          logger.error(`Live stream ${name} failed:`, error);
+          resolve(this.finish(session, error));
+        })
+        .run();
+    });
+
+    this.sessions.set(name, session);
+    this.resetIdleTimer(session);
+
+    return this.getStatus(name);
+  }
+
+  /**
+   * Build the ffmpeg command writing every rendition from the ingest
+   * @param {Object} session - Live session
+   * @param {Array<Object>} qualities - Rendition ladder
+   * @param {string} outputDir - Stream directory
+   * @returns {Object} fluent-ffmpeg command
+   */
+  createCommand(session, qualities, outputDir) {
+    const { segmentDuration, playlistSize, format } = session.status;
+    // Segment names are unique per broadcast, so caches never serve a previous broadcast's segments
+    const segmentPrefix = Date.now().toString(36);
+
+    const command = ffmpeg(session.input);
+    if (format) {
+      command.inputFormat(format);
+    }
+
+    qualities.forEach((quality) => {
+      const qualityDir = path.join(outputDir, quality.name);
+      fs.mkdirSync(qualityDir, { recursive: true });
+
+      command
+        .output(path.join(qualityDir, 'playlist.m3u8'))
+        .outputOptions([
+          ...encodingLadder.getVideoOptions(quality),
+          '-c:a aac',
+          `-b:a ${quality.audioBitrate}`,
+          '-preset veryfast',
+          '-tune zerolatency',
+          // Keyframes on segment boundaries, whatever the ingest's GOP is
+          `-force_key_frames expr:gte(t,n_forced*${segmentDuration})`,
+          '-sc_threshold 0',
+          '-f hls',
+          `-hls_time ${segmentDuration}`,
+          `-hls_list_size ${playlistSize}`,
+          '-hls_flags delete_segments+independent_segments',
+          `-hls_segment_filename ${path.join(qualityDir, `${segmentPrefix}_%05d.ts`)}`
+        ]);
+    });
+
+    return command;
+  }
+
+  /**
+   * Pipe an ingest connection into a live stream. Resolves when the
+   * connection ends; the stream keeps running so the publisher can reconnect.
+   * @param {string} name - Stream name
+   * @param {Stream} source - Ingest request body
+   * @returns {Promise<number>} Bytes received on this connection
+   */
+  ingest(name, source) {
+    const session = this.sessions.get(name);
+    if (!session) {
+      const owner = this.getOwner(name);
+      if (owner) {
+        return this.forwardIngest(name, source, owner);
+      }
+      throw liveError(404, 'STREAM_NOT_LIVE', `Live stream '${name}' is not running; start it first`);
+    }
+    if (session.ingest) {
+      throw liveError(409, 'INGEST_BUSY', `Live stream '${name}' already has an ingest connection`);
+    }
+
+    session.ingest = source;
+    let bytes = 0;
+    this.saveStatus(name, { ...session.status, ingestConnected: true });
+    logger.info(`Ingest connected to live stream ${name}`);
+
+    return new Promise((resolve) => {
+      const onData = (chunk) => {
+        bytes += chunk.length;
+        session.bytesReceived += chunk.length;
+        metrics.liveIngestBytes.inc({}, chunk.length);
+        this.resetIdleTimer(session);
+      };
+
+      const onDone = () => {
+        source.off('data', onData);
+        source.off('end', onDone);
+        source.off('close', onDone);
+        source.unpipe(session.input);
+        if (session.ingest === source) {
+          session.ingest = null;
+          if (this.sessions.get(name) === session) {
+            this.saveStatus(name, session.status);
+          }
+        }
+        logger.info(`Ingest disconnected from live stream ${name} after ${bytes} bytes`);
+        resolve(bytes);
+      };
+
+      source.on('data', onData);
+      source.once('end', onDone);
+      source.once('close', onDone);
+      source.pipe(session.input, { end: false });
+    });
+  }
+
+  /**
+   * Stop a live stream: close ffmpeg's input and wait for it to finish
+   * the playlists
+   * @param {string} name - Stream name
+   * @returns {Promise<Object>} Final live status
+   */
+  async stop(name) {
+    const session = this.sessions.get(name);
+    if (!session) {
+      const owner = this.getOwner(name);
+      if (owner) {
+        return clusterIpc.request('live:stop', { name }, { to: owner, timeout: 30000 });
+      }
+      throw liveError(404, 'STREAM_NOT_LIVE', `Live stream '${name}' is not running`);
+    }
+
+    this.endInput(session);
+    return session.done;
+  }
+
+  /**
+   * Close a session's input, killing ffmpeg if it does not exit on its own
+   * @param {Object} session - Live session
+   */
+  endInput(session) {
+    if (session.stopping) {
+      return;
+    }
+    session.stopping = true;
+
+    if (session.ingest) {
+      session.ingest.unpipe(session.input);
+    }
+    session.input.end();
+
+    const killTimer = setTimeout(() => {
+      logger.warn(`Live stream ${session.name} did not finish after its input closed; killing ffmpeg`);
+      session.command.kill('SIGKILL');
+    }, 15000);
+    killTimer.unref();
+    session.done.then(() => clearTimeout(killTimer));
+  }
+
+  /**
+   * Mark a session ended once ffmpeg has exited
+   * @param {Object} session - Live session
+   * @param {Error|null} error - Why ffmpeg failed, if it did
+   * @returns {Object} Final live status
+   */
+  finish(session, error) {
+    clearTimeout(session.idleTimer);
+    this.sessions.delete(session.name);
+
+    if (session.ingest) {
+      session.ingest.destroy();
+    }
+
+    session.status = {
+      ...session.status,
+      state: 'ended',
+      endedAt: new Date().toISOString(),
+      error: error ? error.message : null
+    };
+    this.saveStatus(session.name, session.status);
+    logger.info(`Live stream ${session.name} ended (${session.bytesReceived} bytes ingested)`);
+
+    const { pid, ...status } = session.status;
+    return { name: session.name, ...status, ingestConnected: false, bytesReceived: session.bytesReceived };
+  }
+
+  /**
+   * Stop a stream whose ingest has sent nothing for LIVE_INGEST_IDLE_TIMEOUT seconds
+   * @param {Object} session - Live session
+   */
+  resetIdleTimer(session) {
+    clearTimeout(session.idleTimer);
+    session.idleTimer = setTimeout(() => {
+      logger.warn(`Live stream ${session.name} received no data for ${this.idleTimeout / 1000} seconds; stopping`);
+      this.endInput(session);
+    }, this.idleTimeout);
+    session.idleTimer.unref();
+  }
+
+  /**
+   * Status of a live stream, running or ended
+   * @param {string} name - Stream name
+   * @returns {Object|null} Live status, or null if the stream is not a live stream
+   */
+  getStatus(name) {
+    // The pid of the worker running the stream is internal
+    const session = this.sessions.get(name);
+    if (session) {
+      const { pid, ...status } = session.status;
+      return { name, ...status, ingestConnected: !!session.ingest, bytesReceived: session.bytesReceived };
+    }
+
+    const stored = this.hlsService.getLiveStatus(name);
+    if (!stored) {
+      return null;
+    }
+    // Running in another worker, which records its ingest connection in live.json
+    const { pid, ...status } = stored;
+    return { name, ...status, ingestConnected: !!this.getOwner(name) && !!status.ingestConnected };
+  }
+
+  /**
+   * Whether a stream is currently live
+   * @param {string} name - Stream name
+   * @returns {boolean} True while the stream is running
+   */
+  isLive(name) {
+    return this.sessions.has(name) || !!this.getOwner(name);
+  }
+
+  /**
+   * The other cluster worker running a live stream
+   * @param {string} name - Stream name
+   * @returns {number|null} PID of the worker, or null if no other process runs the stream
+   */
+  getOwner(name) {
+    if (!clusterIpc.enabled) {
+      return null;
+    }
+
+    const status = this.hlsService.getLiveStatus(name);
+    if (!status || status.state !== 'live' || !status.pid || status.pid === process.pid) {
+      return null;
+    }
+    return isRunning(status.pid) ? status.pid : null;
+  }
+
+  /**
+   * Feed an ingest connection to the worker running the stream. Resolves
+   * when the connection ends, like ingest().
+   * @param {string} name - Stream name
+   * @param {Stream} source - Ingest request body
+   * @param {number} owner - PID of the worker running the stream
+   * @returns {Promise<number>} Bytes received on this connection
+   */
+  async forwardIngest(name, source, owner) {
+    const connection = crypto.randomUUID();
+    await clusterIpc.request('live:ingest-open', { name, connection }, { to: owner });
+
+    this.forwardedIngests.set(connection, source);
+    let bytes = 0;
+    logger.info(`Forwarding ingest of live stream ${name} to worker ${owner}`);
+
+    return new Promise((resolve) => {
+      const onData = (chunk) => {
+        bytes += chunk.length;
+        clusterIpc.notify('live:ingest-data', { connection, chunk }, owner);
+      };
+
+      const onDone = () => {
+        source.off('data', onData);
+        source.off('end', onDone);
+        source.off('close', onDone);
+        this.forwardedIngests.delete(connection);
+        clusterIpc.notify('live:ingest-end', { connection }, owner);
+        resolve(bytes);
+      };
+
+      source.on('data', onData);
+      source.once('end', onDone);
+      source.once('close', onDone);
+    });
+  }
+
+  /**
+   * Answer the ingest and stop requests other workers forward for the
+   * streams running here
+   */
+  serveForwardedRequests() {
+    clusterIpc.handle('live:ingest-open', ({ name, connection, from }) => {
+      const input = new PassThrough();
+      const done = this.ingest(name, input);
+
+      this.remoteInputs.set(connection, input);
+      done.then(() => {
+        this.remoteInputs.delete(connection);
+        // Ended here (stream stopped or idle): close the publisher's connection
+        if (!input.writableEnded) {
+          clusterIpc.notify('live:ingest-closed', { connection }, from);
+        }
+      });
+      return true;
+    });
+
+    clusterIpc.handle('live:ingest-data', ({ connection, chunk }) => {
+      const input = this.remoteInputs.get(connection);
+      if (input) {
+        input.write(Buffer.from(chunk));
+      }
+    });
+
+    clusterIpc.handle('live:ingest-end', ({ connection }) => {
+      const input = this.remoteInputs.get(connection);
+      if (input) {
+        input.end();
+      }
+    });
+
+    clusterIpc.handle('live:ingest-closed', ({ connection }) => {
+      const source = this.forwardedIngests.get(connection);
+      if (source) {
+        source.destroy();
+      }
+    });
+
+    clusterIpc.handle('live:stop', ({ name }) => this.stop(name));
+  }
+
+  /**
+   * Pick renditions of the default ladder by name
+   * @param {Array<string>} names - Rendition names, or undefined for all
+   * @returns {Array<Object>} Renditions
+   */
+  resolveQualities(names) {
+    if (names === undefined) {
+      return HLSService.DEFAULT_QUALITIES;
+    }
+
+    const available = HLSService.DEFAULT_QUALITIES.map(quality => quality.name);
+    if (!Array.isArray(names) || names.length === 0 || names.some(name => !available.includes(name))) {
+      throw liveError(400, 'INVALID_OPTIONS', `qualities must be a non-empty list of: ${available.join(', ')}`);
+    }
+
+    return HLSService.DEFAULT_QUALITIES.filter(quality => names.includes(quality.name));
+  }
+
+  /**
+   * Write a stream's live.json
+   * @param {string} name - Stream name
+   * @param {Object} status - Live status
+   */
+  saveStatus(name, status) {
+    fs.writeFileSync(path.join(this.hlsService.hlsDir, name, 'live.json'), JSON.stringify(status, null, 2));
+  }
+
+  /**
+   * Streams still marked live were cut off by a restart; mark them ended
+   */
+  recoverInterrupted() {
+    let items = [];
+    try {
+      items = fs.readdirSync(this.hlsService.hlsDir);
+    } catch (error) {
+      return;
+    }
+
+    for (const name of items) {
+      const status = this.hlsService.getLiveStatus(name);
+      // Streams of other cluster workers are still running
+      if (status && status.state === 'live' && !this.getOwner(name)) {
+        this.saveStatus(name, {
+          ...status,
+          state: 'ended',
+          endedAt: new Date().toISOString(),
+          error: 'Interrupted by a server restart'
+        });
+        logger.warn(`Live stream ${name} was interrupted by a restart and is marked ended`);
+      }
+    }
+  }
+}
+
+LiveStreamService.INGEST_FORMATS = INGEST_FORMATS;
+
+module.exports = LiveStreamService;
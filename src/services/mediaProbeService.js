@@ -0,0 +1,223 @@
+const ffmpeg = require('fluent-ffmpeg');
+const logger = require('../utils/logger');
+
+if (process.env.FFPROBE_PATH) {
+  ffmpeg.setFfprobePath(process.env.FFPROBE_PATH);
+}
+
+// Probe results keyed by source + version (ETag or mtime), least recently used first
+const cache = new Map();
+const inFlight = new Map();
+const CACHE_SIZE = parseInt(process.env.PROBE_CACHE_SIZE) || 500;
+
+class MediaProbeService {
+  /**
+   * Get technical metadata for a video with ffprobe, cached per version
+   * @param {string} input - Local file path or URL (e.g. a presigned R2 URL)
+   * @param {string} cacheKey - Identifies this version of the source (e.g. "key|etag")
+   * @returns {Promise<Object>} Normalized technical metadata
+   */
+  static async probe(input, cacheKey) {
+    if (cacheKey && cache.has(cacheKey)) {
+      const cached = cache.get(cacheKey);
+      // Refresh LRU position
+      cache.delete(cacheKey);
+      cache.set(cacheKey, cached);
+      return cached;
+    }
+
+    if (cacheKey && inFlight.has(cacheKey)) {
+      return inFlight.get(cacheKey);
+    }
+
+    const probing = this.runProbe(input)
+      .then((data) => {
+        const metadata = this.normalize(data);
+        if (cacheKey) {
+          cache.set(cacheKey, metadata);
+          if (cache.size > CACHE_SIZE) {
+            cache.delete(cache.keys().next().value);
+          }
+        }
+        return metadata;
+      })
+      .finally(() => {
+        if (cacheKey) inFlight.delete(cacheKey);
+      });
+
+    if (cacheKey) {
+      inFlight.set(cacheKey, probing);
+    }
+    return probing;
+  }
+
+  /**
+   * Probe without failing the caller: logs and returns null if ffprobe fails
+   * @param {string} input - Local file path or URL
+   * @param {string} cacheKey - Cache key (see probe)
+   * @returns {Promise<Object|null>} Technical metadata or null
+   */
+  static async tryProbe(input, cacheKey) {
+    try {
+      return await this.probe(input, cacheKey);
+    } catch (error) {
+      logger.warn(`ffprobe failed for ${cacheKey || input}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Run ffprobe
+   * @param {string} input - Local file path or URL
+   * @returns {Promise<Object>} Raw ffprobe output
+   */
+  static runProbe(input) {
+    // Give up on unreachable remote sources instead of hanging (microseconds)
+    const options = /^https?:\/\//.test(input) ? ['-rw_timeout', '15000000'] : [];
+
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(input, options, (error, data) => {
+        if (error) {
+          return reject(error);
+        }
+        resolve(data);
+      });
+    });
+  }
+
+  /**
+   * Reduce ffprobe output to the fields the API exposes
+   * @param {Object} data - Raw ffprobe output
+   * @returns {Object} Technical metadata
+   */
+  static normalize(data) {
+    const format = data.format || {};
+    const streams = data.streams || [];
+    const videoStream = streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+    const audioStreams = streams.filter(stream => stream.codec_type === 'audio');
+    const subtitleStreams = streams.filter(stream => stream.codec_type === 'subtitle');
+
+    return {
+      duration: this.toNumber(format.duration),
+      container: format.format_name || null,
+      containerLongName: format.format_long_name || null,
+      mimeType: this.containerMimeType(format, streams),
+      bitrate: this.toNumber(format.bit_rate),
+      video: videoStream ? {
+        codec: videoStream.codec_name,
+        profile: videoStream.profile || null,
+        width: videoStream.width,
+        height: videoStream.height,
+        frameRate: this.parseFrameRate(videoStream.avg_frame_rate) || this.parseFrameRate(videoStream.r_frame_rate),
+        bitrate: this.toNumber(videoStream.bit_rate),
+        pixelFormat: videoStream.pix_fmt || null,
+        rotation: this.getRotation(videoStream)
+      } : null,
+      audio: audioStreams.length ? {
+        codec: audioStreams[0].codec_name,
+        channels: audioStreams[0].channels,
+        sampleRate: this.toNumber(audioStreams[0].sample_rate),
+        bitrate: this.toNumber(audioStreams[0].bit_rate)
+      } : null,
+      audioTrackCount: audioStreams.length,
+      subtitleTrackCount: subtitleStreams.length,
+      audioTracks: audioStreams.map(stream => this.describeTrack(stream)),
+      subtitleTracks: subtitleStreams.map(stream => this.describeTrack(stream))
+    };
+  }
+
+  /**
+   * Describe an audio or subtitle track
+   * @param {Object} stream - ffprobe stream
+   * @returns {Object} Track summary
+   */
+  static describeTrack(stream) {
+    const tags = stream.tags || {};
+    return {
+      index: stream.index,
+      codec: stream.codec_name,
+      language: tags.language && tags.language !== 'und' ? tags.language : null,
+      title: tags.title || null,
+      channels: stream.channels,
+      default: stream.disposition?.default === 1
+    };
+  }
+
+  /**
+   * Parse an ffprobe rational frame rate ("30000/1001")
+   * @param {string} rate - Frame rate fraction
+   * @returns {number|null} Frames per second, rounded to 3 decimals
+   */
+  static parseFrameRate(rate) {
+    if (!rate) return null;
+
+    const [numerator, denominator] = String(rate).split('/').map(Number);
+    if (!numerator || !denominator) return null;
+
+    return Math.round((numerator / denominator) * 1000) / 1000;
+  }
+
+  /**
+   * Get display rotation in degrees from the rotate tag or display matrix
+   * @param {Object} stream - ffprobe video stream
+   * @returns {number} Rotation (0, 90, 180 or 270)
+   */
+  static getRotation(stream) {
+    let rotation = this.toNumber(stream.tags?.rotate);
+
+    if (rotation === null && Array.isArray(stream.side_data_list)) {
+      const displayMatrix = stream.side_data_list.find(item => item.rotation !== undefined);
+      rotation = displayMatrix ? -this.toNumber(displayMatrix.rotation) : null;
+    }
+
+    // fluent-ffmpeg flattens [SIDE_DATA] sections into the stream itself
+    if (rotation === null && stream.rotation !== undefined) {
+      rotation = -this.toNumber(stream.rotation);
+    }
+
+    return (((rotation || 0) % 360) + 360) % 360;
+  }
+
+  /**
+   * Derive a MIME type from the probed container rather than the extension
+   * @param {Object} format - ffprobe format
+   * @param {Array} streams - ffprobe streams
+   * @returns {string|null} MIME type
+   */
+  static containerMimeType(format, streams) {
+    const name = format.format_name || '';
+
+    if (name.includes('mp4') || name.includes('mov')) {
+      return (format.tags?.major_brand || '').trim() === 'qt' ? 'video/quicktime' : 'video/mp4';
+    }
+    if (name.includes('matroska') || name.includes('webm')) {
+      const webmCodecs = ['vp8', 'vp9', 'av1', 'opus', 'vorbis'];
+      const isWebm = streams
+        .filter(stream => stream.codec_type === 'video' || stream.codec_type === 'audio')
+        .every(stream => webmCodecs.includes(stream.codec_name));
+      return isWebm ? 'video/webm' : 'video/x-matroska';
+    }
+
+    const mimeTypes = {
+      avi: 'video/x-msvideo',
+      mpegts: 'video/mp2t',
+      ogg: 'video/ogg',
+      flv: 'video/x-flv',
+      hls: 'application/vnd.apple.mpegurl'
+    };
+    const match = Object.keys(mimeTypes).find(key => name.split(',').includes(key));
+    return match ? mimeTypes[match] : null;
+  }
+
+  /**
+   * Convert ffprobe numeric strings ("N/A" included) to numbers
+   * @param {*} value - Raw value
+   * @returns {number|null} Number or null
+   */
+  static toNumber(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+  }
+}
+
+module.exports = MediaProbeService;
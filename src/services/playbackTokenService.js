@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Placeholder values shipped in .env.example
+const PLACEHOLDER_SECRET = /^change-me/i;
+
+// Fallback when PLAYBACK_TOKEN_SECRET is unset, shared by every instance in the
+// process so tokens issued for HLS also verify on DASH routes
+let fallbackSecret = null;
+
+/**
+ * HMAC-signed, expiring playback tokens for HLS streams.
+ *
+ * A token is `<payload>.<signature>`, both base64url: the payload is JSON
+ * {s: stream, e: expiry (unix seconds), ip?: client IP, sub?: issuing
+ * identity, o?: origin} and the signature is HMAC-SHA256 of the encoded
+ * payload with PLAYBACK_TOKEN_SECRET. Local streams are identified by name,
+ * R2 streams by `r2:<key>`.
+ *
+ * A token bound to an origin is refused on requests from pages of another
+ * origin (Origin or Referer header), and on requests without either header
+ * when PLAYBACK_TOKEN_REQUIRE_ORIGIN=true. A token is also refused when an
+ * authenticated caller other than the one it was issued to presents it.
+ */
+class PlaybackTokenService {
+  constructor() {
+    this.secret = process.env.PLAYBACK_TOKEN_SECRET;
+    this.required = process.env.HLS_REQUIRE_TOKEN === 'true';
+    this.defaultTtl = parseInt(process.env.PLAYBACK_TOKEN_TTL) || 3600;
+    this.maxTtl = parseInt(process.env.PLAYBACK_TOKEN_MAX_TTL) || 86400;
+    this.requireOrigin = process.env.PLAYBACK_TOKEN_REQUIRE_ORIGIN === 'true';
+
+    // Anyone who has read .env.example could forge tokens signed with the placeholder
+    if (this.secret && PLACEHOLDER_SECRET.test(this.secret)) {
+      throw new Error('PLAYBACK_TOKEN_SECRET is still the placeholder from .env.example; set it to a long random string (e.g. openssl rand -hex 32)');
+    }
+
+    if (!this.secret) {
+      // Tokens still work, but only until the process restarts
+      const generated = !fallbackSecret;
+      fallbackSecret = fallbackSecret || crypto.randomBytes(32).toString('hex');
+      this.secret = fallbackSecret;
+      if (this.required && generated) {
+        logger.warn('PLAYBACK_TOKEN_SECRET is not set; using a random secret, issued tokens will not survive a restart');
+      }
+    }
+  }
+
+  /**
+   * Issue a token for a stream
+   * @param {Object} params - Token parameters
+   * @param {string} params.stream - Stream identifier
+   * @param {number} params.expiresIn - Lifetime in seconds (capped at PLAYBACK_TOKEN_MAX_TTL)
+   * @param {string} params.ip - Bind the token to this client IP
+   * @param {string} params.subject - Identity the token is issued to
+   * @param {string} params.origin - Bind the token to pages of this origin (e.g. https://example.com)
+   * @returns {Object} {token, expiresAt, expiresIn}
+   */
+  issue({ stream, expiresIn, ip, subject, origin }) {
+    const ttl = Math.min(parseInt(expiresIn) || this.defaultTtl, this.maxTtl);
+    const expiry = Math.floor(Date.now() / 1000) + ttl;
+
+    const payload = { s: stream, e: expiry };
+    if (ip) {
+      payload.ip = ip;
+    }
+    if (subject) {
+      payload.sub = subject;
+    }
+    if (origin) {
+      payload.o = origin;
+    }
+
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return {
+      token: `${encoded}.${this.sign(encoded)}`,
+      expiresAt: new Date(expiry * 1000).toISOString(),
+      expiresIn: ttl
+    };
+  }
+
+  /**
+   * Verify a token for a stream and client
+   * @param {string} token - Token from the request
+   * @param {Object} context - What the token must grant
+   * @param {string} context.stream - Stream identifier being requested
+   * @param {string} context.ip - Client IP of the request
+   * @param {string} context.subject - Authenticated identity of the request, if any
+   * @param {string} context.origin - Origin of the page making the request, if known
+   * @returns {Object} {valid: true} or {valid: false, reason}
+   */
+  verify(token, { stream, ip, subject, origin }) {
+    const [encoded, signature, extra] = String(token).split('.');
+    if (!encoded || !signature || extra !== undefined) {
+      return { valid: false, reason: 'Malformed token' };
+    }
+
+    const expected = Buffer.from(this.sign(encoded));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { valid: false, reason: 'Invalid signature' };
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch (error) {
+      return { valid: false, reason: 'Malformed token' };
+    }
+
+    if (payload.s !== stream) {
+      return { valid: false, reason: 'Token was issued for a different stream' };
+    }
+    if (!(payload.e > Date.now() / 1000)) {
+      return { valid: false, reason: 'Token has expired' };
+    }
+    if (payload.ip && payload.ip !== ip) {
+      return { valid: false, reason: 'Token was issued for a different client' };
+    }
+    if (payload.sub && subject && payload.sub !== subject) {
+      return { valid: false, reason: 'Token was issued to a different caller' };
+    }
+    if (payload.o && (origin ? origin !== payload.o : this.requireOrigin)) {
+      return { valid: false, reason: 'Token was issued for a different origin' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Express middleware checking the ?token= of HLS requests. Tokens are
+   * mandatory when HLS_REQUIRE_TOKEN=true; otherwise a token is only
+   * checked if one is supplied.
+   * @param {Function} getStream - (req) => stream identifier
+   * @param {Object} options - Middleware options
+   * @param {boolean} options.required - Always require a token, whatever HLS_REQUIRE_TOKEN says
+   * @returns {Function} Middleware
+   */
+  middleware(getStream, options = {}) {
+    const required = options.required || this.required;
+
+    return (req, res, next) => {
+      const { token } = req.query;
+
+      if (!token) {
+        if (!required) {
+          return next();
+        }
+        return res.status(401).json({
+          error: 'Playback token required',
+          message: 'Request a token from the stream\'s token endpoint and pass it as ?token='
+        });
+      }
+
+      const result = this.verify(token, {
+        stream: getStream(req),
+        ip: req.ip,
+        subject: req.auth ? req.auth.subject : null,
+        origin: PlaybackTokenService.requestOrigin(req)
+      });
+      if (!result.valid) {
+        logger.warn(`Rejected playback token for ${getStream(req)} from ${req.ip}: ${result.reason}`);
+        return res.status(403).json({
+          error: 'Invalid playback token',
+          message: result.reason
+        });
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Origin of the page behind a request: the Origin header, or the origin of the Referer
+   * @param {Object} req - Express request object
+   * @returns {string|null} Origin such as https://example.com, or null if unknown
+   */
+  static requestOrigin(req) {
+    const origin = req.get('origin');
+    if (origin && origin !== 'null') {
+      return origin;
+    }
+
+    try {
+      const refererOrigin = new URL(req.get('referer')).origin;
+      return refererOrigin !== 'null' ? refererOrigin : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * HMAC-SHA256 signature of an encoded payload
+   * @param {string} encoded - base64url payload
+   * @returns {string} base64url signature
+   */
+  sign(encoded) {
+    return crypto.createHmac('sha256', this.secret).update(encoded).digest('base64url');
+  }
+}
+
+module.exports = PlaybackTokenService;
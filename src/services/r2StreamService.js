@@ -1,18 +1,26 @@
-const { S3Client, GetObjectCommand, HeadObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
-const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const mime = require('mime-types');
 const logger = require('../utils/logger');
+const MediaProbeService = require('./mediaProbeService');
+const VideoStreamService = require('./videoStreamService');
+const { getArtefactStorage } = require('./storage');
 
+// Objects per listing request (the S3 maximum), and requests per listed page
+const MAX_LIST_KEYS = 1000;
+const MAX_LIST_REQUESTS = 10;
+
+/**
+ * Videos in object storage and the HLS output converted from them.
+ *
+ * Originals live on the backend VIDEO_STORAGE names (Cloudflare R2 by
+ * default) and HLS output on HLS_STORAGE (the same backend by default),
+ * so either can move to MinIO, AWS S3 or the local disk by configuration.
+ * The API keeps calling them R2 videos and R2 streams.
+ */
 class R2StreamService {
   constructor() {
-    this.client = new S3Client({
-      region: 'auto',
-      endpoint: process.env.R2_ENDPOINT,
-      credentials: {
-        accessKeyId: process.env.R2_ACCESS_KEY_ID,
-        secretAccessKey: process.env.R2_SECRET_ACCESS_KEY,
-      },
-    });
-    this.bucketName = process.env.R2_BUCKET_NAME;
+    this.storage = getArtefactStorage('videos');
+    this.hlsStorage = getArtefactStorage('hls');
+    this.hlsPrefix = process.env.R2_HLS_PREFIX || 'hls';
   }
 
   /**
@@ -20,112 +28,36 @@ class R2StreamService {
    * @param {string} key - Object key in R2 bucket
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
+   * @param {Object} options - Optional overrides (see VideoStreamService.streamFromStorage; source defaults to r2)
    */
-  async streamVideo(key, req, res) {
-    try {
-      // First, get object metadata to determine file size
-      const headCommand = new HeadObjectCommand({
-        Bucket: this.bucketName,
-        Key: key
-      });
-
-      const headResponse = await this.client.send(headCommand);
-      const fileSize = headResponse.ContentLength;
-      const contentType = headResponse.ContentType || 'video/mp4';
-      const lastModified = headResponse.LastModified;
-      const etag = headResponse.ETag;
-
-      const range = req.headers.range;
-
-      if (range) {
-        // Handle Range Request
-        const rangeData = this.parseRange(range, fileSize);
-        
-        if (!rangeData) {
-          // Invalid range - return 416 Range Not Satisfiable
-          res.status(416).set({
-            'Content-Range': `bytes */${fileSize}`,
-            'Accept-Ranges': 'bytes',
-            'Content-Type': contentType
-          });
-          return res.end();
-        }
+  async streamVideo(key, req, res, options = {}) {
+    return VideoStreamService.streamFromStorage(this.storage, key, req, res, { source: 'r2', ...options });
+  }
 
-        const { start, end, chunkSize } = rangeData;
-
-        // Get object with range
-        const getCommand = new GetObjectCommand({
-          Bucket: this.bucketName,
-          Key: key,
-          Range: `bytes=${start}-${end}`
-        });
-
-        const response = await this.client.send(getCommand);
-
-        // Set headers for partial content (206)
-        res.status(206).set({
-          'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-          'Accept-Ranges': 'bytes',
-          'Content-Length': chunkSize,
-          'Content-Type': contentType,
-          'Cache-Control': 'public, max-age=3600',
-          'Last-Modified': lastModified?.toUTCString(),
-          'ETag': etag
-        });
-
-        // Stream the response body
-        response.Body.pipe(res);
-
-        logger.info(`Streaming R2 range ${start}-${end}/${fileSize} for ${key}`);
-      } else {
-        // No range header - stream entire file
-        const getCommand = new GetObjectCommand({
-          Bucket: this.bucketName,
-          Key: key
-        });
-
-        const response = await this.client.send(getCommand);
-
-        res.set({
-          'Content-Length': fileSize,
-          'Content-Type': contentType,
-          'Accept-Ranges': 'bytes',
-          'Cache-Control': 'public, max-age=3600',
-          'Last-Modified': lastModified?.toUTCString(),
-          'ETag': etag
-        });
-
-        response.Body.pipe(res);
-        logger.info(`Streaming entire R2 file ${key} (${fileSize} bytes)`);
-      }
-    } catch (error) {
-      logger.error('Error streaming from R2:', error);
-      
-      if (error.name === 'NoSuchKey') {
-        res.status(404).json({ error: 'Video file not found in R2' });
-      } else if (error.name === 'InvalidRange') {
-        res.status(416).json({ error: 'Invalid range request' });
-      } else {
-        res.status(500).json({ error: 'Internal server error' });
-      }
-    }
+  /**
+   * Stream a file of an R2 video's HLS output (segment, subtitle, thumbnail)
+   * @param {string} key - Object key of the source video
+   * @param {string} file - Path below its HLS prefix, e.g. 720p/segment_000.ts
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} options - Optional overrides (see VideoStreamService.streamFromStorage)
+   */
+  async streamHLSFile(key, file, req, res, options = {}) {
+    return VideoStreamService.streamFromStorage(this.hlsStorage, `${this.getHLSPrefix(key)}/${file}`, req, res, options);
   }
 
   /**
    * Generate presigned URL for direct client access to R2
    * @param {string} key - Object key in R2 bucket
    * @param {number} expiresIn - URL expiration time in seconds (default: 3600)
-   * @returns {string} Presigned URL
+   * @returns {string|null} Presigned URL, or null if the backend has no URLs of its own (local disk)
    */
   async getPresignedUrl(key, expiresIn = 3600) {
     try {
-      const command = new GetObjectCommand({
-        Bucket: this.bucketName,
-        Key: key
-      });
-
-      const url = await getSignedUrl(this.client, command, { expiresIn });
-      logger.info(`Generated presigned URL for ${key}, expires in ${expiresIn}s`);
+      const url = await this.storage.presign(key, { expiresIn });
+      if (url) {
+        logger.info(`Generated presigned URL for ${key}, expires in ${expiresIn}s`);
+      }
       return url;
     } catch (error) {
       logger.error('Error generating presigned URL:', error);
@@ -133,61 +65,126 @@ class R2StreamService {
     }
   }
 
+  /**
+   * Generate presigned URLs for files of an R2 video's HLS output
+   * @param {Array<string>} keys - Object keys (including the HLS prefix)
+   * @param {number} expiresIn - URL expiration time in seconds (default: 3600)
+   * @returns {Object|null} Map of key to presigned URL, or null if the HLS backend cannot presign
+   */
+  async getHLSPresignedUrls(keys, expiresIn = 3600) {
+    try {
+      const urls = {};
+
+      for (const [key, url] of await Promise.all(keys.map(async key => [key, await this.hlsStorage.presign(key, { expiresIn })]))) {
+        if (!url) return null;
+        urls[key] = url;
+      }
+
+      logger.info(`Generated ${keys.length} presigned URLs, expire in ${expiresIn}s`);
+      return urls;
+    } catch (error) {
+      logger.error('Error generating presigned URLs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read a small text file (playlist, manifest) of an R2 video's HLS output
+   * @param {string} key - Object key of the source video
+   * @param {string} file - Path below its HLS prefix, e.g. master.m3u8
+   * @returns {string} File content
+   */
+  async getHLSText(key, file) {
+    try {
+      return await this.hlsStorage.readText(`${this.getHLSPrefix(key)}/${file}`);
+    } catch (error) {
+      if (error.code !== 'NOT_FOUND') {
+        logger.error('Error reading HLS file from R2:', error);
+      }
+      throw error;
+    }
+  }
+
   /**
    * Get video metadata from R2
    * @param {string} key - Object key in R2 bucket
+   * @param {Object} options - Metadata options
+   * @param {boolean} options.probe - Include ffprobe technical metadata (read through a presigned URL)
    * @returns {Object} Video metadata
    */
-  async getVideoMetadata(key) {
+  async getVideoMetadata(key, options = {}) {
     try {
-      const command = new HeadObjectCommand({
-        Bucket: this.bucketName,
-        Key: key
-      });
+      const object = await this.storage.head(key);
+      const technical = options.probe ? await this.probeVideo(key, object.etag) : null;
 
-      const response = await this.client.send(command);
-      
       return {
         filename: key.split('/').pop(),
         key: key,
-        size: response.ContentLength,
-        mimeType: response.ContentType || 'video/mp4',
-        lastModified: response.LastModified,
-        etag: response.ETag,
+        size: object.size,
+        mimeType: technical?.mimeType || object.contentType || 'video/mp4',
+        lastModified: object.lastModified,
+        etag: object.etag,
         supportsRangeRequests: true,
-        metadata: response.Metadata || {}
+        metadata: object.metadata,
+        ...(options.probe ? { technical } : {})
       };
     } catch (error) {
-      logger.error('Error getting R2 video metadata:', error);
+      if (error.code !== 'NOT_FOUND') {
+        logger.error('Error getting R2 video metadata:', error);
+      }
       throw error;
     }
   }
 
   /**
-   * Upload video to R2
+   * Get ffprobe technical metadata for an R2 object. ffprobe reads the
+   * object through a short-lived presigned URL using ranged requests (or
+   * straight from disk on the local backend), and results are cached per ETag.
+   * @param {string} key - Object key in R2 bucket
+   * @param {string} etag - Current ETag of the object
+   * @returns {Object|null} Technical metadata, or null if probing failed
+   */
+  async probeVideo(key, etag) {
+    const cacheKey = `${this.storage.name}:${this.storage.bucketName || ''}/${key}|${etag}`;
+    const input = (await this.storage.presign(key, { expiresIn: 300 })) || this.storage.resolve(key);
+
+    return MediaProbeService.tryProbe(input, cacheKey);
+  }
+
+  /**
+   * Upload video to R2. A file path is streamed from disk (files larger
+   * than one part use S3 multipart upload); a stream is written as it
+   * arrives; memory use stays bounded either way.
    * @param {string} key - Object key in R2 bucket
-   * @param {Buffer|Stream} body - File content
+   * @param {string|Buffer|Stream} body - Local file path, or file content
    * @param {Object} options - Upload options
+   * @param {string} options.contentType - Content-Type of the object
+   * @param {Object} options.metadata - Custom object metadata
+   * @param {number} options.partSize - Multipart part size in bytes (min 5MB)
+   * @param {number} options.concurrency - Parts uploaded in parallel
+   * @param {number} options.retries - Attempts per part before giving up
+   * @param {Function} options.onProgress - Called with (bytesUploaded, totalBytes)
+   * @param {AbortSignal} options.signal - Aborts the upload when triggered
    * @returns {Object} Upload result
    */
   async uploadVideo(key, body, options = {}) {
     try {
-      const command = new PutObjectCommand({
-        Bucket: this.bucketName,
-        Key: key,
-        Body: body,
-        ContentType: options.contentType || 'video/mp4',
-        Metadata: options.metadata || {},
-        CacheControl: 'public, max-age=3600'
-      });
-
-      const response = await this.client.send(command);
-      logger.info(`Successfully uploaded ${key} to R2`);
-      
+      const uploadOptions = {
+        ...options,
+        contentType: options.contentType || 'video/mp4',
+        cacheControl: 'public, max-age=3600'
+      };
+
+      const response = typeof body === 'string'
+        ? await this.storage.putFile(key, body, uploadOptions)
+        : await this.storage.put(key, body, uploadOptions);
+
+      logger.info(`Successfully uploaded ${key} to ${this.storage.name}`);
+
       return {
         key: key,
-        etag: response.ETag,
-        location: `${process.env.R2_ENDPOINT}/${this.bucketName}/${key}`
+        etag: response.etag,
+        location: this.storage.getLocation(key)
       };
     } catch (error) {
       logger.error('Error uploading to R2:', error);
@@ -196,63 +193,172 @@ class R2StreamService {
   }
 
   /**
-   * Parse Range header according to RFC 7233
-   * @param {string} range - Range header value
-   * @param {number} fileSize - Total file size
-   * @returns {Object|null} Parsed range object
+   * Download an object from R2 to a local file
+   * @param {string} key - Object key in R2 bucket
+   * @param {string} destPath - Local file path to write to
+   * @param {Function} onProgress - Optional callback with (bytesWritten, totalBytes)
+   * @returns {Object} Download result
    */
-  parseRange(range, fileSize) {
-    if (!range || !range.startsWith('bytes=')) {
-      return null;
+  async downloadToFile(key, destPath, onProgress) {
+    try {
+      return await this.storage.getFile(key, destPath, onProgress);
+    } catch (error) {
+      logger.error('Error downloading from R2:', error);
+      throw error;
     }
+  }
 
-    const parts = range.replace(/bytes=/, '').split('-');
-    const start = parseInt(parts[0], 10);
-    const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
+  /**
+   * Store a converted HLS directory as an R2 video's HLS output. If the
+   * upload fails, the files already stored under the prefix are deleted, so
+   * no playlist is left pointing at missing or outdated segments.
+   * @param {string} localDir - Directory to upload (recursively)
+   * @param {string} key - Object key of the source video
+   * @param {Function} onProgress - Optional callback with (bytesUploaded, totalBytes)
+   * @returns {Array} Uploaded object keys
+   */
+  async publishHLS(localDir, key, onProgress) {
+    try {
+      return await this.hlsStorage.putDirectory(localDir, this.getHLSPrefix(key), onProgress);
+    } catch (error) {
+      logger.error(`Error uploading HLS output of ${key}:`, error);
+      await this.deleteHLS(key).catch(() => {});
+      throw error;
+    }
+  }
 
-    // Validate range
-    if (isNaN(start) || isNaN(end) || start >= fileSize || end >= fileSize || start > end) {
-      return null;
+  /**
+   * Delete every file of an R2 video's HLS output
+   * @param {string} key - Object key of the source video
+   * @returns {Promise<number>} Number of files deleted
+   */
+  async deleteHLS(key) {
+    try {
+      return await this.hlsStorage.deletePrefix(`${this.getHLSPrefix(key)}/`);
+    } catch (error) {
+      logger.error('Error deleting R2 HLS output:', error);
+      throw error;
     }
+  }
+
+  /**
+   * Check whether an object exists
+   * @param {string} key - Object key
+   * @returns {Promise<boolean>} True if it exists
+   */
+  async objectExists(key) {
+    return this.storage.exists(key);
+  }
 
-    return {
-      start,
-      end,
-      chunkSize: (end - start) + 1
-    };
+  /**
+   * Copy an object within the bucket (server-side), keeping its content
+   * type and cache headers
+   * @param {string} sourceKey - Object to copy
+   * @param {string} destKey - Key of the copy (may equal sourceKey to rewrite metadata)
+   * @param {Object} options - Copy options
+   * @param {Object} options.metadata - Custom metadata of the copy (default: the source's)
+   * @returns {Promise<Object>} {key, etag, metadata}
+   */
+  async copyObject(sourceKey, destKey, options = {}) {
+    try {
+      return await this.storage.copy(sourceKey, destKey, options);
+    } catch (error) {
+      logger.error('Error copying R2 object:', error);
+      throw error;
+    }
   }
 
   /**
-   * List videos in R2 bucket
-   * @param {string} prefix - Key prefix to filter results
-   * @param {number} maxKeys - Maximum number of keys to return
-   * @returns {Array} List of video objects
+   * Delete an object
+   * @param {string} key - Object key
    */
-  async listVideos(prefix = '', maxKeys = 100) {
+  async deleteObject(key) {
     try {
-      const { ListObjectsV2Command } = require('@aws-sdk/client-s3');
-      
-      const command = new ListObjectsV2Command({
-        Bucket: this.bucketName,
-        Prefix: prefix,
-        MaxKeys: maxKeys
-      });
-
-      const response = await this.client.send(command);
-      
-      return (response.Contents || [])
-        .filter(obj => this.isVideoFile(obj.Key))
-        .map(obj => ({
-          key: obj.Key,
-          filename: obj.Key.split('/').pop(),
-          size: obj.Size,
-          lastModified: obj.LastModified,
-          etag: obj.ETag,
-          streamUrl: `/api/video/r2/${encodeURIComponent(obj.Key)}`,
-          metadataUrl: `/api/video/r2/${encodeURIComponent(obj.Key)}/metadata`
-        }));
+      await this.storage.delete(key);
     } catch (error) {
-      logger.error('Error listing R2 videos:', error);
+      logger.error('Error deleting R2 object:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the key prefix under which HLS output for a video is stored
+   * @param {string} key - Object key of the source video
+   * @returns {string} Key prefix, without trailing slash
+   */
+  getHLSPrefix(key) {
+    return `${this.hlsPrefix}/${key}`;
+  }
+
+  /**
+   * Whether an object is HLS output (e.g. a CMAF init.mp4) rather than a
+   * video, which is the case for keys under the HLS prefix when videos and
+   * HLS output share a backend
+   * @param {string} key - Object key
+   * @returns {boolean} True if the key is HLS output
+   */
+  isHLSOutput(key) {
+    return this.hlsStorage === this.storage && key.startsWith(`${this.hlsPrefix}/`);
+  }
+
+  /**
+   * List video objects a page at a time, in key order. Pages are filled
+   * across several listing requests when filters skip objects; the next
+   * page resumes from the backend's continuation token, or after the last
+   * key returned when a page ends part-way through a listing.
+   * @param {string} prefix - Key prefix
+   * @param {Object} options - Page options
+   * @param {number} options.limit - Maximum number of videos
+   * @param {Object} options.position - {token} or {startAfter} from a previous page's next
+   * @param {Function} options.filter - (video) => boolean, applied before the limit
+   * @returns {Promise<Object>} {videos, next: position of the next page or null}
+   */
+  async listVideos(prefix = '', { limit = 100, position = {}, filter = () => true } = {}) {
+    try {
+      const videos = [];
+      let token = position.token;
+      let startAfter = position.startAfter;
+
+      for (let request = 0; request < MAX_LIST_REQUESTS; request++) {
+        const page = await this.storage.list(prefix, { limit: MAX_LIST_KEYS, token, startAfter });
+
+        for (let i = 0; i < page.items.length; i++) {
+          const obj = page.items[i];
+          if (!this.isVideoFile(obj.key) || this.isHLSOutput(obj.key)) continue;
+
+          const video = {
+            key: obj.key,
+            filename: obj.key.split('/').pop(),
+            size: obj.size,
+            mimeType: mime.lookup(obj.key) || 'video/mp4',
+            lastModified: obj.lastModified,
+            etag: obj.etag,
+            streamUrl: `/api/video/r2/${encodeURIComponent(obj.key)}`,
+            metadataUrl: `/api/video/r2/${encodeURIComponent(obj.key)}/metadata`
+          };
+          if (!filter(video)) continue;
+
+          videos.push(video);
+          if (videos.length === limit) {
+            if (i < page.items.length - 1) {
+              return { videos, next: { startAfter: obj.key } };
+            }
+            return { videos, next: page.token ? { token: page.token } : null };
+          }
+        }
+
+        if (!page.token) {
+          return { videos, next: null };
+        }
+        token = page.token;
+      }
+
+      // Scanned as many objects as one page may cost; the client continues from here
+      return { videos, next: { token } };
+    } catch (error) {
+      if (error.code !== 'INVALID_CURSOR') {
+        logger.error('Error listing R2 videos:', error);
+      }
       throw error;
     }
   }
@@ -269,4 +375,4 @@ class R2StreamService {
   }
 }
 
-module.exports = R2StreamService;
\ No newline at end of file
+module.exports = R2StreamService;
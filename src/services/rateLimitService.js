@@ -0,0 +1,214 @@
+const logger = require('../utils/logger');
+const clusterIpc = require('../utils/clusterIpc');
+
+// How long a cluster worker waits for the primary before limiting on its own
+const CLUSTER_TIMEOUT_MS = 1000;
+
+// Default "requests/seconds" per route group
+const DEFAULT_LIMITS = {
+  stream: '300/60',
+  hls: '1200/60',
+  upload: '120/60',
+  // Failed authentication attempts per IP
+  auth: '20/60'
+};
+
+/**
+ * Token-bucket request rate limiting per client and route group.
+ *
+ * Clients are identified by their authenticated subject (API key or JWT
+ * `sub`) and otherwise by IP. Each group's limit comes from
+ * RATE_LIMIT_<GROUP> as "requests/seconds" ("off" disables the group).
+ * A bucket holds up to `requests` tokens and refills continuously, so
+ * short bursts are allowed while the average stays under the limit.
+ *
+ * In cluster mode the buckets are kept by the primary, so a client's limit
+ * holds across all HTTP workers; a worker that gets no answer from the
+ * primary falls back to its own buckets.
+ */
+class RateLimitService {
+  constructor() {
+    this.enabled = process.env.RATE_LIMIT_ENABLED !== 'false';
+    this.buckets = new Map();
+
+    // Forget idle clients whose buckets have refilled
+    this.sweepTimer = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Express middleware limiting a route group. Over-limit requests get
+   * 429 with Retry-After; every response carries RateLimit-* headers.
+   * @param {string} group - Route group (stream, hls, upload, ...)
+   * @returns {Function} Middleware
+   */
+  middleware(group) {
+    const limit = this.parseLimit(group);
+
+    if (!this.enabled || !limit) {
+      logger.info(`Rate limiting disabled for ${group} routes`);
+      return (req, res, next) => next();
+    }
+
+    return async (req, res, next) => {
+      const client = RateLimitService.getClientId(req);
+      const result = await this.acquire(`${group}:${client}`, limit);
+
+      res.set({
+        'RateLimit-Limit': limit.requests,
+        'RateLimit-Remaining': result.remaining,
+        'RateLimit-Reset': result.resetSeconds
+      });
+
+      if (result.allowed) {
+        return next();
+      }
+
+      logger.warn(`Rate limit exceeded for ${client} on ${group} routes: ${req.method} ${req.originalUrl}`);
+      res.status(429)
+        .set('Retry-After', result.retryAfterSeconds)
+        .json({
+          error: 'Too many requests',
+          message: `Rate limit of ${limit.requests} requests per ${limit.seconds} seconds exceeded; retry in ${result.retryAfterSeconds} seconds`
+        });
+    };
+  }
+
+  /**
+   * Express middleware limiting failed authentication attempts per IP
+   * (RATE_LIMIT_AUTH). Mount it before AuthService.authenticate(), which
+   * marks rejected credentials in res.locals.authFailed. Once an IP has
+   * used up its failures it gets 429 before its credentials are checked,
+   * so API keys and tokens cannot be guessed at full speed.
+   * @returns {Function} Middleware
+   */
+  authFailureMiddleware() {
+    const limit = this.parseLimit('auth');
+
+    if (!this.enabled || !limit) {
+      logger.info('Rate limiting disabled for failed authentication');
+      return (req, res, next) => next();
+    }
+
+    return async (req, res, next) => {
+      const bucketKey = `auth:ip:${req.ip}`;
+      const result = await this.acquire(bucketKey, limit, 0);
+
+      if (!result.allowed) {
+        logger.warn(`Too many failed authentication attempts from ${req.ip}: ${req.method} ${req.originalUrl}`);
+        return res.status(429)
+          .set('Retry-After', result.retryAfterSeconds)
+          .json({
+            error: 'Too many requests',
+            message: `More than ${limit.requests} failed authentication attempts per ${limit.seconds} seconds; retry in ${result.retryAfterSeconds} seconds`
+          });
+      }
+
+      res.on('finish', () => {
+        if (res.locals.authFailed) {
+          this.acquire(bucketKey, limit);
+        }
+      });
+      next();
+    };
+  }
+
+  /**
+   * Take tokens from a bucket, the primary's in cluster mode
+   * @param {string} bucketKey - group:client
+   * @param {Object} limit - {requests, seconds}
+   * @param {number} cost - Tokens to take if one is left (0 only checks)
+   * @returns {Promise<Object>} See take
+   */
+  async acquire(bucketKey, limit, cost = 1) {
+    if (clusterIpc.enabled) {
+      try {
+        return await clusterIpc.request('ratelimit:take', { bucketKey, limit, cost }, { timeout: CLUSTER_TIMEOUT_MS });
+      } catch (error) {
+        logger.warn(`Rate limiting locally, the cluster primary did not answer: ${error.message}`);
+      }
+    }
+    return this.take(bucketKey, limit, cost);
+  }
+
+  /**
+   * Take tokens from a bucket
+   * @param {string} bucketKey - group:client
+   * @param {Object} limit - {requests, seconds}
+   * @param {number} cost - Tokens to take if one is left (0 only checks)
+   * @returns {Object} {allowed, remaining, retryAfterSeconds, resetSeconds}
+   */
+  take(bucketKey, limit, cost = 1) {
+    const now = Date.now();
+    const refillPerMs = limit.requests / (limit.seconds * 1000);
+
+    let bucket = this.buckets.get(bucketKey);
+    if (!bucket) {
+      bucket = { tokens: limit.requests, updatedAt: now, limit };
+      this.buckets.set(bucketKey, bucket);
+    }
+
+    bucket.tokens = Math.min(limit.requests, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= cost;
+    }
+
+    return {
+      allowed: allowed,
+      remaining: Math.floor(bucket.tokens),
+      retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil((1 - bucket.tokens) / refillPerMs / 1000)),
+      resetSeconds: Math.ceil((limit.requests - bucket.tokens) / refillPerMs / 1000)
+    };
+  }
+
+  /**
+   * Identify the client a request counts against
+   * @param {Object} req - Express request object
+   * @returns {string} Client identifier
+   */
+  static getClientId(req) {
+    if (req.auth && req.auth.subject) {
+      return req.auth.subject;
+    }
+    return `ip:${req.ip}`;
+  }
+
+  /**
+   * Read a group's limit from RATE_LIMIT_<GROUP>
+   * @param {string} group - Route group
+   * @returns {Object|null} {requests, seconds}, or null if the group is unlimited
+   */
+  parseLimit(group) {
+    const value = process.env[`RATE_LIMIT_${group.toUpperCase()}`] || DEFAULT_LIMITS[group];
+    if (!value || value === 'off' || value === '0') {
+      return null;
+    }
+
+    const match = String(value).match(/^(\d+)\s*\/\s*(\d+)$/);
+    if (!match || !(parseInt(match[1]) > 0) || !(parseInt(match[2]) > 0)) {
+      logger.warn(`Invalid RATE_LIMIT_${group.toUpperCase()} '${value}', expected requests/seconds`);
+      return null;
+    }
+
+    return { requests: parseInt(match[1]), seconds: parseInt(match[2]) };
+  }
+
+  /**
+   * Drop buckets that have refilled completely
+   */
+  sweep() {
+    const now = Date.now();
+
+    for (const [key, bucket] of this.buckets) {
+      const refillMs = (bucket.limit.seconds * 1000 * (bucket.limit.requests - bucket.tokens)) / bucket.limit.requests;
+      if (now - bucket.updatedAt >= refillMs) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = RateLimitService;
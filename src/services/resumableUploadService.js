@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const logger = require('../utils/logger');
+const { tryLock, unlock } = require('../utils/fileLock');
+const { getMaxFileSize, isAllowedVideoFile, generateFilename } = require('../utils/uploadValidation');
+
+/**
+ * Create an error carrying the HTTP status the routes should answer with
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable message
+ * @returns {Error} Error with status and code
+ */
+function uploadError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Resumable (tus-style) uploads: a client creates an upload with its total
+ * size, PATCHes chunks at the current offset, and can ask for that offset
+ * after a dropped connection to continue where it left off.
+ *
+ * Each upload is a `<id>.part` data file plus a `<id>.json` state file.
+ * While a chunk is written or the upload is completed it is locked by a
+ * `<id>.lock` file, so the HTTP workers of cluster mode never write the
+ * same upload at once.
+ */
+class ResumableUploadService {
+  /**
+   * @param {Object} options - Service options
+   * @param {string} options.directory - Where partial uploads are kept
+   * @param {number} options.ttlHours - Hours of inactivity before an upload expires
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(__dirname, '../../uploads/resumable');
+    this.ttl = (parseFloat(options.ttlHours) || 24) * 60 * 60 * 1000;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * Start a new upload
+   * @param {Object} params - Upload parameters
+   * @param {string} params.filename - Original file name
+   * @param {number} params.size - Total size in bytes
+   * @param {string} params.mimeType - MIME type of the file
+   * @returns {Object} Upload state
+   */
+  create({ filename, size, mimeType }) {
+    this.removeExpired();
+
+    const totalSize = parseInt(size);
+    if (!filename || !(totalSize > 0)) {
+      throw uploadError(400, 'INVALID_UPLOAD', 'filename and a positive size are required');
+    }
+    if (!isAllowedVideoFile(filename, mimeType)) {
+      throw uploadError(400, 'INVALID_FILE_TYPE', 'Only video files are allowed');
+    }
+    if (totalSize > getMaxFileSize()) {
+      throw uploadError(413, 'FILE_TOO_LARGE', 'File size exceeds the maximum allowed limit');
+    }
+
+    const now = new Date();
+    const upload = {
+      id: crypto.randomUUID(),
+      filename: filename,
+      mimeType: mimeType || null,
+      size: totalSize,
+      offset: 0,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.ttl).toISOString()
+    };
+
+    fs.writeFileSync(this.dataPath(upload.id), '');
+    this.save(upload);
+
+    logger.info(`Created resumable upload ${upload.id} for ${filename} (${totalSize} bytes)`);
+    return upload;
+  }
+
+  /**
+   * Get upload state
+   * @param {string} id - Upload ID
+   * @returns {Object} Upload state
+   */
+  get(id) {
+    if (!/^[0-9a-f-]{36}$/.test(id) || !fs.existsSync(this.statePath(id))) {
+      throw uploadError(404, 'UPLOAD_NOT_FOUND', `Upload '${id}' not found`);
+    }
+
+    return JSON.parse(fs.readFileSync(this.statePath(id), 'utf8'));
+  }
+
+  /**
+   * Append a chunk at the given offset. If the connection drops, the bytes
+   * that were written are kept and the offset advances accordingly.
+   * @param {string} id - Upload ID
+   * @param {number} offset - Offset the client believes the upload is at
+   * @param {Stream} input - Chunk data
+   * @returns {Object} Updated upload state
+   */
+  async appendChunk(id, offset, input) {
+    this.get(id);
+    this.lock(id, 'Another chunk is currently being written to this upload');
+
+    // Read under the lock: another process may have just written a chunk
+    let upload;
+    try {
+      upload = this.get(id);
+      if (offset !== upload.offset) {
+        const error = uploadError(409, 'OFFSET_MISMATCH', `Upload is at offset ${upload.offset}, not ${offset}`);
+        error.offset = upload.offset;
+        throw error;
+      }
+    } catch (error) {
+      this.release(id);
+      throw error;
+    }
+
+    let received = 0;
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (offset + received > upload.size) {
+          return callback(uploadError(413, 'CHUNK_TOO_LARGE', 'Chunk exceeds the declared upload size'));
+        }
+        callback(null, chunk);
+      }
+    });
+    const output = fs.createWriteStream(this.dataPath(id), { flags: 'r+', start: offset });
+
+    try {
+      await pipeline(input, limiter, output);
+    } finally {
+      upload.offset = offset + output.bytesWritten;
+      upload.updatedAt = new Date().toISOString();
+      upload.expiresAt = new Date(Date.now() + this.ttl).toISOString();
+      // Saving the state of an upload removed meanwhile would leave an orphan behind
+      if (fs.existsSync(this.statePath(id))) {
+        this.save(upload);
+      }
+      this.release(id);
+    }
+
+    logger.debug(`Resumable upload ${id} at ${upload.offset}/${upload.size}`);
+    return upload;
+  }
+
+  /**
+   * Start finishing a fully received upload: its data is linked into a
+   * directory for the follow-up steps (upload to R2, catalog, HLS), while
+   * the upload itself stays locked and resumable. Call finalize() once those
+   * steps have succeeded, or release() to let the client retry.
+   * @param {string} id - Upload ID
+   * @param {string} destinationDir - Directory for the finished file
+   * @returns {Object} File in the shape multer produces
+   */
+  complete(id, destinationDir) {
+    this.get(id);
+    this.lock(id, 'A chunk is still being written to this upload, or it is being completed');
+
+    let upload;
+    let filename;
+    let filePath;
+    try {
+      upload = this.get(id);
+      if (upload.offset !== upload.size) {
+        throw uploadError(409, 'UPLOAD_INCOMPLETE', `Upload is at offset ${upload.offset} of ${upload.size}`);
+      }
+
+      filename = generateFilename('video', upload.filename);
+      filePath = path.join(destinationDir, filename);
+
+      // A hard link shares the data without copying; the follow-up steps may move or delete it
+      try {
+        fs.linkSync(this.dataPath(id), filePath);
+      } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        fs.copyFileSync(this.dataPath(id), filePath);
+      }
+    } catch (error) {
+      this.release(id);
+      throw error;
+    }
+
+    logger.info(`Completing resumable upload ${id} as ${filename}`);
+    return {
+      originalname: upload.filename,
+      filename: filename,
+      path: filePath,
+      size: upload.size,
+      mimetype: upload.mimeType
+    };
+  }
+
+  /**
+   * Remove a completed upload once its file has been fully processed
+   * @param {string} id - Upload ID
+   */
+  finalize(id) {
+    fs.rmSync(this.dataPath(id), { force: true });
+    fs.rmSync(this.statePath(id), { force: true });
+    this.release(id);
+    logger.info(`Completed resumable upload ${id}`);
+  }
+
+  /**
+   * Lock an upload for this process
+   * @param {string} id - Upload ID
+   * @param {string} message - Error message if another request holds the lock
+   */
+  lock(id, message) {
+    if (!tryLock(this.lockPath(id))) {
+      throw uploadError(409, 'UPLOAD_LOCKED', message);
+    }
+  }
+
+  /**
+   * Unlock an upload, e.g. one whose completion failed, keeping its data so
+   * that completing it can be retried
+   * @param {string} id - Upload ID
+   */
+  release(id) {
+    unlock(this.lockPath(id));
+  }
+
+  /**
+   * Abort an upload and remove its data
+   * @param {string} id - Upload ID
+   */
+  remove(id) {
+    this.get(id);
+    this.lock(id, 'A chunk is being written to this upload, or it is being completed');
+
+    try {
+      this.discard(id);
+    } finally {
+      this.release(id);
+    }
+  }
+
+  /**
+   * Remove an upload's data and state; the caller holds its lock
+   * @param {string} id - Upload ID
+   */
+  discard(id) {
+    fs.rmSync(this.dataPath(id), { force: true });
+    fs.rmSync(this.statePath(id), { force: true });
+    logger.info(`Removed resumable upload ${id}`);
+  }
+
+  /**
+   * Remove uploads that have not received data before their expiry
+   */
+  removeExpired() {
+    try {
+      const now = Date.now();
+
+      for (const file of fs.readdirSync(this.directory)) {
+        if (!file.endsWith('.json')) continue;
+
+        const id = path.basename(file, '.json');
+        const upload = JSON.parse(fs.readFileSync(this.statePath(id), 'utf8'));
+        if (new Date(upload.expiresAt).getTime() < now && tryLock(this.lockPath(id))) {
+          try {
+            this.discard(id);
+          } finally {
+            this.release(id);
+          }
+        }
+      }
+    } catch (error) {
+      logger.error('Error removing expired uploads:', error);
+    }
+  }
+
+  /**
+   * Persist upload state
+   * @param {Object} upload - Upload state
+   */
+  save(upload) {
+    const tmpPath = `${this.statePath(upload.id)}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(upload, null, 2));
+    fs.renameSync(tmpPath, this.statePath(upload.id));
+  }
+
+  /**
+   * Path of the upload's data file
+   * @param {string} id - Upload ID
+   * @returns {string} File path
+   */
+  dataPath(id) {
+    return path.join(this.directory, `${id}.part`);
+  }
+
+  /**
+   * Path of the upload's lock file
+   * @param {string} id - Upload ID
+   * @returns {string} File path
+   */
+  lockPath(id) {
+    return path.join(this.directory, `${id}.lock`);
+  }
+
+  /**
+   * Path of the upload's state file
+   * @param {string} id - Upload ID
+   * @returns {string} File path
+   */
+  statePath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+}
+
+module.exports = ResumableUploadService;
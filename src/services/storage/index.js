@@ -0,0 +1,126 @@
+const path = require('path');
+const LocalStorage = require('./localStorage');
+const S3Storage = require('./s3Storage');
+const storageError = require('./storageError');
+const { parseFileSize } = require('../../utils/uploadValidation');
+
+// Backends by name, created on first use and shared by every service
+const backends = new Map();
+
+// Artefacts that stay in local directories, because ffmpeg, multer and live
+// ingest write them there as files
+const LOCAL_ARTEFACT_DIRS = {
+  'local-videos': 'videos',
+  'local-uploads': 'uploads',
+  'local-hls': 'hls',
+  'local-thumbnails': 'thumbnails'
+};
+
+/**
+ * S3 backend settings from environment variables with the given prefix
+ * (R2_ENDPOINT, S3_BUCKET_NAME, ...)
+ * @param {string} prefix - R2 or S3
+ * @param {string} defaultRegion - Region when <prefix>_REGION is unset
+ * @returns {Object} S3Storage options
+ */
+function s3Options(prefix, defaultRegion) {
+  const env = name => process.env[`${prefix}_${name}`];
+
+  return {
+    bucket: env('BUCKET_NAME'),
+    endpoint: env('ENDPOINT') || undefined,
+    region: env('REGION') || defaultRegion,
+    forcePathStyle: env('FORCE_PATH_STYLE') === 'true',
+    accessKeyId: env('ACCESS_KEY_ID'),
+    secretAccessKey: env('SECRET_ACCESS_KEY'),
+    partSize: parseFileSize(env('UPLOAD_PART_SIZE') || '16MB'),
+    concurrency: parseInt(env('UPLOAD_CONCURRENCY')) || 4,
+    retries: parseInt(env('UPLOAD_PART_RETRIES')) || 3
+  };
+}
+
+/**
+ * Create a backend:
+ * - local: files below LOCAL_STORAGE_ROOT (default ./storage)
+ * - r2: the R2_* bucket (any S3-compatible endpoint, e.g. MinIO)
+ * - s3: the S3_* bucket (AWS S3 unless S3_ENDPOINT is set)
+ * @param {string} name - Backend name
+ * @returns {Object} Storage backend
+ */
+function createStorage(name) {
+  switch (name) {
+    case 'local':
+      return new LocalStorage({
+        name,
+        root: process.env.LOCAL_STORAGE_ROOT || path.join(__dirname, '../../../storage')
+      });
+    case 'r2':
+      return new S3Storage({ name, ...s3Options('R2', 'auto') });
+    case 's3':
+      return new S3Storage({ name, ...s3Options('S3', 'us-east-1') });
+    default:
+      throw new Error(`Unknown storage backend '${name}' (expected local, r2 or s3)`);
+  }
+}
+
+/**
+ * Get a storage backend by name
+ * @param {string} name - local, r2 or s3
+ * @returns {Object} Storage backend (see StorageBackend)
+ */
+function getStorage(name) {
+  if (!backends.has(name)) {
+    backends.set(name, createStorage(name));
+  }
+  return backends.get(name);
+}
+
+/**
+ * Get the backend an artefact lives on:
+ * - videos: objects behind the /api/video/r2 and /api/upload/r2 endpoints (VIDEO_STORAGE, default r2)
+ * - hls: HLS output converted from those objects (HLS_STORAGE, default: same as videos)
+ * - local-videos, local-uploads, local-hls, local-thumbnails: local backends on the
+ *   videos/, uploads/, hls/ and thumbnails/ directories, which are always on disk
+ * @param {string} artefact - Artefact name
+ * @returns {Object} Storage backend
+ */
+function getArtefactStorage(artefact) {
+  const localDir = LOCAL_ARTEFACT_DIRS[artefact];
+  if (localDir) {
+    if (!backends.has(artefact)) {
+      backends.set(artefact, new LocalStorage({ name: artefact, root: path.join(__dirname, '../../..', localDir) }));
+    }
+    return backends.get(artefact);
+  }
+
+  const videos = process.env.VIDEO_STORAGE || 'r2';
+  return getStorage(artefact === 'hls' ? (process.env.HLS_STORAGE || videos) : videos);
+}
+
+/**
+ * Find the local artefact backend holding a file, e.g. a poster path
+ * returned by the thumbnail service
+ * @param {string} filePath - Path of a file in one of the local artefact directories
+ * @returns {Object} {storage, key}
+ */
+function locateLocalFile(filePath) {
+  const resolved = path.resolve(filePath);
+
+  for (const artefact of Object.keys(LOCAL_ARTEFACT_DIRS)) {
+    const storage = getArtefactStorage(artefact);
+    const relative = path.relative(storage.root, resolved);
+    if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+      return { storage, key: relative.split(path.sep).join('/') };
+    }
+  }
+  throw storageError(400, 'INVALID_KEY', `'${filePath}' is not in a local storage directory`);
+}
+
+module.exports = {
+  getStorage,
+  getArtefactStorage,
+  locateLocalFile,
+  storageError,
+  LocalStorage,
+  S3Storage
+};
@@ -0,0 +1,433 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mime = require('mime-types');
+const { Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const logger = require('../../utils/logger');
+const StorageBackend = require('./storageBackend');
+const storageError = require('./storageError');
+
+// Custom metadata of a file is kept in a hidden JSON file next to it
+const METADATA_SUFFIX = '.metadata.json';
+
+/**
+ * Storage backend on the local filesystem: keys are paths below a root
+ * directory. Writes go to a temporary file renamed into place, so readers
+ * never see a partial object.
+ */
+class LocalStorage extends StorageBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {string} options.name - Backend name, used in logs and errors
+   * @param {string} options.root - Directory keys are resolved against
+   */
+  constructor({ name = 'local', root }) {
+    super();
+    this.name = name;
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Path of an object's file, which must stay inside the root
+   * @param {string} key - Object key
+   * @returns {string} File path
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, String(key));
+    const relative = path.relative(this.root, filePath);
+
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw storageError(400, 'INVALID_KEY', `Key '${key}' is outside of ${this.name} storage`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Path of the metadata file of an object's file
+   */
+  metadataPath(filePath) {
+    return path.join(path.dirname(filePath), `.${path.basename(filePath)}${METADATA_SUFFIX}`);
+  }
+
+  /**
+   * Map filesystem errors to storage errors
+   * @param {Error} error - fs error
+   * @param {string} key - Object key
+   * @returns {Error} Error to throw
+   */
+  mapError(error, key) {
+    if (error.code === 'ENOENT' || error.code === 'EISDIR' || error.code === 'ENOTDIR') {
+      return storageError(404, 'NOT_FOUND', `Object '${key}' not found in ${this.name} storage`, error);
+    }
+    return error;
+  }
+
+  /**
+   * Get an object's size, modification time and metadata
+   * @param {string} key - Object key
+   * @returns {Promise<Object>} {key, size, lastModified, etag, contentType, metadata}
+   */
+  async head(key) {
+    const filePath = this.resolve(key);
+    let stats;
+
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      throw this.mapError(error, key);
+    }
+    if (!stats.isFile()) {
+      throw storageError(404, 'NOT_FOUND', `Object '${key}' not found in ${this.name} storage`);
+    }
+
+    return {
+      key: key,
+      size: stats.size,
+      lastModified: stats.mtime,
+      etag: `"${stats.size}-${stats.mtime.getTime()}"`,
+      contentType: mime.lookup(filePath) || 'application/octet-stream',
+      metadata: await this.readMetadata(filePath)
+    };
+  }
+
+  /**
+   * Custom metadata of a file ({} if it has none)
+   */
+  async readMetadata(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.metadataPath(filePath), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Ignoring unreadable metadata of ${filePath}: ${error.message}`);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Open a readable stream of an object or a byte range of it. The file is
+   * opened first, so a missing object fails here rather than mid-response.
+   * @param {string} key - Object key
+   * @param {Object} range - Optional inclusive {start, end}
+   * @returns {Promise<Stream>} File stream
+   */
+  async createReadStream(key, range = {}) {
+    let handle;
+    try {
+      handle = await fs.promises.open(this.resolve(key), 'r');
+    } catch (error) {
+      throw this.mapError(error, key);
+    }
+    return handle.createReadStream({ start: range.start, end: range.end });
+  }
+
+  /**
+   * Read a small text object (e.g. a playlist)
+   * @param {string} key - Object key
+   * @returns {Promise<string>} Content
+   */
+  async readText(key) {
+    try {
+      return await fs.promises.readFile(this.resolve(key), 'utf8');
+    } catch (error) {
+      throw this.mapError(error, key);
+    }
+  }
+
+  /**
+   * Open a writable stream to an object. The file appears once the stream
+   * finished; destroying the stream discards what was written.
+   * @param {string} key - Object key
+   * @param {Object} options - {metadata}; contentType and cacheControl are derived on read
+   * @returns {Writable} Stream
+   */
+  createWriteStream(key, options = {}) {
+    const filePath = this.resolve(key);
+    const tmpPath = this.tempPath(filePath);
+    let file = null;
+
+    const open = () => {
+      if (!file) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        file = fs.createWriteStream(tmpPath);
+      }
+      return file;
+    };
+
+    return new Writable({
+      write: (chunk, encoding, callback) => {
+        open().write(chunk, callback);
+      },
+      final: (callback) => {
+        open().end();
+        file.once('error', callback);
+        file.once('close', () => {
+          this.commit(tmpPath, filePath, options.metadata).then(() => callback(), callback);
+        });
+      },
+      destroy: (error, callback) => {
+        if (file && !file.closed) {
+          file.destroy();
+        }
+        fs.rm(tmpPath, { force: true }, () => callback(error));
+      }
+    });
+  }
+
+  /**
+   * Store an object from memory or a stream
+   * @param {string} key - Object key
+   * @param {string|Buffer|Stream} body - Content
+   * @param {Object} options - {metadata}
+   * @returns {Promise<Object>} {key, etag}
+   */
+  async put(key, body, options = {}) {
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+      const filePath = this.resolve(key);
+      const tmpPath = this.tempPath(filePath);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tmpPath, body);
+      await this.commit(tmpPath, filePath, options.metadata);
+    } else {
+      await pipeline(body, this.createWriteStream(key, options));
+    }
+
+    return { key: key, etag: (await this.head(key)).etag };
+  }
+
+  /**
+   * Store a local file as an object
+   * @param {string} key - Object key
+   * @param {string} sourcePath - Local file to copy
+   * @param {Object} options - {metadata, onProgress: (bytesStored, totalBytes)}
+   * @returns {Promise<Object>} {key, etag}
+   */
+  async putFile(key, sourcePath, options = {}) {
+    const filePath = this.resolve(key);
+    const tmpPath = this.tempPath(filePath);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.copyFile(sourcePath, tmpPath);
+    await this.commit(tmpPath, filePath, options.metadata);
+
+    const head = await this.head(key);
+    if (options.onProgress) {
+      options.onProgress(head.size, head.size);
+    }
+    return { key: key, etag: head.etag };
+  }
+
+  /**
+   * Temporary file a write goes to before it is renamed into place.
+   * Hidden, so listings skip it.
+   */
+  tempPath(filePath) {
+    return path.join(path.dirname(filePath), `.${path.basename(filePath)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+  }
+
+  /**
+   * Move a finished temporary file into place with its metadata
+   */
+  async commit(tmpPath, filePath, metadata) {
+    try {
+      await fs.promises.rename(tmpPath, filePath);
+      await this.writeMetadata(filePath, metadata);
+    } catch (error) {
+      await fs.promises.rm(tmpPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the metadata of a file (none removes the metadata file)
+   */
+  async writeMetadata(filePath, metadata) {
+    const metadataPath = this.metadataPath(filePath);
+
+    if (metadata && Object.keys(metadata).length) {
+      await fs.promises.writeFile(metadataPath, JSON.stringify(metadata));
+    } else {
+      await fs.promises.rm(metadataPath, { force: true });
+    }
+  }
+
+  /**
+   * Keys of all files below a directory key, in key order (hidden files skipped)
+   * @param {string} dirKey - Directory key ('' for the root)
+   * @returns {Promise<Array<string>>} Keys
+   */
+  async walk(dirKey) {
+    const dir = dirKey ? this.resolve(dirKey) : this.root;
+    let entries;
+
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return [];
+      throw error;
+    }
+
+    const keys = [];
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+
+      const key = dirKey ? `${dirKey}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        keys.push(...await this.walk(key));
+      } else if (entry.isFile()) {
+        keys.push(key);
+      }
+    }
+    return keys.sort();
+  }
+
+  /**
+   * Files and subdirectories directly in a directory key, as object keys
+   * and prefixes (hidden entries skipped)
+   * @param {string} dirKey - Directory key ('' for the root)
+   * @returns {Promise<Array<string>>} Keys and prefixes ending with /, in key order
+   */
+  async readDirectory(dirKey) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dirKey ? this.resolve(dirKey) : this.root, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return [];
+      throw error;
+    }
+
+    return entries
+      .filter(entry => !entry.name.startsWith('.') && (entry.isFile() || entry.isDirectory()))
+      .map(entry => `${dirKey ? `${dirKey}/` : ''}${entry.name}${entry.isDirectory() ? '/' : ''}`)
+      .sort();
+  }
+
+  /**
+   * List objects under a prefix a page at a time, in key order
+   * @param {string} prefix - Key prefix
+   * @param {Object} options - {limit (max 1000), token or startAfter: continue after this key,
+   *   delimiter: '/' to list one directory level}
+   * @returns {Promise<Object>} {items: [{key, size, lastModified, etag}], prefixes, token: next page or null}
+   */
+  async list(prefix = '', { limit = 1000, token, startAfter, delimiter } = {}) {
+    const dirKey = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    const after = token || startAfter || '';
+    const entries = delimiter === '/' ? await this.readDirectory(dirKey) : await this.walk(dirKey);
+    const matching = entries.filter(key => key.startsWith(prefix) && key > after);
+    const prefixes = matching.slice(0, limit).filter(key => key.endsWith('/'));
+    const items = [];
+
+    for (const key of matching.slice(0, limit).filter(entry => !entry.endsWith('/'))) {
+      try {
+        const { size, lastModified, etag } = await this.head(key);
+        items.push({ key, size, lastModified, etag });
+      } catch (error) {
+        // Removed while listing
+        if (error.code !== 'NOT_FOUND') throw error;
+      }
+    }
+
+    return { items, prefixes, token: matching.length > limit ? matching[limit - 1] : null };
+  }
+
+  /**
+   * Delete an object (missing objects are ignored)
+   * @param {string} key - Object key
+   */
+  async delete(key) {
+    const filePath = this.resolve(key);
+    await fs.promises.rm(filePath, { force: true });
+    await fs.promises.rm(this.metadataPath(filePath), { force: true });
+    await this.pruneDirectories(path.dirname(filePath));
+    logger.info(`Deleted ${key} from ${this.name} storage`);
+  }
+
+  /**
+   * Delete every object under a prefix; a prefix ending with / removes the whole directory
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<number>} Number of objects deleted
+   */
+  async deletePrefix(prefix) {
+    const dirKey = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    const keys = (await this.walk(dirKey)).filter(key => key.startsWith(prefix));
+
+    if (prefix.endsWith('/') && dirKey) {
+      await fs.promises.rm(this.resolve(dirKey), { recursive: true, force: true });
+    } else {
+      for (const key of keys) {
+        const filePath = this.resolve(key);
+        await fs.promises.rm(filePath, { force: true });
+        await fs.promises.rm(this.metadataPath(filePath), { force: true });
+      }
+    }
+    if (dirKey) {
+      await this.pruneDirectories(path.dirname(this.resolve(dirKey)));
+    }
+
+    logger.info(`Deleted ${keys.length} objects under ${prefix} from ${this.name} storage`);
+    return keys.length;
+  }
+
+  /**
+   * Remove a directory and its parents up to the root while they are empty,
+   * as buckets have no directories left behind by deleted objects
+   * @param {string} dir - Directory path
+   */
+  async pruneDirectories(dir) {
+    while (dir !== this.root && dir.startsWith(this.root)) {
+      try {
+        await fs.promises.rmdir(dir);
+      } catch (error) {
+        // Not empty (or already gone)
+        return;
+      }
+      dir = path.dirname(dir);
+    }
+  }
+
+  /**
+   * Copy an object
+   * @param {string} sourceKey - Object to copy
+   * @param {string} destKey - Key of the copy (may equal sourceKey to rewrite metadata)
+   * @param {Object} options - {metadata: metadata of the copy (default: the source's)}
+   * @returns {Promise<Object>} {key, etag, metadata}
+   */
+  async copy(sourceKey, destKey, options = {}) {
+    const source = await this.head(sourceKey);
+    const metadata = options.metadata || source.metadata;
+    const destPath = this.resolve(destKey);
+
+    if (sourceKey === destKey) {
+      await this.writeMetadata(destPath, metadata);
+    } else {
+      const tmpPath = this.tempPath(destPath);
+      await fs.promises.mkdir(path.dirname(destPath), { recursive: true });
+      await fs.promises.copyFile(this.resolve(sourceKey), tmpPath);
+      await this.commit(tmpPath, destPath, metadata);
+    }
+
+    logger.info(`Copied ${sourceKey} to ${destKey} in ${this.name} storage`);
+    return { key: destKey, etag: (await this.head(destKey)).etag, metadata: metadata };
+  }
+
+  /**
+   * Local files have no URL clients could fetch directly
+   * @returns {Promise<null>} Always null
+   */
+  async presign() {
+    return null;
+  }
+
+  /**
+   * Where an object is stored, for upload responses
+   * @param {string} key - Object key
+   * @returns {string} file:// URL
+   */
+  getLocation(key) {
+    return `file://${this.resolve(key)}`;
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,615 @@
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  CopyObjectCommand,
+  UploadPartCopyCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const fs = require('fs');
+const { Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const logger = require('../../utils/logger');
+const metrics = require('../../utils/metrics');
+const StorageBackend = require('./storageBackend');
+const storageError = require('./storageError');
+
+// S3 rejects multipart parts (other than the last) smaller than 5MB
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+
+// Objects per ListObjectsV2 / DeleteObjects request (the S3 maximum)
+const MAX_LIST_KEYS = 1000;
+
+// CopyObject handles objects up to 5GB; larger ones are copied in parts of at least this size
+const MAX_COPY_SIZE = 5 * 1024 * 1024 * 1024;
+const COPY_PART_SIZE = 512 * 1024 * 1024;
+
+/**
+ * Storage backend on an S3-compatible bucket. The endpoint decides which
+ * service it talks to: Cloudflare R2, MinIO, or AWS S3 when none is set.
+ */
+class S3Storage extends StorageBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {string} options.name - Backend name, used in logs and errors
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.endpoint - S3 API endpoint (omit for AWS)
+   * @param {string} options.region - Region (auto for R2)
+   * @param {boolean} options.forcePathStyle - Path-style URLs, for MinIO and LocalStack
+   * @param {string} options.accessKeyId - Access key (omit to use the AWS default credential chain)
+   * @param {string} options.secretAccessKey - Secret key
+   * @param {number} options.partSize - Multipart upload part size in bytes (min 5MB)
+   * @param {number} options.concurrency - Parts uploaded in parallel
+   * @param {number} options.retries - Attempts per part before giving up
+   */
+  constructor(options) {
+    super();
+    this.name = options.name || 's3';
+    this.bucketName = options.bucket;
+    this.endpoint = options.endpoint;
+    this.region = options.region;
+    this.client = new S3Client({
+      region: options.region,
+      endpoint: options.endpoint,
+      forcePathStyle: !!options.forcePathStyle,
+      // Streamed uploads otherwise use aws-chunked checksum encoding,
+      // which R2 and most S3-compatible stores don't fully support
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+      responseChecksumValidation: 'WHEN_REQUIRED',
+      credentials: options.accessKeyId ? {
+        accessKeyId: options.accessKeyId,
+        secretAccessKey: options.secretAccessKey
+      } : undefined
+    });
+    this.instrumentClient();
+    this.partSize = Math.max(MIN_PART_SIZE, options.partSize || 16 * 1024 * 1024);
+    this.concurrency = Math.max(1, options.concurrency || 4);
+    this.retries = Math.max(1, options.retries || 3);
+  }
+
+  /**
+   * Record latency and errors of every API call, labelled with the
+   * command name (GetObject, UploadPart, ...)
+   */
+  instrumentClient() {
+    this.client.middlewareStack.add((next, context) => async (args) => {
+      const operation = (context.commandName || 'unknown').replace(/Command$/, '');
+      const stopTimer = metrics.r2Duration.startTimer({ operation });
+
+      try {
+        return await next(args);
+      } catch (error) {
+        metrics.r2Errors.inc({ operation, code: error.name || 'Error' });
+        throw error;
+      } finally {
+        stopTimer();
+      }
+    }, { step: 'initialize', name: 'storageMetrics' });
+  }
+
+  /**
+   * Map S3 errors to storage errors
+   * @param {Error} error - SDK error
+   * @param {string} key - Object key
+   * @returns {Error} Error to throw
+   */
+  mapError(error, key) {
+    if (error.name === 'NoSuchKey' || error.name === 'NotFound') {
+      return storageError(404, 'NOT_FOUND', `Object '${key}' not found in ${this.name} storage`, error);
+    }
+    if (error.name === 'InvalidRange') {
+      return storageError(416, 'INVALID_RANGE', `Invalid range for object '${key}'`, error);
+    }
+    return error;
+  }
+
+  /**
+   * Bucket, key and headers of an object being written
+   */
+  objectParams(key, options = {}) {
+    return {
+      Bucket: this.bucketName,
+      Key: key,
+      ContentType: options.contentType || 'application/octet-stream',
+      CacheControl: options.cacheControl || 'public, max-age=3600',
+      Metadata: options.metadata || {}
+    };
+  }
+
+  /**
+   * Get an object's size, modification time and metadata
+   * @param {string} key - Object key
+   * @returns {Promise<Object>} {key, size, lastModified, etag, contentType, cacheControl, metadata}
+   */
+  async head(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({ Bucket: this.bucketName, Key: key }));
+      return {
+        key: key,
+        size: response.ContentLength,
+        lastModified: response.LastModified,
+        etag: response.ETag,
+        contentType: response.ContentType,
+        cacheControl: response.CacheControl,
+        metadata: response.Metadata || {}
+      };
+    } catch (error) {
+      throw this.mapError(error, key);
+    }
+  }
+
+  /**
+   * Get a readable stream of an object or a byte range of it
+   * @param {string} key - Object key
+   * @param {Object} range - Optional inclusive {start, end}
+   * @returns {Promise<Stream>} Object body
+   */
+  async createReadStream(key, range = {}) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: key,
+        Range: range.start !== undefined ? `bytes=${range.start}-${range.end !== undefined ? range.end : ''}` : undefined
+      }));
+      return response.Body;
+    } catch (error) {
+      throw this.mapError(error, key);
+    }
+  }
+
+  /**
+   * Read a small text object (e.g. a playlist)
+   * @param {string} key - Object key
+   * @returns {Promise<string>} Content
+   */
+  async readText(key) {
+    const body = await this.createReadStream(key);
+    return body.transformToString('utf8');
+  }
+
+  /**
+   * Open a writable stream to an object. Data is sent in parts of partSize
+   * as it arrives (a single PutObject if it all fits in one part), so
+   * memory use stays bounded; destroying the stream aborts the upload.
+   * @param {string} key - Object key
+   * @param {Object} options - {contentType, cacheControl, metadata}
+   * @returns {Writable} Stream, finished once the object is stored
+   */
+  createWriteStream(key, options = {}) {
+    const params = this.objectParams(key, options);
+    const parts = [];
+    let chunks = [];
+    let buffered = 0;
+    let uploadId = null;
+
+    const sendPart = async () => {
+      if (!uploadId) {
+        ({ UploadId: uploadId } = await this.client.send(new CreateMultipartUploadCommand(params)));
+      }
+      const body = Buffer.concat(chunks);
+      chunks = [];
+      buffered = 0;
+
+      const partNumber = parts.length + 1;
+      const response = await this.client.send(new UploadPartCommand({
+        Bucket: this.bucketName,
+        Key: key,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+        Body: body,
+        ContentLength: body.length
+      }));
+      parts.push({ ETag: response.ETag, PartNumber: partNumber });
+    };
+
+    const finish = async () => {
+      if (!uploadId) {
+        const body = Buffer.concat(chunks);
+        await this.client.send(new PutObjectCommand({ ...params, Body: body, ContentLength: body.length }));
+        return;
+      }
+      if (buffered) {
+        await sendPart();
+      }
+      await this.client.send(new CompleteMultipartUploadCommand({
+        Bucket: this.bucketName,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: { Parts: parts }
+      }));
+      uploadId = null;
+    };
+
+    return new Writable({
+      write: (chunk, encoding, callback) => {
+        chunks.push(chunk);
+        buffered += chunk.length;
+        if (buffered < this.partSize) {
+          return callback();
+        }
+        sendPart().then(() => callback(), callback);
+      },
+      final: (callback) => {
+        finish().then(() => callback(), callback);
+      },
+      destroy: (error, callback) => {
+        if (!uploadId) {
+          return callback(error);
+        }
+        logger.warn(`Aborting streamed upload of ${key} to ${this.name}`);
+        this.client.send(new AbortMultipartUploadCommand({ Bucket: this.bucketName, Key: key, UploadId: uploadId }))
+          .catch(abortError => logger.error('Error aborting multipart upload:', abortError))
+          .then(() => callback(error));
+      }
+    });
+  }
+
+  /**
+   * Store an object from memory or a stream
+   * @param {string} key - Object key
+   * @param {string|Buffer|Stream} body - Content
+   * @param {Object} options - {contentType, cacheControl, metadata, signal}
+   * @returns {Promise<Object>} {key, etag}
+   */
+  async put(key, body, options = {}) {
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+      const response = await this.client.send(new PutObjectCommand({
+        ...this.objectParams(key, options),
+        Body: body
+      }), { abortSignal: options.signal });
+      return { key: key, etag: response.ETag };
+    }
+
+    await pipeline(body, this.createWriteStream(key, options), { signal: options.signal });
+    return { key: key, etag: (await this.head(key)).etag };
+  }
+
+  /**
+   * Store a local file as an object. Files larger than one part use
+   * multipart upload with parts read from disk on demand.
+   * @param {string} key - Object key
+   * @param {string} filePath - Local file path
+   * @param {Object} options - Upload options
+   * @param {string} options.contentType - Content-Type of the object
+   * @param {string} options.cacheControl - Cache-Control of the object
+   * @param {Object} options.metadata - Custom object metadata
+   * @param {number} options.partSize - Multipart part size in bytes (min 5MB)
+   * @param {number} options.concurrency - Parts uploaded in parallel
+   * @param {number} options.retries - Attempts per part before giving up
+   * @param {Function} options.onProgress - Called with (bytesUploaded, totalBytes)
+   * @param {AbortSignal} options.signal - Aborts the upload when triggered
+   * @returns {Promise<Object>} {key, etag}
+   */
+  async putFile(key, filePath, options = {}) {
+    const params = this.objectParams(key, options);
+    const size = fs.statSync(filePath).size;
+    const partSize = Math.max(MIN_PART_SIZE, options.partSize || this.partSize);
+    let response;
+
+    if (size > partSize) {
+      response = await this.multipartUpload(params, filePath, size, { ...options, partSize });
+    } else {
+      response = await this.client.send(new PutObjectCommand({
+        ...params,
+        Body: fs.createReadStream(filePath),
+        ContentLength: size
+      }), { abortSignal: options.signal });
+
+      if (options.onProgress) {
+        options.onProgress(size, size);
+      }
+    }
+
+    return { key: key, etag: response.ETag };
+  }
+
+  /**
+   * Stream a local file with S3 multipart upload. Parts are read from
+   * disk on demand and retried with backoff; on any failure the multipart
+   * upload is aborted so no orphaned parts are left in the bucket.
+   * @param {Object} params - Bucket, Key and object headers
+   * @param {string} filePath - Local file path
+   * @param {number} size - File size in bytes
+   * @param {Object} options - See putFile
+   * @returns {Object} CompleteMultipartUpload response
+   */
+  async multipartUpload(params, filePath, size, options) {
+    const { partSize, onProgress, signal } = options;
+    const concurrency = Math.max(1, options.concurrency || this.concurrency);
+    const retries = Math.max(1, options.retries || this.retries);
+    const partCount = Math.ceil(size / partSize);
+
+    const { UploadId } = await this.client.send(new CreateMultipartUploadCommand(params), { abortSignal: signal });
+    logger.info(`Started multipart upload of ${params.Key}: ${partCount} parts of ${partSize} bytes`);
+
+    const parts = new Array(partCount);
+    let nextPart = 1;
+    let bytesUploaded = 0;
+
+    const uploadParts = async () => {
+      while (nextPart <= partCount) {
+        const partNumber = nextPart++;
+        const start = (partNumber - 1) * partSize;
+        const end = Math.min(start + partSize, size) - 1;
+
+        const etag = await this.uploadPart(params, UploadId, partNumber, filePath, start, end, retries, signal);
+        parts[partNumber - 1] = { ETag: etag, PartNumber: partNumber };
+
+        bytesUploaded += end - start + 1;
+        logger.debug(`Uploaded part ${partNumber}/${partCount} of ${params.Key} (${bytesUploaded}/${size} bytes)`);
+        if (onProgress) {
+          onProgress(bytesUploaded, size);
+        }
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: Math.min(concurrency, partCount) }, uploadParts));
+
+      return await this.client.send(new CompleteMultipartUploadCommand({
+        Bucket: params.Bucket,
+        Key: params.Key,
+        UploadId: UploadId,
+        MultipartUpload: { Parts: parts }
+      }), { abortSignal: signal });
+    } catch (error) {
+      // Stop the remaining workers before aborting
+      nextPart = partCount + 1;
+      logger.warn(`Aborting multipart upload of ${params.Key}: ${error.message}`);
+
+      try {
+        await this.client.send(new AbortMultipartUploadCommand({
+          Bucket: params.Bucket,
+          Key: params.Key,
+          UploadId: UploadId
+        }));
+      } catch (abortError) {
+        logger.error('Error aborting multipart upload:', abortError);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Upload one part of a multipart upload, retrying with exponential backoff
+   * @param {Object} params - Bucket and Key of the upload
+   * @param {string} uploadId - Multipart upload ID
+   * @param {number} partNumber - 1-based part number
+   * @param {string} filePath - Local file path
+   * @param {number} start - First byte of the part (inclusive)
+   * @param {number} end - Last byte of the part (inclusive)
+   * @param {number} retries - Maximum attempts
+   * @param {AbortSignal} signal - Optional abort signal
+   * @returns {string} ETag of the uploaded part
+   */
+  async uploadPart(params, uploadId, partNumber, filePath, start, end, retries, signal) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await this.client.send(new UploadPartCommand({
+          Bucket: params.Bucket,
+          Key: params.Key,
+          UploadId: uploadId,
+          PartNumber: partNumber,
+          Body: fs.createReadStream(filePath, { start, end }),
+          ContentLength: end - start + 1
+        }), { abortSignal: signal });
+
+        return response.ETag;
+      } catch (error) {
+        if (attempt >= retries || signal?.aborted) {
+          throw error;
+        }
+
+        const delay = 500 * Math.pow(2, attempt - 1);
+        logger.warn(`Part ${partNumber} of ${params.Key} failed (attempt ${attempt}/${retries}), retrying in ${delay}ms: ${error.message}`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * List objects under a prefix a page at a time, in key order
+   * @param {string} prefix - Key prefix
+   * @param {Object} options - {limit (max 1000), token: continuation token, startAfter: continue after this key,
+   *   delimiter: '/' to list one "directory" level}
+   * @returns {Promise<Object>} {items: [{key, size, lastModified, etag}], prefixes, token: next page or null}
+   */
+  async list(prefix = '', { limit = MAX_LIST_KEYS, token, startAfter, delimiter } = {}) {
+    try {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: prefix,
+        Delimiter: delimiter,
+        MaxKeys: Math.min(limit, MAX_LIST_KEYS),
+        ...(token ? { ContinuationToken: token } : { StartAfter: startAfter })
+      }));
+
+      return {
+        items: (response.Contents || []).map(obj => ({
+          key: obj.Key,
+          size: obj.Size,
+          lastModified: obj.LastModified,
+          etag: obj.ETag
+        })),
+        prefixes: (response.CommonPrefixes || []).map(common => common.Prefix),
+        token: response.IsTruncated ? response.NextContinuationToken : null
+      };
+    } catch (error) {
+      // The bucket rejects continuation tokens that are expired or were not issued by it
+      if (error.name === 'InvalidArgument' && token) {
+        throw storageError(400, 'INVALID_CURSOR', 'cursor is no longer valid; start the listing again', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an object
+   * @param {string} key - Object key
+   */
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucketName, Key: key }));
+    logger.info(`Deleted ${key} from ${this.name} storage`);
+  }
+
+  /**
+   * Delete every object under a prefix, 1000 keys per DeleteObjects request
+   * @param {string} prefix - Key prefix (end it with / to stay inside a "directory")
+   * @returns {Promise<number>} Number of objects deleted
+   */
+  async deletePrefix(prefix) {
+    let deleted = 0;
+    let truncated = true;
+
+    // Each listing starts over: the keys of the previous page are gone by then
+    while (truncated) {
+      const { items, token } = await this.list(prefix);
+      const objects = items.map(item => ({ Key: item.key }));
+
+      if (objects.length) {
+        const result = await this.client.send(new DeleteObjectsCommand({
+          Bucket: this.bucketName,
+          Delete: { Objects: objects, Quiet: true }
+        }));
+        if (result.Errors && result.Errors.length) {
+          throw new Error(`Failed to delete ${result.Errors.length} objects under ${prefix}: ${result.Errors[0].Message}`);
+        }
+        deleted += objects.length;
+      }
+
+      truncated = !!token && objects.length > 0;
+    }
+
+    logger.info(`Deleted ${deleted} objects under ${prefix} from ${this.name} storage`);
+    return deleted;
+  }
+
+  /**
+   * Copy an object within the bucket (server-side), keeping its content
+   * type and cache headers
+   * @param {string} sourceKey - Object to copy
+   * @param {string} destKey - Key of the copy (may equal sourceKey to rewrite metadata)
+   * @param {Object} options - {metadata: metadata of the copy (default: the source's)}
+   * @returns {Promise<Object>} {key, etag, metadata}
+   */
+  async copy(sourceKey, destKey, options = {}) {
+    const head = await this.head(sourceKey);
+    const params = {
+      Bucket: this.bucketName,
+      Key: destKey,
+      ContentType: head.contentType,
+      CacheControl: head.cacheControl,
+      Metadata: options.metadata || head.metadata
+    };
+
+    let etag;
+    if (head.size <= MAX_COPY_SIZE) {
+      const response = await this.client.send(new CopyObjectCommand({
+        ...params,
+        CopySource: this.getCopySource(sourceKey),
+        MetadataDirective: 'REPLACE'
+      }));
+      etag = response.CopyObjectResult && response.CopyObjectResult.ETag;
+    } else {
+      etag = (await this.multipartCopy(params, sourceKey, head.size)).ETag;
+    }
+
+    logger.info(`Copied ${sourceKey} to ${destKey} in ${this.name} storage`);
+    return { key: destKey, etag: etag, metadata: params.Metadata };
+  }
+
+  /**
+   * Copy an object larger than CopyObject allows with UploadPartCopy,
+   * aborting the multipart upload on failure
+   * @param {Object} params - Bucket, Key and object headers of the copy
+   * @param {string} sourceKey - Object to copy
+   * @param {number} size - Source size in bytes
+   * @returns {Promise<Object>} CompleteMultipartUpload response
+   */
+  async multipartCopy(params, sourceKey, size) {
+    // S3 allows at most 10,000 parts
+    const partSize = Math.max(COPY_PART_SIZE, Math.ceil(size / 10000));
+    const partCount = Math.ceil(size / partSize);
+    const { UploadId } = await this.client.send(new CreateMultipartUploadCommand(params));
+    logger.info(`Started multipart copy of ${sourceKey} to ${params.Key}: ${partCount} parts of ${partSize} bytes`);
+
+    try {
+      const parts = [];
+      for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+        const start = (partNumber - 1) * partSize;
+        const end = Math.min(start + partSize, size) - 1;
+        const response = await this.client.send(new UploadPartCopyCommand({
+          Bucket: params.Bucket,
+          Key: params.Key,
+          UploadId: UploadId,
+          PartNumber: partNumber,
+          CopySource: this.getCopySource(sourceKey),
+          CopySourceRange: `bytes=${start}-${end}`
+        }));
+        parts.push({ ETag: response.CopyPartResult.ETag, PartNumber: partNumber });
+      }
+
+      return await this.client.send(new CompleteMultipartUploadCommand({
+        Bucket: params.Bucket,
+        Key: params.Key,
+        UploadId: UploadId,
+        MultipartUpload: { Parts: parts }
+      }));
+    } catch (error) {
+      logger.warn(`Aborting multipart copy to ${params.Key}: ${error.message}`);
+      try {
+        await this.client.send(new AbortMultipartUploadCommand({
+          Bucket: params.Bucket,
+          Key: params.Key,
+          UploadId: UploadId
+        }));
+      } catch (abortError) {
+        logger.error('Error aborting multipart copy:', abortError);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * CopySource header value: bucket and URL-encoded key
+   * @param {string} key - Source key
+   * @returns {string} Copy source
+   */
+  getCopySource(key) {
+    return `${this.bucketName}/${encodeURIComponent(key).replace(/%2F/g, '/')}`;
+  }
+
+  /**
+   * Generate a presigned GET URL for direct client access
+   * @param {string} key - Object key
+   * @param {Object} options - {expiresIn: seconds (default: 3600)}
+   * @returns {Promise<string>} Presigned URL
+   */
+  async presign(key, { expiresIn = 3600 } = {}) {
+    return getSignedUrl(this.client, new GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: key
+    }), { expiresIn });
+  }
+
+  /**
+   * Where an object is stored, for upload responses
+   * @param {string} key - Object key
+   * @returns {string} Object URL
+   */
+  getLocation(key) {
+    return this.endpoint
+      ? `${this.endpoint}/${this.bucketName}/${key}`
+      : `https://${this.bucketName}.s3.${this.region}.amazonaws.com/${key}`;
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime-types');
+const { pipeline } = require('stream/promises');
+const logger = require('../../utils/logger');
+
+/**
+ * Base class of the storage backends (LocalStorage, S3Storage). Objects are
+ * addressed by '/'-separated keys, the same on every backend, so an artefact
+ * can move between backends by configuration alone.
+ *
+ * Backends implement:
+ * - head(key): {key, size, lastModified, etag, contentType, metadata}
+ * - createReadStream(key, {start, end}): readable stream of the object or an inclusive byte range
+ * - createWriteStream(key, {contentType, cacheControl, metadata}): writable whose 'finish' means stored
+ * - readText(key), put(key, body, options), putFile(key, filePath, options)
+ * - list(prefix, {limit, token, startAfter, delimiter}): {items, prefixes, token of the next page or null};
+ *   with delimiter '/' only the objects directly under the prefix are items, and the "directories"
+ *   below it are prefixes (e.g. 'stream/')
+ * - delete(key), deletePrefix(prefix), copy(sourceKey, destKey, {metadata})
+ * - presign(key, {expiresIn}): URL a client can fetch directly, or null if the backend has none
+ *
+ * Missing objects are reported with storageError NOT_FOUND (404).
+ */
+class StorageBackend {
+  /**
+   * Check whether an object exists
+   * @param {string} key - Object key
+   * @returns {Promise<boolean>} True if it exists
+   */
+  async exists(key) {
+    try {
+      await this.head(key);
+      return true;
+    } catch (error) {
+      if (error.code === 'NOT_FOUND') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Download an object to a local file (e.g. as ffmpeg input)
+   * @param {string} key - Object key
+   * @param {string} destPath - Local file path to write to
+   * @param {Function} onProgress - Optional callback with (bytesWritten, totalBytes)
+   * @returns {Promise<Object>} {key, path, size}
+   */
+  async getFile(key, destPath, onProgress) {
+    const { size } = await this.head(key);
+    const body = await this.createReadStream(key);
+    let bytesWritten = 0;
+
+    if (onProgress) {
+      body.on('data', (chunk) => {
+        bytesWritten += chunk.length;
+        onProgress(bytesWritten, size);
+      });
+    }
+
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    await pipeline(body, fs.createWriteStream(destPath));
+
+    logger.info(`Downloaded ${key} from ${this.name} to ${destPath} (${size} bytes)`);
+    return { key: key, path: destPath, size: size };
+  }
+
+  /**
+   * Store every file of a local directory under a key prefix. Playlists and
+   * manifests are cached briefly, everything else (segments) for a year.
+   * @param {string} localDir - Directory to store (recursively)
+   * @param {string} prefix - Key prefix, without trailing slash
+   * @param {Function} onProgress - Optional callback with (bytesStored, totalBytes)
+   * @returns {Promise<Array<string>>} Stored keys
+   */
+  async putDirectory(localDir, prefix, onProgress) {
+    const files = this.listLocalFiles(localDir);
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    let bytesStored = 0;
+    const keys = [];
+
+    for (const file of files) {
+      const relativePath = path.relative(localDir, file.path).split(path.sep).join('/');
+      const key = `${prefix}/${relativePath}`;
+      const isPlaylist = /\.(m3u8|mpd)$/.test(file.path);
+
+      await this.putFile(key, file.path, {
+        contentType: mime.lookup(file.path) || 'application/octet-stream',
+        cacheControl: isPlaylist ? 'public, max-age=60' : 'public, max-age=31536000'
+      });
+
+      keys.push(key);
+      bytesStored += file.size;
+      if (onProgress) {
+        onProgress(bytesStored, totalBytes);
+      }
+    }
+
+    logger.info(`Stored ${keys.length} files from ${localDir} in ${this.name} under ${prefix}`);
+    return keys;
+  }
+
+  /**
+   * Recursively list files in a local directory
+   * @param {string} dir - Directory path
+   * @returns {Array} Files with path and size
+   */
+  listLocalFiles(dir) {
+    const files = [];
+
+    for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+      const itemPath = path.join(dir, item.name);
+      if (item.isDirectory()) {
+        files.push(...this.listLocalFiles(itemPath));
+      } else {
+        files.push({ path: itemPath, size: fs.statSync(itemPath).size });
+      }
+    }
+
+    return files;
+  }
+}
+
+module.exports = StorageBackend;
@@ -0,0 +1,18 @@
+/**
+ * Create an error carrying the HTTP status the routes should answer with.
+ * Every storage backend reports missing objects as NOT_FOUND (404), so
+ * callers need not know which backend they talk to.
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine-readable error code (NOT_FOUND, INVALID_KEY, INVALID_CURSOR, INVALID_RANGE)
+ * @param {string} message - Human-readable message
+ * @param {Error} cause - Backend error this one replaces
+ * @returns {Error} Error with status and code
+ */
+function storageError(status, code, message, cause) {
+  const error = new Error(message, cause ? { cause } : undefined);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+module.exports = storageError;
@@ -0,0 +1,365 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const TRACK_FILE = 'track.json';
+const SOURCE_FILE = 'subtitles.vtt';
+const PLAYLIST_FILE = 'playlist.m3u8';
+const SEGMENT_PATTERN = /^segment_\d{3,}\.vtt$/;
+
+// Text subtitle codecs ffmpeg can convert to WebVTT (bitmap subtitles like PGS cannot be)
+const TEXT_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
+// Cue timing line of SRT (00:00:01,000) and WebVTT (00:01.000 or 00:00:01.000), with optional cue settings
+const TIMING_LINE = /^\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})(.*)$/;
+
+// BCP 47 language tags as used for track ids: en, pt-BR, eng
+const LANGUAGE_TAG = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/;
+
+// Media timestamp (90 kHz) at which source time zero is played: ffmpeg's
+// MPEG-TS muxer starts at 1.4s, fMP4 fragments at 0
+const TIMESTAMP_OFFSETS = { ts: 126000, cmaf: 0 };
+
+/**
+ * Create an error carrying an HTTP status and a code for the routes
+ */
+function subtitleError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Subtitle and caption tracks of HLS streams.
+ *
+ * Each track lives in <stream>/subtitles/<id>/: the whole track as
+ * subtitles.vtt, its metadata in track.json, and a segmented copy (one
+ * WebVTT segment per video segment, with an X-TIMESTAMP-MAP so cues line up
+ * with the media timestamps) behind a playlist.m3u8. The master playlist
+ * references the tracks through a SUBTITLES group.
+ */
+class SubtitleService {
+  constructor() {
+    if (process.env.FFMPEG_PATH) {
+      ffmpeg.setFfmpegPath(process.env.FFMPEG_PATH);
+    }
+  }
+
+  /**
+   * Parse SRT or WebVTT content into cues
+   * @param {string} content - Subtitle file content
+   * @returns {Array<Object>} Cues as {start, end, settings, text}, sorted by start time
+   */
+  parse(content) {
+    const text = String(content).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const isVtt = /^WEBVTT\b/.test(text);
+    const cues = [];
+
+    for (const block of text.trim().split(/\n\s*\n/)) {
+      const lines = block.split('\n');
+      if (/^(NOTE|STYLE|REGION)\b/.test(lines[0] || '')) {
+        continue;
+      }
+
+      // The timing line may follow a cue identifier (the SRT counter)
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      const timing = timingIndex === -1 ? null : TIMING_LINE.exec(lines[timingIndex]);
+      if (!timing) {
+        continue;
+      }
+
+      const start = this.parseTimestamp(timing[1]);
+      const end = this.parseTimestamp(timing[2]);
+      const cueText = lines.slice(timingIndex + 1).join('\n').trim();
+      if (!cueText || !(end > start)) {
+        continue;
+      }
+
+      cues.push({
+        start: start,
+        end: end,
+        // SRT may carry X1:/Y1: coordinates after the timing, which are not WebVTT settings
+        settings: isVtt ? timing[3].trim() : '',
+        text: isVtt ? cueText : cueText.replace(/<\/?font[^>]*>/gi, '')
+      });
+    }
+
+    if (cues.length === 0) {
+      throw subtitleError(400, 'INVALID_SUBTITLES', 'No cues found; expected an SRT or WebVTT file');
+    }
+
+    return cues.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Parse an SRT or WebVTT timestamp
+   * @param {string} value - Timestamp, e.g. 00:01:02,500 or 01:02.500
+   * @returns {number} Seconds
+   */
+  parseTimestamp(value) {
+    const parts = value.replace(',', '.').split(':').map(parseFloat);
+    return parts.reduce((total, part) => total * 60 + part, 0);
+  }
+
+  /**
+   * Build a WebVTT document from cues
+   * @param {Array<Object>} cues - Cues from parse
+   * @param {string} header - Extra header lines (e.g. X-TIMESTAMP-MAP)
+   * @returns {string} WebVTT content
+   */
+  buildVtt(cues, header = '') {
+    let vtt = `WEBVTT\n${header ? `${header}\n` : ''}`;
+
+    for (const cue of cues) {
+      vtt += `\n${this.formatTimestamp(cue.start)} --> ${this.formatTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}\n`;
+      vtt += `${cue.text}\n`;
+    }
+
+    return vtt;
+  }
+
+  /**
+   * Store a track: the whole WebVTT track and its metadata. Segments are
+   * written by segmentTrack once the stream's timeline is known.
+   * @param {string} subtitlesDir - Subtitles directory of the stream
+   * @param {string} id - Track id (directory name)
+   * @param {Array<Object>} cues - Cues from parse
+   * @param {Object} meta - {language, name, default, forced, source: 'upload'|'embedded'}
+   * @returns {Object} Track metadata
+   */
+  saveTrack(subtitlesDir, id, cues, meta) {
+    const trackDir = path.join(subtitlesDir, id);
+    fs.mkdirSync(trackDir, { recursive: true });
+
+    // Only one track of the group may be the default
+    if (meta.default) {
+      for (const track of this.listTracks(subtitlesDir)) {
+        if (track.id !== id && track.default) {
+          this.writeTrackFile(path.join(subtitlesDir, track.id), { ...track, default: false });
+        }
+      }
+    }
+
+    const track = {
+      id: id,
+      language: meta.language,
+      name: meta.name || this.getLanguageName(meta.language),
+      default: !!meta.default,
+      forced: !!meta.forced,
+      source: meta.source,
+      cueCount: cues.length,
+      updatedAt: new Date().toISOString()
+    };
+
+    fs.writeFileSync(path.join(trackDir, SOURCE_FILE), this.buildVtt(cues));
+    this.writeTrackFile(trackDir, track);
+    return track;
+  }
+
+  /**
+   * Write a track's metadata
+   * @param {string} trackDir - Track directory
+   * @param {Object} track - Track metadata
+   */
+  writeTrackFile(trackDir, track) {
+    fs.writeFileSync(path.join(trackDir, TRACK_FILE), JSON.stringify(track, null, 2));
+  }
+
+  /**
+   * Split a stored track into WebVTT segments matching the video segments,
+   * and write its playlist. Cues spanning a segment boundary are repeated in
+   * both segments, as HLS requires.
+   * @param {string} trackDir - Track directory
+   * @param {Object} timeline - {segments: [{duration}], targetDuration, format: 'ts'|'cmaf'}
+   */
+  segmentTrack(trackDir, timeline) {
+    const cues = this.parse(fs.readFileSync(path.join(trackDir, SOURCE_FILE), 'utf8'));
+    const header = `X-TIMESTAMP-MAP=MPEGTS:${TIMESTAMP_OFFSETS[timeline.format] || 0},LOCAL:00:00:00.000`;
+
+    for (const file of fs.readdirSync(trackDir)) {
+      if (SEGMENT_PATTERN.test(file)) {
+        fs.unlinkSync(path.join(trackDir, file));
+      }
+    }
+
+    let playlist = '#EXTM3U\n#EXT-X-VERSION:3\n' +
+      `#EXT-X-TARGETDURATION:${timeline.targetDuration}\n#EXT-X-MEDIA-SEQUENCE:0\n#EXT-X-PLAYLIST-TYPE:VOD\n`;
+    let start = 0;
+
+    timeline.segments.forEach((segment, index) => {
+      const end = start + segment.duration;
+      const segmentCues = cues.filter(cue => cue.start < end && cue.end > start);
+      const file = `segment_${String(index).padStart(3, '0')}.vtt`;
+
+      fs.writeFileSync(path.join(trackDir, file), this.buildVtt(segmentCues, header));
+      playlist += `#EXTINF:${segment.duration.toFixed(6)},\n${file}\n`;
+      start = end;
+    });
+
+    fs.writeFileSync(path.join(trackDir, PLAYLIST_FILE), `${playlist}#EXT-X-ENDLIST\n`);
+  }
+
+  /**
+   * List a stream's tracks
+   * @param {string} subtitlesDir - Subtitles directory of the stream
+   * @returns {Array<Object>} Track metadata, default track first, then by id
+   */
+  listTracks(subtitlesDir) {
+    if (!fs.existsSync(subtitlesDir)) {
+      return [];
+    }
+
+    const tracks = [];
+    for (const id of fs.readdirSync(subtitlesDir)) {
+      try {
+        tracks.push({ ...JSON.parse(fs.readFileSync(path.join(subtitlesDir, id, TRACK_FILE), 'utf8')), id });
+      } catch (error) {
+        // Not a track directory (or a track still being written)
+      }
+    }
+
+    return tracks.sort((a, b) => (b.default - a.default) || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Delete a track
+   * @param {string} subtitlesDir - Subtitles directory of the stream
+   * @param {string} id - Track id
+   * @returns {boolean} True if the track existed
+   */
+  deleteTrack(subtitlesDir, id) {
+    const trackDir = path.join(subtitlesDir, id);
+    if (!fs.existsSync(path.join(trackDir, TRACK_FILE))) {
+      return false;
+    }
+
+    fs.rmSync(trackDir, { recursive: true, force: true });
+    return true;
+  }
+
+  /**
+   * Extract the text subtitle tracks of a source into tracks of the stream.
+   * Tracks are named after their language (und if unknown), with a numeric
+   * suffix when several share one.
+   * @param {string} inputPath - Source video
+   * @param {string} subtitlesDir - Subtitles directory of the stream
+   * @param {Array<Object>} sourceTracks - MediaProbeService subtitleTracks of the source
+   * @returns {Promise<Array<Object>>} Extracted track metadata
+   */
+  async extractEmbedded(inputPath, subtitlesDir, sourceTracks = []) {
+    const textTracks = sourceTracks.filter(track => TEXT_CODECS.includes(track.codec));
+    if (textTracks.length === 0) {
+      return [];
+    }
+
+    const usedIds = new Set();
+    const extracted = textTracks.map((track) => {
+      const language = track.language || 'und';
+      let id = language.replace(/[^\w-]/g, '') || 'und';
+      for (let n = 2; usedIds.has(id); n++) {
+        id = `${language}-${n}`;
+      }
+      usedIds.add(id);
+      return { track, id, language, tempPath: path.join(subtitlesDir, `.${id}.extract.vtt`) };
+    });
+
+    fs.mkdirSync(subtitlesDir, { recursive: true });
+    const command = ffmpeg(inputPath);
+    for (const item of extracted) {
+      command.output(item.tempPath).outputOptions([`-map 0:${item.track.index}`, '-c:s webvtt', '-f webvtt']);
+    }
+
+    try {
+      await this.runFfmpeg(command, `${extracted.length} subtitle track(s) from ${path.basename(inputPath)}`);
+
+      const tracks = [];
+      for (const item of extracted) {
+        try {
+          const cues = this.parse(fs.readFileSync(item.tempPath, 'utf8'));
+          tracks.push(this.saveTrack(subtitlesDir, item.id, cues, {
+            language: item.language,
+            name: item.track.title,
+            default: item.track.default,
+            source: 'embedded'
+          }));
+        } catch (error) {
+          logger.warn(`Skipping empty subtitle track ${item.track.index} of ${path.basename(inputPath)}: ${error.message}`);
+        }
+      }
+      return tracks;
+    } finally {
+      extracted.forEach(item => fs.rmSync(item.tempPath, { force: true }));
+    }
+  }
+
+  /**
+   * Human readable name of a language tag, e.g. "English" for en
+   * @param {string} language - BCP 47 language tag
+   * @returns {string} Language name, or the tag itself if unknown
+   */
+  getLanguageName(language) {
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+    } catch (error) {
+      return language;
+    }
+  }
+
+  /**
+   * Validate a language tag used as a track id (en, pt-BR, eng, ...)
+   * @param {string} language - Language tag
+   * @returns {boolean} True if valid
+   */
+  isValidLanguage(language) {
+    return LANGUAGE_TAG.test(language || '');
+  }
+
+  /**
+   * Whether a file name is a servable file of a track
+   * @param {string} file - File name
+   * @returns {boolean} True for WebVTT segments and the whole track
+   */
+  isTrackFile(file) {
+    return SEGMENT_PATTERN.test(file) || file === SOURCE_FILE;
+  }
+
+  /**
+   * Format seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+   * @param {number} seconds - Time in seconds
+   * @returns {string} Timestamp
+   */
+  formatTimestamp(seconds) {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+      `${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+  }
+
+  /**
+   * Run a fluent-ffmpeg command to completion
+   * @param {Object} command - fluent-ffmpeg command
+   * @param {string} description - What is being extracted, for logs
+   * @returns {Promise<void>}
+   */
+  runFfmpeg(command, description) {
+    return new Promise((resolve, reject) => {
+      command
+        .on('start', (commandLine) => {
+          logger.info(`Extracting ${description}: ${commandLine}`);
+        })
+        .on('end', () => resolve())
+        .on('error', reject)
+        .run();
+    });
+  }
+}
+
+SubtitleService.LANGUAGE_TAG = LANGUAGE_TAG;
+
+module.exports = SubtitleService;
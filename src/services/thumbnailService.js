@@ -0,0 +1,449 @@
+const crypto = require('crypto');
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const MediaProbeService = require('./mediaProbeService');
+
+const POSTER_FILE = 'poster.jpg';
+const STORYBOARD_FILE = 'storyboard.vtt';
+const SPRITE_PATTERN = /^storyboard_\d{3}\.jpg$/;
+const POSTER_VARIANT_PATTERN = /^poster-[\d.]+-\d+\.jpg$/;
+
+// On-demand poster widths; requested widths are rounded up to one of these
+const POSTER_WIDTHS = [160, 320, 480, 640, 960, 1280, 1920, 3840];
+
+/**
+ * Poster frames and scrubbing storyboards: sprite sheets of evenly spaced
+ * thumbnails plus a WebVTT track whose cues point into them with #xywh=.
+ * Files are written to a thumbnails directory next to the stream (or, for
+ * plain local videos, under thumbnails/<filename>/).
+ */
+class ThumbnailService {
+  constructor() {
+    this.thumbnailsDir = path.join(__dirname, '../../thumbnails');
+
+    if (process.env.FFMPEG_PATH) {
+      ffmpeg.setFfmpegPath(process.env.FFMPEG_PATH);
+    }
+
+    this.defaults = {
+      interval: parseFloat(process.env.STORYBOARD_INTERVAL) || 5,
+      width: parseInt(process.env.STORYBOARD_THUMBNAIL_WIDTH) || 160,
+      columns: parseInt(process.env.STORYBOARD_COLUMNS) || 10,
+      rows: parseInt(process.env.STORYBOARD_ROWS) || 10
+    };
+
+    // On-demand posters are public, so the variants one video can have are bounded
+    this.posterTimeStep = parseFloat(process.env.POSTER_TIME_STEP) || 1;
+    this.posterCacheSize = parseInt(process.env.POSTER_CACHE_SIZE) || 20;
+
+    // Variants being generated, by path, so concurrent requests share one ffmpeg run
+    this.pendingPosters = new Map();
+  }
+
+  /**
+   * Thumbnails directory for a local video in videos/
+   * @param {string} filename - Video file name
+   * @returns {string} Directory path
+   */
+  getVideoThumbnailsDir(filename) {
+    return path.join(this.thumbnailsDir, path.basename(filename));
+  }
+
+  /**
+   * Generate a poster and a storyboard for a video
+   * @param {string} inputPath - Video file or HLS playlist
+   * @param {string} outputDir - Thumbnails directory
+   * @param {Object} options - Generation options
+   * @param {number} options.posterTime - Poster timestamp in seconds (default: 10% into the video)
+   * @param {number} options.posterWidth - Poster width (default: source width)
+   * @param {boolean} options.storyboard - Set to false to only generate the poster
+   * @param {Object} options.source - Known {duration, width, height}, skips probing
+   * @param {Function} options.onProgress - Called with ffmpeg progress while building the storyboard
+   * @returns {Promise<Object>} Generated files, relative to outputDir
+   */
+  async generate(inputPath, outputDir, options = {}) {
+    const source = await this.getSourceInfo(inputPath, options.source);
+
+    const poster = await this.generatePoster(inputPath, path.join(outputDir, POSTER_FILE), {
+      time: options.posterTime,
+      width: options.posterWidth,
+      source: source
+    });
+
+    const storyboard = options.storyboard === false
+      ? null
+      : await this.generateStoryboard(inputPath, outputDir, { ...options, source });
+
+    return {
+      poster: { file: POSTER_FILE, time: poster.time, width: poster.width, height: poster.height },
+      storyboard: storyboard
+    };
+  }
+
+  /**
+   * Get a poster for serving, generating it on demand. Without a time or
+   * width the stored poster.jpg is used; other variants are rounded to
+   * POSTER_TIME_STEP seconds and one of POSTER_WIDTHS, cached as
+   * poster-<time>-<width>.jpg (the POSTER_CACHE_SIZE most recently used per
+   * video) and regenerated when the source changes.
+   * @param {string} inputPath - Video file or HLS playlist
+   * @param {string} outputDir - Thumbnails directory
+   * @param {Object} options - Poster options (see generatePoster)
+   * @returns {Promise<string>} Path of the JPEG
+   */
+  async getPoster(inputPath, outputDir, options = {}) {
+    const sourceModified = fs.statSync(inputPath).mtime.getTime();
+    const isFresh = file => fs.existsSync(file) && fs.statSync(file).mtime.getTime() >= sourceModified;
+
+    const defaultPoster = path.join(outputDir, POSTER_FILE);
+    if (options.time === undefined && options.width === undefined && isFresh(defaultPoster)) {
+      return defaultPoster;
+    }
+
+    const source = await this.getSourceInfo(inputPath, options.source);
+    const step = this.posterTimeStep;
+    const time = this.clampTime(Math.round((options.time ?? source.duration * 0.1) / step) * step, source.duration);
+    const requestedWidth = options.width || source.width;
+    const width = this.scaleTo(source, POSTER_WIDTHS.find(candidate => candidate >= requestedWidth) || requestedWidth).width;
+    const posterPath = path.join(outputDir, `poster-${time}-${width}.jpg`);
+
+    if (isFresh(posterPath)) {
+      // The modification time orders variants for eviction
+      const now = new Date();
+      fs.utimesSync(posterPath, now, now);
+      return posterPath;
+    }
+
+    if (!this.pendingPosters.has(posterPath)) {
+      const pending = this.generatePoster(inputPath, posterPath, { time, width, source })
+        .then(() => this.evictPosters(outputDir))
+        .finally(() => this.pendingPosters.delete(posterPath));
+      this.pendingPosters.set(posterPath, pending);
+    }
+    await this.pendingPosters.get(posterPath);
+    return posterPath;
+  }
+
+  /**
+   * Delete the least recently used on-demand posters beyond POSTER_CACHE_SIZE
+   * @param {string} outputDir - Thumbnails directory
+   */
+  evictPosters(outputDir) {
+    const variants = fs.readdirSync(outputDir)
+      .filter(file => POSTER_VARIANT_PATTERN.test(file))
+      .map(file => ({ file, modified: fs.statSync(path.join(outputDir, file)).mtime.getTime() }))
+      .sort((a, b) => b.modified - a.modified);
+
+    for (const { file } of variants.slice(this.posterCacheSize)) {
+      fs.rmSync(path.join(outputDir, file), { force: true });
+    }
+  }
+
+  /**
+   * Extract a single frame as a JPEG
+   * @param {string} inputPath - Video file or HLS playlist
+   * @param {string} outputPath - JPEG path
+   * @param {Object} options - Poster options
+   * @param {number} options.time - Timestamp in seconds (default: 10% into the video)
+   * @param {number} options.width - Width in pixels (default: source width)
+   * @param {Object} options.source - Known {duration, width, height}, skips probing
+   * @returns {Promise<Object>} {path, time, width, height}
+   */
+  async generatePoster(inputPath, outputPath, options = {}) {
+    const source = await this.getSourceInfo(inputPath, options.source);
+    const time = this.clampTime(options.time ?? source.duration * 0.1, source.duration);
+    const { width, height } = this.scaleTo(source, options.width || source.width);
+
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+    // Render to a unique name first so concurrent requests never serve a partial file
+    const partialPath = path.join(path.dirname(outputPath), `.${crypto.randomUUID()}.jpg`);
+
+    try {
+      await this.runFfmpeg(
+        ffmpeg(inputPath)
+          .seekInput(time)
+          .outputOptions(['-frames:v 1', '-q:v 2', '-an'])
+          .videoFilters(`scale=${width}:${height}`)
+          .output(partialPath),
+        `poster of ${path.basename(inputPath)} at ${time}s`
+      );
+      fs.renameSync(partialPath, outputPath);
+    } finally {
+      fs.rmSync(partialPath, { force: true });
+    }
+
+    return { path: outputPath, time, width, height };
+  }
+
+  /**
+   * Build sprite sheets (storyboard_000.jpg, ...) and storyboard.vtt
+   * @param {string} inputPath - Video file or HLS playlist
+   * @param {string} outputDir - Thumbnails directory
+   * @param {Object} options - Storyboard options
+   * @param {number} options.interval - Seconds between thumbnails
+   * @param {number} options.width - Thumbnail width in pixels
+   * @param {number} options.columns - Thumbnails per sprite row
+   * @param {number} options.rows - Rows per sprite sheet
+   * @param {Object} options.source - Known {duration, width, height}, skips probing
+   * @param {Function} options.onProgress - Called with ffmpeg progress
+   * @returns {Promise<Object>} Storyboard description
+   */
+  async generateStoryboard(inputPath, outputDir, options = {}) {
+    const source = await this.getSourceInfo(inputPath, options.source);
+    const interval = parseFloat(options.interval) || this.defaults.interval;
+    const columns = parseInt(options.columns) || this.defaults.columns;
+    const rows = parseInt(options.rows) || this.defaults.rows;
+    const { width, height } = this.scaleTo(source, parseInt(options.width) || this.defaults.width);
+
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    // Remove sprites from a previous run, which may have had more sheets
+    for (const file of fs.readdirSync(outputDir)) {
+      if (SPRITE_PATTERN.test(file)) {
+        fs.rmSync(path.join(outputDir, file), { force: true });
+      }
+    }
+
+    await this.runFfmpeg(
+      ffmpeg(inputPath)
+        .outputOptions([
+          '-an',
+          `-vf fps=1/${interval},scale=${width}:${height},tile=${columns}x${rows}`,
+          '-q:v 4',
+          '-start_number 0'
+        ])
+        .output(path.join(outputDir, 'storyboard_%03d.jpg'))
+        .on('progress', (progress) => {
+          if (options.onProgress) {
+            options.onProgress('storyboard', progress);
+          }
+        }),
+      `storyboard of ${path.basename(inputPath)}`
+    );
+
+    const sprites = fs.readdirSync(outputDir).filter(file => SPRITE_PATTERN.test(file)).sort();
+    const count = Math.min(Math.ceil(source.duration / interval), sprites.length * columns * rows);
+
+    const vtt = this.buildStoryboardVtt({ count, interval, duration: source.duration, width, height, columns, rows });
+    fs.writeFileSync(path.join(outputDir, STORYBOARD_FILE), vtt);
+
+    logger.info(`Generated storyboard with ${count} thumbnails in ${sprites.length} sprite(s) for ${path.basename(inputPath)}`);
+
+    return {
+      file: STORYBOARD_FILE,
+      sprites: sprites,
+      thumbnails: count,
+      interval: interval,
+      width: width,
+      height: height,
+      columns: columns,
+      rows: rows
+    };
+  }
+
+  /**
+   * Build a WebVTT thumbnails track with one cue per thumbnail
+   * @param {Object} layout - Storyboard layout
+   * @returns {string} WebVTT content
+   */
+  buildStoryboardVtt({ count, interval, duration, width, height, columns, rows }) {
+    const perSheet = columns * rows;
+    let vtt = 'WEBVTT\n';
+
+    for (let i = 0; i < count; i++) {
+      const start = i * interval;
+      const end = Math.min((i + 1) * interval, duration);
+      const sheet = String(Math.floor(i / perSheet)).padStart(3, '0');
+      const position = i % perSheet;
+      const x = (position % columns) * width;
+      const y = Math.floor(position / columns) * height;
+
+      vtt += `\n${this.formatTimestamp(start)} --> ${this.formatTimestamp(end)}\n`;
+      vtt += `storyboard_${sheet}.jpg#xywh=${x},${y},${width},${height}\n`;
+    }
+
+    return vtt;
+  }
+
+  /**
+   * Describe the thumbnails present in a directory
+   * @param {string} outputDir - Thumbnails directory
+   * @param {string} baseUrl - URL the directory is served under
+   * @returns {Object|null} Poster and storyboard URLs, or null if none exist
+   */
+  listThumbnails(outputDir, baseUrl) {
+    if (!fs.existsSync(outputDir)) {
+      return null;
+    }
+
+    const files = fs.readdirSync(outputDir);
+    const hasPoster = files.includes(POSTER_FILE);
+    const hasStoryboard = files.includes(STORYBOARD_FILE);
+
+    if (!hasPoster && !hasStoryboard) {
+      return null;
+    }
+
+    return {
+      posterUrl: hasPoster ? `${baseUrl}/${POSTER_FILE}` : null,
+      storyboardUrl: hasStoryboard ? `${baseUrl}/${STORYBOARD_FILE}` : null,
+      sprites: files.filter(file => SPRITE_PATTERN.test(file)).sort().map(file => `${baseUrl}/${file}`)
+    };
+  }
+
+  /**
+   * Parse and validate ?time= and ?width= poster query parameters
+   * @param {Object} query - Express query object
+   * @returns {Object} {time, width} (undefined when absent), or {error}
+   */
+  parsePosterQuery(query) {
+    const result = {};
+
+    if (query.time !== undefined) {
+      result.time = parseFloat(query.time);
+      if (!(result.time >= 0)) {
+        return { error: 'time must be a non-negative number of seconds' };
+      }
+    }
+    if (query.width !== undefined) {
+      result.width = parseInt(query.width);
+      if (!(result.width >= 16 && result.width <= 3840)) {
+        return { error: 'width must be between 16 and 3840 pixels' };
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate thumbnail generation options from a request body
+   * @param {Object} body - {posterTime, posterWidth, storyboard, interval, width, columns, rows}
+   * @returns {Object} {options} with only known keys, or {error}
+   */
+  parseGenerateOptions(body = {}) {
+    const limits = {
+      posterTime: [0, Infinity],
+      posterWidth: [16, 3840],
+      interval: [0.5, 3600],
+      width: [16, 1280],
+      columns: [1, 50],
+      rows: [1, 50]
+    };
+    const options = {};
+
+    for (const [name, [min, max]] of Object.entries(limits)) {
+      if (body[name] === undefined) continue;
+
+      const value = parseFloat(body[name]);
+      if (!(value >= min && value <= max)) {
+        return { error: `${name} must be a number between ${min} and ${max}` };
+      }
+      options[name] = value;
+    }
+
+    if (body.storyboard !== undefined) {
+      options.storyboard = body.storyboard !== false && body.storyboard !== 'false';
+    }
+
+    return { options };
+  }
+
+  /**
+   * Whether a file name is one of the generated thumbnail files
+   * @param {string} file - File name
+   * @returns {boolean} True for posters, sprites and the storyboard track
+   */
+  isThumbnailFile(file) {
+    return /^[\w.-]+\.(jpg|vtt)$/.test(file) && !file.startsWith('.');
+  }
+
+  /**
+   * Get duration and display dimensions, probing only what was not supplied
+   * @param {string} inputPath - Video file or HLS playlist
+   * @param {Object} known - Already known {duration, width, height}
+   * @returns {Promise<Object>} {duration, width, height}
+   */
+  async getSourceInfo(inputPath, known = {}) {
+    if (known && known.duration && known.width && known.height) {
+      return known;
+    }
+
+    const technical = await MediaProbeService.probe(inputPath, `${inputPath}|${fs.statSync(inputPath).mtime.getTime()}`);
+    if (!technical.video || !technical.duration) {
+      throw new Error(`No video stream found in ${path.basename(inputPath)}`);
+    }
+
+    // Frames are auto-rotated, so portrait recordings swap their coded dimensions
+    const rotated = technical.video.rotation === 90 || technical.video.rotation === 270;
+    return {
+      duration: technical.duration,
+      width: rotated ? technical.video.height : technical.video.width,
+      height: rotated ? technical.video.width : technical.video.height
+    };
+  }
+
+  /**
+   * Scale source dimensions to a width, keeping the aspect ratio and even sizes
+   * @param {Object} source - {width, height}
+   * @param {number} width - Target width
+   * @returns {Object} {width, height}
+   */
+  scaleTo(source, width) {
+    const targetWidth = Math.max(2, Math.round(Math.min(width, source.width) / 2) * 2);
+    const targetHeight = Math.max(2, Math.round((targetWidth * source.height) / source.width / 2) * 2);
+    return { width: targetWidth, height: targetHeight };
+  }
+
+  /**
+   * Keep a timestamp inside the video so a frame is always produced
+   * @param {number} time - Requested timestamp in seconds
+   * @param {number} duration - Video duration in seconds
+   * @returns {number} Timestamp rounded to milliseconds
+   */
+  clampTime(time, duration) {
+    const latest = Math.max(duration - 0.1, 0);
+    return Math.round(Math.min(Math.max(parseFloat(time) || 0, 0), latest) * 1000) / 1000;
+  }
+
+  /**
+   * Format seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+   * @param {number} seconds - Time in seconds
+   * @returns {string} Timestamp
+   */
+  formatTimestamp(seconds) {
+    const totalMs = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+      `${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+  }
+
+  /**
+   * Run a fluent-ffmpeg command to completion
+   * @param {Object} command - fluent-ffmpeg command
+   * @param {string} description - What is being generated, for logs
+   * @returns {Promise<void>}
+   */
+  runFfmpeg(command, description) {
+    return new Promise((resolve, reject) => {
+      command
+        .on('start', (commandLine) => {
+          logger.info(`Generating ${description}: ${commandLine}`);
+        })
+        .on('end', () => resolve())
+        .on('error', (error) => {
+          logger.error(`Error generating ${description}:`, error);
+          reject(error);
+        })
+        .run();
+    });
+  }
+}
+
+module.exports = ThumbnailService;
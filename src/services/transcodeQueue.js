@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const JobQueueService = require('./jobQueueService');
+const ClusterJobQueue = require('./clusterJobQueue');
+const HLSService = require('./hlsService');
+const R2StreamService = require('./r2StreamService');
+const ThumbnailService = require('./thumbnailService');
+const videoCatalog = require('./videoCatalog');
+const metrics = require('../utils/metrics');
+
+const hlsService = new HLSService();
+const r2Service = new R2StreamService();
+const thumbnailService = new ThumbnailService();
+const tmpDir = path.join(__dirname, '../../tmp');
+const videosDir = path.join(__dirname, '../../videos');
+
+/**
+ * Shared queue for transcoding jobs. Every route that starts a conversion
+ * goes through this instance so jobs are persisted and can be polled.
+ * Jobs with the same output are never run at once (see the lockKey options).
+ *
+ * In cluster mode only the transcoder worker runs jobs; HTTP workers get a
+ * ClusterJobQueue that hands new jobs to it and mirrors their state.
+ */
+const queueOptions = {
+  storePath: process.env.JOB_STORE_PATH || path.join(__dirname, '../../data/jobs.json'),
+  concurrency: process.env.TRANSCODE_CONCURRENCY || 1,
+  historyLimit: process.env.JOB_HISTORY_LIMIT || 500
+};
+const transcodeQueue = process.env.CLUSTER_ROLE === 'http'
+  ? new ClusterJobQueue(queueOptions)
+  : new JobQueueService(queueOptions);
+
+/**
+ * Record a finished conversion on the catalog entry it was queued for
+ * @param {Object} job - Conversion job (input.videoId is set by the routes)
+ * @param {Object} hls - HLS link (see CatalogService)
+ * @param {Object} result - convertToHLS result
+ */
+function recordConversion(job, hls, result) {
+  if (!job.input.videoId) return;
+
+  videoCatalog.update(job.input.videoId, {
+    hls: {
+      ...hls,
+      jobId: job.id,
+      format: result.format,
+      qualities: Object.keys(result.qualities),
+      convertedAt: new Date().toISOString()
+    }
+  });
+}
+
+/**
+ * hls-convert: convert a local file to HLS under the hls/ directory
+ * input: { inputPath, outputName, options, videoId }
+ */
+transcodeQueue.registerHandler('hls-convert', async (job, reportProgress) => {
+  const { inputPath, outputName, options } = job.input;
+
+  const result = await hlsService.convertToHLS(inputPath, outputName, {
+    ...options,
+    onProgress: reportProgress
+  });
+  recordConversion(job, { storage: 'local', stream: outputName }, result);
+
+  return {
+    masterPlaylist: result.masterPlaylist,
+    masterPlaylistUrl: `/api/hls/${result.masterPlaylist}`,
+    dashManifestUrl: result.dashManifest ? `/api/dash/${result.dashManifest}` : null,
+    qualities: Object.keys(result.qualities),
+    audio: result.audio,
+    encrypted: result.encrypted,
+    subtitles: result.subtitles.map(track => track.id),
+    thumbnails: thumbnailService.listThumbnails(
+      path.join(result.outputDir, 'thumbnails'),
+      `/api/hls/${outputName}/thumbnails`
+    )
+  };
+}, { lockKey: input => `hls:${input.outputName}` });
+
+/**
+ * r2-hls-convert: download an R2 object, convert it to HLS and upload the
+ * playlists and segments back to the bucket under the video's HLS prefix
+ * input: { key, options, videoId }
+ */
+transcodeQueue.registerHandler('r2-hls-convert', async (job, reportProgress) => {
+  const { key, options } = job.input;
+  const workDir = path.join(tmpDir, job.id);
+  const sourcePath = path.join(workDir, `source${path.extname(key)}`);
+  const outputDir = path.join(workDir, 'hls');
+  const prefix = r2Service.getHLSPrefix(key);
+
+  try {
+    transcodeQueue.reportStage(job, 'downloading', { bytes: 0, totalBytes: null });
+    await r2Service.downloadToFile(key, sourcePath, (bytes, totalBytes) => {
+      transcodeQueue.reportStage(job, 'downloading', { bytes, totalBytes });
+    });
+
+    transcodeQueue.reportStage(job, 'transcoding');
+    const result = await hlsService.convertToHLS(sourcePath, path.parse(key).name, {
+      ...options,
+      outputDir: outputDir,
+      streamId: `r2:${key}`,
+      onProgress: reportProgress
+    });
+
+    const thumbnails = thumbnailService.listThumbnails(
+      path.join(outputDir, 'thumbnails'),
+      `/api/hls/r2/${encodeURIComponent(key)}/thumbnails`
+    );
+
+    transcodeQueue.reportStage(job, 'uploading', { bytes: 0, totalBytes: null });
+    const keys = await r2Service.publishHLS(outputDir, key, (bytes, totalBytes) => {
+      transcodeQueue.reportStage(job, 'uploading', { bytes, totalBytes });
+    });
+    recordConversion(job, { storage: 'r2', key }, result);
+
+    return {
+      key: key,
+      prefix: prefix,
+      masterPlaylistKey: `${prefix}/master.m3u8`,
+      masterPlaylistUrl: `/api/hls/r2/${encodeURIComponent(key)}/master.m3u8`,
+      dashManifestUrl: result.dashManifest ? `/api/dash/r2/${encodeURIComponent(key)}/manifest.mpd` : null,
+      qualities: Object.keys(result.qualities),
+      audio: result.audio,
+      encrypted: result.encrypted,
+      subtitles: result.subtitles.map(track => track.id),
+      thumbnails: thumbnails,
+      files: keys.length
+    };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}, { lockKey: input => `r2:${input.key}` });
+
+/**
+ * thumbnails: generate a poster and storyboard for an existing HLS stream
+ * (from its highest rendition) or a local video in videos/
+ * input: { stream } or { filename }, plus { options }
+ */
+transcodeQueue.registerHandler('thumbnails', async (job, reportProgress) => {
+  const { stream, filename, options } = job.input;
+
+  const source = stream
+    ? hlsService.getThumbnailSource(stream)
+    : { inputPath: path.join(videosDir, path.basename(filename)) };
+  const outputDir = stream ? hlsService.getThumbnailsDir(stream) : thumbnailService.getVideoThumbnailsDir(filename);
+  const baseUrl = stream ? `/api/hls/${stream}/thumbnails` : `/api/video/local/${filename}/thumbnails`;
+
+  const result = await thumbnailService.generate(source.inputPath, outputDir, {
+    ...options,
+    source: source.duration ? source : undefined,
+    onProgress: reportProgress
+  });
+
+  return {
+    ...thumbnailService.listThumbnails(outputDir, baseUrl),
+    poster: result.poster,
+    storyboard: result.storyboard
+  };
+}, { lockKey: input => (input.stream ? `hls:${input.stream}` : `video:${path.basename(input.filename)}`) });
+
+/**
+ * Metrics: jobs per state are counted at scrape time, run times are
+ * recorded as jobs finish. Only the process running the jobs records them;
+ * the mirrors of HTTP workers would count each job once more per worker.
+ */
+if (!(transcodeQueue instanceof ClusterJobQueue)) {
+  metrics.transcodeJobs.setCollector((metric) => {
+    for (const type of Object.keys(transcodeQueue.handlers)) {
+      for (const state of JobQueueService.JOB_STATES) {
+        metric.set({ type, state }, 0);
+      }
+    }
+    for (const job of transcodeQueue.listJobs()) {
+      metric.inc({ type: job.type, state: job.state });
+    }
+  });
+
+  const recordFinishedJob = (job) => {
+    metrics.transcodeJobsFinished.inc({ type: job.type, state: job.state });
+    if (job.startedAt && job.finishedAt) {
+      const seconds = (new Date(job.finishedAt) - new Date(job.startedAt)) / 1000;
+      metrics.transcodeJobDuration.observe({ type: job.type, state: job.state }, seconds);
+    }
+  };
+  transcodeQueue.on('succeeded', recordFinishedJob);
+  transcodeQueue.on('failed', recordFinishedJob);
+}
+
+module.exports = transcodeQueue;
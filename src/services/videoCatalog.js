@@ -0,0 +1,12 @@
+const path = require('path');
+const CatalogService = require('./catalogService');
+
+/**
+ * Shared video catalog. The upload, conversion and /api/videos routes and
+ * the conversion jobs all go through this instance.
+ */
+const videoCatalog = new CatalogService({
+  storePath: process.env.CATALOG_STORE_PATH || path.join(__dirname, '../../data/catalog.json')
+});
+
+module.exports = videoCatalog;
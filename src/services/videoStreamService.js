@@ -2,128 +2,165 @@ const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
 const logger = require('../utils/logger');
+const MediaProbeService = require('./mediaProbeService');
+const { parseRange, sendMultipartByteranges } = require('../utils/byteRange');
+const { isNotModified, isRangeFresh } = require('../utils/conditionalRequest');
+const { BandwidthLimiter, throttle } = require('../utils/bandwidthLimiter');
+const metrics = require('../utils/metrics');
+const RateLimitService = require('./rateLimitService');
+const { locateLocalFile } = require('./storage');
 
 const stat = promisify(fs.stat);
 
 class VideoStreamService {
   /**
-   * Parse Range header according to RFC 7233
-   * @param {string} range - Range header value (e.g., "bytes=0-1023")
-   * @param {number} fileSize - Total file size
-   * @returns {Object} Parsed range object with start, end, and chunkSize
+   * Stream a file of the local videos/, uploads/, thumbnails/ or hls/
+   * directory with Range Request support, through that directory's storage backend
+   * @param {string} filePath - Path to video file
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} options - Optional overrides (see streamFromStorage)
    */
-  static parseRange(range, fileSize) {
-    if (!range || !range.startsWith('bytes=')) {
-      return null;
-    }
-
-    const parts = range.replace(/bytes=/, '').split('-');
-    const start = parseInt(parts[0], 10);
-    const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-
-    // Validate range
-    if (isNaN(start) || isNaN(end) || start >= fileSize || end >= fileSize || start > end) {
-      return null;
-    }
-
-    return {
-      start,
-      end,
-      chunkSize: (end - start) + 1
-    };
+  static async streamVideo(filePath, req, res, options = {}) {
+    const { storage, key } = locateLocalFile(filePath);
+    return this.streamFromStorage(storage, key, req, res, {
+      ...options,
+      contentType: options.contentType || this.getVideoMimeType(filePath),
+      source: options.source || 'local'
+    });
   }
 
   /**
-   * Stream video file with Range Request support
-   * @param {string} filePath - Path to video file
+   * Stream an object of any storage backend with Range Request support:
+   * conditional requests (RFC 7232), single ranges (206) and multiple
+   * ranges (multipart/byteranges), with an optional bandwidth cap
+   * @param {Object} storage - Storage backend (see StorageBackend)
+   * @param {string} key - Object key
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
+   * @param {Object} options - Optional overrides
+   * @param {string} options.contentType - Content-Type to send instead of the stored one
+   * @param {string} options.cacheControl - Cache-Control to send (default: 1 hour)
+   * @param {number|string} options.maxBytesPerSecond - Bandwidth cap per client (default: STREAM_MAX_BYTES_PER_SECOND, 0 disables)
+   * @param {string} options.source - Source label for metrics (default: the backend name)
    */
-  static async streamVideo(filePath, req, res) {
+  static async streamFromStorage(storage, key, req, res, options = {}) {
+    const source = options.source || storage.name;
+    metrics.trackStreamResponse(res, source);
+
     try {
-      // Check if file exists
-      const stats = await stat(filePath);
-      const fileSize = stats.size;
-
-      // Get range from request headers
-      const range = req.headers.range;
-      
-      if (range) {
-        // Handle Range Request (RFC 7233)
-        const rangeData = this.parseRange(range, fileSize);
-        
-        if (!rangeData) {
-          // Invalid range - return 416 Range Not Satisfiable
-          res.status(416).set({
-            'Content-Range': `bytes */${fileSize}`,
-            'Accept-Ranges': 'bytes',
-            'Content-Type': 'video/mp4'
-          });
-          return res.end();
-        }
-
-        const { start, end, chunkSize } = rangeData;
+      const limiter = BandwidthLimiter.forClient(RateLimitService.getClientId(req), options.maxBytesPerSecond);
+      const openRange = async range => metrics.countBytes(throttle(await storage.createReadStream(key, range), limiter), source);
+
+      const object = await storage.head(key);
+      const fileSize = object.size;
+      const contentType = options.contentType || object.contentType || 'video/mp4';
+      const { etag, lastModified } = object;
+      const cacheHeaders = {
+        'Cache-Control': options.cacheControl || 'public, max-age=3600',
+        'Last-Modified': lastModified?.toUTCString(),
+        'ETag': etag
+      };
+
+      // Client already has the current version (RFC 7232)
+      if (isNotModified(req, { etag, lastModified })) {
+        res.status(304).set(cacheHeaders);
+        return res.end();
+      }
+
+      // Get range from request headers (RFC 7233), ignored if If-Range no longer matches
+      const rangeHeader = isRangeFresh(req, { etag, lastModified }) ? req.headers.range : null;
+      const ranges = parseRange(rangeHeader, fileSize);
+
+      if (ranges === -1) {
+        // No satisfiable range - return 416 Range Not Satisfiable
+        res.status(416).set({
+          'Content-Range': `bytes */${fileSize}`,
+          'Accept-Ranges': 'bytes',
+          'Content-Type': contentType
+        });
+        return res.end();
+      }
+
+      if (ranges && ranges.length > 1) {
+        // Multiple ranges - answer with multipart/byteranges
+        await sendMultipartByteranges(res, {
+          ranges,
+          size: fileSize,
+          contentType,
+          headers: cacheHeaders,
+          openRange
+        });
+
+        logger.info(`Streaming ${ranges.length} ranges of ${fileSize} bytes for ${this.describeKey(storage, key)}`);
+      } else if (ranges) {
+        const { start, end, chunkSize } = ranges[0];
+        const stream = await openRange({ start, end });
 
         // Set headers for partial content (206)
         res.status(206).set({
           'Content-Range': `bytes ${start}-${end}/${fileSize}`,
           'Accept-Ranges': 'bytes',
           'Content-Length': chunkSize,
-          'Content-Type': this.getVideoMimeType(filePath),
-          'Cache-Control': 'public, max-age=3600',
-          'Last-Modified': stats.mtime.toUTCString(),
-          'ETag': `"${stats.size}-${stats.mtime.getTime()}"`
-        });
-
-        // Create read stream for the requested range
-        const stream = fs.createReadStream(filePath, { start, end });
-        
-        // Handle stream errors
-        stream.on('error', (error) => {
-          logger.error('Stream error:', error);
-          if (!res.headersSent) {
-            res.status(500).end();
-          }
+          'Content-Type': contentType,
+          ...cacheHeaders
         });
 
-        // Pipe the stream to response
-        stream.pipe(res);
-
-        logger.info(`Streaming range ${start}-${end}/${fileSize} for ${path.basename(filePath)}`);
+        this.pipeBody(stream, res);
+        logger.info(`Streaming range ${start}-${end}/${fileSize} for ${this.describeKey(storage, key)}`);
       } else {
-        // No range header - stream entire file
+        // No usable range header - stream entire file
+        const stream = await openRange({});
+
         res.set({
           'Content-Length': fileSize,
-          'Content-Type': this.getVideoMimeType(filePath),
+          'Content-Type': contentType,
           'Accept-Ranges': 'bytes',
-          'Cache-Control': 'public, max-age=3600',
-          'Last-Modified': stats.mtime.toUTCString(),
-          'ETag': `"${stats.size}-${stats.mtime.getTime()}"`
+          ...cacheHeaders
         });
 
-        const stream = fs.createReadStream(filePath);
-        
-        stream.on('error', (error) => {
-          logger.error('Stream error:', error);
-          if (!res.headersSent) {
-            res.status(500).end();
-          }
-        });
-
-        stream.pipe(res);
-        logger.info(`Streaming entire file ${path.basename(filePath)} (${fileSize} bytes)`);
+        this.pipeBody(stream, res);
+        logger.info(`Streaming entire file ${this.describeKey(storage, key)} (${fileSize} bytes)`);
       }
     } catch (error) {
-      logger.error('Error streaming video:', error);
-      
-      if (error.code === 'ENOENT') {
+      if (res.headersSent) {
+        logger.error('Error streaming video:', error);
+        res.destroy(error);
+      } else if (error.code === 'NOT_FOUND') {
         res.status(404).json({ error: 'Video file not found' });
+      } else if (error.code === 'INVALID_KEY') {
+        res.status(400).json({ error: 'Invalid key', message: error.message });
+      } else if (error.code === 'INVALID_RANGE') {
+        res.status(416).json({ error: 'Invalid range request' });
       } else {
+        logger.error('Error streaming video:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     }
   }
 
+  /**
+   * Pipe an object body to the response. The body is destroyed if the
+   * client goes away, and the response is aborted if reading fails mid-stream.
+   * @param {Stream} body - Object body (possibly throttled)
+   * @param {Object} res - Express response object
+   */
+  static pipeBody(body, res) {
+    body.on('error', (error) => {
+      logger.error('Stream error:', error);
+      res.destroy(error);
+    });
+    res.once('close', () => body.destroy());
+    body.pipe(res);
+  }
+
+  /**
+   * Short name of an object for logs
+   */
+  static describeKey(storage, key) {
+    return `${storage.name}:${key}`;
+  }
+
   /**
    * Get appropriate MIME type for video file
    * @param {string} filePath - Path to video file
@@ -147,17 +184,24 @@ class VideoStreamService {
   /**
    * Get video metadata
    * @param {string} filePath - Path to video file
+   * @param {Object} options - Metadata options
+   * @param {boolean} options.probe - Include ffprobe technical metadata
    * @returns {Object} Video metadata
    */
-  static async getVideoMetadata(filePath) {
+  static async getVideoMetadata(filePath, options = {}) {
     try {
       const stats = await stat(filePath);
+      const technical = options.probe
+        ? await MediaProbeService.tryProbe(filePath, `${filePath}|${stats.mtime.getTime()}`)
+        : null;
+
       return {
         filename: path.basename(filePath),
         size: stats.size,
-        mimeType: this.getVideoMimeType(filePath),
+        mimeType: technical?.mimeType || this.getVideoMimeType(filePath),
         lastModified: stats.mtime,
-        supportsRangeRequests: true
+        supportsRangeRequests: true,
+        ...(options.probe ? { technical } : {})
       };
     } catch (error) {
       logger.error('Error getting video metadata:', error);
@@ -0,0 +1,155 @@
+const { Transform } = require('stream');
+const { parseFileSize } = require('./uploadValidation');
+
+// Shared limiters by client and rate, dropped once idle and refilled
+const clientLimiters = new Map();
+
+/**
+ * Caps the rate at which a client receives data. All streams wrapped by
+ * the same limiter share its budget, so parallel range requests of one
+ * client and the parts of a multipart/byteranges response are throttled
+ * together. The budget refills continuously up to the burst, which is sent
+ * at full speed so players can fill their buffer quickly.
+ */
+class BandwidthLimiter {
+  /**
+   * @param {number} bytesPerSecond - Sustained rate
+   * @param {number} burst - Bytes that may be sent before throttling starts
+   */
+  constructor(bytesPerSecond, burst = bytesPerSecond) {
+    this.bytesPerSecond = bytesPerSecond;
+    this.burst = burst;
+    this.available = burst;
+    this.updatedAt = Date.now();
+    this.streams = 0;
+  }
+
+  /**
+   * Get the limiter shared by all responses to one client, from
+   * STREAM_MAX_BYTES_PER_SECOND and STREAM_THROTTLE_BURST unless overridden
+   * @param {string} client - Client identifier (subject or ip:<address>)
+   * @param {number|string} bytesPerSecond - Rate override ("2MB", 0 disables)
+   * @returns {BandwidthLimiter|null} Limiter, or null if streaming is unthrottled
+   */
+  static forClient(client, bytesPerSecond = process.env.STREAM_MAX_BYTES_PER_SECOND) {
+    const rate = bytesPerSecond ? parseFileSize(bytesPerSecond) : 0;
+    if (!(rate > 0)) {
+      return null;
+    }
+
+    const key = `${client}:${rate}`;
+    let limiter = clientLimiters.get(key);
+    if (!limiter) {
+      const burst = process.env.STREAM_THROTTLE_BURST ? parseFileSize(process.env.STREAM_THROTTLE_BURST) : rate;
+      limiter = new BandwidthLimiter(rate, burst);
+      clientLimiters.set(key, limiter);
+    }
+    return limiter;
+  }
+
+  /**
+   * Reserve bandwidth for a chunk and tell how long to hold it so the
+   * sustained rate is not exceeded. Reservations of parallel streams queue
+   * up behind each other.
+   * @param {number} bytes - Chunk size
+   * @returns {number} Delay in milliseconds
+   */
+  delayFor(bytes) {
+    this.refill();
+    this.available -= bytes;
+    return this.available >= 0 ? 0 : (-this.available / this.bytesPerSecond) * 1000;
+  }
+
+  /**
+   * Add the budget earned since the last update, up to the burst
+   */
+  refill() {
+    const now = Date.now();
+    this.available = Math.min(this.burst, this.available + ((now - this.updatedAt) / 1000) * this.bytesPerSecond);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Whether no stream uses the limiter and its budget is full again, so
+   * forgetting it changes nothing
+   * @returns {boolean} True if idle
+   */
+  isIdle() {
+    this.refill();
+    return this.streams === 0 && this.available >= this.burst;
+  }
+
+  /**
+   * Throttle a readable stream. Errors of the source are forwarded and
+   * destroying the returned stream destroys the source.
+   * @param {Stream} source - Readable stream
+   * @returns {Stream} Throttled readable stream
+   */
+  wrap(source) {
+    const limiter = this;
+    let timer = null;
+    let released = false;
+
+    limiter.streams++;
+    const release = () => {
+      if (!released) {
+        released = true;
+        limiter.streams--;
+      }
+    };
+
+    const throttle = new Transform({
+      transform(chunk, encoding, callback) {
+        const delay = limiter.delayFor(chunk.length);
+        if (delay <= 0) {
+          return callback(null, chunk);
+        }
+        timer = setTimeout(() => {
+          timer = null;
+          callback(null, chunk);
+        }, delay);
+      },
+      flush(callback) {
+        release();
+        callback();
+      },
+      destroy(error, callback) {
+        release();
+        clearTimeout(timer);
+        source.destroy();
+        callback(error);
+      }
+    });
+
+    source.on('error', error => throttle.destroy(error));
+    return source.pipe(throttle);
+  }
+}
+
+/**
+ * Forget idle client limiters
+ */
+function sweepLimiters() {
+  for (const [key, limiter] of clientLimiters) {
+    if (limiter.isIdle()) {
+      clientLimiters.delete(key);
+    }
+  }
+}
+
+setInterval(sweepLimiters, 60 * 1000).unref();
+
+/**
+ * Wrap a stream with a limiter if there is one
+ * @param {Stream} source - Readable stream
+ * @param {BandwidthLimiter|null} limiter - Limiter of the client
+ * @returns {Stream} Throttled stream, or the source itself
+ */
+function throttle(source, limiter) {
+  return limiter ? limiter.wrap(source) : source;
+}
+
+module.exports = {
+  BandwidthLimiter,
+  throttle
+};
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+
+// More ranges than this in one request is treated as abuse and ignored
+const MAX_RANGES = parseInt(process.env.MAX_RANGES_PER_REQUEST) || 50;
+
+/**
+ * Parse Range header according to RFC 7233
+ *
+ * Supports "start-end", open-ended "start-" and suffix "-length" specs,
+ * clamps ends past EOF and coalesces overlapping or adjacent ranges.
+ *
+ * @param {string} header - Range header value (e.g., "bytes=0-1023,-500")
+ * @param {number} size - Total resource size
+ * @returns {Array|null|number} Array of { start, end, chunkSize } ranges,
+ *   null if the header should be ignored (absent, other unit, malformed),
+ *   or -1 if no range is satisfiable
+ */
+function parseRange(header, size) {
+  if (!header) {
+    return null;
+  }
+
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+  if (!match) {
+    return null;
+  }
+
+  const specs = match[1].split(',').map(spec => spec.trim()).filter(Boolean);
+  if (specs.length === 0 || specs.length > MAX_RANGES) {
+    return null;
+  }
+
+  const ranges = [];
+
+  for (const spec of specs) {
+    const parts = /^(\d*)-(\d*)$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) {
+      return null;
+    }
+
+    let start;
+    let end;
+
+    if (parts[1] === '') {
+      // Suffix range: the last N bytes
+      const suffixLength = parseInt(parts[2], 10);
+      start = Math.max(0, size - suffixLength);
+      end = size - 1;
+      if (suffixLength === 0) {
+        continue;
+      }
+    } else {
+      start = parseInt(parts[1], 10);
+      end = parts[2] === '' ? size - 1 : Math.min(parseInt(parts[2], 10), size - 1);
+      if (parts[2] !== '' && parseInt(parts[2], 10) < start) {
+        return null;
+      }
+    }
+
+    if (start >= size) {
+      continue;
+    }
+
+    ranges.push({ start, end });
+  }
+
+  if (ranges.length === 0) {
+    return -1;
+  }
+
+  return combineRanges(ranges).map(range => ({
+    start: range.start,
+    end: range.end,
+    chunkSize: (range.end - range.start) + 1
+  }));
+}
+
+/**
+ * Merge overlapping or adjacent ranges, keeping the order of first appearance
+ * @param {Array} ranges - Ranges with start and end
+ * @returns {Array} Combined ranges
+ */
+function combineRanges(ranges) {
+  const ordered = ranges
+    .map((range, index) => ({ ...range, index }))
+    .sort((a, b) => a.start - b.start);
+
+  const combined = [];
+  for (const range of ordered) {
+    const last = combined[combined.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+      last.index = Math.min(last.index, range.index);
+    } else {
+      combined.push({ ...range });
+    }
+  }
+
+  return combined.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Send a 206 multipart/byteranges response, one part per range
+ * @param {Object} res - Express response object
+ * @param {Object} options - Response options
+ * @param {Array} options.ranges - Ranges returned by parseRange
+ * @param {number} options.size - Total resource size
+ * @param {string} options.contentType - Content-Type of the resource
+ * @param {Object} options.headers - Extra headers (ETag, Last-Modified, ...)
+ * @param {Function} options.openRange - async (range) => readable stream of that range
+ */
+async function sendMultipartByteranges(res, { ranges, size, contentType, headers = {}, openRange }) {
+  const boundary = crypto.randomBytes(16).toString('hex');
+  const partHeaders = ranges.map(range =>
+    `--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`
+  );
+  const closingDelimiter = `--${boundary}--\r\n`;
+
+  const contentLength = ranges.reduce(
+    (total, range, index) => total + Buffer.byteLength(partHeaders[index]) + range.chunkSize + 2,
+    Buffer.byteLength(closingDelimiter)
+  );
+
+  res.status(206).set({
+    ...headers,
+    'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+    'Content-Length': contentLength,
+    'Accept-Ranges': 'bytes'
+  });
+
+  let aborted = false;
+  res.on('close', () => {
+    aborted = true;
+  });
+
+  for (let i = 0; i < ranges.length; i++) {
+    if (aborted) return;
+
+    res.write(partHeaders[i]);
+    const stream = await openRange(ranges[i]);
+
+    await new Promise((resolve, reject) => {
+      const onClose = () => {
+        stream.destroy();
+        resolve();
+      };
+
+      res.once('close', onClose);
+      stream.on('error', (error) => {
+        res.off('close', onClose);
+        reject(error);
+      });
+      stream.on('end', () => {
+        res.off('close', onClose);
+        resolve();
+      });
+      stream.pipe(res, { end: false });
+    });
+
+    res.write('\r\n');
+  }
+
+  res.end(closingDelimiter);
+}
+
+module.exports = {
+  parseRange,
+  sendMultipartByteranges
+};
@@ -0,0 +1,181 @@
+const cluster = require('cluster');
+
+const REPLY = 'ipc:reply';
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Request/reply messages between the processes of cluster mode (see
+ * cluster.js), next to the job messages of ClusterJobQueue.
+ *
+ * Workers call the primary, or another worker by PID (`to`), which the
+ * primary relays with the caller's PID as `from`. The primary calls workers
+ * directly. Handlers registered with handle() answer with a value or a
+ * promise; a thrown error is sent back with its message, status and code.
+ */
+
+const pending = new Map();
+const handlers = new Map();
+let nextId = 0;
+let listening = false;
+
+/**
+ * Resolve or reject the call a reply answers
+ * @param {Object} message - {cmd: 'ipc:reply', id, result} or {..., error}
+ */
+function settle(message) {
+  const call = pending.get(message.id);
+  if (!call) return;
+
+  pending.delete(message.id);
+  clearTimeout(call.timer);
+  if (message.error) {
+    call.reject(Object.assign(new Error(message.error.message), {
+      status: message.error.status,
+      code: message.error.code
+    }));
+  } else {
+    call.resolve(message.result);
+  }
+}
+
+/**
+ * Run the handler of a request and send its answer (notifications, which
+ * have no id, get none)
+ * @param {Object} message - Request
+ * @param {Function} reply - Sends the reply fields
+ */
+async function dispatch(message, reply) {
+  if (message.id === undefined) {
+    return handlers.get(message.cmd)(message);
+  }
+
+  try {
+    reply({ result: await handlers.get(message.cmd)(message) });
+  } catch (error) {
+    reply({ error: { message: error.message, status: error.status, code: error.code } });
+  }
+}
+
+/**
+ * Send a message to a process, unless its channel is already closed
+ * @param {Object} target - Worker (primary side) or process (worker side)
+ * @param {Object} message - Message
+ */
+function send(target, message) {
+  if (target.isConnected ? target.isConnected() : target.connected) {
+    target.send(message);
+  }
+}
+
+/**
+ * Start handling requests and replies of this process
+ */
+function listen() {
+  if (listening) return;
+  listening = true;
+
+  if (cluster.isWorker) {
+    process.on('message', (message) => {
+      if (!message || typeof message !== 'object') return;
+
+      if (message.cmd === REPLY) {
+        settle(message);
+      } else if (handlers.has(message.cmd)) {
+        dispatch(message, fields => send(process, { cmd: REPLY, id: message.id, to: message.from, ...fields }));
+      }
+    });
+    return;
+  }
+
+  cluster.on('message', (worker, message) => {
+    if (!message || typeof message !== 'object') return;
+
+    // Addressed to another worker: relay it
+    if (message.to) {
+      const target = Object.values(cluster.workers).find(other => other.process.pid === message.to);
+      if (target) {
+        send(target, { ...message, from: worker.process.pid });
+      } else if (message.cmd !== REPLY) {
+        send(worker, { cmd: REPLY, id: message.id, error: { message: `Worker ${message.to} is not running` } });
+      }
+    } else if (message.cmd === REPLY) {
+      settle(message);
+    } else if (handlers.has(message.cmd)) {
+      dispatch(message, fields => send(worker, { cmd: REPLY, id: message.id, ...fields }));
+    }
+  });
+}
+
+/**
+ * Send a request and wait for its reply
+ * @param {Object} target - Worker (primary side) or process (worker side)
+ * @param {Object} message - Request
+ * @param {number} timeout - Milliseconds to wait for the reply
+ * @returns {Promise<*>} Result of the handler
+ */
+function call(target, message, timeout) {
+  listen();
+  const id = `${process.pid}:${++nextId}`;
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pending.delete(id);
+      reject(new Error(`No reply to ${message.cmd} within ${timeout} ms`));
+    }, timeout);
+
+    pending.set(id, { resolve, reject, timer });
+    send(target, { ...message, id });
+  });
+}
+
+module.exports = {
+  /**
+   * Whether this process is a cluster worker that can make requests
+   */
+  get enabled() {
+    return cluster.isWorker && process.connected;
+  },
+
+  /**
+   * Answer requests of a command
+   * @param {string} cmd - Command
+   * @param {Function} handler - (message) => result or promise
+   */
+  handle(cmd, handler) {
+    handlers.set(cmd, handler);
+    listen();
+  },
+
+  /**
+   * Request from a worker: to the primary, or to the worker with PID `to`
+   * @param {string} cmd - Command
+   * @param {Object} data - Request fields
+   * @param {Object} options - {to: worker PID, timeout: milliseconds}
+   * @returns {Promise<*>} Result
+   */
+  request(cmd, data = {}, options = {}) {
+    return call(process, { ...data, cmd, to: options.to }, options.timeout || DEFAULT_TIMEOUT_MS);
+  },
+
+  /**
+   * Request from the primary to a worker
+   * @param {Object} worker - Cluster worker
+   * @param {string} cmd - Command
+   * @param {Object} data - Request fields
+   * @param {Object} options - {timeout: milliseconds}
+   * @returns {Promise<*>} Result
+   */
+  requestWorker(worker, cmd, data = {}, options = {}) {
+    return call(worker, { ...data, cmd }, options.timeout || DEFAULT_TIMEOUT_MS);
+  },
+
+  /**
+   * Send a message without waiting for a reply (e.g. a stream chunk)
+   * @param {string} cmd - Command
+   * @param {Object} data - Message fields
+   * @param {number} to - PID of the worker, or undefined for the primary
+   */
+  notify(cmd, data = {}, to) {
+    send(process, { ...data, cmd, to });
+  }
+};
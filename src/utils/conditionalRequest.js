@@ -0,0 +1,96 @@
+/**
+ * Conditional request evaluation (RFC 7232) and If-Range (RFC 7233 §3.2)
+ * for responses that carry an ETag and/or Last-Modified validator.
+ */
+
+/**
+ * Split an If-None-Match / If-Match header into entity tags
+ * @param {string} header - Header value
+ * @returns {Array<string>} Entity tags, including W/ prefixes
+ */
+function parseEtagList(header) {
+  return header.match(/(?:W\/)?"[^"]*"/g) || [];
+}
+
+/**
+ * Remove the weak indicator from an entity tag
+ * @param {string} etag - Entity tag
+ * @returns {string} Opaque tag
+ */
+function opaqueTag(etag) {
+  return etag.startsWith('W/') ? etag.slice(2) : etag;
+}
+
+/**
+ * Convert a date to whole seconds, the precision of HTTP dates
+ * @param {Date|string|number} date - Date value
+ * @returns {number} Seconds since epoch, or NaN
+ */
+function toSeconds(date) {
+  const time = date instanceof Date ? date.getTime() : Date.parse(date);
+  return Math.floor(time / 1000);
+}
+
+/**
+ * Whether a GET/HEAD request can be answered with 304 Not Modified.
+ * If-None-Match takes precedence over If-Modified-Since.
+ * @param {Object} req - Express request object
+ * @param {Object} validators - Current representation validators
+ * @param {string} validators.etag - ETag of the resource
+ * @param {Date} validators.lastModified - Last modification time of the resource
+ * @returns {boolean} True if the client's copy is still current
+ */
+function isNotModified(req, { etag, lastModified }) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return false;
+  }
+
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === '*') {
+      return true;
+    }
+    // Weak comparison
+    return !!etag && parseEtagList(ifNoneMatch).some(tag => opaqueTag(tag) === opaqueTag(etag));
+  }
+
+  const ifModifiedSince = req.headers['if-modified-since'];
+  if (ifModifiedSince && lastModified) {
+    const since = toSeconds(ifModifiedSince);
+    return !isNaN(since) && toSeconds(lastModified) <= since;
+  }
+
+  return false;
+}
+
+/**
+ * Whether a Range header may be applied given the request's If-Range.
+ * A mismatched validator means the client's partial copy is stale, so
+ * the full representation must be sent instead of a 206.
+ * @param {Object} req - Express request object
+ * @param {Object} validators - Current representation validators
+ * @param {string} validators.etag - ETag of the resource
+ * @param {Date} validators.lastModified - Last modification time of the resource
+ * @returns {boolean} True if ranges should be honoured
+ */
+function isRangeFresh(req, { etag, lastModified }) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) {
+    return true;
+  }
+
+  const value = ifRange.trim();
+
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    // Strong comparison: weak tags never match
+    return !!etag && !value.startsWith('W/') && !etag.startsWith('W/') && value === etag;
+  }
+
+  // An HTTP-date must exactly match Last-Modified
+  return !!lastModified && toSeconds(value) === toSeconds(lastModified);
+}
+
+module.exports = {
+  isNotModified,
+  isRangeFresh
+};
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+// Listings by directory path, reused while the directory's mtime is unchanged
+const listings = new Map();
+
+/**
+ * List the files of a directory with their size and mtime.
+ *
+ * Adding, removing or renaming a file changes the directory's mtime, so
+ * only the directory is stat'ed on repeated calls; files are read again
+ * once it changed. A file rewritten in place keeps its cached size until
+ * then.
+ * @param {string} dir - Directory path
+ * @returns {Promise<Array<Object>>} Files as {name, size, mtime}
+ */
+async function listFiles(dir) {
+  const { mtimeMs } = await fs.promises.stat(dir);
+  const cached = listings.get(dir);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.files;
+  }
+
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    try {
+      const stats = await fs.promises.stat(path.join(dir, entry.name));
+      files.push({ name: entry.name, size: stats.size, mtime: stats.mtime });
+    } catch (error) {
+      // Removed while listing
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  listings.set(dir, { mtimeMs, files });
+  return files;
+}
+
+module.exports = {
+  listFiles
+};
@@ -0,0 +1,192 @@
+/**
+ * H.264 encoding ladder: which renditions to encode for a source, and the
+ * bitrates, codec strings and frame rates the master playlist advertises.
+ *
+ * Rungs are named after their short side, so a portrait 720x1280 rendition
+ * is "720p" like a landscape 1280x720 one.
+ */
+
+// Full ladder, highest first; bitrates are for 16:9 and scaled with the pixel count
+const LADDER = [
+  { name: '2160p', width: 3840, height: 2160, bitrate: '14000k', audioBitrate: '192k' },
+  { name: '1080p', width: 1920, height: 1080, bitrate: '5000k', audioBitrate: '128k' },
+  { name: '720p', width: 1280, height: 720, bitrate: '2500k', audioBitrate: '128k' },
+  { name: '480p', width: 854, height: 480, bitrate: '1000k', audioBitrate: '96k' },
+  { name: '360p', width: 640, height: 360, bitrate: '600k', audioBitrate: '64k' }
+];
+
+// VBV cap on the video bitrate, relative to the target (what BANDWIDTH is based on)
+const PEAK_RATIO = 1.5;
+const BUFFER_RATIO = 2;
+
+// Container overhead on top of the elementary streams (TS packet headers, PES/PAT/PMT; moof/mdat boxes)
+const CONTAINER_OVERHEAD = { ts: 0.1, cmaf: 0.03 };
+
+// Frame rate assumed for levels when the source's is unknown (e.g. live ingest), so the level is never too low
+const ASSUMED_FRAME_RATE = 60;
+
+// H.264 levels: max macroblocks per second, max frame size in macroblocks, max High profile bitrate (kbit/s)
+const H264_LEVELS = [
+  { level: 30, maxMbps: 40500, maxFs: 1620, maxBitrate: 12500 },
+  { level: 31, maxMbps: 108000, maxFs: 3600, maxBitrate: 17500 },
+  { level: 32, maxMbps: 216000, maxFs: 5120, maxBitrate: 25000 },
+  { level: 40, maxMbps: 245760, maxFs: 8192, maxBitrate: 25000 },
+  { level: 41, maxMbps: 245760, maxFs: 8192, maxBitrate: 62500 },
+  { level: 42, maxMbps: 522240, maxFs: 8704, maxBitrate: 62500 },
+  { level: 50, maxMbps: 589824, maxFs: 22080, maxBitrate: 168750 },
+  { level: 51, maxMbps: 983040, maxFs: 36864, maxBitrate: 300000 },
+  { level: 52, maxMbps: 2073600, maxFs: 36864, maxBitrate: 300000 }
+];
+
+// AAC-LC, what ffmpeg's native aac encoder produces
+const AAC_CODEC = 'mp4a.40.2';
+
+/**
+ * Parse an ffmpeg bitrate ("2500k", "5M", "128000")
+ * @param {string|number} value - Bitrate
+ * @returns {number} Bits per second
+ */
+function parseBitrate(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([kKmM]?)$/.exec(String(value).trim());
+  if (!match) {
+    return 0;
+  }
+
+  const multiplier = { '': 1, k: 1e3, m: 1e6 }[match[2].toLowerCase()];
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+/**
+ * Round to the nearest even number (H.264 with 4:2:0 needs even dimensions)
+ * @param {number} value - Dimension
+ * @returns {number} Even dimension, at least 2
+ */
+function even(value) {
+  return Math.max(2, Math.round(value / 2) * 2);
+}
+
+/**
+ * Choose the renditions for a source: rungs above the source's short side
+ * are skipped, and the others take the source's display aspect ratio (after
+ * rotation, which ffmpeg applies while encoding) with bitrates scaled by
+ * their pixel count. A source smaller than every rung gets one rendition at
+ * its own size.
+ * @param {Object|null} technical - MediaProbeService metadata of the source
+ * @param {Array<Object>} rungs - Candidate renditions (default: the full ladder)
+ * @returns {Array<Object>} Renditions {name, width, height, bitrate, audioBitrate, frameRate}
+ */
+function selectLadder(technical, rungs = LADDER) {
+  const video = technical && technical.video;
+  if (!video || !video.width || !video.height) {
+    // Nothing to fit to: encode the rungs as given
+    return rungs.map(rung => ({ ...rung, frameRate: null }));
+  }
+
+  const rotated = video.rotation === 90 || video.rotation === 270;
+  const displayWidth = rotated ? video.height : video.width;
+  const displayHeight = rotated ? video.width : video.height;
+  const sourceShortSide = Math.min(displayWidth, displayHeight);
+  const aspectRatio = displayWidth / displayHeight;
+
+  const shortSide = rung => Math.min(rung.width, rung.height);
+  let selected = rungs
+    .filter(rung => shortSide(rung) <= sourceShortSide)
+    .map(rung => ({ rung, size: shortSide(rung) }));
+
+  if (selected.length === 0) {
+    const lowest = rungs.reduce((min, rung) => (shortSide(rung) < shortSide(min) ? rung : min));
+    selected = [{ rung: { ...lowest, name: `${even(sourceShortSide)}p` }, size: sourceShortSide }];
+  }
+
+  return selected.map(({ rung, size }) => {
+    const width = aspectRatio >= 1 ? even(size * aspectRatio) : even(size);
+    const height = aspectRatio >= 1 ? even(size) : even(size / aspectRatio);
+    const pixelRatio = (width * height) / (rung.width * rung.height);
+
+    return {
+      ...rung,
+      width: width,
+      height: height,
+      bitrate: `${Math.max(1, Math.round(parseBitrate(rung.bitrate) * pixelRatio / 1000))}k`,
+      frameRate: video.frameRate || null
+    };
+  });
+}
+
+/**
+ * Lowest H.264 level that fits a rendition's frame size, frame rate and peak bitrate
+ * @param {Object} rendition - Rendition (see selectLadder)
+ * @returns {number} level_idc, e.g. 31 for 3.1
+ */
+function getH264Level(rendition) {
+  const frameSize = Math.ceil(rendition.width / 16) * Math.ceil(rendition.height / 16);
+  const macroblockRate = frameSize * (rendition.frameRate || ASSUMED_FRAME_RATE);
+  const peakBitrate = parseBitrate(rendition.bitrate) * PEAK_RATIO / 1000;
+
+  const match = H264_LEVELS.find(level =>
+    frameSize <= level.maxFs && macroblockRate <= level.maxMbps && peakBitrate <= level.maxBitrate
+  );
+  return (match || H264_LEVELS[H264_LEVELS.length - 1]).level;
+}
+
+/**
+ * ffmpeg options encoding a rendition's video: High profile 4:2:0 at a fixed
+ * level, so the CODECS attribute is known before encoding, with the peak
+ * bitrate capped for BANDWIDTH
+ * @param {Object} rendition - Rendition (see selectLadder)
+ * @returns {Array<string>} Output options
+ */
+function getVideoOptions(rendition) {
+  const bitrate = parseBitrate(rendition.bitrate) / 1000;
+  const level = getH264Level(rendition);
+
+  return [
+    '-c:v libx264',
+    '-profile:v high',
+    `-level:v ${level / 10}`,
+    '-pix_fmt yuv420p',
+    `-b:v ${Math.round(bitrate)}k`,
+    `-maxrate ${Math.round(bitrate * PEAK_RATIO)}k`,
+    `-bufsize ${Math.round(bitrate * BUFFER_RATIO)}k`,
+    `-s ${rendition.width}x${rendition.height}`
+  ];
+}
+
+/**
+ * RFC 6381 codec string of a rendition's video, e.g. avc1.64001f
+ * @param {Object} rendition - Rendition (see selectLadder)
+ * @returns {string} Codec string
+ */
+function getVideoCodec(rendition) {
+  return `avc1.6400${getH264Level(rendition).toString(16).padStart(2, '0')}`;
+}
+
+/**
+ * Peak and average bandwidth of a variant
+ * @param {Object} rendition - Rendition (see selectLadder)
+ * @param {Object} options - Variant options
+ * @param {string|number} options.audioBitrate - Bitrate of the audio played with it (0 for none)
+ * @param {string} options.format - ts or cmaf
+ * @returns {Object} {peak, average} in bits per second
+ */
+function getBandwidth(rendition, { audioBitrate, format }) {
+  const video = parseBitrate(rendition.bitrate);
+  const audio = audioBitrate ? parseBitrate(audioBitrate) : 0;
+  const overhead = 1 + (CONTAINER_OVERHEAD[format] || CONTAINER_OVERHEAD.ts);
+
+  return {
+    peak: Math.round((video * PEAK_RATIO + audio) * overhead),
+    average: Math.round((video + audio) * overhead)
+  };
+}
+
+module.exports = {
+  LADDER,
+  AAC_CODEC,
+  parseBitrate,
+  selectLadder,
+  getH264Level,
+  getVideoOptions,
+  getVideoCodec,
+  getBandwidth
+};
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+const RETRY_INTERVAL_MS = 10;
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Advisory locks shared by processes (e.g. the workers of cluster mode).
+ * A lock is a file created exclusively next to the data it protects,
+ * holding the owner's PID; a lock left behind by a process that no longer
+ * runs is taken over.
+ */
+
+/**
+ * Whether the process that wrote a lock file is gone
+ * @param {string} lockPath - Lock file
+ * @returns {boolean} True if the lock can be taken over
+ */
+function isStale(lockPath) {
+  try {
+    const pid = parseInt(fs.readFileSync(lockPath, 'utf8'));
+    if (!(pid > 0)) {
+      // Still being written by its owner, or truncated by a crash
+      return Date.now() - fs.statSync(lockPath).mtimeMs > 1000;
+    }
+    process.kill(pid, 0);
+    return false;
+  } catch (error) {
+    // ESRCH: owner gone; ENOENT: released meanwhile
+    return error.code === 'ESRCH' || error.code === 'ENOENT';
+  }
+}
+
+/**
+ * Take a lock without waiting
+ * @param {string} lockPath - Lock file
+ * @returns {boolean} True if the lock was taken
+ */
+function tryLock(lockPath) {
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      if (!isStale(lockPath)) {
+        return false;
+      }
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+  return false;
+}
+
+/**
+ * Release a lock taken with tryLock
+ * @param {string} lockPath - Lock file
+ */
+function unlock(lockPath) {
+  fs.rmSync(lockPath, { force: true });
+}
+
+/**
+ * Run a synchronous function while holding a lock, waiting for it if needed
+ * @param {string} lockPath - Lock file
+ * @param {Function} fn - Function to run
+ * @param {number} timeoutMs - How long to wait for the lock
+ * @returns {*} Return value of fn
+ */
+function withLockSync(lockPath, fn, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (!tryLock(lockPath)) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for lock ${lockPath}`);
+    }
+    Atomics.wait(sleeper, 0, 0, RETRY_INTERVAL_MS);
+  }
+
+  try {
+    return fn();
+  } finally {
+    unlock(lockPath);
+  }
+}
+
+module.exports = {
+  tryLock,
+  unlock,
+  withLockSync
+};
@@ -0,0 +1,117 @@
+/**
+ * Server-Sent Events feed of a transcoding job's progress. Works with a local
+ * JobQueueService and with the cluster mirror (ClusterJobQueue), which emit the
+ * same job events.
+ */
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Progress fields sent to clients
+ * @param {Object} job - Job
+ * @returns {Object} Event payload
+ */
+function describeProgress(job) {
+  const renditions = {};
+  for (const [name, rendition] of Object.entries(job.progress.renditions || {})) {
+    renditions[name] = {
+      percent: rendition.percent,
+      timemark: rendition.timemark,
+      fps: rendition.fps,
+      eta: rendition.eta !== undefined ? rendition.eta : null
+    };
+  }
+
+  return {
+    jobId: job.id,
+    state: job.state,
+    percent: job.progress.percent,
+    eta: job.progress.eta !== undefined ? job.progress.eta : null,
+    stage: job.progress.stage || null,
+    transfer: job.progress.transfer || null,
+    renditions: renditions
+  };
+}
+
+/**
+ * Write one event
+ * @param {Object} res - Express response object
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Stream a job's progress until it finishes or the client disconnects.
+ *
+ * Events:
+ * - state: the job as it is when the client connects, and on each state change
+ * - progress: per-rendition percent, timemark, fps and ETA (seconds), plus the
+ *   stage and transfer of multi-step jobs
+ * - succeeded / failed: the final event with the job result or error; the
+ *   stream is closed after it
+ *
+ * @param {Object} queue - Job queue (JobQueueService or ClusterJobQueue)
+ * @param {Object} job - Job to follow
+ * @param {Object} res - Express response object
+ */
+function streamJobProgress(queue, job, res) {
+  // no-transform keeps the compression middleware from buffering events
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+  const listeners = {};
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    for (const [event, listener] of Object.entries(listeners)) {
+      queue.off(event, listener);
+    }
+  };
+
+  const finish = (finished) => {
+    cleanup();
+    const payload = describeProgress(finished);
+    if (finished.state === 'succeeded') {
+      sendEvent(res, 'succeeded', { ...payload, result: finished.result });
+    } else {
+      sendEvent(res, 'failed', { ...payload, error: finished.error });
+    }
+    res.end();
+  };
+
+  sendEvent(res, 'state', describeProgress(job));
+  if (job.state === 'succeeded' || job.state === 'failed') {
+    return finish(job);
+  }
+
+  // Forward only this job's events
+  const handlers = {
+    running: updated => sendEvent(res, 'state', describeProgress(updated)),
+    progress: updated => sendEvent(res, 'progress', describeProgress(updated)),
+    succeeded: finish,
+    failed: finish
+  };
+  for (const [event, handler] of Object.entries(handlers)) {
+    listeners[event] = (updated) => {
+      if (updated.id === job.id) handler(updated);
+    };
+    queue.on(event, listeners[event]);
+  }
+
+  res.on('close', cleanup);
+}
+
+module.exports = {
+  streamJobProgress,
+  describeProgress
+};
@@ -0,0 +1,218 @@
+const { parseFileSize } = require('./uploadValidation');
+
+// Largest page a listing returns
+const MAX_LIMIT = 1000;
+
+const SORT_ORDERS = ['asc', 'desc'];
+const FILTERS = ['q', 'type', 'size', 'date'];
+
+const SIZE_PATTERN = /^\d+(\.\d+)?\s*(B|KB|MB|GB|TB)?$/i;
+const MIME_PATTERN = /^[\w.+-]+\/([\w.+-]+|\*)$/;
+
+/**
+ * Encode a pagination cursor (opaque to clients)
+ * @param {Object} position - Where the next page starts, with the sort and order it was issued for
+ * @returns {string} base64url cursor
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object|null} Position, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return position && typeof position === 'object' ? position : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse the pagination, sorting and filtering parameters of a listing:
+ * limit, cursor, sort (name|size|date), order (asc|desc), q (text search),
+ * type (MIME type, or e.g. video/*), minSize/maxSize (bytes or 10MB) and
+ * since/until (dates)
+ * @param {Object} query - req.query
+ * @param {Object} options - What the listing supports
+ * @param {Array<string>} options.sorts - Sort fields (the first is the default)
+ * @param {Array<string>} options.orders - Sort orders
+ * @param {Array<string>} options.filters - Supported filters: q, type, size, date
+ * @param {number} options.defaultLimit - Page size when no limit is given
+ * @returns {Object} {options} or {error}
+ */
+function parseListQuery(query = {}, { sorts = ['name', 'size', 'date'], orders = SORT_ORDERS, filters = FILTERS, defaultLimit = 50 } = {}) {
+  const options = { sort: query.sort || sorts[0] };
+
+  if (!sorts.includes(options.sort)) {
+    return { error: `sort must be one of: ${sorts.join(', ')}` };
+  }
+
+  // Names sort A-Z by default, sizes and dates largest/newest first
+  options.order = query.order || (options.sort === 'name' ? 'asc' : 'desc');
+  if (!orders.includes(options.order)) {
+    return { error: `order must be one of: ${orders.join(', ')}` };
+  }
+
+  options.limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+  if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+    return { error: `limit must be an integer from 1 to ${MAX_LIMIT}` };
+  }
+
+  if (query.cursor !== undefined) {
+    options.cursor = decodeCursor(query.cursor);
+    if (!options.cursor || options.cursor.sort !== options.sort || options.cursor.order !== options.order) {
+      return { error: 'cursor is invalid or was issued for a different sort order' };
+    }
+  }
+
+  const unsupported = {
+    q: query.q !== undefined,
+    type: query.type !== undefined,
+    size: query.minSize !== undefined || query.maxSize !== undefined,
+    date: query.since !== undefined || query.until !== undefined
+  };
+  const filter = Object.keys(unsupported).find(name => unsupported[name] && !filters.includes(name));
+  if (filter) {
+    return { error: `filtering by ${filter} is not supported for this listing` };
+  }
+
+  if (query.q !== undefined) {
+    options.q = String(query.q).trim().toLowerCase();
+  }
+
+  if (query.type !== undefined) {
+    options.type = String(query.type).toLowerCase();
+    if (!MIME_PATTERN.test(options.type)) {
+      return { error: 'type must be a MIME type such as video/mp4 or video/*' };
+    }
+  }
+
+  for (const name of ['minSize', 'maxSize']) {
+    if (query[name] !== undefined) {
+      if (!SIZE_PATTERN.test(String(query[name]).trim())) {
+        return { error: `${name} must be a size in bytes or with a unit (e.g. 10MB)` };
+      }
+      options[name] = parseFileSize(String(query[name]).trim());
+    }
+  }
+
+  for (const name of ['since', 'until']) {
+    if (query[name] !== undefined) {
+      options[name] = Date.parse(query[name]);
+      if (Number.isNaN(options[name])) {
+        return { error: `${name} must be a date (ISO 8601)` };
+      }
+    }
+  }
+
+  return { options };
+}
+
+/**
+ * Whether an item passes the filters of a listing
+ * @param {Object} item - Listed item
+ * @param {Object} options - Options from parseListQuery
+ * @param {Object} fields - Accessors (see paginate)
+ * @returns {boolean} True if the item matches
+ */
+function matchesFilters(item, options, fields) {
+  if (options.q && !fields.text(item).some(text => text && String(text).toLowerCase().includes(options.q))) {
+    return false;
+  }
+
+  if (options.type) {
+    const mimeType = (fields.mimeType(item) || '').toLowerCase();
+    const matches = options.type.endsWith('/*')
+      ? mimeType.startsWith(options.type.slice(0, -1))
+      : mimeType === options.type;
+    if (!matches) return false;
+  }
+
+  if (options.minSize !== undefined || options.maxSize !== undefined) {
+    const size = fields.size(item);
+    if (typeof size !== 'number') return false;
+    if (options.minSize !== undefined && size < options.minSize) return false;
+    if (options.maxSize !== undefined && size > options.maxSize) return false;
+  }
+
+  if (options.since !== undefined || options.until !== undefined) {
+    const time = new Date(fields.date(item)).getTime();
+    if (Number.isNaN(time)) return false;
+    if (options.since !== undefined && time < options.since) return false;
+    if (options.until !== undefined && time > options.until) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Comparable form of a sort value: times for dates, case-insensitive names
+ * @param {*} value - Field value
+ * @returns {number|string|null} Sort key
+ */
+function sortKey(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.getTime();
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+/**
+ * Compare two sort keys; missing values sort first
+ */
+function compareKeys(a, b) {
+  if (a === b) return 0;
+  if (a === null) return -1;
+  if (b === null) return 1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a) < String(b) ? -1 : 1;
+}
+
+/**
+ * Filter, sort and page an in-memory listing. Cursors hold the sort value
+ * and key of the last item returned, so pages stay consistent while items
+ * are added or removed.
+ * @param {Array<Object>} items - All items
+ * @param {Object} options - Options from parseListQuery
+ * @param {Object} fields - Accessors: key (unique), name, size, date, mimeType and text (strings searched by q)
+ * @returns {Object} {items, total (matching items), nextCursor (null on the last page)}
+ */
+function paginate(items, options, fields) {
+  const direction = options.order === 'desc' ? -1 : 1;
+  const compare = (a, b) => direction * (compareKeys(a.value, b.value) || compareKeys(a.key, b.key));
+
+  const entries = items
+    .filter(item => matchesFilters(item, options, fields))
+    .map(item => ({ item, value: sortKey(fields[options.sort](item)), key: fields.key(item) }))
+    .sort(compare);
+
+  let start = 0;
+  if (options.cursor && options.cursor.after) {
+    const index = entries.findIndex(entry => compare(entry, options.cursor.after) > 0);
+    start = index === -1 ? entries.length : index;
+  }
+
+  const page = entries.slice(start, start + options.limit);
+  const last = page[page.length - 1];
+  const hasMore = start + options.limit < entries.length;
+
+  return {
+    items: page.map(entry => entry.item),
+    total: entries.length,
+    nextCursor: hasMore
+      ? encodeCursor({ sort: options.sort, order: options.order, after: { value: last.value, key: last.key } })
+      : null
+  };
+}
+
+module.exports = {
+  parseListQuery,
+  matchesFilters,
+  paginate,
+  encodeCursor,
+  decodeCursor
+};
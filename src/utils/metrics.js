@@ -0,0 +1,466 @@
+const clusterIpc = require('./clusterIpc');
+
+/**
+ * Minimal Prometheus metrics registry (text exposition format 0.0.4).
+ * Metrics are defined once here and shared by the whole process, like
+ * the logger.
+ *
+ * In cluster mode every worker keeps its own registry; a scrape asks the
+ * primary, which collects a snapshot from each worker (HTTP workers and the
+ * transcoder) and adds them up. Per-process metrics (memory, CPU, start
+ * time) are not added up but labelled with the worker's pid.
+ */
+
+// How long the primary waits for each worker's snapshot
+const CLUSTER_SCRAPE_TIMEOUT_MS = 2000;
+
+/**
+ * Escape a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set as {a="1",b="2"}
+ * @param {Object} labels - Label values
+ * @returns {string} Label string, empty if there are no labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Format a sample value, including +Inf
+ * @param {number} value - Sample value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Route pattern of a finished request, e.g. /api/hls/:stream/master.m3u8
+ * @param {Object} req - Express request object
+ * @returns {string} Route label
+ */
+function routeLabel(req) {
+  if (req.route) {
+    const routePath = Array.isArray(req.route.path) ? req.route.path.join('|') : req.route.path;
+    return `${req.baseUrl}${routePath}`;
+  }
+  if (req.originalUrl.startsWith('/videos/')) {
+    return '/videos';
+  }
+  return 'unmatched';
+}
+
+class Metric {
+  /**
+   * @param {string} type - counter, gauge or histogram
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {Array<string>} labelNames - Label names
+   */
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+    this.collector = null;
+    this.perProcess = false;
+  }
+
+  /**
+   * Get or create the series for a label set
+   * @param {Object} labels - Label values
+   * @param {Function} create - Creates the initial series value
+   * @returns {Object} Series
+   */
+  getSeries(labels = {}, create) {
+    const values = {};
+    for (const name of this.labelNames) {
+      values[name] = labels[name] === undefined ? '' : labels[name];
+    }
+
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: values, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Set a function called before each scrape, e.g. to refresh gauges
+   * @param {Function} collector - (metric) => void
+   */
+  setCollector(collector) {
+    this.collector = collector;
+  }
+
+  /**
+   * Mark the metric as describing the process itself; merged cluster
+   * snapshots label it with each worker's pid instead of adding it up
+   * @returns {Metric} This metric
+   */
+  describesProcess() {
+    this.perProcess = true;
+    return this;
+  }
+
+  /**
+   * Current series as plain data, for merging across processes
+   * @returns {Object} {name, type, help, perProcess, buckets, series}
+   */
+  snapshot() {
+    if (this.collector) {
+      this.collector(this);
+    }
+
+    return {
+      name: this.name,
+      type: this.type,
+      help: this.help,
+      perProcess: this.perProcess,
+      buckets: this.buckets,
+      series: Array.from(this.series.values())
+    };
+  }
+
+  /**
+   * Render the metric in the exposition format
+   * @returns {string} Text lines
+   */
+  render() {
+    if (this.collector) {
+      this.collector(this);
+    }
+
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines.join('\n');
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  /**
+   * Increase the counter
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount (default 1)
+   */
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  /**
+   * Set the gauge
+   * @param {Object} labels - Label values
+   * @param {number} value - New value
+   */
+  set(labels = {}, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value -= value;
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {Array<string>} labelNames - Label names
+   * @param {Array<number>} buckets - Upper bounds, ascending
+   */
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start a timer; calling the returned function records the elapsed seconds
+   * @param {Object} labels - Label values (more can be passed when stopping)
+   * @returns {Function} (extraLabels) => seconds
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  renderSeries(series) {
+    const lines = this.buckets.map((bound, index) =>
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`
+    );
+    lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Render all metrics
+   * @returns {string} Prometheus text format
+   */
+  render() {
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+
+  /**
+   * Current values of all metrics as plain data
+   * @returns {Array<Object>} Metric snapshots
+   */
+  snapshot() {
+    return this.metrics.map(metric => metric.snapshot());
+  }
+
+  /**
+   * Render the snapshots of several processes as one: series with the same
+   * labels are added up (histogram buckets included), except for
+   * per-process metrics, whose series get a pid label
+   * @param {Array<Object>} processes - [{pid, metrics: registry snapshot}]
+   * @returns {string} Prometheus text format
+   */
+  static renderMerged(processes) {
+    const merged = new Map();
+
+    for (const { pid, metrics: snapshots } of processes) {
+      for (const snapshot of snapshots) {
+        if (!merged.has(snapshot.name)) {
+          const metric = snapshot.type === 'histogram'
+            ? new Histogram(snapshot.name, snapshot.help, [], snapshot.buckets)
+            : new Metric(snapshot.type, snapshot.name, snapshot.help);
+          merged.set(snapshot.name, metric);
+        }
+        const metric = merged.get(snapshot.name);
+
+        for (const series of snapshot.series) {
+          const labels = snapshot.perProcess ? { ...series.labels, pid } : series.labels;
+          const key = JSON.stringify(labels);
+          const existing = metric.series.get(key);
+
+          if (!existing) {
+            metric.series.set(key, { ...series, labels, counts: series.counts && [...series.counts] });
+          } else if (snapshot.type === 'histogram') {
+            series.counts.forEach((count, index) => { existing.counts[index] += count; });
+            existing.sum += series.sum;
+            existing.count += series.count;
+          } else {
+            existing.value += series.value;
+          }
+        }
+      }
+    }
+
+    return `${Array.from(merged.values()).map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+const registry = new MetricsRegistry();
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const metrics = {
+  registry,
+  contentType: 'text/plain; version=0.0.4; charset=utf-8',
+
+  // HTTP
+  httpRequests: registry.counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']),
+  httpDuration: registry.histogram('http_request_duration_seconds', 'Time to finish HTTP responses', ['method', 'route'], LATENCY_BUCKETS),
+
+  // Streaming (source: local, r2 or hls)
+  streamResponses: registry.counter('stream_responses_total', 'Streaming responses by source and status (200, 206, 304, 416)', ['source', 'status']),
+  streamBytes: registry.counter('stream_bytes_sent_total', 'Body bytes streamed to clients', ['source']),
+  activeStreams: registry.gauge('stream_active', 'Streaming responses in progress', ['source']),
+
+  // Uploads (target: local, r2 or resumable)
+  uploadSize: registry.histogram('upload_size_bytes', 'Size of completed uploads', ['target'],
+    [1e6, 10e6, 50e6, 100e6, 250e6, 500e6, 1e9, 2e9, 5e9]),
+  uploadBytes: registry.counter('upload_bytes_received_total', 'Upload bytes received', ['target']),
+  uploadFailures: registry.counter('upload_failures_total', 'Failed uploads', ['target', 'reason']),
+
+  // R2
+  r2Duration: registry.histogram('r2_request_duration_seconds', 'Latency of R2/S3 storage API calls', ['operation'], LATENCY_BUCKETS),
+  r2Errors: registry.counter('r2_errors_total', 'Failed R2/S3 storage API calls', ['operation', 'code']),
+
+  // Transcoding
+  transcodeJobs: registry.gauge('transcode_jobs', 'Transcoding jobs by type and state', ['type', 'state']),
+  transcodeJobsFinished: registry.counter('transcode_jobs_finished_total', 'Finished transcoding jobs', ['type', 'state']),
+  transcodeJobDuration: registry.histogram('transcode_job_duration_seconds', 'Run time of transcoding jobs', ['type', 'state'],
+    [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600]),
+  renditionDuration: registry.histogram('transcode_rendition_duration_seconds', 'ffmpeg time per HLS rendition', ['rendition', 'status'],
+    [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600]),
+
+  // Live streams
+  liveStreams: registry.gauge('live_streams_active', 'Live streams currently running'),
+  liveIngestBytes: registry.counter('live_ingest_bytes_received_total', 'Bytes received on live ingest connections'),
+
+  // Process
+  processMemory: registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes').describesProcess(),
+  heapUsed: registry.gauge('nodejs_heap_used_bytes', 'V8 heap used in bytes').describesProcess(),
+  cpuSeconds: registry.counter('process_cpu_seconds_total', 'User and system CPU time in seconds').describesProcess(),
+  startTime: registry.gauge('process_start_time_seconds', 'Start time of the process since the epoch in seconds').describesProcess(),
+
+  /**
+   * Express middleware recording request counts and latencies. Requests
+   * are labelled with the matched route pattern (not the URL) to keep the
+   * number of series bounded.
+   * @returns {Function} Middleware
+   */
+  requestMetrics() {
+    return (req, res, next) => {
+      const stopTimer = metrics.httpDuration.startTimer({ method: req.method });
+
+      res.once('finish', () => {
+        const route = routeLabel(req);
+        metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        stopTimer({ route });
+      });
+
+      next();
+    };
+  },
+
+  /**
+   * Render the metrics of this process, or in cluster mode those of all
+   * workers as collected by the primary
+   * @returns {Promise<string>} Prometheus text format
+   */
+  async render() {
+    if (clusterIpc.enabled) {
+      return clusterIpc.request('metrics:collect', {}, { timeout: CLUSTER_SCRAPE_TIMEOUT_MS * 2 });
+    }
+    return registry.render();
+  },
+
+  /**
+   * Collect and merge the metrics of all workers; used by the cluster primary
+   * @param {Array<Object>} workers - Cluster workers
+   * @returns {Promise<string>} Prometheus text format
+   */
+  async collectCluster(workers) {
+    const snapshots = await Promise.all(workers.map(worker =>
+      clusterIpc.requestWorker(worker, 'metrics:snapshot', {}, { timeout: CLUSTER_SCRAPE_TIMEOUT_MS })
+        .then(snapshot => ({ pid: worker.process.pid, metrics: snapshot }))
+        // A worker that is starting or stopping is left out of this scrape
+        .catch(() => null)
+    ));
+    return MetricsRegistry.renderMerged(snapshots.filter(Boolean));
+  },
+
+  /**
+   * Count a streaming response: active while open, counted by status when closed
+   * @param {Object} res - Express response object
+   * @param {string} source - local, r2 or hls
+   */
+  trackStreamResponse(res, source) {
+    metrics.activeStreams.inc({ source });
+    res.once('close', () => {
+      metrics.activeStreams.dec({ source });
+      metrics.streamResponses.inc({ source, status: res.statusCode });
+    });
+  },
+
+  /**
+   * Count the bytes flowing through a stream
+   * @param {Stream} stream - Body stream piped to the client
+   * @param {string} source - local, r2 or hls
+   * @returns {Stream} The same stream
+   */
+  countBytes(stream, source) {
+    stream.on('data', chunk => metrics.streamBytes.inc({ source }, chunk.length));
+    return stream;
+  }
+};
+
+metrics.startTime.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+
+metrics.processMemory.setCollector(metric => metric.set({}, process.memoryUsage().rss));
+metrics.heapUsed.setCollector(metric => metric.set({}, process.memoryUsage().heapUsed));
+metrics.cpuSeconds.setCollector((metric) => {
+  const usage = process.cpuUsage();
+  metric.getSeries({}, () => ({ value: 0 })).value = (usage.user + usage.system) / 1e6;
+});
+
+// Cluster workers answer the primary's scrapes
+if (clusterIpc.enabled) {
+  clusterIpc.handle('metrics:snapshot', () => registry.snapshot());
+}
+
+module.exports = metrics;
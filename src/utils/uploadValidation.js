@@ -0,0 +1,67 @@
+const path = require('path');
+
+const ALLOWED_MIME_TYPES = ['video/mp4', 'video/avi', 'video/mov', 'video/mkv', 'video/webm'];
+const ALLOWED_EXTENSIONS = ['.mp4', '.avi', '.mov', '.mkv', '.webm'];
+
+// Utility function to parse file size with units (e.g., "1GB", "500MB")
+function parseFileSize(sizeStr) {
+  if (!sizeStr) return 500 * 1024 * 1024; // Default 500MB
+
+  const units = {
+    'B': 1,
+    'KB': 1024,
+    'MB': 1024 * 1024,
+    'GB': 1024 * 1024 * 1024,
+    'TB': 1024 * 1024 * 1024 * 1024
+  };
+
+  const match = sizeStr.toString().toUpperCase().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)?$/);
+  if (!match) {
+    // If no match, try to parse as plain number (assume bytes)
+    const num = parseInt(sizeStr);
+    return isNaN(num) ? 500 * 1024 * 1024 : num;
+  }
+
+  const value = parseFloat(match[1]);
+  const unit = match[2] || 'B';
+
+  return Math.floor(value * units[unit]);
+}
+
+/**
+ * Maximum accepted upload size in bytes (MAX_FILE_SIZE, default 500MB)
+ * @returns {number} Size limit in bytes
+ */
+function getMaxFileSize() {
+  return parseFileSize(process.env.MAX_FILE_SIZE) || 500 * 1024 * 1024;
+}
+
+/**
+ * Check whether an uploaded file is an accepted video type
+ * @param {string} originalName - Client-supplied file name
+ * @param {string} mimeType - Client-supplied MIME type
+ * @returns {boolean} True if the MIME type or extension is allowed
+ */
+function isAllowedVideoFile(originalName, mimeType) {
+  const extension = path.extname(originalName || '').toLowerCase();
+  return ALLOWED_MIME_TYPES.includes(mimeType) || ALLOWED_EXTENSIONS.includes(extension);
+}
+
+/**
+ * Generate a unique stored file name, keeping the original extension
+ * @param {string} prefix - Name prefix (multer uses the form field name)
+ * @param {string} originalName - Client-supplied file name
+ * @returns {string} File name
+ */
+function generateFilename(prefix, originalName) {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return prefix + '-' + uniqueSuffix + path.extname(originalName || '');
+}
+
+module.exports = {
+  ALLOWED_EXTENSIONS,
+  parseFileSize,
+  getMaxFileSize,
+  isAllowedVideoFile,
+  generateFilename
+};
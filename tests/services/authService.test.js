@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const AuthService = require('../../src/services/authService');
+
+const SECRET = 'test-secret-with-enough-entropy';
+
+/**
+ * Compact JWS with the given header and claims, signed with SECRET unless a signature is given
+ */
+function jwt(header, claims, signature) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode(header)}.${encode(claims)}`;
+  const digest = signature !== undefined
+    ? signature
+    : crypto.createHmac('sha256', SECRET).update(signingInput).digest('base64url');
+  return `${signingInput}.${digest}`;
+}
+
+describe('AuthService.verifyJwt', () => {
+  const env = process.env;
+  let authService;
+
+  beforeEach(() => {
+    process.env = { ...env, AUTH_ENABLED: 'true', JWT_SECRET: SECRET, API_KEYS: '' };
+    delete process.env.JWT_PUBLIC_KEY;
+    delete process.env.JWT_PUBLIC_KEY_FILE;
+    delete process.env.JWT_ISSUER;
+    delete process.env.JWT_AUDIENCE;
+    authService = new AuthService();
+  });
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  const now = () => Math.floor(Date.now() / 1000);
+
+  test('accepts a valid HS256 token', () => {
+    const claims = { sub: 'alice', role: 'viewer', exp: now() + 60 };
+    expect(authService.verifyJwt(jwt({ alg: 'HS256', typ: 'JWT' }, claims))).toEqual(claims);
+  });
+
+  test('rejects unsigned tokens (alg none)', () => {
+    const claims = { sub: 'mallory', role: 'admin', exp: now() + 60 };
+
+    for (const alg of ['none', 'None', 'NONE']) {
+      expect(() => authService.verifyJwt(jwt({ alg }, claims, ''))).toThrow(/Unsupported token algorithm/);
+    }
+  });
+
+  test('rejects a token whose signature does not match its claims', () => {
+    const token = jwt({ alg: 'HS256' }, { sub: 'alice', role: 'viewer' });
+    const [header, , signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'alice', role: 'admin' })).toString('base64url');
+
+    expect(() => authService.verifyJwt(`${header}.${forged}.${signature}`)).toThrow('Invalid token signature');
+  });
+
+  test('rejects expired tokens, allowing the clock tolerance', () => {
+    const expired = jwt({ alg: 'HS256' }, { sub: 'alice', role: 'viewer', exp: now() - 3600 });
+    const withinTolerance = jwt({ alg: 'HS256' }, { sub: 'alice', role: 'viewer', exp: now() - 5 });
+
+    let error;
+    try {
+      authService.verifyJwt(expired);
+    } catch (thrown) {
+      error = thrown;
+    }
+    expect(error.message).toBe('Token has expired');
+    expect(error.isCredentialError).toBe(true);
+    expect(authService.verifyJwt(withinTolerance).sub).toBe('alice');
+  });
+
+  test('rejects tokens that are not valid yet', () => {
+    const token = jwt({ alg: 'HS256' }, { sub: 'alice', role: 'viewer', nbf: now() + 3600 });
+    expect(() => authService.verifyJwt(token)).toThrow('Token is not valid yet');
+  });
+
+  test('rejects malformed tokens', () => {
+    expect(() => authService.verifyJwt('not-a-jwt')).toThrow('Malformed token');
+    expect(() => authService.verifyJwt('a.b.c')).toThrow('Malformed token');
+  });
+});
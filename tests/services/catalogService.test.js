@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CatalogService = require('../../src/services/catalogService');
+
+describe('CatalogService', () => {
+  let directory;
+  let storePath;
+  let catalog;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-'));
+    storePath = path.join(directory, 'catalog.json');
+    catalog = new CatalogService({ storePath });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('links a conversion to the video of its source', () => {
+    const video = catalog.create({ title: 'Movie', r2: { key: 'videos/movie.mp4', etag: '"1"' } });
+
+    const linked = catalog.register({
+      match: { r2: 'videos/movie.mp4' },
+      type: 'hls',
+      link: { storage: 'r2', key: 'videos/movie.mp4', jobId: 'job-1' }
+    });
+
+    expect(linked.id).toBe(video.id);
+    expect(catalog.findByLink('hls', 'r2:videos/movie.mp4').id).toBe(video.id);
+    expect(catalog.findByLink('r2', 'videos/movie.mp4').id).toBe(video.id);
+  });
+
+  test('creates a video for a file nothing links to yet', () => {
+    const entry = catalog.register({
+      match: { local: 'other.mp4' },
+      type: 'hls',
+      link: { storage: 'local', stream: 'movie' },
+      fields: { title: 'From HLS' }
+    });
+
+    expect(entry).toMatchObject({ title: 'From HLS', hls: { storage: 'local', stream: 'movie' }, local: null });
+    expect(catalog.findByLink('hls', 'movie').id).toBe(entry.id);
+  });
+
+  test('links to a given video, which must exist', () => {
+    const video = catalog.create({ local: { filename: 'movie.mp4', directory: 'videos' } });
+
+    expect(catalog.register({ videoId: video.id, type: 'r2', link: { key: 'movie.mp4' } }).id).toBe(video.id);
+    expect(() => catalog.register({ videoId: 'missing', type: 'r2', link: { key: 'x.mp4' } }))
+      .toThrow(expect.objectContaining({ status: 404, code: 'VIDEO_NOT_FOUND' }));
+  });
+
+  test('unlinks a file and removes videos left without any', () => {
+    const both = catalog.create({ local: { filename: 'movie.mp4', directory: 'videos' }, hls: { storage: 'local', stream: 'movie' } });
+    const hlsOnly = catalog.create({ hls: { storage: 'local', stream: 'trailer' } });
+
+    expect(catalog.unlink('hls', 'movie')).toBe(1);
+    expect(catalog.get(both.id)).toMatchObject({ hls: null, local: { filename: 'movie.mp4' } });
+
+    expect(catalog.unlink('hls', 'trailer')).toBe(1);
+    expect(catalog.get(hlsOnly.id)).toBeNull();
+
+    expect(catalog.unlink('hls', 'unknown')).toBe(0);
+  });
+
+  test('keeps links of local and R2 HLS streams apart', () => {
+    const local = catalog.create({ hls: { storage: 'local', stream: 'movie.mp4' } });
+    const r2 = catalog.create({ hls: { storage: 'r2', key: 'movie.mp4' } });
+
+    catalog.unlink('hls', 'r2:movie.mp4');
+    expect(catalog.get(r2.id)).toBeNull();
+    expect(catalog.get(local.id)).not.toBeNull();
+  });
+
+  test('sees changes other processes made to the store', () => {
+    const other = new CatalogService({ storePath });
+    const video = other.create({ title: 'Movie', r2: { key: 'movie.mp4' } });
+
+    expect(catalog.get(video.id).title).toBe('Movie');
+
+    // Linked on top of the entry as stored, not the stale copy in memory
+    catalog.register({ match: { r2: 'movie.mp4' }, type: 'hls', link: { storage: 'r2', key: 'movie.mp4' } });
+    other.update(video.id, { title: 'Renamed' });
+    expect(catalog.get(video.id)).toMatchObject({ title: 'Renamed', hls: { storage: 'r2', key: 'movie.mp4' } });
+    expect(fs.existsSync(`${storePath}.lock`)).toBe(false);
+  });
+});
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ClusterJobQueue = require('../../src/services/clusterJobQueue');
+const JobQueueService = require('../../src/services/jobQueueService');
+
+describe('ClusterJobQueue', () => {
+  const originalSend = process.send;
+  const connected = Object.getOwnPropertyDescriptor(process, 'connected');
+  let listeners;
+  let sent;
+
+  beforeEach(() => {
+    // Stand in for the IPC channel to the primary, without touching the test runner's own channel
+    sent = [];
+    listeners = process.listeners('message');
+    Object.defineProperty(process, 'connected', { value: true, configurable: true });
+    process.send = message => sent.push(JSON.parse(JSON.stringify(message)));
+  });
+
+  afterEach(() => {
+    for (const listener of process.listeners('message')) {
+      if (!listeners.includes(listener)) process.off('message', listener);
+    }
+    process.send = originalSend;
+    if (connected) {
+      Object.defineProperty(process, 'connected', connected);
+    } else {
+      delete process.connected;
+    }
+  });
+
+  const job = (id, state, fields = {}) => ({
+    id, type: 'hls-convert', state, input: {}, progress: { percent: 0, renditions: {} },
+    createdAt: `2024-01-01T00:00:0${id.length}.000Z`, ...fields
+  });
+
+  test('asks for a snapshot and hands new jobs to the transcoder', () => {
+    const queue = new ClusterJobQueue();
+    expect(sent).toEqual([{ cmd: 'jobs:sync' }]);
+
+    const queued = queue.enqueue('hls-convert', { outputName: 'movie' });
+    expect(sent[1]).toEqual({ cmd: 'jobs:enqueue', job: JSON.parse(JSON.stringify(queued)) });
+    expect(queue.getJob(queued.id).state).toBe('queued');
+  });
+
+  test('mirrors job updates and emits the events of a local queue', async () => {
+    const queue = new ClusterJobQueue();
+    const events = [];
+    for (const event of ['running', 'progress', 'succeeded']) {
+      queue.on(event, updated => events.push(`${event}:${updated.progress.percent}`));
+    }
+
+    const queued = queue.enqueue('hls-convert');
+    const finished = queue.waitFor(queued.id);
+
+    process.emit('message', { cmd: 'jobs:update', job: { ...queued, state: 'running' } });
+    process.emit('message', { cmd: 'jobs:update', job: { ...queued, state: 'running', progress: { percent: 50, renditions: {} } } });
+    process.emit('message', { cmd: 'jobs:update', job: { ...queued, state: 'succeeded', progress: { percent: 100, renditions: {} }, result: { ok: true } } });
+
+    expect((await finished).result).toEqual({ ok: true });
+    expect(events).toEqual(['running:0', 'progress:50', 'succeeded:100']);
+  });
+
+  test('drops finished jobs missing from a snapshot, but keeps queued ones on their way', () => {
+    const queue = new ClusterJobQueue();
+    process.emit('message', { cmd: 'jobs:snapshot', jobs: [job('a', 'succeeded'), job('bb', 'running')] });
+    const queued = queue.enqueue('hls-convert');
+
+    process.emit('message', { cmd: 'jobs:snapshot', jobs: [job('bb', 'succeeded')] });
+    expect(queue.getJob('a')).toBeNull();
+    expect(queue.getJob('bb').state).toBe('succeeded');
+    expect(queue.getJob(queued.id).state).toBe('queued');
+  });
+
+  test('serves a queue: runs jobs handed over and publishes their updates', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cluster-jobs-'));
+    try {
+      const queue = new JobQueueService({ storePath: path.join(directory, 'jobs.json') });
+      queue.registerHandler('hls-convert', async () => ({ ok: true }));
+      ClusterJobQueue.serve(queue);
+      expect(sent).toEqual([{ cmd: 'jobs:snapshot', jobs: [] }]);
+
+      process.emit('message', { cmd: 'jobs:enqueue', job: job('c', 'queued') });
+      await queue.waitFor('c');
+
+      const updates = sent.filter(message => message.cmd === 'jobs:update').map(message => message.job.state);
+      expect(updates).toEqual(['queued', 'running', 'succeeded']);
+
+      process.emit('message', { cmd: 'jobs:sync' });
+      expect(sent[sent.length - 1]).toMatchObject({ cmd: 'jobs:snapshot', jobs: [{ id: 'c', state: 'succeeded' }] });
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,91 @@
+const DashService = require('../../src/services/dashService');
+
+/**
+ * Representation as HLSService passes it for a CMAF rendition
+ */
+function representation(overrides) {
+  return {
+    id: '720p',
+    type: 'video',
+    bandwidth: 3000000,
+    width: 1280,
+    height: 720,
+    frameRate: 30,
+    codecs: 'avc1.64001f',
+    initialization: '720p/init.mp4',
+    media: '720p/segment_$Number%03d$.m4s',
+    startNumber: 0,
+    segments: [],
+    ...overrides
+  };
+}
+
+/**
+ * The <S> entries of the manifest, in order
+ */
+function timelineEntries(manifest) {
+  return manifest.match(/<S [^>]*\/>/g);
+}
+
+describe('DashService.buildManifest', () => {
+  const dashService = new DashService();
+
+  test('run-length encodes equal segment durations in the SegmentTimeline', () => {
+    const manifest = dashService.buildManifest([
+      representation({ segments: [{ duration: 4 }, { duration: 4 }, { duration: 4 }, { duration: 2.5 }] })
+    ]);
+
+    expect(timelineEntries(manifest)).toEqual([
+      '<S t="0" d="4000" r="2"/>',
+      '<S t="12000" d="2500"/>'
+    ]);
+    expect(manifest).toContain('<SegmentTemplate timescale="1000" initialization="720p/init.mp4"' +
+      ' media="720p/segment_$Number%03d$.m4s" startNumber="0">');
+    expect(manifest).toContain('mediaPresentationDuration="PT14.5S"');
+    expect(manifest).toContain('minBufferTime="PT4S"');
+  });
+
+  test('takes durations from the cumulative timeline so rounding does not drift', () => {
+    const segments = Array.from({ length: 3 }, () => ({ duration: 2.0004 }));
+    const manifest = dashService.buildManifest([representation({ segments })]);
+
+    // 2000.4 ms each: rounding each one would end the timeline at 6000 instead of 6001
+    expect(timelineEntries(manifest)).toEqual([
+      '<S t="0" d="2000"/>',
+      '<S t="2000" d="2001"/>',
+      '<S t="4001" d="2000"/>'
+    ]);
+  });
+
+  test('writes a timeline per representation, including audio', () => {
+    const manifest = dashService.buildManifest([
+      representation({ segments: [{ duration: 6 }, { duration: 6 }] }),
+      representation({
+        id: 'audio',
+        type: 'audio',
+        bandwidth: 128000,
+        codecs: 'mp4a.40.2',
+        initialization: 'audio/init.mp4',
+        media: 'audio/segment_$Number%03d$.m4s',
+        language: 'en',
+        segments: [{ duration: 6.016 }, { duration: 5.984 }]
+      })
+    ]);
+
+    expect(timelineEntries(manifest)).toEqual([
+      '<S t="0" d="6000" r="1"/>',
+      '<S t="0" d="6016"/>',
+      '<S t="6016" d="5984"/>'
+    ]);
+    expect(manifest).toContain('<AdaptationSet id="1" contentType="audio" mimeType="audio/mp4" lang="en"');
+  });
+
+  test('escapes attribute values', () => {
+    const manifest = dashService.buildManifest([
+      representation({ id: 'a"b', media: 'x&y/$Number$.m4s', segments: [{ duration: 1 }] })
+    ]);
+
+    expect(manifest).toContain('<Representation id="a&quot;b"');
+    expect(manifest).toContain('media="x&amp;y/$Number$.m4s"');
+  });
+});
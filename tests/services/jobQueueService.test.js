@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobQueueService = require('../../src/services/jobQueueService');
+
+/**
+ * A promise with its resolve function, to finish a handler when the test says so
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+/**
+ * Wait for a queue event
+ */
+function nextEvent(queue, event) {
+  return new Promise(resolve => queue.once(event, resolve));
+}
+
+describe('JobQueueService', () => {
+  let directory;
+  let storePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+    storePath = path.join(directory, 'jobs.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const storedJobs = () => JSON.parse(fs.readFileSync(storePath, 'utf8'));
+
+  test('persists jobs and their results', async () => {
+    const queue = new JobQueueService({ storePath });
+    queue.registerHandler('convert', async job => ({ output: job.input.name }));
+
+    const job = queue.enqueue('convert', { name: 'movie' });
+    expect(storedJobs()).toEqual([expect.objectContaining({ id: job.id, state: 'queued', input: { name: 'movie' } })]);
+
+    const finished = await queue.waitFor(job.id);
+    expect(finished.result).toEqual({ output: 'movie' });
+    expect(storedJobs()[0]).toMatchObject({ id: job.id, state: 'succeeded', attempts: 1, result: { output: 'movie' } });
+  });
+
+  test('records the error of a failed job', async () => {
+    const queue = new JobQueueService({ storePath });
+    queue.registerHandler('convert', async () => {
+      throw Object.assign(new Error('ffmpeg exited with code 1'), { code: 'FFMPEG' });
+    });
+
+    const job = queue.enqueue('convert');
+    await expect(queue.waitFor(job.id)).rejects.toThrow('ffmpeg exited with code 1');
+    expect(storedJobs()[0]).toMatchObject({ state: 'failed', error: { message: 'ffmpeg exited with code 1', code: 'FFMPEG' } });
+  });
+
+  test('requeues jobs that were running when the process stopped', async () => {
+    const first = new JobQueueService({ storePath });
+    const blocked = deferred();
+    first.registerHandler('convert', (job, reportProgress) => {
+      reportProgress('720p', { percent: 40 });
+      return blocked.promise;
+    });
+
+    const interrupted = first.enqueue('convert', { name: 'interrupted' });
+    await nextEvent(first, 'running');
+    first.persist();
+    expect(storedJobs()[0].state).toBe('running');
+
+    // A new process loads the store: the job starts over
+    const second = new JobQueueService({ storePath });
+    expect(second.getJob(interrupted.id)).toMatchObject({ state: 'queued', progress: { percent: 0, renditions: {} } });
+
+    second.registerHandler('convert', async () => 'done');
+    expect((await second.waitFor(interrupted.id)).attempts).toBe(2);
+    blocked.resolve();
+  });
+
+  test('keeps finished jobs as they were when reloading', () => {
+    fs.writeFileSync(storePath, JSON.stringify([
+      { id: 'a', type: 'convert', state: 'succeeded', input: {}, progress: { percent: 100, renditions: {} }, createdAt: '2024-01-01T00:00:00.000Z' },
+      { id: 'b', type: 'convert', state: 'unknown', input: {}, progress: {}, createdAt: '2024-01-01T00:00:00.000Z' }
+    ]));
+
+    const queue = new JobQueueService({ storePath });
+    expect(queue.getJob('a').state).toBe('succeeded');
+    expect(queue.getJob('b')).toBeNull();
+  });
+
+  test('never runs two jobs with the same lock key at once', async () => {
+    const queue = new JobQueueService({ storePath, concurrency: 3 });
+    const started = [];
+    const blockers = {};
+    queue.registerHandler('convert', (job) => {
+      started.push(job.input.name);
+      blockers[job.input.name] = deferred();
+      return blockers[job.input.name].promise;
+    }, { lockKey: input => input.output });
+
+    const first = queue.enqueue('convert', { name: 'first', output: 'movie' });
+    const second = queue.enqueue('convert', { name: 'second', output: 'movie' });
+    const other = queue.enqueue('convert', { name: 'other', output: 'trailer' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    // Free capacity, but the second conversion writes the same output as the first
+    expect(started).toEqual(['first', 'other']);
+    expect(queue.getJob(second.id).state).toBe('queued');
+
+    blockers.first.resolve();
+    await queue.waitFor(first.id);
+    await nextEvent(queue, 'running');
+    expect(started).toEqual(['first', 'other', 'second']);
+
+    blockers.second.resolve();
+    blockers.other.resolve();
+    await Promise.all([queue.waitFor(second.id), queue.waitFor(other.id)]);
+  });
+
+  test('averages the progress of the renditions', async () => {
+    const queue = new JobQueueService({ storePath });
+    const blocked = deferred();
+    queue.registerHandler('convert', (job, reportProgress) => {
+      reportProgress('720p', { percent: 80, timemark: '00:00:08.00' });
+      reportProgress('360p', { percent: 40 });
+      return blocked.promise;
+    });
+
+    const job = queue.enqueue('convert');
+    await nextEvent(queue, 'progress');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(queue.getJob(job.id).progress).toMatchObject({
+      percent: 60,
+      renditions: { '720p': { percent: 80, timemark: '00:00:08.00' }, '360p': { percent: 40 } }
+    });
+    blocked.resolve();
+    await queue.waitFor(job.id);
+    expect(queue.getJob(job.id).progress.percent).toBe(100);
+  });
+});
@@ -0,0 +1,70 @@
+const PlaybackTokenService = require('../../src/services/playbackTokenService');
+
+describe('PlaybackTokenService', () => {
+  const env = process.env;
+  let tokens;
+
+  beforeEach(() => {
+    process.env = { ...env, PLAYBACK_TOKEN_SECRET: 'test-secret-with-enough-entropy' };
+    tokens = new PlaybackTokenService();
+  });
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  test('verifies a token it issued', () => {
+    const { token } = tokens.issue({ stream: 'movie', ip: '10.0.0.1' });
+    expect(tokens.verify(token, { stream: 'movie', ip: '10.0.0.1' })).toEqual({ valid: true });
+  });
+
+  test('detects a tampered payload', () => {
+    const { token } = tokens.issue({ stream: 'movie', ip: '10.0.0.1', expiresIn: 60 });
+    const [encoded, signature] = token.split('.');
+    const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+
+    for (const changes of [{ s: 'other-movie' }, { e: payload.e + 86400 }, { ip: '10.0.0.2' }]) {
+      const tampered = Buffer.from(JSON.stringify({ ...payload, ...changes })).toString('base64url');
+      const context = { stream: changes.s || 'movie', ip: changes.ip || '10.0.0.1' };
+      expect(tokens.verify(`${tampered}.${signature}`, context)).toEqual({ valid: false, reason: 'Invalid signature' });
+    }
+  });
+
+  test('detects a tampered signature', () => {
+    const { token } = tokens.issue({ stream: 'movie' });
+    const [encoded, signature] = token.split('.');
+    const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+
+    expect(tokens.verify(`${encoded}.${flipped}`, { stream: 'movie' })).toEqual({ valid: false, reason: 'Invalid signature' });
+    expect(tokens.verify(`${encoded}.${signature.slice(1)}`, { stream: 'movie' })).toEqual({ valid: false, reason: 'Invalid signature' });
+    expect(tokens.verify(`${encoded}.${signature}.extra`, { stream: 'movie' })).toEqual({ valid: false, reason: 'Malformed token' });
+  });
+
+  test('rejects tokens signed with another secret', () => {
+    const { token } = tokens.issue({ stream: 'movie' });
+    process.env.PLAYBACK_TOKEN_SECRET = 'another-secret-with-enough-entropy';
+
+    expect(new PlaybackTokenService().verify(token, { stream: 'movie' })).toEqual({ valid: false, reason: 'Invalid signature' });
+  });
+
+  test('rejects tokens for another stream, client or origin', () => {
+    const { token } = tokens.issue({ stream: 'movie', ip: '10.0.0.1', origin: 'https://example.com' });
+
+    expect(tokens.verify(token, { stream: 'trailer', ip: '10.0.0.1' }).reason).toBe('Token was issued for a different stream');
+    expect(tokens.verify(token, { stream: 'movie', ip: '10.0.0.2' }).reason).toBe('Token was issued for a different client');
+    expect(tokens.verify(token, { stream: 'movie', ip: '10.0.0.1', origin: 'https://evil.example' }).reason)
+      .toBe('Token was issued for a different origin');
+  });
+
+  test('rejects expired tokens', () => {
+    const now = Date.now();
+    const { token } = tokens.issue({ stream: 'movie', expiresIn: 60 });
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now + 61 * 1000);
+
+    try {
+      expect(tokens.verify(token, { stream: 'movie' })).toEqual({ valid: false, reason: 'Token has expired' });
+    } finally {
+      spy.mockRestore();
+    }
+  });
+});
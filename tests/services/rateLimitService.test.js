@@ -0,0 +1,85 @@
+const RateLimitService = require('../../src/services/rateLimitService');
+
+describe('RateLimitService', () => {
+  const limit = { requests: 3, seconds: 30 };
+  let now;
+  let rateLimiter;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    rateLimiter = new RateLimitService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearInterval(rateLimiter.sweepTimer);
+  });
+
+  test('allows a burst of the full limit, then refuses with Retry-After', () => {
+    for (let i = 0; i < 3; i++) {
+      expect(rateLimiter.take('stream:alice', limit)).toMatchObject({ allowed: true, remaining: 2 - i });
+    }
+
+    // One token comes back every 10 seconds
+    expect(rateLimiter.take('stream:alice', limit)).toMatchObject({ allowed: false, remaining: 0, retryAfterSeconds: 10, resetSeconds: 30 });
+  });
+
+  test('refills continuously, up to the limit', () => {
+    for (let i = 0; i < 3; i++) rateLimiter.take('stream:alice', limit);
+
+    now += 10 * 1000;
+    expect(rateLimiter.take('stream:alice', limit).allowed).toBe(true);
+    expect(rateLimiter.take('stream:alice', limit).allowed).toBe(false);
+
+    now += 60 * 60 * 1000;
+    for (let i = 0; i < 3; i++) {
+      expect(rateLimiter.take('stream:alice', limit).allowed).toBe(true);
+    }
+    expect(rateLimiter.take('stream:alice', limit).allowed).toBe(false);
+  });
+
+  test('keeps a bucket per client and group', () => {
+    for (let i = 0; i < 3; i++) rateLimiter.take('stream:alice', limit);
+
+    expect(rateLimiter.take('stream:bob', limit).allowed).toBe(true);
+    expect(rateLimiter.take('hls:alice', limit).allowed).toBe(true);
+  });
+
+  test('only checks the bucket at cost 0', () => {
+    expect(rateLimiter.take('auth:ip:10.0.0.1', limit, 0)).toMatchObject({ allowed: true, remaining: 3 });
+    expect(rateLimiter.take('auth:ip:10.0.0.1', limit, 0)).toMatchObject({ allowed: true, remaining: 3 });
+  });
+
+  test('forgets buckets that have refilled', () => {
+    rateLimiter.take('stream:alice', limit);
+    rateLimiter.sweep();
+    expect(rateLimiter.buckets.size).toBe(1);
+
+    now += 10 * 1000;
+    rateLimiter.sweep();
+    expect(rateLimiter.buckets.size).toBe(0);
+  });
+
+  test('reads limits as requests/seconds', () => {
+    process.env.RATE_LIMIT_STREAM = '10/5';
+    process.env.RATE_LIMIT_HLS = 'off';
+    process.env.RATE_LIMIT_UPLOAD = 'lots';
+
+    try {
+      expect(rateLimiter.parseLimit('stream')).toEqual({ requests: 10, seconds: 5 });
+      expect(rateLimiter.parseLimit('hls')).toBeNull();
+      expect(rateLimiter.parseLimit('upload')).toBeNull();
+      expect(rateLimiter.parseLimit('auth')).toEqual({ requests: 20, seconds: 60 });
+    } finally {
+      delete process.env.RATE_LIMIT_STREAM;
+      delete process.env.RATE_LIMIT_HLS;
+      delete process.env.RATE_LIMIT_UPLOAD;
+    }
+  });
+
+  test('identifies clients by subject, otherwise by IP', () => {
+    expect(RateLimitService.getClientId({ auth: { subject: 'alice' }, ip: '10.0.0.1' })).toBe('alice');
+    expect(RateLimitService.getClientId({ auth: { type: 'anonymous' }, ip: '10.0.0.1' })).toBe('ip:10.0.0.1');
+  });
+});
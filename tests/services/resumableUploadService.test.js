@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const ResumableUploadService = require('../../src/services/resumableUploadService');
+
+describe('ResumableUploadService', () => {
+  let directory;
+  let uploads;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'resumable-'));
+    uploads = new ResumableUploadService({ directory: path.join(directory, 'resumable'), ttlHours: 1 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const create = size => uploads.create({ filename: 'movie.mp4', size: size, mimeType: 'video/mp4' });
+
+  /**
+   * Let an upload's expiry pass
+   */
+  function expire(upload) {
+    uploads.save({ ...uploads.get(upload.id), expiresAt: new Date(Date.now() - 1000).toISOString() });
+  }
+
+  /**
+   * Capture the error a promise or function fails with
+   */
+  async function failure(fn) {
+    try {
+      await fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected a failure');
+  }
+
+  test('appends chunks at the current offset', async () => {
+    const upload = create(10);
+
+    expect((await uploads.appendChunk(upload.id, 0, Readable.from([Buffer.from('hello')]))).offset).toBe(5);
+    expect((await uploads.appendChunk(upload.id, 5, Readable.from([Buffer.from('world')]))).offset).toBe(10);
+    expect(uploads.get(upload.id).offset).toBe(10);
+    expect(fs.readFileSync(uploads.dataPath(upload.id), 'utf8')).toBe('helloworld');
+  });
+
+  test('rejects a chunk at another offset with 409 and the current offset', async () => {
+    const upload = create(10);
+    await uploads.appendChunk(upload.id, 0, Readable.from([Buffer.from('hello')]));
+
+    const error = await failure(() => uploads.appendChunk(upload.id, 0, Readable.from([Buffer.from('again')])));
+    expect(error).toMatchObject({ status: 409, code: 'OFFSET_MISMATCH', offset: 5 });
+
+    // The mismatch releases the lock, so the client can continue at the right offset
+    expect((await uploads.appendChunk(upload.id, 5, Readable.from([Buffer.from('world')]))).offset).toBe(10);
+  });
+
+  test('rejects chunks past the declared size', async () => {
+    const upload = create(4);
+
+    const error = await failure(() => uploads.appendChunk(upload.id, 0, Readable.from([Buffer.from('ab'), Buffer.from('cdef')])));
+    expect(error).toMatchObject({ status: 413, code: 'CHUNK_TOO_LARGE' });
+    expect(uploads.get(upload.id).offset).toBeLessThanOrEqual(4);
+    expect(fs.existsSync(uploads.lockPath(upload.id))).toBe(false);
+  });
+
+  test('refuses writes and aborts while the upload is locked', async () => {
+    const upload = create(10);
+    uploads.lock(upload.id, 'locked');
+
+    expect(await failure(() => uploads.appendChunk(upload.id, 0, Readable.from([Buffer.from('x')]))))
+      .toMatchObject({ status: 409, code: 'UPLOAD_LOCKED' });
+    expect(await failure(() => uploads.remove(upload.id))).toMatchObject({ status: 409, code: 'UPLOAD_LOCKED' });
+
+    uploads.release(upload.id);
+    uploads.remove(upload.id);
+    expect(() => uploads.get(upload.id)).toThrow(expect.objectContaining({ status: 404 }));
+  });
+
+  test('does not bring back the state of an upload removed while a chunk was written', async () => {
+    const upload = create(10);
+    const input = new Readable({
+      read() {
+        // The upload disappears mid-chunk, as if its lock had been taken over
+        uploads.discard(upload.id);
+        this.push(Buffer.from('hello'));
+        this.push(null);
+      }
+    });
+
+    await uploads.appendChunk(upload.id, 0, input);
+    expect(fs.existsSync(uploads.statePath(upload.id))).toBe(false);
+    expect(fs.existsSync(uploads.lockPath(upload.id))).toBe(false);
+  });
+
+  test('removes uploads that expired without receiving data', async () => {
+    const stale = create(10);
+    const fresh = create(10);
+    expire(stale);
+
+    uploads.removeExpired();
+    expect(() => uploads.get(stale.id)).toThrow(expect.objectContaining({ code: 'UPLOAD_NOT_FOUND' }));
+    expect(fs.existsSync(uploads.dataPath(stale.id))).toBe(false);
+    expect(uploads.get(fresh.id).id).toBe(fresh.id);
+  });
+
+  test('keeps a locked upload past its expiry', () => {
+    const upload = create(10);
+    uploads.lock(upload.id, 'locked');
+    expire(upload);
+
+    uploads.removeExpired();
+    expect(uploads.get(upload.id).id).toBe(upload.id);
+  });
+
+  test('completes only a fully received upload', async () => {
+    const upload = create(10);
+    await uploads.appendChunk(upload.id, 0, Readable.from([Buffer.from('hello')]));
+
+    expect(await failure(() => uploads.complete(upload.id, directory)))
+      .toMatchObject({ status: 409, code: 'UPLOAD_INCOMPLETE' });
+  });
+
+  test('keeps a completed upload locked until it is finalized or released', async () => {
+    const upload = create(10);
+    await uploads.appendChunk(upload.id, 0, Readable.from([Buffer.from('helloworld')]));
+
+    const file = uploads.complete(upload.id, directory);
+    expect(file).toMatchObject({ originalname: 'movie.mp4', size: 10, mimetype: 'video/mp4' });
+    expect(fs.readFileSync(file.path, 'utf8')).toBe('helloworld');
+    expect(await failure(() => uploads.complete(upload.id, directory))).toMatchObject({ code: 'UPLOAD_LOCKED' });
+
+    // A failed follow-up step releases it, and completing can be retried
+    fs.rmSync(file.path);
+    uploads.release(upload.id);
+    const retry = uploads.complete(upload.id, directory);
+    expect(fs.readFileSync(retry.path, 'utf8')).toBe('helloworld');
+
+    uploads.finalize(upload.id);
+    expect(() => uploads.get(upload.id)).toThrow(expect.objectContaining({ status: 404 }));
+    expect(fs.existsSync(uploads.dataPath(upload.id))).toBe(false);
+    expect(fs.existsSync(uploads.lockPath(upload.id))).toBe(false);
+    expect(fs.readFileSync(retry.path, 'utf8')).toBe('helloworld');
+  });
+});
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const express = require('express');
+const request = require('supertest');
+
+/**
+ * In-memory bucket behind S3Client.send: objects by key, and the commands it received
+ */
+function fakeBucket() {
+  const objects = new Map();
+  const commands = [];
+  let failPut = () => false;
+
+  const send = async (command) => {
+    const name = command.constructor.name.replace(/Command$/, '');
+    const input = command.input;
+    commands.push({ name, key: input.Key });
+
+    switch (name) {
+      case 'HeadObject':
+      case 'GetObject': {
+        const body = objects.get(input.Key);
+        if (!body) throw Object.assign(new Error('Not found'), { name: name === 'GetObject' ? 'NoSuchKey' : 'NotFound' });
+        return name === 'GetObject'
+          ? { Body: Readable.from([body]) }
+          : { ContentLength: body.length, LastModified: new Date(), ETag: '"etag"', ContentType: 'video/mp4' };
+      }
+      case 'PutObject': {
+        const chunks = [];
+        for await (const chunk of input.Body) chunks.push(chunk);
+        if (failPut(input.Key)) throw Object.assign(new Error('Connection reset'), { name: 'NetworkError' });
+        objects.set(input.Key, Buffer.concat(chunks));
+        return { ETag: '"etag"' };
+      }
+      case 'ListObjectsV2':
+        return { Contents: [...objects.keys()].filter(key => key.startsWith(input.Prefix)).sort().map(key => ({ Key: key, Size: objects.get(key).length })) };
+      case 'DeleteObjects':
+        input.Delete.Objects.forEach(object => objects.delete(object.Key));
+        return {};
+      default:
+        throw new Error(`Unexpected ${name}`);
+    }
+  };
+
+  return { objects, commands, send, failPutWhen: (predicate) => { failPut = predicate; } };
+}
+
+describe('r2-hls-convert', () => {
+  const env = process.env;
+  let directory;
+  let bucket;
+  let transcodeQueue;
+  let HLSService;
+  let app;
+
+  beforeEach(() => {
+    jest.resetModules();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'r2-convert-'));
+    process.env = {
+      ...env,
+      VIDEO_STORAGE: 'r2',
+      HLS_STORAGE: 'r2',
+      R2_BUCKET_NAME: 'videos',
+      R2_ENDPOINT: 'http://127.0.0.1:9',
+      R2_ACCESS_KEY_ID: 'key',
+      R2_SECRET_ACCESS_KEY: 'secret',
+      R2_HLS_PREFIX: 'hls',
+      JOB_STORE_PATH: path.join(directory, 'jobs.json'),
+      CATALOG_STORE_PATH: path.join(directory, 'catalog.json')
+    };
+    delete process.env.CLUSTER_ROLE;
+
+    bucket = fakeBucket();
+    bucket.objects.set('movies/movie.mp4', Buffer.from('source video'));
+    jest.spyOn(require('@aws-sdk/client-s3').S3Client.prototype, 'send').mockImplementation(bucket.send);
+
+    transcodeQueue = require('../../src/services/transcodeQueue');
+    HLSService = require('../../src/services/hlsService');
+
+    app = express();
+    app.use((req, res, next) => {
+      req.auth = { type: 'api-key', role: 'admin' };
+      next();
+    });
+    app.use('/api/upload', require('../../src/routes/uploadRoutes'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = env;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Stand in for ffmpeg: write a master playlist, a rendition and a segment, checking
+   * the job status while the conversion runs
+   */
+  function convertWith(duringConversion = async () => {}) {
+    return jest.spyOn(HLSService.prototype, 'convertToHLS').mockImplementation(async (inputPath, outputName, options) => {
+      expect(fs.readFileSync(inputPath, 'utf8')).toBe('source video');
+      await duringConversion();
+
+      fs.mkdirSync(path.join(options.outputDir, '720p'), { recursive: true });
+      fs.writeFileSync(path.join(options.outputDir, 'master.m3u8'), '#EXTM3U\n');
+      fs.writeFileSync(path.join(options.outputDir, '720p', 'playlist.m3u8'), '#EXTM3U\n');
+      fs.writeFileSync(path.join(options.outputDir, '720p', 'segment_000.ts'), 'segment');
+      options.onProgress('720p', { percent: 100 });
+
+      return {
+        masterPlaylist: `${outputName}/master.m3u8`,
+        qualities: { '720p': {} },
+        audio: [],
+        subtitles: [],
+        outputDir: options.outputDir,
+        encrypted: false,
+        format: 'ts',
+        dashManifest: null
+      };
+    });
+  }
+
+  const status = () => request(app).get(`/api/upload/r2/${encodeURIComponent('movies/movie.mp4')}/hls-status`);
+
+  /**
+   * Stages a job went through, in order
+   */
+  function recordStages(jobId) {
+    const stages = [];
+    transcodeQueue.on('progress', (job) => {
+      if (job.id === jobId && job.progress.stage !== stages[stages.length - 1]) stages.push(job.progress.stage);
+    });
+    return stages;
+  }
+
+  test('downloads the source, converts it and publishes the output under the HLS prefix', async () => {
+    let running;
+    convertWith(async () => {
+      running = (await status()).body;
+    });
+
+    expect((await status()).status).toBe(404);
+
+    const job = transcodeQueue.enqueue('r2-hls-convert', { key: 'movies/movie.mp4', options: {} });
+    const stages = recordStages(job.id);
+    await expect(transcodeQueue.waitFor(job.id)).resolves.toBeTruthy();
+
+    expect(stages).toEqual(['downloading', 'transcoding', 'uploading']);
+    expect(running).toMatchObject({ jobId: job.id, status: 'running', progress: { stage: 'transcoding' }, hlsFiles: null });
+
+    expect([...bucket.objects.keys()].sort()).toEqual([
+      'hls/movies/movie.mp4/720p/playlist.m3u8',
+      'hls/movies/movie.mp4/720p/segment_000.ts',
+      'hls/movies/movie.mp4/master.m3u8',
+      'movies/movie.mp4'
+    ]);
+
+    const finished = (await status()).body;
+    expect(finished).toMatchObject({
+      status: 'succeeded',
+      progress: { stage: 'uploading', transfer: { percent: 100 } },
+      hlsFiles: { prefix: 'hls/movies/movie.mp4', qualities: ['720p'], masterPlaylist: `/api/hls/r2/${encodeURIComponent('movies/movie.mp4')}/master.m3u8` },
+      error: null
+    });
+
+    // The local copy and the converted files are gone
+    expect(fs.existsSync(path.join(__dirname, '../../tmp', job.id))).toBe(false);
+  });
+
+  test('removes the local files and the partial output when publishing fails', async () => {
+    convertWith();
+    bucket.failPutWhen(key => key.endsWith('segment_000.ts'));
+
+    const job = transcodeQueue.enqueue('r2-hls-convert', { key: 'movies/movie.mp4', options: {} });
+    await expect(transcodeQueue.waitFor(job.id)).rejects.toThrow('Connection reset');
+
+    expect(bucket.commands.some(command => command.name === 'PutObject' && command.key.endsWith('playlist.m3u8'))).toBe(true);
+    expect([...bucket.objects.keys()]).toEqual(['movies/movie.mp4']);
+    expect(fs.existsSync(path.join(__dirname, '../../tmp', job.id))).toBe(false);
+
+    expect((await status()).body).toMatchObject({
+      status: 'failed',
+      progress: { stage: 'uploading' },
+      hlsFiles: null,
+      error: { message: 'Connection reset' }
+    });
+  });
+
+  test('fails without converting when the source does not exist', async () => {
+    const convert = convertWith();
+
+    const job = transcodeQueue.enqueue('r2-hls-convert', { key: 'movies/missing.mp4', options: {} });
+    await expect(transcodeQueue.waitFor(job.id)).rejects.toThrow("Object 'movies/missing.mp4' not found");
+
+    expect(convert).not.toHaveBeenCalled();
+    expect(transcodeQueue.getJob(job.id)).toMatchObject({ progress: { stage: 'downloading' }, error: { code: 'NOT_FOUND' } });
+    expect(fs.existsSync(path.join(__dirname, '../../tmp', job.id))).toBe(false);
+  });
+});
@@ -0,0 +1,79 @@
+const { Readable } = require('stream');
+const { BandwidthLimiter, throttle } = require('../../src/utils/bandwidthLimiter');
+
+describe('BandwidthLimiter', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.STREAM_THROTTLE_BURST;
+  });
+
+  test('sends the burst at full speed, then delays by the sustained rate', () => {
+    const limiter = new BandwidthLimiter(1000, 3000);
+
+    expect(limiter.delayFor(2000)).toBe(0);
+    expect(limiter.delayFor(1000)).toBe(0);
+    // 500 bytes into debt at 1000 bytes/s
+    expect(limiter.delayFor(500)).toBe(500);
+    // Parallel reservations queue up behind it
+    expect(limiter.delayFor(500)).toBe(1000);
+  });
+
+  test('refills continuously, up to the burst', () => {
+    const limiter = new BandwidthLimiter(1000, 3000);
+    limiter.delayFor(3000);
+
+    now += 500;
+    expect(limiter.delayFor(500)).toBe(0);
+    expect(limiter.delayFor(500)).toBe(500);
+
+    // A long pause earns no more than the burst
+    now += 60 * 1000;
+    expect(limiter.delayFor(3000)).toBe(0);
+    expect(limiter.delayFor(1000)).toBe(1000);
+  });
+
+  test('is idle once no stream uses it and its budget has refilled', () => {
+    const limiter = new BandwidthLimiter(1000);
+    limiter.delayFor(1000);
+    expect(limiter.isIdle()).toBe(false);
+
+    now += 1000;
+    expect(limiter.isIdle()).toBe(true);
+
+    limiter.streams++;
+    expect(limiter.isIdle()).toBe(false);
+  });
+
+  test('shares one limiter per client and rate', () => {
+    process.env.STREAM_THROTTLE_BURST = '4KB';
+    const limiter = BandwidthLimiter.forClient('alice', '1KB');
+
+    expect(limiter).toMatchObject({ bytesPerSecond: 1024, burst: 4096 });
+    expect(BandwidthLimiter.forClient('alice', '1KB')).toBe(limiter);
+    expect(BandwidthLimiter.forClient('bob', '1KB')).not.toBe(limiter);
+    expect(BandwidthLimiter.forClient('alice', '2KB')).not.toBe(limiter);
+    expect(BandwidthLimiter.forClient('alice', 0)).toBeNull();
+  });
+
+  test('passes streams through unchanged and counts them while open', async () => {
+    const limiter = new BandwidthLimiter(1024 * 1024);
+    const chunks = [];
+
+    const stream = throttle(Readable.from([Buffer.from('hello '), Buffer.from('world')]), limiter);
+    expect(limiter.streams).toBe(1);
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+
+    expect(Buffer.concat(chunks).toString()).toBe('hello world');
+    expect(limiter.streams).toBe(0);
+    expect(throttle(Readable.from([]), null)).toBeInstanceOf(Readable);
+  });
+});
@@ -0,0 +1,47 @@
+const { parseRange } = require('../../src/utils/byteRange');
+
+describe('parseRange', () => {
+  const size = 1000;
+
+  test('ignores absent, malformed and non-byte ranges', () => {
+    expect(parseRange(undefined, size)).toBeNull();
+    expect(parseRange('items=0-10', size)).toBeNull();
+    expect(parseRange('bytes=abc', size)).toBeNull();
+    expect(parseRange('bytes=-', size)).toBeNull();
+    expect(parseRange('bytes=500-100', size)).toBeNull();
+  });
+
+  test('parses a closed range and clamps an end past EOF', () => {
+    expect(parseRange('bytes=0-99', size)).toEqual([{ start: 0, end: 99, chunkSize: 100 }]);
+    expect(parseRange('bytes=900-5000', size)).toEqual([{ start: 900, end: 999, chunkSize: 100 }]);
+    expect(parseRange('bytes=990-', size)).toEqual([{ start: 990, end: 999, chunkSize: 10 }]);
+  });
+
+  test('serves suffix ranges from the end, the whole file if longer than it', () => {
+    expect(parseRange('bytes=-100', size)).toEqual([{ start: 900, end: 999, chunkSize: 100 }]);
+    expect(parseRange('bytes=-5000', size)).toEqual([{ start: 0, end: 999, chunkSize: 1000 }]);
+  });
+
+  test('coalesces overlapping and adjacent ranges', () => {
+    expect(parseRange('bytes=0-99,50-149', size)).toEqual([{ start: 0, end: 149, chunkSize: 150 }]);
+    expect(parseRange('bytes=0-99,100-199', size)).toEqual([{ start: 0, end: 199, chunkSize: 200 }]);
+    expect(parseRange('bytes=-100,850-949', size)).toEqual([{ start: 850, end: 999, chunkSize: 150 }]);
+  });
+
+  test('keeps disjoint ranges apart', () => {
+    expect(parseRange('bytes=0-9,500-509', size)).toEqual([
+      { start: 0, end: 9, chunkSize: 10 },
+      { start: 500, end: 509, chunkSize: 10 }
+    ]);
+  });
+
+  test('returns -1 when no range is satisfiable', () => {
+    expect(parseRange('bytes=1000-1099', size)).toBe(-1);
+    expect(parseRange('bytes=-0', size)).toBe(-1);
+    expect(parseRange('bytes=2000-,3000-3999', size)).toBe(-1);
+  });
+
+  test('skips unsatisfiable ranges next to satisfiable ones', () => {
+    expect(parseRange('bytes=2000-2999,0-9', size)).toEqual([{ start: 0, end: 9, chunkSize: 10 }]);
+  });
+});
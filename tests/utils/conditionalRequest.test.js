@@ -0,0 +1,64 @@
+const { isNotModified, isRangeFresh } = require('../../src/utils/conditionalRequest');
+
+/**
+ * Minimal request with the given headers (names in lower case, as Node gives them)
+ */
+function request(headers, method = 'GET') {
+  return { method, headers };
+}
+
+describe('isNotModified', () => {
+  const lastModified = new Date('2024-01-02T03:04:05Z');
+  const validators = { etag: '"123-456"', lastModified };
+
+  test('matches If-None-Match with weak comparison', () => {
+    expect(isNotModified(request({ 'if-none-match': '"123-456"' }), validators)).toBe(true);
+    expect(isNotModified(request({ 'if-none-match': 'W/"123-456"' }), validators)).toBe(true);
+    expect(isNotModified(request({ 'if-none-match': '"other", "123-456"' }), validators)).toBe(true);
+    expect(isNotModified(request({ 'if-none-match': '*' }), validators)).toBe(true);
+    expect(isNotModified(request({ 'if-none-match': '"other"' }), validators)).toBe(false);
+  });
+
+  test('compares If-Modified-Since with Last-Modified to the second', () => {
+    expect(isNotModified(request({ 'if-modified-since': lastModified.toUTCString() }), validators)).toBe(true);
+    expect(isNotModified(request({ 'if-modified-since': 'Tue, 02 Jan 2024 03:04:04 GMT' }), validators)).toBe(false);
+  });
+
+  test('If-None-Match takes precedence over If-Modified-Since', () => {
+    // A changed ETag means a new representation, even if the date says it is unmodified
+    expect(isNotModified(request({
+      'if-none-match': '"old-etag"',
+      'if-modified-since': lastModified.toUTCString()
+    }), validators)).toBe(false);
+
+    // And a matching ETag wins over a date before Last-Modified
+    expect(isNotModified(request({
+      'if-none-match': '"123-456"',
+      'if-modified-since': 'Mon, 01 Jan 2024 00:00:00 GMT'
+    }), validators)).toBe(true);
+  });
+
+  test('only applies to GET and HEAD', () => {
+    expect(isNotModified(request({ 'if-none-match': '*' }, 'HEAD'), validators)).toBe(true);
+    expect(isNotModified(request({ 'if-none-match': '*' }, 'POST'), validators)).toBe(false);
+  });
+});
+
+describe('isRangeFresh', () => {
+  const lastModified = new Date('2024-01-02T03:04:05Z');
+
+  test('honours ranges without If-Range', () => {
+    expect(isRangeFresh(request({}), { etag: '"a"', lastModified })).toBe(true);
+  });
+
+  test('needs a strong ETag match', () => {
+    expect(isRangeFresh(request({ 'if-range': '"a"' }), { etag: '"a"', lastModified })).toBe(true);
+    expect(isRangeFresh(request({ 'if-range': '"b"' }), { etag: '"a"', lastModified })).toBe(false);
+    expect(isRangeFresh(request({ 'if-range': 'W/"a"' }), { etag: 'W/"a"', lastModified })).toBe(false);
+  });
+
+  test('needs an exact Last-Modified match for dates', () => {
+    expect(isRangeFresh(request({ 'if-range': lastModified.toUTCString() }), { lastModified })).toBe(true);
+    expect(isRangeFresh(request({ 'if-range': 'Mon, 01 Jan 2024 00:00:00 GMT' }), { lastModified })).toBe(false);
+  });
+});
@@ -0,0 +1,128 @@
+const EventEmitter = require('events');
+const { streamJobProgress, describeProgress } = require('../../src/utils/jobProgressStream');
+
+/**
+ * Response stand-in recording the headers, the raw body and whether it was ended
+ */
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.body = '';
+  res.ended = false;
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.set = (headers) => { res.headers = headers; return res; };
+  res.flushHeaders = () => { res.flushed = true; };
+  res.write = (chunk) => { res.body += chunk; };
+  res.end = () => { res.ended = true; };
+  return res;
+}
+
+/**
+ * Split an event stream into {event, data} records, dropping comment lines
+ */
+function parseEvents(body) {
+  return body.split('\n\n').filter(block => block && !block.startsWith(':')).map((block) => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.replace(/^event: /, ''), data: JSON.parse(dataLine.replace(/^data: /, '')) };
+  });
+}
+
+describe('jobProgressStream', () => {
+  const job = (state, fields = {}) => ({
+    id: 'job-1', type: 'hls-convert', state, progress: { percent: 0, renditions: {} }, ...fields
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('opens an event stream and sends the current state first', () => {
+    const queue = new EventEmitter();
+    const res = fakeResponse();
+
+    streamJobProgress(queue, job('queued'), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers).toMatchObject({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache, no-transform' });
+    expect(res.flushed).toBe(true);
+    expect(res.body).toBe('event: state\ndata: {"jobId":"job-1","state":"queued","percent":0,"eta":null,"stage":null,"transfer":null,"renditions":{}}\n\n');
+    res.emit('close');
+  });
+
+  test('forwards state and progress of the job, then ends with its result', () => {
+    const queue = new EventEmitter();
+    const res = fakeResponse();
+    streamJobProgress(queue, job('queued'), res);
+
+    queue.emit('running', job('running'));
+    queue.emit('progress', job('running', { id: 'other', progress: { percent: 90, renditions: {} } }));
+    queue.emit('progress', job('running', { progress: { percent: 50, renditions: { '720p': { percent: 50, timemark: '00:00:05.00', fps: 30 } } } }));
+    queue.emit('succeeded', job('succeeded', { progress: { percent: 100, renditions: {} }, result: { playlistUrl: '/hls/movie/master.m3u8' } }));
+
+    const events = parseEvents(res.body);
+    expect(events.map(({ event, data }) => `${event}:${data.state}:${data.percent}`))
+      .toEqual(['state:queued:0', 'state:running:0', 'progress:running:50', 'succeeded:succeeded:100']);
+    expect(events[2].data.renditions).toEqual({ '720p': { percent: 50, timemark: '00:00:05.00', fps: 30, eta: null } });
+    expect(events[3].data.result).toEqual({ playlistUrl: '/hls/movie/master.m3u8' });
+    expect(res.ended).toBe(true);
+
+    // No listeners are left behind on the queue
+    expect(queue.eventNames()).toEqual([]);
+  });
+
+  test('ends with the error of a failed job', () => {
+    const queue = new EventEmitter();
+    const res = fakeResponse();
+    streamJobProgress(queue, job('running'), res);
+
+    queue.emit('failed', job('failed', { error: { message: 'ffmpeg exited with code 1' } }));
+
+    expect(parseEvents(res.body).pop()).toEqual({
+      event: 'failed',
+      data: expect.objectContaining({ state: 'failed', error: { message: 'ffmpeg exited with code 1' } })
+    });
+    expect(res.ended).toBe(true);
+  });
+
+  test('closes right away for a job that already finished', () => {
+    const queue = new EventEmitter();
+    const res = fakeResponse();
+
+    streamJobProgress(queue, job('succeeded', { result: { ok: true } }), res);
+
+    expect(parseEvents(res.body).map(({ event }) => event)).toEqual(['state', 'succeeded']);
+    expect(res.ended).toBe(true);
+    expect(queue.eventNames()).toEqual([]);
+  });
+
+  test('sends heartbeats until the client disconnects', () => {
+    jest.useFakeTimers();
+    const queue = new EventEmitter();
+    const res = fakeResponse();
+    streamJobProgress(queue, job('running'), res);
+
+    jest.advanceTimersByTime(30000);
+    expect(res.body.match(/^: heartbeat\n\n/gm)).toHaveLength(2);
+
+    res.emit('close');
+    jest.advanceTimersByTime(30000);
+    expect(res.body.match(/^: heartbeat\n\n/gm)).toHaveLength(2);
+    expect(queue.eventNames()).toEqual([]);
+    expect(res.ended).toBe(false);
+  });
+
+  test('describes the stage and transfer of multi-step jobs', () => {
+    const described = describeProgress(job('running', {
+      progress: { percent: 40, eta: 12, stage: 'uploading', transfer: { bytes: 3, totalBytes: 10, percent: 30 }, renditions: { '360p': { percent: 100, eta: 0 } } }
+    }));
+
+    expect(described).toEqual({
+      jobId: 'job-1',
+      state: 'running',
+      percent: 40,
+      eta: 12,
+      stage: 'uploading',
+      transfer: { bytes: 3, totalBytes: 10, percent: 30 },
+      renditions: { '360p': { percent: 100, timemark: undefined, fps: undefined, eta: 0 } }
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const { parseListQuery, paginate, encodeCursor } = require('../../src/utils/listQuery');
+
+describe('listQuery', () => {
+  const fields = {
+    key: item => item.name,
+    name: item => item.name,
+    size: item => item.size,
+    date: item => item.modified,
+    mimeType: item => item.mimeType,
+    text: item => [item.name]
+  };
+
+  const video = (name, size, day = 1) => ({
+    name, size, modified: new Date(Date.UTC(2024, 0, day)), mimeType: 'video/mp4'
+  });
+
+  /**
+   * Parse a query that is expected to be valid
+   */
+  function parse(query) {
+    const { options, error } = parseListQuery(query);
+    expect(error).toBeUndefined();
+    return options;
+  }
+
+  /**
+   * Fetch every page of a listing, applying a change to the items before each next page
+   */
+  function pages(items, query, change = () => {}) {
+    const names = [];
+    let cursor;
+    do {
+      const page = paginate(items, parse({ ...query, cursor }), fields);
+      names.push(page.items.map(item => item.name));
+      cursor = page.nextCursor || undefined;
+      change(items);
+    } while (cursor);
+    return names;
+  }
+
+  test('pages through a listing in sort order', () => {
+    const items = ['d', 'a', 'c', 'b', 'e'].map(name => video(name, 1));
+
+    expect(pages(items, { limit: '2' })).toEqual([['a', 'b'], ['c', 'd'], ['e']]);
+    expect(paginate(items, parse({ limit: '5' }), fields).nextCursor).toBeNull();
+  });
+
+  test('keeps pages stable while items are added before and after the cursor', () => {
+    const items = ['b', 'd', 'f', 'h'].map(name => video(name, 1));
+    const added = ['a', 'e', 'c', 'g'];
+
+    const result = pages(items, { limit: '1' }, list => {
+      if (added.length) list.push(video(added.shift(), 1));
+    });
+
+    // Nothing returned twice and nothing skipped: items added behind the cursor are not seen
+    expect(result.flat()).toEqual(['b', 'd', 'e', 'f', 'g', 'h']);
+  });
+
+  test('breaks ties between equal sort values by key', () => {
+    const items = [video('c', 10), video('a', 10), video('b', 20), video('d', 10)];
+
+    expect(pages(items, { sort: 'size', limit: '2' })).toEqual([['b', 'd'], ['c', 'a']]);
+
+    // A duplicate size inserted behind the cursor is skipped, not repeated
+    const result = pages(items, { sort: 'size', order: 'asc', limit: '2' }, list => {
+      if (!list.some(item => item.name === 'aa')) list.push(video('aa', 10));
+    });
+    expect(result.flat()).toEqual(['a', 'c', 'd', 'b']);
+  });
+
+  test('continues after the last item even when it was deleted', () => {
+    const items = ['a', 'b', 'c', 'd'].map(name => video(name, 1));
+    const first = paginate(items, parse({ limit: '2' }), fields);
+
+    const rest = paginate(items.filter(item => item.name !== 'b'), parse({ limit: '2', cursor: first.nextCursor }), fields);
+    expect(rest.items.map(item => item.name)).toEqual(['c', 'd']);
+  });
+
+  test('rejects a cursor issued for another sort or order', () => {
+    const items = ['a', 'b', 'c'].map((name, index) => video(name, index, index + 1));
+    const { nextCursor } = paginate(items, parse({ sort: 'date', limit: '1' }), fields);
+
+    expect(parseListQuery({ sort: 'date', cursor: nextCursor }).options.cursor).toBeTruthy();
+    expect(parseListQuery({ sort: 'name', cursor: nextCursor }).error).toMatch(/different sort order/);
+    expect(parseListQuery({ sort: 'date', order: 'asc', cursor: nextCursor }).error).toMatch(/different sort order/);
+  });
+
+  test('rejects malformed cursors', () => {
+    expect(parseListQuery({ cursor: 'not a cursor' }).error).toMatch(/cursor is invalid/);
+    expect(parseListQuery({ cursor: encodeCursor('name') }).error).toMatch(/cursor is invalid/);
+    expect(parseListQuery({ cursor: encodeCursor({ after: { value: 'a', key: 'a' } }) }).error).toMatch(/cursor is invalid/);
+  });
+
+  test('rejects unknown sorts, orders, limits and filters', () => {
+    expect(parseListQuery({ sort: 'duration' }).error).toBe('sort must be one of: name, size, date');
+    expect(parseListQuery({ order: 'up' }).error).toBe('order must be one of: asc, desc');
+    expect(parseListQuery({ limit: '0' }).error).toMatch(/^limit must be/);
+    expect(parseListQuery({ limit: '1001' }).error).toMatch(/^limit must be/);
+    expect(parseListQuery({ sort: 'size' }, { sorts: ['name'] }).error).toBe('sort must be one of: name');
+    expect(parseListQuery({ type: 'video/*' }, { filters: ['q'] }).error).toBe('filtering by type is not supported for this listing');
+  });
+
+  test('defaults to A-Z for names and largest or newest first otherwise', () => {
+    expect(parse({})).toMatchObject({ sort: 'name', order: 'asc', limit: 50 });
+    expect(parse({ sort: 'size' }).order).toBe('desc');
+    expect(parse({ sort: 'date' }).order).toBe('desc');
+  });
+
+  test('filters by text, type, size and date', () => {
+    const items = [
+      video('Movie', 20 * 1024 * 1024, 5),
+      { ...video('trailer', 1024, 10), mimeType: 'video/webm' },
+      { ...video('poster', 2048, 1), mimeType: 'image/png' }
+    ];
+    const names = query => paginate(items, parse(query), fields).items.map(item => item.name);
+
+    expect(names({ q: 'MOV' })).toEqual(['Movie']);
+    expect(names({ type: 'video/*' })).toEqual(['Movie', 'trailer']);
+    expect(names({ minSize: '1.5KB' })).toEqual(['Movie', 'poster']);
+    expect(names({ since: '2024-01-02', until: '2024-01-06' })).toEqual(['Movie']);
+    expect(paginate(items, parse({ type: 'video/*', limit: '1' }), fields).total).toBe(2);
+  });
+});